@@ -33,6 +33,7 @@ const validChallengeParams = {
   Status: "status",
   TypeId: "typeId",
   Prizes: "overview.totalPrizes",
+  Relevance: "relevance",
 };
 
 const EVENT_ORIGINATOR = "topcoder-challenges-api";
@@ -70,10 +71,25 @@ const Topics = {
   DefaultChallengeReviewerCreated: "challenge.action.default.reviewer.created",
   DefaultChallengeReviewerUpdated: "challenge.action.default.reviewer.updated",
   DefaultChallengeReviewerDeleted: "challenge.action.default.reviewer.deleted",
+  PhaseRuleSetCreated: "challenge.action.phase.rule.set.created",
+  PhaseRuleSetUpdated: "challenge.action.phase.rule.set.updated",
+  PhaseRuleSetDeleted: "challenge.action.phase.rule.set.deleted",
   // Self Service topics
   Notifications: "notifications.action.create",
 };
 
+// Topics external partners can subscribe to through webhooks
+const WebhookTopics = [
+  Topics.ChallengeCreated,
+  Topics.ChallengeUpdated,
+  Topics.ChallengeDeleted,
+  Topics.ChallengePhaseUpdated,
+  Topics.ChallengePhaseDeleted,
+  Topics.ChallengeAttachmentCreated,
+  Topics.ChallengeAttachmentUpdated,
+  Topics.ChallengeAttachmentDeleted,
+];
+
 // Kafka topics temporarily disabled.  We probably don't need all these right now, and this just cuts
 // down on overhead.
 const DisabledTopics = [
@@ -103,6 +119,9 @@ const DisabledTopics = [
   Topics.DefaultChallengeReviewerCreated,
   Topics.DefaultChallengeReviewerUpdated,
   Topics.DefaultChallengeReviewerDeleted,
+  Topics.PhaseRuleSetCreated,
+  Topics.PhaseRuleSetUpdated,
+  Topics.PhaseRuleSetDeleted,
 ];
 
 const challengeTextSortField = {
@@ -173,6 +192,7 @@ module.exports = {
   EVENT_MIME_TYPE,
   Topics,
   DisabledTopics,
+  WebhookTopics,
   challengeTextSortField,
   SelfServiceNotificationTypes,
   SelfServiceNotificationSettings,
@@ -46,6 +46,9 @@ const { withAuthMetadata } = require("./src/common/swagger");
 const challengeAPIWithAuthDoc = withAuthMetadata(challengeAPISwaggerDoc);
 const { ForbiddenError } = require("./src/common/errors");
 const { getClient } = require("./src/common/prisma");
+const phaseAdvancementScheduler = require("./src/phase-management/PhaseAdvancementScheduler");
+const webhookDeliveryWorker = require("./src/webhooks/WebhookDeliveryWorker");
+const busEventRelay = require("./src/outbox/BusEventRelay");
 
 // setup express app
 const app = express();
@@ -78,6 +81,7 @@ app.use(
       "X-Per-Page",
       "X-Total",
       "X-Total-Pages",
+      "X-Next-Cursor",
       "Link",
     ],
   })
@@ -164,11 +168,19 @@ app.use((err, req, res, next) => {
     }
   }
 
+  // the current version of a record that failed an If-Match precondition
+  if (err.etag) {
+    res.set("ETag", err.etag);
+  }
+
   res.status(status).json(errorResponse);
 });
 
 const server = app.listen(app.get("port"), () => {
   logger.info(`Express server listening on port ${app.get("port")}`);
+  phaseAdvancementScheduler.start();
+  webhookDeliveryWorker.start();
+  busEventRelay.start();
 });
 
 // Graceful shutdown: close HTTP server and disconnect Prisma
@@ -176,6 +188,9 @@ const prisma = getClient();
 const gracefulShutdown = (signal) => {
   try {
     logger.info(`[${signal}] Received. Starting graceful shutdown...`);
+    phaseAdvancementScheduler.stop();
+    webhookDeliveryWorker.stop();
+    busEventRelay.stop();
     // Stop accepting new connections
     server.close(async () => {
       logger.info("HTTP server closed. Disconnecting Prisma...");
@@ -52,6 +52,7 @@ module.exports = {
   // TODO: change this to localhost
   RESOURCE_ROLES_API_URL:
     process.env.RESOURCE_ROLES_API_URL || "http://api.topcoder-dev.com/v5/resource-roles",
+  ROLES_API_URL: process.env.ROLES_API_URL || "https://api.topcoder-dev.com/v3/roles",
   GROUPS_API_URL: process.env.GROUPS_API_URL || "http://localhost:4000/v6/groups",
   PROJECTS_API_URL: process.env.PROJECTS_API_URL || "http://localhost:4000/v5/projects",
   TERMS_API_URL: process.env.TERMS_API_URL || "http://localhost:4000/v5/terms",
@@ -107,6 +108,7 @@ module.exports = {
     DELETE: process.env.SCOPE_CHALLENGES_DELETE || "delete:challenges",
     ALL: process.env.SCOPE_CHALLENGES_ALL || "all:challenges",
     PAYMENT: process.env.SCOPE_PAYMENT || "create:payments",
+    WEBHOOKS: process.env.SCOPE_CHALLENGE_WEBHOOKS || "all:challenge-webhooks",
   },
 
   DEFAULT_CONFIDENTIALITY_TYPE: process.env.DEFAULT_CONFIDENTIALITY_TYPE || "public",
@@ -153,6 +155,149 @@ module.exports = {
   CHALLENGE_SERVICE_PRISMA_TIMEOUT: process.env.CHALLENGE_SERVICE_PRISMA_TIMEOUT
     ? parseInt(process.env.CHALLENGE_SERVICE_PRISMA_TIMEOUT, 10)
     : 10000,
+  // in-process scheduler that opens/closes phases once their scheduled dates have passed
+  PHASE_ADVANCEMENT_SCHEDULER: {
+    ENABLED: process.env.PHASE_ADVANCEMENT_SCHEDULER_ENABLED === "true",
+    INTERVAL_MS: process.env.PHASE_ADVANCEMENT_SCHEDULER_INTERVAL_MS
+      ? Number(process.env.PHASE_ADVANCEMENT_SCHEDULER_INTERVAL_MS)
+      : 60 * 1000,
+    BATCH_SIZE: process.env.PHASE_ADVANCEMENT_SCHEDULER_BATCH_SIZE
+      ? Number(process.env.PHASE_ADVANCEMENT_SCHEDULER_BATCH_SIZE)
+      : 100,
+    // first key of the per-challenge Postgres advisory lock, the second one is the challenge id hash
+    LOCK_NAMESPACE: process.env.PHASE_ADVANCEMENT_SCHEDULER_LOCK_NAMESPACE
+      ? Number(process.env.PHASE_ADVANCEMENT_SCHEDULER_LOCK_NAMESPACE)
+      : 720101,
+  },
+  // seconds stored phase rule sets are cached per instance before edits are picked up
+  PHASE_RULE_SET_CACHE_TTL: process.env.PHASE_RULE_SET_CACHE_TTL
+    ? Number(process.env.PHASE_RULE_SET_CACHE_TTL)
+    : 60,
+  // the most challenges one bulk operation may update, and how many of them are updated in parallel
+  BULK_CHALLENGE_OPERATION_MAX_ITEMS: process.env.BULK_CHALLENGE_OPERATION_MAX_ITEMS
+    ? Number(process.env.BULK_CHALLENGE_OPERATION_MAX_ITEMS)
+    : 200,
+  BULK_CHALLENGE_OPERATION_MAX_CONCURRENCY: process.env.BULK_CHALLENGE_OPERATION_MAX_CONCURRENCY
+    ? Number(process.env.BULK_CHALLENGE_OPERATION_MAX_CONCURRENCY)
+    : 5,
+  WEBHOOKS: {
+    // run the delivery worker on this instance, subscriptions and the outbox work regardless
+    DELIVERY_ENABLED: process.env.WEBHOOK_DELIVERY_ENABLED === "true",
+    DELIVERY_INTERVAL_MS: process.env.WEBHOOK_DELIVERY_INTERVAL_MS
+      ? Number(process.env.WEBHOOK_DELIVERY_INTERVAL_MS)
+      : 10 * 1000,
+    DELIVERY_BATCH_SIZE: process.env.WEBHOOK_DELIVERY_BATCH_SIZE
+      ? Number(process.env.WEBHOOK_DELIVERY_BATCH_SIZE)
+      : 50,
+    DELIVERY_TIMEOUT_MS: process.env.WEBHOOK_DELIVERY_TIMEOUT_MS
+      ? Number(process.env.WEBHOOK_DELIVERY_TIMEOUT_MS)
+      : 10 * 1000,
+    // deliveries failing this many times are moved to the dead letter list
+    MAX_ATTEMPTS: process.env.WEBHOOK_MAX_ATTEMPTS ? Number(process.env.WEBHOOK_MAX_ATTEMPTS) : 8,
+    // multiplier of helper.exponentialDelay, 30 retries after ~6s, 12s, 24s... up to ~13min
+    RETRY_DELAY_FACTOR: process.env.WEBHOOK_RETRY_DELAY_FACTOR
+      ? Number(process.env.WEBHOOK_RETRY_DELAY_FACTOR)
+      : 30,
+  },
+  BUS_EVENT_RELAY: {
+    // publish the BusEventOutbox rows from this instance, only one instance publishes at a time
+    ENABLED: process.env.BUS_EVENT_RELAY_ENABLED !== "false",
+    INTERVAL_MS: process.env.BUS_EVENT_RELAY_INTERVAL_MS
+      ? Number(process.env.BUS_EVENT_RELAY_INTERVAL_MS)
+      : 1000,
+    BATCH_SIZE: process.env.BUS_EVENT_RELAY_BATCH_SIZE
+      ? Number(process.env.BUS_EVENT_RELAY_BATCH_SIZE)
+      : 100,
+    // key of the Postgres advisory lock held by the publishing instance
+    LOCK_NAMESPACE: process.env.BUS_EVENT_RELAY_LOCK_NAMESPACE
+      ? Number(process.env.BUS_EVENT_RELAY_LOCK_NAMESPACE)
+      : 720102,
+    // how long claimed events are reserved for the instance publishing them
+    CLAIM_LEASE_MS: process.env.BUS_EVENT_RELAY_CLAIM_LEASE_MS
+      ? Number(process.env.BUS_EVENT_RELAY_CLAIM_LEASE_MS)
+      : 5 * 60 * 1000,
+    // an event failing this many times is marked FAILED and no longer retried
+    MAX_ATTEMPTS: process.env.BUS_EVENT_RELAY_MAX_ATTEMPTS
+      ? Number(process.env.BUS_EVENT_RELAY_MAX_ATTEMPTS)
+      : 20,
+    // multiplier of helper.exponentialDelay, 5 retries after ~1s, 2s, 4s... up to MAX_RETRY_DELAY_MS
+    RETRY_DELAY_FACTOR: process.env.BUS_EVENT_RELAY_RETRY_DELAY_FACTOR
+      ? Number(process.env.BUS_EVENT_RELAY_RETRY_DELAY_FACTOR)
+      : 5,
+    MAX_RETRY_DELAY_MS: process.env.BUS_EVENT_RELAY_MAX_RETRY_DELAY_MS
+      ? Number(process.env.BUS_EVENT_RELAY_MAX_RETRY_DELAY_MS)
+      : 5 * 60 * 1000,
+    // a warning is logged while more events than this wait to be published
+    BACKLOG_WARN_THRESHOLD: process.env.BUS_EVENT_RELAY_BACKLOG_WARN_THRESHOLD
+      ? Number(process.env.BUS_EVENT_RELAY_BACKLOG_WARN_THRESHOLD)
+      : 1000,
+  },
+  SAVED_SEARCH: {
+    // the maximum number of saved searches of a member
+    MAX_PER_USER: process.env.SAVED_SEARCH_MAX_PER_USER
+      ? Number(process.env.SAVED_SEARCH_MAX_PER_USER)
+      : 20,
+    // a member is notified of new matching challenges at most once in this period
+    NOTIFICATION_THROTTLE_MS: process.env.SAVED_SEARCH_NOTIFICATION_THROTTLE_MS
+      ? Number(process.env.SAVED_SEARCH_NOTIFICATION_THROTTLE_MS)
+      : 60 * 60 * 1000,
+    // the number of saved searches loaded at a time when a challenge goes ACTIVE
+    BATCH_SIZE: process.env.SAVED_SEARCH_BATCH_SIZE
+      ? Number(process.env.SAVED_SEARCH_BATCH_SIZE)
+      : 500,
+    SENDGRID_TEMPLATE_ID: process.env.SAVED_SEARCH_SENDGRID_TEMPLATE_ID || "",
+  },
+  CALENDAR_FEED: {
+    // signs the private calendar feed tokens
+    TOKEN_SECRET: process.env.CALENDAR_FEED_TOKEN_SECRET || "mysecret",
+    // the maximum number of active calendar feed tokens of a member
+    MAX_TOKENS_PER_USER: process.env.CALENDAR_FEED_MAX_TOKENS_PER_USER
+      ? Number(process.env.CALENDAR_FEED_MAX_TOKENS_PER_USER)
+      : 10,
+    // challenges that ended more than this many days ago are left out of the feeds
+    PAST_DAYS: process.env.CALENDAR_FEED_PAST_DAYS
+      ? Number(process.env.CALENDAR_FEED_PAST_DAYS)
+      : 30,
+    MAX_CHALLENGES: process.env.CALENDAR_FEED_MAX_CHALLENGES
+      ? Number(process.env.CALENDAR_FEED_MAX_CHALLENGES)
+      : 500,
+  },
+  CHALLENGE_APPROVAL: {
+    // The budget approval chain. A level applies to the challenges whose member payment amount
+    // is at least its minAmount, and is approved by the members with one of its roles, or by the
+    // project managers of the challenge project when it has no roles.
+    LEVELS: [
+      { name: "PROJECT_MANAGER", minAmount: 0 },
+      {
+        name: "FINANCE",
+        minAmount: process.env.CHALLENGE_APPROVAL_FINANCE_MIN_AMOUNT
+          ? Number(process.env.CHALLENGE_APPROVAL_FINANCE_MIN_AMOUNT)
+          : 5000,
+        roles: process.env.CHALLENGE_APPROVAL_FINANCE_ROLES
+          ? process.env.CHALLENGE_APPROVAL_FINANCE_ROLES.split(",")
+          : ["Finance Admin"],
+      },
+    ],
+    // the chains of specific billing accounts, a JSON object of billing account id to levels
+    BILLING_ACCOUNT_LEVELS: process.env.CHALLENGE_APPROVAL_BILLING_ACCOUNT_LEVELS
+      ? JSON.parse(process.env.CHALLENGE_APPROVAL_BILLING_ACCOUNT_LEVELS)
+      : {},
+  },
+  PRIZE_CURRENCIES: {
+    // the prize types a challenge can pay its prizes in
+    SUPPORTED: process.env.PRIZE_CURRENCIES
+      ? process.env.PRIZE_CURRENCIES.split(",")
+      : ["USD", "EUR", "POINT"],
+    // the prize types that are not money, left out of the USD equivalent of the prizes
+    NON_MONETARY: process.env.NON_MONETARY_PRIZE_CURRENCIES
+      ? process.env.NON_MONETARY_PRIZE_CURRENCIES.split(",")
+      : ["POINT"],
+  },
+  // the difference between a locked billing account amount and the current estimate of the
+  // challenge that the reconciliation report flags as drift
+  BILLING_RECONCILIATION_DRIFT_TOLERANCE: process.env.BILLING_RECONCILIATION_DRIFT_TOLERANCE
+    ? Number(process.env.BILLING_RECONCILIATION_DRIFT_TOLERANCE)
+    : 0.01,
   CHALLENGE_URL: process.env.CHALLENGE_URL || "https://www.topcoder-dev.com/challenges",
   PHASE_CHANGE_SENDGRID_TEMPLATE_ID: process.env.PHASE_CHANGE_SENDGRID_TEMPLATE_ID || "",
 };
@@ -176,6 +176,42 @@ app.get('/v5/projects/:projectId/billingAccount', (req, res) => {
   })
 })
 
+// billing account ledgers, the locked and consumed challenge budgets by billing account id
+const billingAccounts = {}
+
+const getBillingAccount = (billingAccountId) => {
+  if (!billingAccounts[billingAccountId]) {
+    billingAccounts[billingAccountId] = {
+      id: billingAccountId,
+      active: true,
+      status: 'ACTIVE',
+      endDate: '2099-12-31T00:00:00.000Z',
+      budget: 1000000,
+      lockedAmounts: [],
+      consumedAmounts: []
+    }
+  }
+  const billingAccount = billingAccounts[billingAccountId]
+  const spent = _.sumBy([...billingAccount.lockedAmounts, ...billingAccount.consumedAmounts], 'amount')
+  return { ...billingAccount, totalBudgetRemaining: billingAccount.budget - spent }
+}
+
+// get billing account with its ledger
+app.get('/v6/billing-accounts/:billingAccountId', (req, res) => {
+  res.json(getBillingAccount(req.params.billingAccountId))
+})
+
+// lock a challenge budget, one locked row per challenge
+app.patch('/v6/billing-accounts/:billingAccountId/lock-amount', express.json(), (req, res) => {
+  const billingAccount = getBillingAccount(req.params.billingAccountId)
+  const { amount, challengeId, externalId, externalType } = req.body
+  winston.debug(`locking ${amount} of billing account ${billingAccount.id} for challenge ${challengeId}`)
+  const lockedAmounts = _.reject(billingAccounts[billingAccount.id].lockedAmounts, { challengeId })
+  lockedAmounts.push({ challengeId, externalId, externalType, amount, updatedAt: new Date().toISOString() })
+  billingAccounts[billingAccount.id].lockedAmounts = lockedAmounts
+  res.json(getBillingAccount(billingAccount.id))
+})
+
 // search groups
 app.get('/v5/groups', (req, res) => {
   const page = Number(req.query.page || 1)
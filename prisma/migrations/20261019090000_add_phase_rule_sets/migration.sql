@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "PhaseRuleSet" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "typeId" TEXT,
+    "trackId" TEXT,
+    "rules" JSONB NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdBy" TEXT NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "updatedBy" TEXT NOT NULL,
+
+    CONSTRAINT "PhaseRuleSet_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PhaseRuleSet_name_key" ON "PhaseRuleSet"("name");
+
+-- CreateIndex
+CREATE INDEX "PhaseRuleSet_typeId_trackId_idx" ON "PhaseRuleSet"("typeId", "trackId");
+
+-- AddForeignKey
+ALTER TABLE "PhaseRuleSet" ADD CONSTRAINT "PhaseRuleSet_typeId_fkey" FOREIGN KEY ("typeId") REFERENCES "ChallengeType"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PhaseRuleSet" ADD CONSTRAINT "PhaseRuleSet_trackId_fkey" FOREIGN KEY ("trackId") REFERENCES "ChallengeTrack"("id") ON DELETE SET NULL ON UPDATE CASCADE;
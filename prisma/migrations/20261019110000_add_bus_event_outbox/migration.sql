@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "BusEventOutbox" (
+    "id" BIGSERIAL NOT NULL,
+    "topic" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "key" TEXT,
+    "challengeId" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastError" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BusEventOutbox_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BusEventOutbox_nextAttemptAt_idx" ON "BusEventOutbox"("nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "BusEventOutbox_challengeId_id_idx" ON "BusEventOutbox"("challengeId", "id");
@@ -0,0 +1,37 @@
+-- AlterTable
+ALTER TABLE "Challenge" ADD COLUMN "skillNames" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN "searchVector" tsvector;
+
+-- Full-text search document: the name ranks first, then tags and skill names, then the
+-- description without its HTML tags. The private description is never indexed.
+CREATE OR REPLACE FUNCTION challenge_search_vector_update() RETURNS trigger AS $$
+BEGIN
+  NEW."searchVector" :=
+    setweight(to_tsvector('english', coalesce(NEW."name", '')), 'A') ||
+    setweight(
+      to_tsvector(
+        'english',
+        array_to_string(
+          coalesce(NEW."tags", ARRAY[]::TEXT[]) || coalesce(NEW."skillNames", ARRAY[]::TEXT[]),
+          ' '
+        )
+      ),
+      'B'
+    ) ||
+    setweight(
+      to_tsvector('english', regexp_replace(coalesce(NEW."description", ''), '<[^>]*>', ' ', 'g')),
+      'C'
+    );
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Challenge_searchVector_update"
+  BEFORE INSERT OR UPDATE OF "name", "description", "tags", "skillNames" ON "Challenge"
+  FOR EACH ROW EXECUTE FUNCTION challenge_search_vector_update();
+
+-- Backfill, the update fires the trigger
+UPDATE "Challenge" SET "name" = "name";
+
+-- CreateIndex
+CREATE INDEX "challenge_search_vector_idx" ON "Challenge" USING GIN ("searchVector");
@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "ChallengeTemplate" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "projectId" INTEGER,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "version" INTEGER NOT NULL DEFAULT 1,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdBy" TEXT NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "updatedBy" TEXT NOT NULL,
+
+    CONSTRAINT "ChallengeTemplate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ChallengeTemplateVersion" (
+    "id" TEXT NOT NULL,
+    "templateId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "challenge" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdBy" TEXT NOT NULL,
+
+    CONSTRAINT "ChallengeTemplateVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ChallengeTemplate_projectId_idx" ON "ChallengeTemplate"("projectId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ChallengeTemplateVersion_templateId_version_key" ON "ChallengeTemplateVersion"("templateId", "version");
+
+-- AddForeignKey
+ALTER TABLE "ChallengeTemplateVersion" ADD CONSTRAINT "ChallengeTemplateVersion_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "ChallengeTemplate"("id") ON DELETE CASCADE ON UPDATE CASCADE;
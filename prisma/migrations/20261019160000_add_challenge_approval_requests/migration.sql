@@ -0,0 +1,53 @@
+-- CreateEnum
+CREATE TYPE "ChallengeApprovalRequestStatusEnum" AS ENUM ('PENDING', 'APPROVED', 'REJECTED', 'CANCELLED');
+
+-- CreateEnum
+CREATE TYPE "ChallengeApprovalStepStatusEnum" AS ENUM ('REQUESTED', 'APPROVED', 'REJECTED');
+
+-- CreateTable
+CREATE TABLE "ChallengeApprovalRequest" (
+    "id" TEXT NOT NULL,
+    "challengeId" TEXT NOT NULL,
+    "status" "ChallengeApprovalRequestStatusEnum" NOT NULL DEFAULT 'PENDING',
+    "amount" DOUBLE PRECISION NOT NULL,
+    "billingAccountId" TEXT,
+    "levels" JSONB NOT NULL,
+    "currentLevel" INTEGER NOT NULL DEFAULT 0,
+    "comment" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdBy" TEXT NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "updatedBy" TEXT NOT NULL,
+
+    CONSTRAINT "ChallengeApprovalRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ChallengeApprovalStep" (
+    "id" TEXT NOT NULL,
+    "requestId" TEXT NOT NULL,
+    "level" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "status" "ChallengeApprovalStepStatusEnum" NOT NULL DEFAULT 'REQUESTED',
+    "comment" TEXT,
+    "requestedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "actedAt" TIMESTAMP(3),
+    "actedBy" TEXT,
+
+    CONSTRAINT "ChallengeApprovalStep_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ChallengeApprovalRequest_challengeId_idx" ON "ChallengeApprovalRequest"("challengeId");
+
+-- CreateIndex
+CREATE INDEX "ChallengeApprovalRequest_status_idx" ON "ChallengeApprovalRequest"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ChallengeApprovalStep_requestId_level_key" ON "ChallengeApprovalStep"("requestId", "level");
+
+-- AddForeignKey
+ALTER TABLE "ChallengeApprovalRequest" ADD CONSTRAINT "ChallengeApprovalRequest_challengeId_fkey" FOREIGN KEY ("challengeId") REFERENCES "Challenge"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ChallengeApprovalStep" ADD CONSTRAINT "ChallengeApprovalStep_requestId_fkey" FOREIGN KEY ("requestId") REFERENCES "ChallengeApprovalRequest"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- Monetary values are stored as exact decimals, double precision values are rounded to cents
+-- (markups and billing rates to 6 decimal places) by the cast.
+
+-- AlterTable
+ALTER TABLE "Challenge" ALTER COLUMN "overviewTotalPrizes" SET DATA TYPE DECIMAL(12,2);
+
+-- AlterTable
+ALTER TABLE "Prize" ALTER COLUMN "value" SET DATA TYPE DECIMAL(12,2);
+
+-- AlterTable
+ALTER TABLE "ChallengeBilling" ALTER COLUMN "markup" SET DATA TYPE DECIMAL(9,6),
+ALTER COLUMN "clientBillingRate" SET DATA TYPE DECIMAL(9,6);
+
+-- AlterTable
+ALTER TABLE "ChallengeReviewer" ALTER COLUMN "fixedAmount" SET DATA TYPE DECIMAL(12,2);
+
+-- AlterTable
+ALTER TABLE "DefaultChallengeReviewer" ALTER COLUMN "fixedAmount" SET DATA TYPE DECIMAL(12,2);
+
+-- AlterTable
+ALTER TABLE "ChallengeApprovalRequest" ALTER COLUMN "amount" SET DATA TYPE DECIMAL(12,2);
@@ -0,0 +1,35 @@
+-- AlterTable
+ALTER TABLE "Challenge" ADD COLUMN     "overviewTotalPrizesByCurrency" JSONB;
+
+-- CreateTable
+CREATE TABLE "ExchangeRate" (
+    "id" TEXT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "rate" DECIMAL(18,8) NOT NULL,
+    "effectiveDate" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdBy" TEXT NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "updatedBy" TEXT NOT NULL,
+
+    CONSTRAINT "ExchangeRate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ExchangeRate_currency_effectiveDate_key" ON "ExchangeRate"("currency", "effectiveDate");
+
+-- Backfill the placement prize totals of each prize currency
+UPDATE "Challenge" c
+SET "overviewTotalPrizesByCurrency" = totals."byCurrency"
+FROM (
+  SELECT "challengeId", jsonb_object_agg("type", "total") AS "byCurrency"
+  FROM (
+    SELECT ps."challengeId", p."type", SUM(p."value") AS "total"
+    FROM "ChallengePrizeSet" ps
+    INNER JOIN "Prize" p ON p."prizeSetId" = ps."id"
+    WHERE ps."type" = 'PLACEMENT'
+    GROUP BY ps."challengeId", p."type"
+  ) prize_totals
+  GROUP BY "challengeId"
+) totals
+WHERE c."id" = totals."challengeId";
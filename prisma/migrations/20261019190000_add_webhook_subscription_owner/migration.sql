@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "WebhookSubscription" ADD COLUMN "ownerId" TEXT;
+
+-- Existing subscriptions belong to their creator, M2M tokens were recorded with the
+-- `<client id>@clients` subject
+UPDATE "WebhookSubscription" SET "ownerId" = regexp_replace("createdBy", '@clients$', '');
+
+ALTER TABLE "WebhookSubscription" ALTER COLUMN "ownerId" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "WebhookSubscription_ownerId_idx" ON "WebhookSubscription"("ownerId");
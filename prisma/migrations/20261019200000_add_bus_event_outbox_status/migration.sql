@@ -0,0 +1,8 @@
+-- CreateEnum
+CREATE TYPE "BusEventOutboxStatusEnum" AS ENUM ('PENDING', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "BusEventOutbox" ADD COLUMN "status" "BusEventOutboxStatusEnum" NOT NULL DEFAULT 'PENDING';
+
+-- CreateIndex
+CREATE INDEX "BusEventOutbox_status_idx" ON "BusEventOutbox"("status");
@@ -0,0 +1,4 @@
+-- The calendar feeds resolve the roles of the token owner when they are read
+
+-- AlterTable
+ALTER TABLE "CalendarFeedToken" DROP COLUMN "roles";
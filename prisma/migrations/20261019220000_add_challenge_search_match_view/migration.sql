@@ -0,0 +1,9 @@
+-- Full-text matches of the search term held by the challenge.search_query setting, with their
+-- rank. The search sets the term for its transaction, so the match is applied by the filtered
+-- and paginated search queries. Without a term the view has no rows.
+CREATE VIEW "ChallengeSearchMatch" AS
+  SELECT c."id" AS "challengeId",
+         ts_rank_cd(c."searchVector", q.query)::DOUBLE PRECISION AS "rank"
+  FROM "Challenge" c,
+       websearch_to_tsquery('english', current_setting('challenge.search_query', true)) AS q(query)
+  WHERE c."searchVector" @@ q.query;
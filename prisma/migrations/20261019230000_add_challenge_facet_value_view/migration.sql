@@ -0,0 +1,8 @@
+-- Elements of the array columns counted by the search facets, once per challenge, so the facet
+-- counts are grouped by Postgres on the filtered challenges.
+CREATE VIEW "ChallengeFacetValue" AS
+  SELECT DISTINCT c."id" AS "challengeId", 'tags'::TEXT AS "facet", e."value"
+  FROM "Challenge" c, unnest(c."tags") AS e("value")
+  UNION ALL
+  SELECT DISTINCT c."id" AS "challengeId", 'currentPhaseNames'::TEXT AS "facet", e."value"
+  FROM "Challenge" c, unnest(c."currentPhaseNames") AS e("value");
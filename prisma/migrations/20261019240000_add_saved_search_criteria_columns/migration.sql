@@ -0,0 +1,42 @@
+-- AlterTable
+ALTER TABLE "SavedSearch" ADD COLUMN "trackIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN "typeIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN "status" "ChallengeStatusEnum";
+
+-- Backfill the columns the notifications pre-filter on from the criteria. The track and type
+-- abbreviations are resolved by the search, their ids are not pre-filtered.
+UPDATE "SavedSearch" s
+SET "trackIds" = CASE
+      WHEN coalesce(s."criteria"->>'track', s."criteria"->>'tracks') IS NOT NULL THEN ARRAY[]::TEXT[]
+      ELSE ARRAY(
+        SELECT DISTINCT ids."id"
+        FROM (
+          SELECT jsonb_array_elements_text(
+            CASE WHEN jsonb_typeof(s."criteria"->'trackIds') = 'array'
+              THEN s."criteria"->'trackIds' ELSE '[]'::jsonb END
+          ) AS "id"
+          UNION
+          SELECT s."criteria"->>'trackId'
+        ) ids
+        WHERE ids."id" IS NOT NULL AND ids."id" <> ''
+      )
+    END,
+    "typeIds" = CASE
+      WHEN coalesce(s."criteria"->>'type', s."criteria"->>'types') IS NOT NULL THEN ARRAY[]::TEXT[]
+      ELSE ARRAY(
+        SELECT DISTINCT ids."id"
+        FROM (
+          SELECT jsonb_array_elements_text(
+            CASE WHEN jsonb_typeof(s."criteria"->'typeIds') = 'array'
+              THEN s."criteria"->'typeIds' ELSE '[]'::jsonb END
+          ) AS "id"
+          UNION
+          SELECT s."criteria"->>'typeId'
+        ) ids
+        WHERE ids."id" IS NOT NULL AND ids."id" <> ''
+      )
+    END,
+    "status" = upper(s."criteria"->>'status')::"ChallengeStatusEnum";
+
+-- CreateIndex
+CREATE INDEX "SavedSearch_notify_status_idx" ON "SavedSearch"("notify", "status");
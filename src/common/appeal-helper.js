@@ -0,0 +1,68 @@
+/**
+ * Helper methods of the challenge appeals stored in the review database
+ */
+const config = require("config");
+const { Prisma } = require("@prisma/client");
+const logger = require("./logger");
+const { getReviewClient } = require("./review-prisma");
+
+/**
+ * Count the appeals of a challenge that have no appeal response yet.
+ *
+ * @param {String} challengeId the challenge id
+ * @returns {Promise<Number>} the unresolved appeal count, 0 when REVIEW_DB_URL is not configured
+ */
+async function getUnresolvedAppealCount(challengeId) {
+  if (!config.REVIEW_DB_URL) {
+    logger.debug(
+      `Skipping unresolved appeal count for challenge ${challengeId} because REVIEW_DB_URL is not configured`,
+    );
+    return 0;
+  }
+
+  const reviewPrisma = getReviewClient();
+  const reviewSchema = config.REVIEW_DB_SCHEMA;
+  const appealTable = Prisma.raw(`"${reviewSchema}"."appeal"`);
+  const appealResponseTable = Prisma.raw(`"${reviewSchema}"."appealResponse"`);
+  const reviewItemCommentTable = Prisma.raw(`"${reviewSchema}"."reviewItemComment"`);
+  const reviewItemTable = Prisma.raw(`"${reviewSchema}"."reviewItem"`);
+  const reviewTable = Prisma.raw(`"${reviewSchema}"."review"`);
+  const submissionTable = Prisma.raw(`"${reviewSchema}"."submission"`);
+
+  let rows;
+  try {
+    rows = await reviewPrisma.$queryRaw(
+      Prisma.sql`
+        SELECT COUNT(DISTINCT a."id")::int AS count
+        FROM ${appealTable} a
+        LEFT JOIN ${appealResponseTable} ar ON ar."appealId" = a."id"
+        INNER JOIN ${reviewItemCommentTable} ric ON ric."id" = a."reviewItemCommentId"
+        INNER JOIN ${reviewItemTable} ri ON ri."id" = ric."reviewItemId"
+        INNER JOIN ${reviewTable} r ON r."id" = ri."reviewId"
+        WHERE ar."id" IS NULL
+          AND EXISTS (
+            SELECT 1
+            FROM ${submissionTable} s
+            WHERE s."challengeId" = ${challengeId}
+              AND (
+                (r."submissionId" IS NOT NULL AND s."id" = r."submissionId")
+                OR (r."legacySubmissionId" IS NOT NULL AND s."legacySubmissionId" = r."legacySubmissionId")
+              )
+          )
+      `,
+    );
+  } catch (err) {
+    logger.error(
+      `Failed to count unresolved appeals for challenge ${challengeId}: ${err.message}`,
+      err,
+    );
+    throw err;
+  }
+
+  const [{ count = 0 } = {}] = rows || [];
+  return Number(count);
+}
+
+module.exports = {
+  getUnresolvedAppealCount,
+};
@@ -0,0 +1,94 @@
+/**
+ * Helper methods of the challenge budget approval chains
+ */
+const _ = require("lodash");
+const config = require("config");
+const helper = require("./helper");
+const { hasAdminRole } = require("./role-helper");
+
+// the budget approval status of a challenge
+const CHALLENGE_APPROVAL_STATUS = {
+  PENDING_APPROVAL: "PENDING_APPROVAL",
+  APPROVED: "APPROVED",
+  REJECTED: "REJECTED",
+};
+
+const APPROVAL_REQUEST_STATUS = {
+  PENDING: "PENDING",
+  APPROVED: "APPROVED",
+  REJECTED: "REJECTED",
+  CANCELLED: "CANCELLED",
+};
+
+const APPROVAL_STEP_STATUS = {
+  REQUESTED: "REQUESTED",
+  APPROVED: "APPROVED",
+  REJECTED: "REJECTED",
+};
+
+/**
+ * Get the approval levels a challenge budget must pass, in order.
+ * Billing accounts configured in CHALLENGE_APPROVAL.BILLING_ACCOUNT_LEVELS use their own chain.
+ * @param {String|Number} billingAccountId the billing account id
+ * @param {Number} amount the member payment amount
+ * @returns {Array<Object>} the levels ({ name, minAmount, roles }) the amount reaches
+ */
+function getApprovalLevels(billingAccountId, amount) {
+  const billingAccountLevels = _.get(config, "CHALLENGE_APPROVAL.BILLING_ACCOUNT_LEVELS", {});
+  const key = _.toString(billingAccountId).trim();
+  const levels =
+    (key && billingAccountLevels[key]) || _.get(config, "CHALLENGE_APPROVAL.LEVELS", []);
+  const value = _.toNumber(amount) || 0;
+  return _.map(
+    _.filter(levels, (level) => value >= (_.toNumber(level.minAmount) || 0)),
+    (level) => _.pick(level, ["name", "minAmount", "roles"]),
+  );
+}
+
+/**
+ * Check whether the user may decide on an approval level.
+ * Levels without roles are decided by the project managers of the challenge project.
+ * @param {Object} currentUser the user
+ * @param {Number} projectId the challenge project id
+ * @param {Object} level the approval level
+ * @returns {Promise<Boolean>} true if the user is an approver of the level
+ */
+async function canApproveLevel(currentUser, projectId, level) {
+  if (!currentUser) {
+    return false;
+  }
+  if (currentUser.isMachine || hasAdminRole(currentUser)) {
+    return true;
+  }
+  if (_.isEmpty(level.roles)) {
+    return helper.userHasProjectManagerAccess(projectId, currentUser);
+  }
+  const roles = _.map(level.roles, _.toLower);
+  return _.some(currentUser.roles, (role) => _.includes(roles, _.toLower(role)));
+}
+
+/**
+ * Check whether an approval request approved every given level.
+ * @param {Object} approvalRequest the approval request with its steps
+ * @param {Array<Object>} levels the levels that must be approved
+ * @returns {Boolean} true if the request is approved and has an approved step of each level
+ */
+function isApprovalChainComplete(approvalRequest, levels) {
+  if (_.get(approvalRequest, "status") !== APPROVAL_REQUEST_STATUS.APPROVED) {
+    return false;
+  }
+  const approvedNames = _.map(
+    _.filter(approvalRequest.steps, { status: APPROVAL_STEP_STATUS.APPROVED }),
+    "name",
+  );
+  return _.every(levels, (level) => _.includes(approvedNames, level.name));
+}
+
+module.exports = {
+  CHALLENGE_APPROVAL_STATUS,
+  APPROVAL_REQUEST_STATUS,
+  APPROVAL_STEP_STATUS,
+  getApprovalLevels,
+  canApproveLevel,
+  isApprovalChainComplete,
+};
@@ -8,6 +8,7 @@ const errors = require("./errors");
 const config = require("config");
 const helper = require("./helper");
 const phaseHelper = require("./phase-helper");
+const moneyHelper = require("./money-helper");
 const axios = require("axios");
 const { getM2MToken } = require("./m2m-helper");
 const { hasAdminRole } = require("./role-helper");
@@ -298,7 +299,7 @@ class ChallengeHelper {
       isMemberReview: reviewer.isMemberReview,
       memberReviewerCount: reviewer.memberReviewerCount,
       phaseId: phaseMap.get(reviewer.phaseName),
-      fixedAmount: reviewer.fixedAmount,
+      fixedAmount: moneyHelper.toAmountNumber(reviewer.fixedAmount),
       baseCoefficient: reviewer.baseCoefficient,
       incrementalCoefficient: reviewer.incrementalCoefficient,
       type: reviewer.opportunityType,
@@ -409,7 +410,7 @@ class ChallengeHelper {
           isMemberReview: false,
           memberReviewerCount: null,
           phaseId: phaseMap.get(reviewer.phaseName),
-          fixedAmount: reviewer.fixedAmount,
+          fixedAmount: moneyHelper.toAmountNumber(reviewer.fixedAmount),
           baseCoefficient: reviewer.baseCoefficient,
           incrementalCoefficient: reviewer.incrementalCoefficient,
           aiWorkflowId: workflowId,
@@ -0,0 +1,133 @@
+/**
+ * Helper methods of the prize currencies and their USD exchange rates
+ */
+const _ = require("lodash");
+const config = require("config");
+const constants = require("../../app-constants");
+const errors = require("./errors");
+const moneyHelper = require("./money-helper");
+
+const prisma = require("./prisma").getClient();
+
+const USD = constants.prizeTypes.USD;
+
+/**
+ * Get the prize types a challenge can pay its prizes in.
+ * @returns {Array<String>} the prize currencies
+ */
+function getPrizeCurrencies() {
+  return _.map(_.get(config, "PRIZE_CURRENCIES.SUPPORTED", [USD]), (c) => _.trim(c).toUpperCase());
+}
+
+/**
+ * Check whether a prize currency is money, its prizes then count in the USD equivalent.
+ * @param {String} currency the prize currency
+ * @returns {Boolean} true if the currency is money
+ */
+function isMonetaryCurrency(currency) {
+  const nonMonetary = _.map(_.get(config, "PRIZE_CURRENCIES.NON_MONETARY", []), (c) =>
+    _.trim(c).toUpperCase(),
+  );
+  return !_.includes(nonMonetary, _.toUpper(currency));
+}
+
+/**
+ * Get the currencies of the prizes of prize sets.
+ * @param {Array<Object>} prizeSets the prize sets
+ * @returns {Array<String>} the currencies
+ */
+function getPrizeSetCurrencies(prizeSets) {
+  return _.uniq(
+    _.compact(
+      _.flatMap(prizeSets, (prizeSet) =>
+        _.map(_.get(prizeSet, "prizes"), (prize) => _.toUpper(_.get(prize, "type"))),
+      ),
+    ),
+  );
+}
+
+/**
+ * Get the USD exchange rates of currencies effective on a date, the latest rate whose effective
+ * date is not after the date.
+ * @param {Array<String>} currencies the currencies, USD and the non monetary ones need no rate
+ * @param {Date} date the date the rates are effective on, now by default
+ * @returns {Promise<Object>} the rates by currency
+ * @throws bad request error if a currency has no effective rate
+ */
+async function getExchangeRates(currencies, date = new Date()) {
+  const rates = {};
+  const toConvert = _.filter(
+    _.uniq(_.map(currencies, _.toUpper)),
+    (currency) => currency !== USD && isMonetaryCurrency(currency),
+  );
+  for (const currency of toConvert) {
+    const exchangeRate = await prisma.exchangeRate.findFirst({
+      where: { currency, effectiveDate: { lte: date } },
+      orderBy: { effectiveDate: "desc" },
+    });
+    if (!exchangeRate) {
+      throw new errors.BadRequestError(
+        `No USD exchange rate of ${currency} is effective on ${new Date(date).toISOString()}`,
+      );
+    }
+    rates[currency] = moneyHelper.toDecimal(exchangeRate.rate);
+  }
+  return rates;
+}
+
+/**
+ * Get the USD exchange rates of the prize currencies of prize sets, effective now.
+ * @param {Array<Object>} prizeSets the prize sets
+ * @returns {Promise<Object>} the rates by currency
+ * @throws bad request error if a currency has no effective rate
+ */
+async function getPrizeSetExchangeRates(prizeSets) {
+  return getExchangeRates(getPrizeSetCurrencies(prizeSets));
+}
+
+/**
+ * Convert an amount of a currency to USD.
+ * @param {Number|Object} amount the amount
+ * @param {String} currency the currency
+ * @param {Object} exchangeRates the USD exchange rates by currency
+ * @returns {Decimal|null} the USD amount, null for the non monetary currencies and the currencies
+ * without a rate
+ */
+function convertToUsd(amount, currency, exchangeRates = {}) {
+  const normalized = _.toUpper(currency);
+  if (normalized === USD) {
+    return moneyHelper.toDecimal(amount, 0);
+  }
+  if (!isMonetaryCurrency(normalized) || _.isNil(exchangeRates[normalized])) {
+    return null;
+  }
+  return moneyHelper.toDecimal(amount, 0).times(exchangeRates[normalized]);
+}
+
+/**
+ * Sum prizes by currency, along with their USD equivalent.
+ * @param {Array<Object>} prizes the prizes, with type and value, USD when the type is missing
+ * @param {Object} exchangeRates the USD exchange rates by currency
+ * @returns {Object} the totals by currency and the USD equivalent, rounded to cents
+ */
+function getPrizeTotals(prizes, exchangeRates = {}) {
+  const byCurrency = _.mapValues(
+    _.groupBy(prizes, (prize) => _.toUpper(prize.type) || USD),
+    (currencyPrizes) =>
+      moneyHelper.roundAmount(moneyHelper.sumAmounts(_.map(currencyPrizes, "value"))),
+  );
+  const usdEquivalent = moneyHelper.sumAmounts(
+    _.map(byCurrency, (total, currency) => convertToUsd(total, currency, exchangeRates)),
+  );
+  return { byCurrency, usdEquivalent: moneyHelper.roundAmount(usdEquivalent) };
+}
+
+module.exports = {
+  getPrizeCurrencies,
+  isMonetaryCurrency,
+  getPrizeSetCurrencies,
+  getExchangeRates,
+  getPrizeSetExchangeRates,
+  convertToUsd,
+  getPrizeTotals,
+};
@@ -36,5 +36,6 @@ module.exports = {
   ForbiddenError: createError("ForbiddenError", 403),
   NotFoundError: createError("NotFoundError", 404),
   ConflictError: createError("ConflictError", 409),
+  PreconditionFailedError: createError("PreconditionFailedError", 412),
   ServiceUnavailableError: createError("ServiceUnavailableError", 503),
 };
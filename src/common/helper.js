@@ -17,10 +17,18 @@ const logger = require("./logger");
 
 const projectHelper = require("./project-helper");
 const m2mHelper = require("./m2m-helper");
+const currencyHelper = require("./currency-helper");
 const { hasAdminRole } = require("./role-helper");
 const { getClient } = require("./prisma");
 
 const DISABLED_TOPICS = new Set(constants.DisabledTopics || []);
+const WEBHOOK_TOPICS = new Set(constants.WebhookTopics || []);
+// Topics whose payload is the challenge itself
+const CHALLENGE_ID_TOPICS = new Set([
+  constants.Topics.ChallengeCreated,
+  constants.Topics.ChallengeUpdated,
+  constants.Topics.ChallengeDeleted,
+]);
 const PROJECT_WRITE_ACCESS_ROLES = new Set(["manager", "copilot", "customer", "write"]);
 const PROJECT_MANAGER_ACCESS_ROLES = new Set(["manager"]);
 const PROJECT_TASK_VIEW_ACCESS_ROLES = new Set(["manager", "copilot"]);
@@ -55,6 +63,9 @@ function wrapExpress(fn) {
   };
 }
 
+// Number of user ids per members API lookup
+const MEMBER_LOOKUP_BATCH_SIZE = 50;
+
 // Internal cache
 const internalCache = new NodeCache({ stdTTL: config.INTERNAL_CACHE_TTL });
 
@@ -91,12 +102,47 @@ function getPageLink(req, page) {
 }
 
 /**
- * Set HTTP response headers from result.
+ * Encode the position of the last returned record as an opaque pagination cursor.
+ * @param {Object} position the sort key values of the last returned record
+ * @returns {String} the cursor
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+/**
+ * Decode a pagination cursor created by encodeCursor.
+ * @param {String} cursor the cursor
+ * @returns {Object} the position of the last returned record
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (_.isPlainObject(position)) {
+      return position;
+    }
+  } catch (e) {
+    // reported below
+  }
+  throw new errors.BadRequestError(`Invalid cursor: ${cursor}`);
+}
+
+/**
+ * Set HTTP response headers from result. The total based headers are left out when the total
+ * was not counted, `X-Next-Cursor` is set when the result has a next cursor.
  * @param {Object} req the HTTP request
  * @param {Object} res the HTTP response
  * @param {Object} result the operation result
  */
 function setResHeaders(req, res, result) {
+  if (result.nextCursor) {
+    res.set("X-Next-Cursor", result.nextCursor);
+  }
+  if (_.isNil(result.total)) {
+    res.set("X-Page", parseInt(result.page, 10));
+    res.set("X-Per-Page", result.perPage);
+    return;
+  }
   const totalPages = Math.ceil(result.total / result.perPage);
   if (parseInt(result.page, 10) > 1) {
     res.set("X-Prev-Page", parseInt(result.page, 10) - 1);
@@ -124,6 +170,68 @@ function setResHeaders(req, res, result) {
   }
 }
 
+/**
+ * Get the entity tag of a version of a record.
+ * @param {Date|String} updatedAt the last update time of the record
+ * @returns {String} the entity tag
+ */
+function getEntityTag(updatedAt) {
+  return `"${new Date(updatedAt).getTime().toString(36)}"`;
+}
+
+/**
+ * Set the `ETag` response header of a record. Express answers a GET with a matching
+ * `If-None-Match` header with 304 Not Modified.
+ * @param {Object} res the HTTP response
+ * @param {Date|String} updatedAt the last update time of the record, if any
+ */
+function setEntityTag(res, updatedAt) {
+  if (!_.isNil(updatedAt)) {
+    res.set("ETag", getEntityTag(updatedAt));
+  }
+}
+
+/**
+ * Ensure a record wasn't modified since the version of the `If-Match` header of an update.
+ * @param {String} ifMatch the If-Match header, the check is skipped when it is not set
+ * @param {Date|String} updatedAt the last update time of the record
+ * @throws {PreconditionFailedError} when the record was modified, with the current entity tag
+ */
+function ensureEntityTagMatches(ifMatch, updatedAt) {
+  if (_.isNil(ifMatch)) {
+    return;
+  }
+  const etag = getEntityTag(updatedAt);
+  const tags = _.map(ifMatch.split(","), _.trim);
+  if (!_.includes(tags, "*") && !_.includes(tags, etag)) {
+    const err = new errors.PreconditionFailedError(
+      `The record was modified by another request, the current version is ${etag}`,
+    );
+    err.etag = etag;
+    throw err;
+  }
+}
+
+/**
+ * Lock a record at the version an update was checked against, in the update transaction. An
+ * update committed in the meantime fails the `If-Match` precondition; concurrent updates wait
+ * for the lock and then fail it.
+ * @param {Object} model the prisma model of the transaction, e.g. tx.challenge
+ * @param {String} id the record id
+ * @param {String} ifMatch the If-Match header, nothing is locked when it is not set
+ * @param {Date} updatedAt the last update time of the record the update was checked against
+ */
+async function lockEntityVersion(model, id, ifMatch, updatedAt) {
+  if (_.isNil(ifMatch)) {
+    return;
+  }
+  const { count } = await model.updateMany({ where: { id, updatedAt }, data: { updatedAt } });
+  if (count === 0) {
+    const current = await model.findUnique({ where: { id }, select: { updatedAt: true } });
+    ensureEntityTagMatches(ifMatch, current ? current.updatedAt : new Date());
+  }
+}
+
 /**
  * Remove invalid properties from the object and hide long arrays
  * @param {Object} obj the object
@@ -734,6 +842,20 @@ async function getResourceRoles() {
   return res.data || [];
 }
 
+/**
+ * Get the current roles of a user from the identity service
+ * @param {String} userId the user ID
+ * @returns {Promise<Array<String>>} the role names
+ */
+async function getUserRoles(userId) {
+  const token = await m2mHelper.getM2MToken();
+  const res = await axios.get(config.ROLES_API_URL, {
+    headers: { Authorization: `Bearer ${token}` },
+    params: { filter: `subjectID=${userId}` },
+  });
+  return _.map(_.get(res, "data.result.content", []), "roleName");
+}
+
 /**
  * Check if a user has full access on a challenge
  * @param {String} challengeId the challenge UUID
@@ -1093,16 +1215,119 @@ function getBusApiClient() {
 }
 
 /**
- * Post bus event.
+ * Check whether a challenge is hidden from anonymous readers, by its groups or user whitelist.
+ * @param {Array<String>} groups the challenge groups
+ * @param {Number} whitelistCount the number of whitelisted users of the challenge
+ * @returns {Boolean} true when the challenge is restricted
+ */
+function isRestrictedChallenge(groups, whitelistCount) {
+  const validGroups = _.filter(
+    groups,
+    (g) => !_.includes(["null", "undefined"], _.toString(g).toLowerCase()),
+  );
+  return validGroups.length > 0 || whitelistCount > 0;
+}
+
+/**
+ * Build the webhook deliveries of an event for the subscriptions of its topic, the bus event relay
+ * stores them when it publishes the event and the delivery worker sends them later.
+ * Subscriptions with a project only receive the events of that project's challenges.
+ * Subscribers get what an anonymous caller can read: the events of group restricted or
+ * whitelisted challenges only carry their ids, to be read with the subscriber's own token, and the
+ * billing, private description and payments are left out of the other payloads.
+ * @param {String} topic the event topic
+ * @param {Object} payload the event payload
+ * @param {String} challengeId the challenge the event belongs to
+ * @returns {Promise<Array<Object>>} the WebhookDelivery rows to create
+ */
+async function buildWebhookDeliveries(topic, payload, challengeId) {
+  if (!WEBHOOK_TOPICS.has(topic)) {
+    return [];
+  }
+  const subscriptions = await prisma.webhookSubscription.findMany({
+    where: { isActive: true, topics: { has: topic } },
+    select: { id: true, projectId: true },
+  });
+  if (subscriptions.length === 0) {
+    return [];
+  }
+  let projectId = _.get(payload, "projectId");
+  let restricted = false;
+  if (challengeId) {
+    const challenge = await prisma.challenge.findUnique({
+      where: { id: challengeId },
+      select: { projectId: true, groups: true, _count: { select: { userWhitelist: true } } },
+    });
+    if (_.isNil(projectId)) {
+      projectId = _.get(challenge, "projectId");
+    }
+    // a deleted challenge is only known by its event payload
+    restricted = challenge
+      ? isRestrictedChallenge(challenge.groups, _.get(challenge, "_count.userWhitelist", 0))
+      : isRestrictedChallenge(_.get(payload, "groups"), 0);
+  }
+  const deliveryPayload = restricted
+    ? { id: _.get(payload, "id"), challengeId, restricted: true }
+    : _.omit(payload, ["billing", "privateDescription", "payments"]);
+  return _.map(
+    _.filter(subscriptions, (s) => _.isNil(s.projectId) || s.projectId === _.toNumber(projectId)),
+    (s) => ({ subscriptionId: s.id, topic, payload: deliveryPayload }),
+  );
+}
+
+/**
+ * Get the challenge an event belongs to, the relay publishes the events of a challenge in order.
+ * @param {String} topic the event topic
+ * @param {Object} payload the event payload
+ * @returns {String|null} the challenge id
+ */
+function getEventChallengeId(topic, payload) {
+  const challengeId =
+    _.get(payload, "challengeId") || (CHALLENGE_ID_TOPICS.has(topic) ? _.get(payload, "id") : null);
+  return challengeId ? _.toString(challengeId) : null;
+}
+
+/**
+ * Post bus event. The event is written to the BusEventOutbox table and published by the bus event
+ * relay, pass the Prisma transaction of the data change as `options.tx` so the event is only kept
+ * when the change is committed.
  * @param {String} topic the event topic
  * @param {Object} payload the event payload
  * @param {Object} options the extra options to the message
  */
 async function postBusEvent(topic, payload, options = {}) {
-  if (DISABLED_TOPICS.has(topic)) {
+  if (DISABLED_TOPICS.has(topic) && !WEBHOOK_TOPICS.has(topic)) {
     logger.debug(`helper.postBusEvent: skipping disabled topic ${topic}`);
     return;
   }
+  const client = options.tx || prisma;
+  await client.busEventOutbox.create({
+    data: {
+      topic,
+      // Round trip through JSON so dates and other non JSON values are stored as published
+      payload: JSON.parse(JSON.stringify(payload)),
+      key: options.key ? _.toString(options.key) : null,
+      challengeId: options.challengeId
+        ? _.toString(options.challengeId)
+        : getEventChallengeId(topic, payload),
+    },
+  });
+  logger.debug(
+    `helper.postBusEvent: queued topic ${topic}${options.key ? ` key ${options.key}` : ""}`,
+  );
+}
+
+/**
+ * Publish a bus event to Kafka through the bus API, used by the bus event relay.
+ * @param {String} topic the event topic
+ * @param {Object} payload the event payload
+ * @param {String} key the message key
+ */
+async function publishBusEvent(topic, payload, key) {
+  if (DISABLED_TOPICS.has(topic)) {
+    logger.debug(`helper.publishBusEvent: skipping disabled topic ${topic}`);
+    return;
+  }
   const client = getBusApiClient();
   const message = {
     topic,
@@ -1111,17 +1336,15 @@ async function postBusEvent(topic, payload, options = {}) {
     "mime-type": constants.EVENT_MIME_TYPE,
     payload,
   };
-  if (options.key) {
-    message.key = options.key;
+  if (key) {
+    message.key = key;
   }
-  logger.debug(
-    `helper.postBusEvent: publishing topic ${topic}${options.key ? ` key ${options.key}` : ""}`,
-  );
+  logger.debug(`helper.publishBusEvent: publishing topic ${topic}${key ? ` key ${key}` : ""}`);
   try {
     await client.postEvent(message);
-    logger.debug(`helper.postBusEvent: publish complete for topic ${topic}`);
+    logger.debug(`helper.publishBusEvent: publish complete for topic ${topic}`);
   } catch (err) {
-    logger.debug(`helper.postBusEvent: error publishing topic ${topic} - ${err.message}`);
+    logger.debug(`helper.publishBusEvent: error publishing topic ${topic} - ${err.message}`);
     throw err;
   }
 }
@@ -1259,6 +1482,18 @@ async function validateChallengeTerms(terms = []) {
   return listOfTerms;
 }
 
+/**
+ * Get the id of the caller of an operation: the client id of M2M tokens, the user id otherwise.
+ * @param {Object} currentUser the user who performs the operation
+ * @returns {String} the caller id
+ */
+function getCallerId(currentUser) {
+  if (currentUser.isMachine) {
+    return _.toString(currentUser.azp || _.replace(currentUser.sub, /@clients$/, ""));
+  }
+  return _.toString(currentUser.userId);
+}
+
 /**
  * Determine whether challenge whitelist checks apply for a request.
  * Interactive users, including admins and anonymous callers, must be evaluated;
@@ -1580,20 +1815,14 @@ async function ensureUserCanModifyChallenge(currentUser, challenge, challengeRes
 }
 
 /**
- * Calculate the sum of prizes.
+ * Calculate the sum of prizes, in USD.
  *
  * @param {Array} prizes the list of prize
- * @returns {Number} the result prize
+ * @param {Object} exchangeRates the USD exchange rates of the prize currencies
+ * @returns {Number} the USD equivalent of the prizes, rounded to cents
  */
-function sumOfPrizes(prizes) {
-  let sum = 0;
-  if (!prizes.length) {
-    return sum;
-  }
-  for (const prize of prizes) {
-    sum += prize.value;
-  }
-  return sum;
+function sumOfPrizes(prizes, exchangeRates = {}) {
+  return currencyHelper.getPrizeTotals(prizes, exchangeRates).usdEquivalent;
 }
 
 /**
@@ -1780,6 +2009,32 @@ async function getMembersByHandles(handles) {
   return res.data;
 }
 
+/**
+ * Get members by user ids. The ids are looked up in batches, one members API call per batch.
+ * @param {Array<String|Number>} userIds the user ids
+ * @returns {Promise<Array<Object>>} the members found
+ */
+async function getMembersByUserIds(userIds) {
+  const ids = _.uniq(_.compact(_.map(userIds, _.toString)));
+  if (ids.length === 0) {
+    return [];
+  }
+  const token = await m2mHelper.getM2MToken();
+  const members = [];
+  for (const batch of _.chunk(ids, MEMBER_LOOKUP_BATCH_SIZE)) {
+    const res = await axios.get(config.MEMBERS_API_URL, {
+      headers: { Authorization: `Bearer ${token}` },
+      params: {
+        userIds: `[${batch.join(",")}]`,
+        fields: "userId,handle,photoURL,maxRating,homeCountryCode",
+        perPage: batch.length,
+      },
+    });
+    members.push(...(res.data || []));
+  }
+  return members;
+}
+
 /**
  * Get standard skills by ids
  * @param {Array<String>} ids the skills ids
@@ -1996,6 +2251,12 @@ module.exports = {
   wrapExpress,
   autoWrapExpress,
   setResHeaders,
+  getEntityTag,
+  setEntityTag,
+  ensureEntityTagMatches,
+  lockEntityVersion,
+  encodeCursor,
+  decodeCursor,
   checkIfExists,
   toString,
   downloadFromFileStack,
@@ -2008,6 +2269,10 @@ module.exports = {
   ensureNoDuplicateOrNullElements,
   dedupeChallengeTerms,
   postBusEvent,
+  publishBusEvent,
+  buildWebhookDeliveries,
+  isRestrictedChallenge,
+  exponentialDelay,
   calculateChallengeEndDate,
   listResourcesByMemberAndChallenge,
   getProjectDefaultTerms,
@@ -2016,6 +2281,8 @@ module.exports = {
   getCompleteUserGroupTreeIds,
   expandWithParentGroups,
   getResourceRoles,
+  getUserRoles,
+  getCallerId,
   shouldApplyChallengeWhitelist,
   getChallengeWhitelistAccessFilter,
   canAccessChallengeByWhitelist,
@@ -2046,6 +2313,7 @@ module.exports = {
   sendSelfServiceNotification,
   getMemberByHandle,
   getMembersByHandles,
+  getMembersByUserIds,
   getStandSkills,
   submitZendeskRequest,
   updateSelfServiceProjectInfo,
@@ -0,0 +1,93 @@
+/**
+ * Helper methods of the decimal-safe money arithmetic
+ *
+ * Monetary columns are Postgres decimals, which Prisma returns as Decimal instances.
+ * Amounts are summed and multiplied as decimals and converted back to numbers for responses.
+ */
+const _ = require("lodash");
+const Decimal = require("decimal.js");
+
+// cents, the precision of the prize and payment columns
+const MONEY_DECIMAL_PLACES = 2;
+
+/**
+ * Convert a monetary value to a decimal.
+ * @param {Number|String|Object} value a number, a numeric string or a (Prisma) Decimal
+ * @param {Number} defaultValue the value used when the value is empty or invalid
+ * @returns {Decimal|null} the decimal, null when the value is empty or not a finite number
+ * and there is no default value
+ */
+function toDecimal(value, defaultValue = null) {
+  const fallback = _.isNil(defaultValue) ? null : new Decimal(defaultValue);
+  if (_.isNil(value) || value === "") {
+    return fallback;
+  }
+  let decimal;
+  try {
+    decimal = new Decimal(Decimal.isDecimal(value) ? value : _.toString(value).trim());
+  } catch (e) {
+    return fallback;
+  }
+  return decimal.isFinite() ? decimal : fallback;
+}
+
+/**
+ * Sum monetary values, empty and invalid values are skipped.
+ * @param {Array} values the values
+ * @returns {Decimal} the sum
+ */
+function sumAmounts(values) {
+  return _.reduce(
+    values,
+    (sum, value) => {
+      const decimal = toDecimal(value);
+      return decimal ? sum.plus(decimal) : sum;
+    },
+    new Decimal(0),
+  );
+}
+
+/**
+ * Round a monetary value, half up.
+ * @param {Number|String|Object} value the value
+ * @param {Number} decimalPlaces the decimal places to keep, cents by default
+ * @returns {Number|null} the rounded amount, null when the value is empty or invalid
+ */
+function roundAmount(value, decimalPlaces = MONEY_DECIMAL_PLACES) {
+  const decimal = toDecimal(value);
+  return decimal ? decimal.toDecimalPlaces(decimalPlaces, Decimal.ROUND_HALF_UP).toNumber() : null;
+}
+
+/**
+ * Convert a stored monetary value to the number format of the API responses.
+ * @param {Number|String|Object} value the value
+ * @returns {Number|null|undefined} the number, nil values are kept as they are
+ */
+function toAmountNumber(value) {
+  if (_.isNil(value)) {
+    return value;
+  }
+  const decimal = toDecimal(value);
+  return decimal ? decimal.toNumber() : null;
+}
+
+/**
+ * Compare two monetary values.
+ * @param {Number|String|Object} a the first value
+ * @param {Number|String|Object} b the second value
+ * @returns {Number} a negative number, zero or a positive number when a is less than, equal to
+ * or greater than b
+ */
+function compareAmounts(a, b) {
+  return toDecimal(a).comparedTo(toDecimal(b));
+}
+
+module.exports = {
+  MONEY_DECIMAL_PLACES,
+  isDecimal: Decimal.isDecimal,
+  toDecimal,
+  sumAmounts,
+  roundAmount,
+  toAmountNumber,
+  compareAmounts,
+};
@@ -1,8 +1,9 @@
 const _ = require("lodash");
-const Decimal = require("decimal.js");
 const constants = require("../../app-constants");
 const { PrizeSetTypeEnum } = require("@prisma/client");
 const { dedupeChallengeTerms } = require("./helper");
+const moneyHelper = require("./money-helper");
+const currencyHelper = require("./currency-helper");
 
 const SUBMISSION_PHASE_PRIORITY = ["Topgear Submission", "Topcoder Submission", "Submission"];
 /**
@@ -70,9 +71,10 @@ function convertChallengePhaseSchema(challenge, result, auditFields) {
  *
  * @param {Object} currentUser current user
  * @param {Object} challenge challenge schema
+ * @param {Object} exchangeRates the USD exchange rates of the prize currencies
  * @returns prisma model data to create/update challenge
  */
-function convertChallengeSchemaToPrisma(currentUser, challenge) {
+function convertChallengeSchemaToPrisma(currentUser, challenge, exchangeRates = {}) {
   // used id used in createdBy and updatedBy
   const userId = _.toString(currentUser.userId);
   const auditFields = {
@@ -168,7 +170,7 @@ function convertChallengeSchemaToPrisma(currentUser, challenge) {
       }),
     };
   }
-  let totalPrizes = 0;
+  const placementPrizes = [];
   // prize sets
   if (!_.isNil(challenge.prizeSets)) {
     result.prizeSets = {
@@ -182,10 +184,9 @@ function convertChallengeSchemaToPrisma(currentUser, challenge) {
             _.assignIn(prizeData, auditFields);
             // Database stores values in dollars directly, no amountInCents field exists
             prizeData.value = p.value;
-            // calculate only placement and checkpoint prizes
-            if (s.type === PrizeSetTypeEnum.PLACEMENT && p.type === constants.prizeTypes.USD) {
-              // Values are already in dollars, no conversion needed
-              totalPrizes += p.value;
+            // calculate only placement prizes
+            if (s.type === PrizeSetTypeEnum.PLACEMENT) {
+              placementPrizes.push(p);
             }
             return prizeData;
           }),
@@ -193,8 +194,10 @@ function convertChallengeSchemaToPrisma(currentUser, challenge) {
         return setData;
       }),
     };
-    // Total prizes are already in dollars, no conversion needed
-    result.overviewTotalPrizes = parseFloat(totalPrizes.toFixed(2));
+    // totals of each prize currency, and their USD equivalent
+    const prizeTotals = currencyHelper.getPrizeTotals(placementPrizes, exchangeRates);
+    result.overviewTotalPrizes = prizeTotals.usdEquivalent;
+    result.overviewTotalPrizesByCurrency = prizeTotals.byCurrency;
   }
   // constraints
   if (!_.isNil(_.get(challenge, "constraints.allowedRegistrants"))) {
@@ -310,6 +313,22 @@ function convertChallengeSchemaToPrisma(currentUser, challenge) {
   return result;
 }
 
+/**
+ * Convert the decimal amount fields of a record to numbers, the number format of the responses.
+ *
+ * @param {Object} record the record
+ * @param {Array<String>} fields the amount fields
+ * @returns {Object} the record
+ */
+function convertAmountFields(record, fields) {
+  _.each(fields, (field) => {
+    if (_.has(record, field)) {
+      record[field] = moneyHelper.toAmountNumber(record[field]);
+    }
+  });
+  return record;
+}
+
 /**
  * Convert prisma model to response data
  *
@@ -323,6 +342,7 @@ function convertModelToResponse(ret) {
   // Include billing info in response
   if (ret.billingRecord) {
     ret.billing = _.omit(ret.billingRecord, "id", "challengeId", constants.auditFields);
+    convertAmountFields(ret.billing, ["markup", "clientBillingRate"]);
   }
   delete ret.billingRecord;
 
@@ -334,6 +354,7 @@ function convertModelToResponse(ret) {
   delete ret.taskIsTask;
   delete ret.taskIsAssigned;
   delete ret.taskMemberId;
+  delete ret.skillNames;
 
   // use original date field
   ret.created = ret.createdAt;
@@ -369,15 +390,19 @@ function convertModelToResponse(ret) {
 
     ss.prizes = _.map(s.prizes, (p) => {
       prizeType = p.type;
-      return _.pick(p, ["type", "description", "value"]);
+      return convertAmountFields(_.pick(p, ["type", "description", "value"]), ["value"]);
     });
     return ss;
   });
-  ret.overview = { totalPrizes: ret.overviewTotalPrizes };
+  ret.overview = { totalPrizes: moneyHelper.toAmountNumber(ret.overviewTotalPrizes) };
   if (prizeType) {
     ret.overview.type = prizeType;
   }
+  if (!_.isNil(ret.overviewTotalPrizesByCurrency)) {
+    ret.overview.totalPrizesByCurrency = ret.overviewTotalPrizesByCurrency;
+  }
   delete ret.overviewTotalPrizes;
+  delete ret.overviewTotalPrizesByCurrency;
 
   // convert terms
   const serializedTerms = _.map(ret.terms, (t) => ({ id: t.termId, roleId: t.roleId }));
@@ -401,18 +426,21 @@ function convertModelToResponse(ret) {
   // convert reviewers
   if (ret.reviewers) {
     ret.reviewers = _.map(ret.reviewers, (rv) =>
-      _.pick(rv, [
-        "scorecardId",
-        "isMemberReview",
-        "memberReviewerCount",
-        "phaseId",
-        "fixedAmount",
-        "baseCoefficient",
-        "incrementalCoefficient",
-        "type",
-        "aiWorkflowId",
-        "shouldOpenOpportunity",
-      ])
+      convertAmountFields(
+        _.pick(rv, [
+          "scorecardId",
+          "isMemberReview",
+          "memberReviewerCount",
+          "phaseId",
+          "fixedAmount",
+          "baseCoefficient",
+          "incrementalCoefficient",
+          "type",
+          "aiWorkflowId",
+          "shouldOpenOpportunity",
+        ]),
+        ["fixedAmount"]
+      )
     );
   }
   // counters (stored on Challenge)
@@ -427,4 +455,5 @@ module.exports = {
   convertChallengePhaseSchema,
   convertChallengeSchemaToPrisma,
   convertModelToResponse,
+  convertAmountFields,
 };
@@ -6,6 +6,8 @@ const {
   ChallengeStatusEnum,
   PrizeSetTypeEnum,
   ReviewOpportunityTypeEnum,
+  WebhookDeliveryStatusEnum,
+  BusEventOutboxStatusEnum,
 } = require("@prisma/client");
 const logger = require("./logger");
 const config = require("config");
@@ -64,9 +66,24 @@ module.exports.getClient = () => {
   return prismaClient;
 };
 
+let lockClient = null;
+
+// Session-level advisory locks must be released on the connection that took them. This client
+// has a single connection, so the lock and unlock of a key always run on the same one.
+module.exports.getLockClient = () => {
+  if (!lockClient) {
+    const datasourceUrl = new URL(process.env.DATABASE_URL);
+    datasourceUrl.searchParams.set("connection_limit", "1");
+    lockClient = new PrismaClient({ datasourceUrl: datasourceUrl.toString() });
+  }
+  return lockClient;
+};
+
 module.exports.ChallengeTrackEnum = ChallengeTrackEnum;
 module.exports.ReviewTypeEnum = ReviewTypeEnum;
 module.exports.DiscussionTypeEnum = DiscussionTypeEnum;
 module.exports.ChallengeStatusEnum = ChallengeStatusEnum;
 module.exports.PrizeSetTypeEnum = PrizeSetTypeEnum;
 module.exports.ReviewOpportunityTypeEnum = ReviewOpportunityTypeEnum;
+module.exports.WebhookDeliveryStatusEnum = WebhookDeliveryStatusEnum;
+module.exports.BusEventOutboxStatusEnum = BusEventOutboxStatusEnum;
@@ -7,6 +7,7 @@ const m2mHelper = require("./m2m-helper");
 const { hasAdminRole } = require("./role-helper");
 const errors = require("./errors");
 const logger = require("./logger");
+const moneyHelper = require("./money-helper");
 
 /**
  * Normalizes billing-account markup to the decimal format persisted on
@@ -25,12 +26,12 @@ function normalizeBillingMarkup(rawMarkup) {
     return null;
   }
 
-  const markup = _.toNumber(rawMarkup);
-  if (!Number.isFinite(markup)) {
+  const markup = moneyHelper.toDecimal(rawMarkup);
+  if (!markup) {
     return null;
   }
 
-  return markup > 1 ? markup / 100 : markup;
+  return (markup.greaterThan(1) ? markup.dividedBy(100) : markup).toNumber();
 }
 
 /**
@@ -249,6 +250,89 @@ class ProjectHelper {
     }
   }
 
+  /**
+   * Gets the challenge rows of a billing-account ledger.
+   *
+   * Locked rows hold the estimated budget of challenges still running, consumed
+   * rows the amounts finance moved out of the lock after payment generation.
+   * Rows are keyed by the challenge id they were written for.
+   *
+   * @param {string|number} billingAccountId Billing-account identifier to fetch.
+   * @returns {Promise<object|null>} The `lockedAmounts` and `consumedAmounts` rows with
+   * `challengeId`, `amount` and `date`, or `null` when the billing account is not found.
+   */
+  async getBillingAccountLedger(billingAccountId) {
+    const normalizedBillingAccountId = normalizeOptionalString(billingAccountId);
+
+    if (!normalizedBillingAccountId) {
+      return null;
+    }
+
+    const token = await m2mHelper.getM2MToken();
+    const url = `${config.BILLING_ACCOUNTS_API_URL}/${encodeURIComponent(normalizedBillingAccountId)}`;
+    logger.debug(`projectHelper.getBillingAccountLedger: GET ${url}`);
+
+    try {
+      const res = await axios.get(url, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const normalizeRows = (rows) =>
+        _.filter(
+          _.map(rows, (row) => ({
+            challengeId: normalizeOptionalString(
+              _.get(row, "challengeId", null) || _.get(row, "externalId", null)
+            ),
+            amount: normalizeOptionalNumber(_.get(row, "amount", null)),
+            date: normalizeOptionalString(
+              _.get(row, "updatedAt", null) || _.get(row, "createdAt", null)
+            ),
+          })),
+          (row) => row.challengeId && !_.isNil(row.amount)
+        );
+
+      return {
+        billingAccountId:
+          normalizeOptionalString(_.get(res, "data.id", null)) || normalizedBillingAccountId,
+        lockedAmounts: normalizeRows(_.get(res, "data.lockedAmounts", [])),
+        consumedAmounts: normalizeRows(_.get(res, "data.consumedAmounts", [])),
+      };
+    } catch (err) {
+      const responseCode = _.get(err, "response.status");
+
+      if (responseCode === HttpStatus.NOT_FOUND) {
+        return null;
+      }
+
+      logger.debug(
+        `projectHelper.getBillingAccountLedger: error for billingAccountId ${normalizedBillingAccountId} - status ${
+          responseCode || "n/a"
+        }: ${err.message}`
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Calculates the amount a challenge budget locks on its billing account, the
+   * member-payment amount with the billing markup applied.
+   *
+   * @param {number|string} memberPaymentAmount Challenge member-payment amount before markup.
+   * @param {number|string|null|undefined} markup Billing-account markup as a decimal or percentage.
+   * @returns {number|null} The lock amount, or `null` when the member-payment amount is invalid.
+   */
+  getBillingLockAmount(memberPaymentAmount, markup) {
+    const amount = moneyHelper.toDecimal(memberPaymentAmount);
+
+    if (!amount) {
+      return null;
+    }
+
+    return moneyHelper.roundAmount(
+      amount.times(moneyHelper.toDecimal(normalizeBillingMarkup(markup), 0).plus(1)),
+      4
+    );
+  }
+
   /**
    * Locks the current challenge member-payment budget against a billing account.
    *
@@ -294,7 +378,7 @@ class ProjectHelper {
     }
 
     const token = await m2mHelper.getM2MToken();
-    const lockAmount = Number((amount * (1 + normalizedMarkup)).toFixed(4));
+    const lockAmount = this.getBillingLockAmount(amount, normalizedMarkup);
     const url = `${config.BILLING_ACCOUNTS_API_URL}/${encodeURIComponent(
       normalizedBillingAccountId
     )}/lock-amount`;
@@ -0,0 +1,125 @@
+/**
+ * Helpers to select review summations, shared by the Marathon Match close flow and leaderboards.
+ */
+const _ = require("lodash");
+
+/**
+ * Normalizes identifiers used to match review summations to submissions.
+ * @param {*} value raw identifier value
+ * @returns {String} trimmed identifier, or an empty string when absent
+ */
+function normalizeMatchId(value) {
+  return _.toString(value || "").trim();
+}
+
+/**
+ * Reads a review summation timestamp for latest-result comparisons.
+ * @param {Object} summation review summation returned by Review API
+ * @returns {Number} timestamp in milliseconds, or zero when unavailable
+ */
+function getReviewSummationTimestampValue(summation) {
+  const candidate =
+    _.get(summation, "reviewedDate") ||
+    _.get(summation, "updatedAt") ||
+    _.get(summation, "createdAt");
+  const timestamp = new Date(candidate).getTime();
+  return Number.isFinite(timestamp) ? timestamp : 0;
+}
+
+/**
+ * Compares two review summations for the same submission or submitter.
+ * Newer summations win; ties keep the higher score.
+ *
+ * @param {Object|null} current currently selected summation
+ * @param {Object} candidate summation being considered
+ * @returns {Boolean} true when candidate should replace current
+ */
+function shouldReplaceSelectedReviewSummation(current, candidate) {
+  if (!current) {
+    return true;
+  }
+
+  const currentTimestamp = getReviewSummationTimestampValue(current);
+  const candidateTimestamp = getReviewSummationTimestampValue(candidate);
+  if (candidateTimestamp !== currentTimestamp) {
+    return candidateTimestamp > currentTimestamp;
+  }
+
+  return Number(candidate.aggregateScore) > Number(current.aggregateScore);
+}
+
+/**
+ * Finds the newest submission-scoped review summation per submitter.
+ *
+ * This is used as a fallback completeness signal when latest submission rows
+ * cannot be read directly from the review database.
+ *
+ * @param {Array<Object>} reviewSummations review summations returned by Review API
+ * @returns {Map<String, Object>} latest submission-scoped summation by submitter id
+ */
+function getLatestSubmissionScopedSummationsBySubmitter(reviewSummations) {
+  const latestBySubmitter = new Map();
+
+  (Array.isArray(reviewSummations) ? reviewSummations : []).forEach((summation) => {
+    const submitterId = normalizeMatchId(summation.submitterId);
+    const submissionId = normalizeMatchId(summation.submissionId);
+    if (!submitterId || !submissionId) {
+      return;
+    }
+
+    if (shouldReplaceSelectedReviewSummation(latestBySubmitter.get(submitterId), summation)) {
+      latestBySubmitter.set(submitterId, summation);
+    }
+  });
+
+  return latestBySubmitter;
+}
+
+/**
+ * Selects the newest review summation of the latest submission of every member.
+ *
+ * @param {Array<Object>} reviewSummations review summations, with submitterId and submissionId
+ * @param {Array<Object>} latestSubmissions latest submission rows, with id and memberId
+ * @returns {Object} the selected summations, and the ids of the latest submissions without one
+ */
+function selectLatestSubmissionSummations(reviewSummations, latestSubmissions) {
+  const bySubmission = new Map();
+  (Array.isArray(reviewSummations) ? reviewSummations : []).forEach((summation) => {
+    const submitterId = normalizeMatchId(summation.submitterId);
+    const submissionId = normalizeMatchId(summation.submissionId);
+    if (!submitterId || !submissionId) {
+      return;
+    }
+    const key = `${submitterId}:${submissionId}`;
+    if (shouldReplaceSelectedReviewSummation(bySubmission.get(key), summation)) {
+      bySubmission.set(key, summation);
+    }
+  });
+
+  const selected = [];
+  const missingSubmissionIds = [];
+  (Array.isArray(latestSubmissions) ? latestSubmissions : []).forEach((submission) => {
+    const memberId = normalizeMatchId(submission.memberId);
+    const submissionId = normalizeMatchId(submission.id);
+    if (!memberId || !submissionId) {
+      return;
+    }
+
+    const summation = bySubmission.get(`${memberId}:${submissionId}`);
+    if (summation) {
+      selected.push(summation);
+    } else {
+      missingSubmissionIds.push(submissionId);
+    }
+  });
+
+  return { selected, missingSubmissionIds };
+}
+
+module.exports = {
+  normalizeMatchId,
+  getReviewSummationTimestampValue,
+  shouldReplaceSelectedReviewSummation,
+  getLatestSubmissionScopedSummationsBySubmitter,
+  selectLatestSubmissionSummations,
+};
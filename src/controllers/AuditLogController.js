@@ -15,6 +15,34 @@ async function searchAuditLogs(req, res) {
   res.send(result.result);
 }
 
+/**
+ * Get the change history of a challenge, or its audited fields at the `asOf` date
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getChallengeHistory(req, res) {
+  if (req.query.asOf) {
+    const result = await service.getChallengeSnapshot(req.params.challengeId, req.query.asOf);
+    res.send(result);
+    return;
+  }
+  const result = await service.getChallengeHistory(req.params.challengeId, req.query);
+  helper.setResHeaders(req, res, result);
+  res.send(result.result);
+}
+
+/**
+ * Revert the challenge field change of an audit log entry
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function revertAuditLog(req, res) {
+  const result = await service.revertAuditLog(req.authUser, req.params.id, req.body);
+  res.send(result);
+}
+
 module.exports = {
   searchAuditLogs,
+  getChallengeHistory,
+  revertAuditLog,
 };
@@ -0,0 +1,21 @@
+/**
+ * Controller for billing account reconciliation endpoints
+ */
+const service = require("../services/BillingReconciliationService");
+
+/**
+ * Get billing account reconciliation
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getBillingAccountReconciliation(req, res) {
+  const result = await service.getBillingAccountReconciliation(
+    req.params.billingAccountId,
+    req.query,
+  );
+  res.send(result);
+}
+
+module.exports = {
+  getBillingAccountReconciliation,
+};
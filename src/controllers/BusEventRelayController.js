@@ -0,0 +1,17 @@
+/**
+ * Controller for the bus event relay endpoints
+ */
+const relay = require("../outbox/BusEventRelay");
+
+/**
+ * Get the bus event relay status of the serving instance and the outbox backlog
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getBusEventRelayStatus(req, res) {
+  res.send(await relay.getStatus());
+}
+
+module.exports = {
+  getBusEventRelayStatus,
+};
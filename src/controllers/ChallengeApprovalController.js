@@ -0,0 +1,81 @@
+/**
+ * Controller for challenge budget approval endpoints
+ */
+const HttpStatus = require("http-status-codes");
+const service = require("../services/ChallengeApprovalService");
+
+/**
+ * Get the approval requests of a challenge
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getChallengeApprovals(req, res) {
+  const result = await service.getChallengeApprovals(req.authUser, req.params.challengeId);
+  res.send(result);
+}
+
+/**
+ * Request the budget approval of a challenge
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function createChallengeApproval(req, res) {
+  const result = await service.createChallengeApproval(
+    req.authUser,
+    req.params.challengeId,
+    req.body,
+  );
+  res.status(HttpStatus.CREATED).send(result);
+}
+
+/**
+ * Get an approval request of a challenge
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getChallengeApproval(req, res) {
+  const result = await service.getChallengeApproval(
+    req.authUser,
+    req.params.challengeId,
+    req.params.approvalId,
+  );
+  res.send(result);
+}
+
+/**
+ * Approve the current step of an approval request
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function approveChallengeApproval(req, res) {
+  const result = await service.approveChallengeApproval(
+    req.authUser,
+    req.params.challengeId,
+    req.params.approvalId,
+    req.body,
+  );
+  res.send(result);
+}
+
+/**
+ * Reject the current step of an approval request
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function rejectChallengeApproval(req, res) {
+  const result = await service.rejectChallengeApproval(
+    req.authUser,
+    req.params.challengeId,
+    req.params.approvalId,
+    req.body,
+  );
+  res.send(result);
+}
+
+module.exports = {
+  getChallengeApprovals,
+  createChallengeApproval,
+  getChallengeApproval,
+  approveChallengeApproval,
+  rejectChallengeApproval,
+};
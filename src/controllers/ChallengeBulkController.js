@@ -0,0 +1,18 @@
+/**
+ * Controller for bulk challenge endpoints
+ */
+const service = require("../services/ChallengeBulkService");
+
+/**
+ * Apply one operation to many challenges
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function bulkUpdateChallenges(req, res) {
+  const result = await service.bulkUpdateChallenges(req.authUser, req.body);
+  res.send(result);
+}
+
+module.exports = {
+  bulkUpdateChallenges,
+};
@@ -0,0 +1,85 @@
+/**
+ * Controller for challenge calendar feed endpoints
+ */
+const HttpStatus = require("http-status-codes");
+const service = require("../services/ChallengeCalendarService");
+
+const CALENDAR_MIME_TYPE = "text/calendar; charset=utf-8";
+
+/**
+ * Get the calendar of the challenges of a project
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getProjectCalendar(req, res) {
+  const result = await service.getProjectCalendar(req.authUser, req.params.projectId, {
+    ...req.query,
+  });
+  res.set("Content-Type", CALENDAR_MIME_TYPE);
+  res.send(result);
+}
+
+/**
+ * Get the calendar of the challenges of a track
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getTrackCalendar(req, res) {
+  const result = await service.getTrackCalendar(req.authUser, req.params.trackId, {
+    ...req.query,
+  });
+  res.set("Content-Type", CALENDAR_MIME_TYPE);
+  res.send(result);
+}
+
+/**
+ * Get the calendar of the challenges of a member
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getMemberCalendar(req, res) {
+  const result = await service.getMemberCalendar(req.authUser, req.params.memberId, {
+    ...req.query,
+  });
+  res.set("Content-Type", CALENDAR_MIME_TYPE);
+  res.send(result);
+}
+
+/**
+ * Get the calendar feed tokens of the current user
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getCalendarFeedTokens(req, res) {
+  const result = await service.getCalendarFeedTokens(req.authUser);
+  res.send(result);
+}
+
+/**
+ * Create calendar feed token
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function createCalendarFeedToken(req, res) {
+  const result = await service.createCalendarFeedToken(req.authUser, req.body);
+  res.status(HttpStatus.CREATED).send(result);
+}
+
+/**
+ * Revoke calendar feed token
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function revokeCalendarFeedToken(req, res) {
+  const result = await service.revokeCalendarFeedToken(req.authUser, req.params.tokenId);
+  res.send(result);
+}
+
+module.exports = {
+  getProjectCalendar,
+  getTrackCalendar,
+  getMemberCalendar,
+  getCalendarFeedTokens,
+  createCalendarFeedToken,
+  revokeCalendarFeedToken,
+};
@@ -38,7 +38,11 @@ async function searchChallenges(req, res) {
     }
   }
   helper.setResHeaders(req, res, result);
-  res.send(result.result);
+  if (result.facets) {
+    res.send({ result: result.result, facets: result.facets });
+  } else {
+    res.send(result.result);
+  }
 }
 
 /**
@@ -54,6 +58,24 @@ async function createChallenge(req, res) {
   res.status(HttpStatus.CREATED).send(result);
 }
 
+/**
+ * Clone challenge into a new draft
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function cloneChallenge(req, res) {
+  logger.debug(
+    `cloneChallenge User: ${JSON.stringify(req.authUser)} - ChallengeID: ${req.params.challengeId} - Body: ${JSON.stringify(req.body)}`,
+  );
+  const result = await service.cloneChallenge(
+    req.authUser,
+    req.params.challengeId,
+    req.body,
+    req.userToken,
+  );
+  res.status(HttpStatus.CREATED).send(result);
+}
+
 /**
  * send notifications
  * @param {Object} req the request
@@ -75,6 +97,7 @@ async function getChallenge(req, res) {
     req.params.challengeId,
     req.query.checkIfExists,
   );
+  helper.setEntityTag(res, result.updated);
   res.send(result);
 }
 
@@ -88,6 +111,28 @@ async function getChallengeStatistics(req, res) {
   res.send(result);
 }
 
+/**
+ * Get the cost estimate of a challenge
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getChallengeCostEstimate(req, res) {
+  const result = await service.getChallengeCostEstimate(req.authUser, req.params.challengeId, {
+    ...req.query,
+  });
+  res.send(result);
+}
+
+/**
+ * Estimate the cost of an unsaved challenge draft
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function estimateChallengeCost(req, res) {
+  const result = await service.estimateChallengeCost(req.authUser, req.body, { ...req.query });
+  res.send(result);
+}
+
 /**
  * Partially update challenge
  * @param {Object} req the request
@@ -99,7 +144,10 @@ async function updateChallenge(req, res) {
       req.params.challengeId
     } - Body: ${JSON.stringify(req.body)}`,
   );
-  const result = await service.updateChallenge(req.authUser, req.params.challengeId, req.body);
+  const result = await service.updateChallenge(req.authUser, req.params.challengeId, req.body, {
+    ifMatch: req.get("If-Match"),
+  });
+  helper.setEntityTag(res, result.updated);
   res.send(result);
 }
 
@@ -161,10 +209,13 @@ async function setDefaultReviewers(req, res) {
 module.exports = {
   searchChallenges,
   createChallenge,
+  cloneChallenge,
   getChallenge,
   updateChallenge,
   deleteChallenge,
   getChallengeStatistics,
+  getChallengeCostEstimate,
+  estimateChallengeCost,
   sendNotifications,
   advancePhase,
   closeMarathonMatch,
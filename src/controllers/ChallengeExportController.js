@@ -0,0 +1,26 @@
+/**
+ * Controller for challenge export endpoints
+ */
+const { pipeline } = require("stream");
+const service = require("../services/ChallengeExportService");
+const logger = require("../common/logger");
+
+/**
+ * Export challenges
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function exportChallenges(req, res) {
+  const result = await service.exportChallenges(req.authUser, { ...req.query });
+  res.attachment(result.fileName);
+  res.set("Content-Type", result.mimetype);
+  pipeline(result.stream, res, (err) => {
+    if (err) {
+      logger.error(`Challenge export failed while streaming: ${err.message}`);
+    }
+  });
+}
+
+module.exports = {
+  exportChallenges,
+};
@@ -0,0 +1,20 @@
+/**
+ * Controller for challenge leaderboard endpoints
+ */
+const service = require("../services/ChallengeLeaderboardService");
+
+/**
+ * Get challenge leaderboard
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getChallengeLeaderboard(req, res) {
+  const result = await service.getChallengeLeaderboard(req.authUser, req.params.challengeId, {
+    ...req.query,
+  });
+  res.send(result);
+}
+
+module.exports = {
+  getChallengeLeaderboard,
+};
@@ -2,6 +2,7 @@
  * Controller for challenge phase endpoints
  */
 const service = require("../services/ChallengePhaseService");
+const helper = require("../common/helper");
 
 /**
  * Get all challenge phases
@@ -24,6 +25,7 @@ async function getChallengePhase(req, res) {
     req.params.id,
     req.authUser,
   );
+  helper.setEntityTag(res, result.updated);
   res.send(result);
 }
 
@@ -38,7 +40,9 @@ async function partiallyUpdateChallengePhase(req, res) {
     req.params.challengeId,
     req.params.id,
     req.body,
+    { ifMatch: req.get("If-Match") },
   );
+  helper.setEntityTag(res, result.updated);
   res.send(result);
 }
 
@@ -0,0 +1,96 @@
+/**
+ * Controller for challenge template endpoints
+ */
+const HttpStatus = require("http-status-codes");
+const service = require("../services/ChallengeTemplateService");
+const helper = require("../common/helper");
+
+/**
+ * Search challenge templates
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function searchChallengeTemplates(req, res) {
+  const result = await service.searchChallengeTemplates(req.authUser, { ...req.query });
+  helper.setResHeaders(req, res, result);
+  res.send(result.result);
+}
+
+/**
+ * Create challenge template
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function createChallengeTemplate(req, res) {
+  const result = await service.createChallengeTemplate(req.authUser, req.body);
+  res.status(HttpStatus.CREATED).send(result);
+}
+
+/**
+ * Get challenge template
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getChallengeTemplate(req, res) {
+  const result = await service.getChallengeTemplate(req.authUser, req.params.templateId);
+  res.send(result);
+}
+
+/**
+ * Get the version history of a challenge template
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getChallengeTemplateVersions(req, res) {
+  const result = await service.getChallengeTemplateVersions(req.authUser, req.params.templateId);
+  res.send(result);
+}
+
+/**
+ * Partially update challenge template
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function partiallyUpdateChallengeTemplate(req, res) {
+  const result = await service.partiallyUpdateChallengeTemplate(
+    req.authUser,
+    req.params.templateId,
+    req.body,
+  );
+  res.send(result);
+}
+
+/**
+ * Delete challenge template
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function deleteChallengeTemplate(req, res) {
+  const result = await service.deleteChallengeTemplate(req.authUser, req.params.templateId);
+  res.send(result);
+}
+
+/**
+ * Create a challenge from a challenge template
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function instantiateChallengeTemplate(req, res) {
+  const result = await service.instantiateChallengeTemplate(
+    req.authUser,
+    req.params.templateId,
+    req.body,
+    req.userToken,
+  );
+  res.status(HttpStatus.CREATED).send(result);
+}
+
+module.exports = {
+  searchChallengeTemplates,
+  createChallengeTemplate,
+  getChallengeTemplate,
+  getChallengeTemplateVersions,
+  partiallyUpdateChallengeTemplate,
+  deleteChallengeTemplate,
+  instantiateChallengeTemplate,
+};
@@ -0,0 +1,54 @@
+/**
+ * Controller for exchange rate endpoints
+ */
+const HttpStatus = require("http-status-codes");
+const service = require("../services/ExchangeRateService");
+const helper = require("../common/helper");
+
+/**
+ * Search exchange rates
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function searchExchangeRates(req, res) {
+  const result = await service.searchExchangeRates(req.query);
+  helper.setResHeaders(req, res, result);
+  res.send(result.result);
+}
+
+/**
+ * Create exchange rate
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function createExchangeRate(req, res) {
+  const result = await service.createExchangeRate(req.authUser, req.body);
+  res.status(HttpStatus.CREATED).send(result);
+}
+
+/**
+ * Get exchange rate
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getExchangeRate(req, res) {
+  const result = await service.getExchangeRate(req.params.exchangeRateId);
+  res.send(result);
+}
+
+/**
+ * Delete exchange rate
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function deleteExchangeRate(req, res) {
+  const result = await service.deleteExchangeRate(req.params.exchangeRateId);
+  res.send(result);
+}
+
+module.exports = {
+  searchExchangeRates,
+  createExchangeRate,
+  getExchangeRate,
+  deleteExchangeRate,
+};
@@ -0,0 +1,17 @@
+/**
+ * Controller for the automatic phase advancement endpoints
+ */
+const scheduler = require("../phase-management/PhaseAdvancementScheduler");
+
+/**
+ * Get the phase advancement scheduler status of the serving instance
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getPhaseAdvancementStatus(req, res) {
+  res.send(scheduler.getStatus());
+}
+
+module.exports = {
+  getPhaseAdvancementStatus,
+};
@@ -0,0 +1,84 @@
+/**
+ * Controller for phase rule set endpoints
+ */
+const HttpStatus = require("http-status-codes");
+const service = require("../services/PhaseRuleSetService");
+const helper = require("../common/helper");
+
+/**
+ * Search phase rule sets
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function searchPhaseRuleSets(req, res) {
+  const result = await service.searchPhaseRuleSets(req.query);
+  helper.setResHeaders(req, res, result);
+  res.send(result.result);
+}
+
+/**
+ * Create phase rule set
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function createPhaseRuleSet(req, res) {
+  const result = await service.createPhaseRuleSet(req.authUser, req.body);
+  res.status(HttpStatus.CREATED).send(result);
+}
+
+/**
+ * Get phase rule set
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getPhaseRuleSet(req, res) {
+  const result = await service.getPhaseRuleSet(req.params.phaseRuleSetId);
+  res.send(result);
+}
+
+/**
+ * Fully update phase rule set
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function fullyUpdatePhaseRuleSet(req, res) {
+  const result = await service.fullyUpdatePhaseRuleSet(
+    req.authUser,
+    req.params.phaseRuleSetId,
+    req.body,
+  );
+  res.send(result);
+}
+
+/**
+ * Partially update phase rule set
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function partiallyUpdatePhaseRuleSet(req, res) {
+  const result = await service.partiallyUpdatePhaseRuleSet(
+    req.authUser,
+    req.params.phaseRuleSetId,
+    req.body,
+  );
+  res.send(result);
+}
+
+/**
+ * Delete phase rule set
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function deletePhaseRuleSet(req, res) {
+  const result = await service.deletePhaseRuleSet(req.params.phaseRuleSetId);
+  res.send(result);
+}
+
+module.exports = {
+  searchPhaseRuleSets,
+  createPhaseRuleSet,
+  getPhaseRuleSet,
+  fullyUpdatePhaseRuleSet,
+  partiallyUpdatePhaseRuleSet,
+  deletePhaseRuleSet,
+};
@@ -0,0 +1,69 @@
+/**
+ * Controller for saved challenge search endpoints
+ */
+const HttpStatus = require("http-status-codes");
+const service = require("../services/SavedSearchService");
+const helper = require("../common/helper");
+
+/**
+ * Search the saved searches of the current user
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function searchSavedSearches(req, res) {
+  const result = await service.searchSavedSearches(req.authUser, req.query);
+  helper.setResHeaders(req, res, result);
+  res.send(result.result);
+}
+
+/**
+ * Create saved search
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function createSavedSearch(req, res) {
+  const result = await service.createSavedSearch(req.authUser, req.body);
+  res.status(HttpStatus.CREATED).send(result);
+}
+
+/**
+ * Get saved search
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getSavedSearch(req, res) {
+  const result = await service.getSavedSearch(req.authUser, req.params.savedSearchId);
+  res.send(result);
+}
+
+/**
+ * Partially update saved search
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function partiallyUpdateSavedSearch(req, res) {
+  const result = await service.partiallyUpdateSavedSearch(
+    req.authUser,
+    req.params.savedSearchId,
+    req.body,
+  );
+  res.send(result);
+}
+
+/**
+ * Delete saved search
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function deleteSavedSearch(req, res) {
+  const result = await service.deleteSavedSearch(req.authUser, req.params.savedSearchId);
+  res.send(result);
+}
+
+module.exports = {
+  searchSavedSearches,
+  createSavedSearch,
+  getSavedSearch,
+  partiallyUpdateSavedSearch,
+  deleteSavedSearch,
+};
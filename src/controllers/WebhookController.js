@@ -0,0 +1,96 @@
+/**
+ * Controller for webhook subscription endpoints
+ */
+const HttpStatus = require("http-status-codes");
+const service = require("../services/WebhookService");
+const helper = require("../common/helper");
+
+/**
+ * Search webhook subscriptions
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function searchWebhooks(req, res) {
+  const result = await service.searchWebhooks(req.authUser, req.query);
+  helper.setResHeaders(req, res, result);
+  res.send(result.result);
+}
+
+/**
+ * Create webhook subscription
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function createWebhook(req, res) {
+  const result = await service.createWebhook(req.authUser, req.body);
+  res.status(HttpStatus.CREATED).send(result);
+}
+
+/**
+ * Get webhook subscription
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getWebhook(req, res) {
+  const result = await service.getWebhook(req.authUser, req.params.webhookId);
+  res.send(result);
+}
+
+/**
+ * Partially update webhook subscription
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function partiallyUpdateWebhook(req, res) {
+  const result = await service.partiallyUpdateWebhook(req.authUser, req.params.webhookId, req.body);
+  res.send(result);
+}
+
+/**
+ * Delete webhook subscription
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function deleteWebhook(req, res) {
+  const result = await service.deleteWebhook(req.authUser, req.params.webhookId);
+  res.send(result);
+}
+
+/**
+ * Search webhook deliveries
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function searchWebhookDeliveries(req, res) {
+  const result = await service.searchWebhookDeliveries(
+    req.authUser,
+    req.params.webhookId,
+    req.query,
+  );
+  helper.setResHeaders(req, res, result);
+  res.send(result.result);
+}
+
+/**
+ * Redeliver webhook delivery
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function redeliverWebhookDelivery(req, res) {
+  const result = await service.redeliverWebhookDelivery(
+    req.authUser,
+    req.params.webhookId,
+    req.params.deliveryId,
+  );
+  res.send(result);
+}
+
+module.exports = {
+  searchWebhooks,
+  createWebhook,
+  getWebhook,
+  partiallyUpdateWebhook,
+  deleteWebhook,
+  searchWebhookDeliveries,
+  redeliverWebhookDelivery,
+};
@@ -0,0 +1,310 @@
+/**
+ * Periodically publishes the bus events queued in the `BusEventOutbox` table.
+ *
+ * `helper.postBusEvent` writes events in the transaction of the data change they describe, so an
+ * event is kept exactly when its change is committed. The relay publishes them to Kafka in id
+ * order. Due events are claimed in a short transaction holding a Postgres advisory lock, which
+ * pushes their next attempt past a lease so no other instance claims them, and are published
+ * after it commits. An event that fails to publish is retried with an exponential backoff and
+ * holds back the later events of its challenge, so the events of a challenge are always published
+ * in order. After MAX_ATTEMPTS failures the event is marked FAILED, an error is logged and the
+ * later events of its challenge are released.
+ */
+const _ = require("lodash");
+const config = require("config");
+const helper = require("../common/helper");
+const logger = require("../common/logger");
+const { getClient, BusEventOutboxStatusEnum } = require("../common/prisma");
+
+const prisma = getClient();
+
+const relayConfig = config.BUS_EVENT_RELAY;
+
+let timer = null;
+let stopped = true;
+let currentRun = null;
+let lastRun = null;
+
+/**
+ * Get when a failed event is tried again.
+ * @param {Number} attempts the number of attempts made so far
+ * @param {Date} now the reference time
+ * @returns {Date} the next attempt date
+ */
+function getNextAttemptAt(attempts, now) {
+  const delay = Math.min(
+    helper.exponentialDelay(attempts - 1) * relayConfig.RETRY_DELAY_FACTOR,
+    relayConfig.MAX_RETRY_DELAY_MS,
+  );
+  return new Date(now.getTime() + delay);
+}
+
+/**
+ * Claim the due pending events in publishing order, unless another instance is claiming. Events
+ * behind a not yet due or claimed pending event of the same challenge wait for it. Claiming pushes
+ * their next attempt past the lease, so a crashed instance only delays them.
+ * @param {Date} now the reference time
+ * @param {Number} limit the maximum number of events to claim
+ * @returns {Promise<Array<Object>|null>} the claimed events, null when the lock is held elsewhere
+ */
+async function claimDueEvents(now, limit) {
+  const leaseUntil = new Date(now.getTime() + relayConfig.CLAIM_LEASE_MS);
+  return prisma.$transaction(async (tx) => {
+    const [{ locked } = {}] = await tx.$queryRaw`
+      SELECT pg_try_advisory_xact_lock(${relayConfig.LOCK_NAMESPACE}::int) AS "locked"
+    `;
+    if (!locked) {
+      return null;
+    }
+    return tx.$queryRaw`
+      WITH claimed AS (
+        UPDATE "BusEventOutbox"
+        SET "nextAttemptAt" = ${leaseUntil}
+        WHERE "id" IN (
+          SELECT o."id"
+          FROM "BusEventOutbox" o
+          WHERE o."status" = ${BusEventOutboxStatusEnum.PENDING}::"BusEventOutboxStatusEnum"
+            AND o."nextAttemptAt" <= ${now}
+            AND NOT EXISTS (
+              SELECT 1
+              FROM "BusEventOutbox" p
+              WHERE p."challengeId" = o."challengeId"
+                AND p."id" < o."id"
+                AND p."status" = ${BusEventOutboxStatusEnum.PENDING}::"BusEventOutboxStatusEnum"
+                AND p."nextAttemptAt" > ${now}
+            )
+          ORDER BY o."id" ASC
+          LIMIT ${limit}
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      )
+      SELECT * FROM claimed ORDER BY "id" ASC
+    `;
+  });
+}
+
+/**
+ * Publish one event, then store its webhook deliveries and remove it from the outbox.
+ * @param {Object} event the outbox row
+ */
+async function publishEvent(event) {
+  const deliveries = await helper.buildWebhookDeliveries(
+    event.topic,
+    event.payload,
+    event.challengeId,
+  );
+  await helper.publishBusEvent(event.topic, event.payload, event.key);
+  const operations = [prisma.busEventOutbox.delete({ where: { id: event.id } })];
+  if (deliveries.length > 0) {
+    operations.unshift(prisma.webhookDelivery.createMany({ data: deliveries }));
+  }
+  await prisma.$transaction(operations);
+}
+
+/**
+ * Record a failed attempt to publish an event, marking it FAILED when it ran out of attempts.
+ * @param {Object} event the outbox row
+ * @param {Error} err the error
+ * @param {Date} now the reference time
+ * @returns {Promise<Boolean>} true when the event failed for good
+ */
+async function recordFailure(event, err, now) {
+  const attempts = event.attempts + 1;
+  const data = { attempts, nextAttemptAt: getNextAttemptAt(attempts, now), lastError: err.message };
+  const failed = attempts >= relayConfig.MAX_ATTEMPTS;
+  if (failed) {
+    data.status = BusEventOutboxStatusEnum.FAILED;
+    logger.error(
+      `Bus event ${event.id} of topic ${event.topic} failed ${attempts} times and will not be retried, the later events of challenge ${event.challengeId} are released: ${err.message}`,
+    );
+  } else {
+    logger.warn(
+      `Publishing bus event ${event.id} of topic ${event.topic} failed ${attempts} times: ${err.message}`,
+    );
+  }
+  await prisma.busEventOutbox.update({ where: { id: event.id }, data });
+  return failed;
+}
+
+/**
+ * Publish a batch of claimed events. The events held back by a failed event of their challenge
+ * are released from the lease, they wait for it by its next attempt.
+ * @param {Object} run the run status to record results in
+ * @param {Array<Object>} events the claimed events
+ */
+async function publishEvents(run, events) {
+  const now = new Date(run.startedAt);
+  const blockedChallengeIds = new Set();
+  const heldIds = [];
+  for (const event of events) {
+    if (event.challengeId && blockedChallengeIds.has(event.challengeId)) {
+      run.held += 1;
+      heldIds.push(event.id);
+      continue;
+    }
+    try {
+      await publishEvent(event);
+      run.published += 1;
+    } catch (err) {
+      run.failed += 1;
+      if (await recordFailure(event, err, now)) {
+        run.dead += 1;
+      } else if (event.challengeId) {
+        blockedChallengeIds.add(event.challengeId);
+      }
+    }
+  }
+  if (heldIds.length > 0) {
+    await prisma.busEventOutbox.updateMany({
+      where: { id: { in: heldIds } },
+      data: { nextAttemptAt: now },
+    });
+  }
+}
+
+/**
+ * Get the number of pending events with the creation date of the oldest one, and the number of
+ * events that failed for good.
+ * @returns {Promise<Object>} the backlog
+ */
+async function getBacklog() {
+  const [
+    {
+      _count: { id: size },
+      _min: { createdAt: oldestCreatedAt },
+    },
+    failed,
+  ] = await Promise.all([
+    prisma.busEventOutbox.aggregate({
+      where: { status: BusEventOutboxStatusEnum.PENDING },
+      _count: { id: true },
+      _min: { createdAt: true },
+    }),
+    prisma.busEventOutbox.count({ where: { status: BusEventOutboxStatusEnum.FAILED } }),
+  ]);
+  return {
+    size,
+    oldestCreatedAt,
+    oldestAgeMs: oldestCreatedAt ? Date.now() - new Date(oldestCreatedAt).getTime() : 0,
+    failed,
+  };
+}
+
+/**
+ * Publish the due events once, unless another instance is claiming events.
+ * @returns {Promise<Object>} the run status
+ */
+async function runOnce() {
+  if (currentRun) {
+    return currentRun;
+  }
+  const run = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    locked: false,
+    claimed: 0,
+    published: 0,
+    failed: 0,
+    dead: 0,
+    held: 0,
+    backlog: null,
+  };
+  currentRun = run;
+  try {
+    const events = await claimDueEvents(new Date(run.startedAt), relayConfig.BATCH_SIZE);
+    if (!events) {
+      logger.debug("Bus events are claimed by another instance");
+    } else {
+      run.locked = true;
+      run.claimed = events.length;
+      await publishEvents(run, events);
+    }
+    if (run.locked) {
+      run.backlog = await getBacklog();
+      if (run.backlog.size > relayConfig.BACKLOG_WARN_THRESHOLD) {
+        logger.warn(
+          `Bus event outbox backlog is ${run.backlog.size} events, the oldest is ${run.backlog.oldestAgeMs}ms old`,
+        );
+      }
+    }
+  } catch (err) {
+    logger.logFullError(err, "BusEventRelay.runOnce");
+    run.error = err.message;
+  } finally {
+    run.finishedAt = new Date().toISOString();
+    lastRun = run;
+    currentRun = null;
+  }
+  if (run.claimed > 0) {
+    logger.info(
+      `Bus event relay run finished: claimed=${run.claimed} published=${run.published} failed=${run.failed} dead=${run.dead} held=${run.held} backlog=${_.get(run.backlog, "size")}`,
+    );
+  }
+  return run;
+}
+
+/**
+ * Schedule the next tick, right away when the last run filled its batch.
+ */
+function scheduleNextRun() {
+  if (stopped) {
+    return;
+  }
+  const delay =
+    lastRun && lastRun.claimed >= relayConfig.BATCH_SIZE && !lastRun.error
+      ? 0
+      : relayConfig.INTERVAL_MS;
+  timer = setTimeout(async () => {
+    await runOnce();
+    scheduleNextRun();
+  }, delay);
+  // Don't keep the process alive solely for the relay
+  timer.unref();
+}
+
+/**
+ * Start the relay when it is enabled in the configuration.
+ * @returns {Boolean} true when the relay was started
+ */
+function start() {
+  if (!relayConfig.ENABLED || !stopped) {
+    return false;
+  }
+  logger.info(`Starting bus event relay, interval=${relayConfig.INTERVAL_MS}ms`);
+  stopped = false;
+  scheduleNextRun();
+  return true;
+}
+
+/**
+ * Stop the relay. A run in progress is allowed to finish.
+ */
+function stop() {
+  stopped = true;
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+}
+
+/**
+ * Get the relay status of this instance with the current outbox backlog.
+ * @returns {Promise<Object>} whether the relay runs, the backlog and the last run results
+ */
+async function getStatus() {
+  return {
+    enabled: relayConfig.ENABLED,
+    started: !stopped,
+    running: !_.isNil(currentRun),
+    backlog: await getBacklog(),
+    lastRun,
+  };
+}
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+  getStatus,
+};
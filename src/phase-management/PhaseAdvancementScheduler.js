@@ -0,0 +1,236 @@
+/**
+ * Periodically advances challenge phases whose scheduled start or end date has passed.
+ *
+ * Every tick scans the open/due `ChallengePhase` rows of ACTIVE challenges and runs each of them
+ * through `ChallengeService.advancePhase`, so the regular phase rules, persistence and bus events
+ * apply. A session-level Postgres advisory lock per challenge, taken on a dedicated connection,
+ * makes sure only one API instance advances a given challenge at a time.
+ */
+const _ = require("lodash");
+const config = require("config");
+const { Prisma } = require("@prisma/client");
+const logger = require("../common/logger");
+const { getClient, getLockClient, ChallengeStatusEnum } = require("../common/prisma");
+const challengeService = require("../services/ChallengeService");
+const { getRuleBackedPhaseNames } = require("./PhaseRuleSetResolver");
+
+const prisma = getClient();
+
+const schedulerConfig = config.PHASE_ADVANCEMENT_SCHEDULER;
+
+let timer = null;
+let stopped = true;
+let currentRun = null;
+let lastRun = null;
+
+/**
+ * Get the user the scheduler acts as when advancing phases.
+ * @returns {Object} an M2M user
+ */
+function getSchedulerUser() {
+  return {
+    isMachine: true,
+    userId: _.toString(config.M2M_AUDIT_USERID),
+    handle: config.M2M_AUDIT_HANDLE,
+    scopes: [config.SCOPES.UPDATE],
+  };
+}
+
+/**
+ * Find the phases of active challenges that are due to be opened or closed.
+ * @param {Date} now the reference time
+ * @param {Number} limit the maximum number of phases to return
+ * @returns {Promise<Array<{ challengeId: String, name: String, operation: String }>>} due phases,
+ * closes before opens and oldest first
+ */
+async function findDuePhases(now, limit) {
+  // Phases without rules in phase-rules.json or a stored rule set are left to their owners
+  // (e.g. AI Screening, Approval) instead of being advanced unconditionally
+  const closablePhaseNames = Prisma.join(await getRuleBackedPhaseNames("close"));
+  const openablePhaseNames = Prisma.join(await getRuleBackedPhaseNames("open"));
+
+  // The join drives from ACTIVE challenges, so the phase lookup can use
+  // challenge_phase_challenge_open_end_idx (challengeId, isOpen, scheduledEndDate, actualEndDate)
+  return prisma.$queryRaw`
+    SELECT
+      cp."challengeId",
+      cp."name",
+      CASE WHEN cp."isOpen" = true THEN 'close' ELSE 'open' END AS "operation",
+      CASE WHEN cp."isOpen" = true THEN cp."scheduledEndDate" ELSE cp."scheduledStartDate" END AS "dueDate"
+    FROM "ChallengePhase" cp
+    INNER JOIN "Challenge" c ON c."id" = cp."challengeId"
+    WHERE c."status" = ${ChallengeStatusEnum.ACTIVE}::"ChallengeStatusEnum"
+      AND cp."actualEndDate" IS NULL
+      AND (
+        (
+          cp."isOpen" = true
+          AND cp."scheduledEndDate" <= ${now}
+          AND replace(cp."name", ' ', '') IN (${closablePhaseNames})
+        )
+        OR (
+          cp."isOpen" IS DISTINCT FROM true
+          AND cp."actualStartDate" IS NULL
+          AND cp."scheduledStartDate" <= ${now}
+          AND replace(cp."name", ' ', '') IN (${openablePhaseNames})
+        )
+      )
+    ORDER BY "operation" ASC, "dueDate" ASC
+    LIMIT ${limit}
+  `;
+}
+
+/**
+ * Advance the due phases of one challenge while holding its advisory lock.
+ * @param {String} challengeId the challenge id
+ * @param {Array<Object>} duePhases the due phases of the challenge
+ * @param {Object} run the run status to record results in
+ */
+async function advanceChallengePhases(challengeId, duePhases, run) {
+  // The lock connection only holds the lock, the phases are advanced on the regular pool
+  const lockClient = getLockClient();
+  const [{ locked } = {}] = await lockClient.$queryRaw`
+    SELECT pg_try_advisory_lock(${schedulerConfig.LOCK_NAMESPACE}::int, hashtext(${challengeId})) AS "locked"
+  `;
+  if (!locked) {
+    logger.debug(`Phase advancement for challenge ${challengeId} is handled by another instance`);
+    run.skipped.push({ challengeId, reason: "locked by another instance" });
+    return;
+  }
+
+  try {
+    for (const { name, operation } of duePhases) {
+      const item = { challengeId, phase: name, operation };
+      try {
+        const result = await challengeService.advancePhase(getSchedulerUser(), challengeId, {
+          phase: name,
+          operation,
+        });
+        if (result.success) {
+          run.advanced.push(item);
+        } else {
+          run.failures.push({
+            ...item,
+            message: result.message,
+            detail: result.detail,
+            failureReasons: result.failureReasons,
+          });
+        }
+      } catch (err) {
+        logger.warn(
+          `Scheduled ${operation} of phase ${name} for challenge ${challengeId} failed: ${err.message}`,
+        );
+        run.failures.push({ ...item, message: err.message });
+      }
+    }
+  } finally {
+    await lockClient.$queryRaw`
+      SELECT pg_advisory_unlock(${schedulerConfig.LOCK_NAMESPACE}::int, hashtext(${challengeId}))
+    `;
+  }
+}
+
+/**
+ * Scan for due phases and advance them once.
+ * @returns {Promise<Object>} the run status
+ */
+async function runOnce() {
+  if (currentRun) {
+    return currentRun;
+  }
+  const run = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    duePhases: 0,
+    advanced: [],
+    skipped: [],
+    failures: [],
+  };
+  currentRun = run;
+  try {
+    const duePhases = await findDuePhases(new Date(run.startedAt), schedulerConfig.BATCH_SIZE);
+    run.duePhases = duePhases.length;
+
+    const duePhasesByChallenge = _.groupBy(duePhases, "challengeId");
+    for (const [challengeId, challengeDuePhases] of Object.entries(duePhasesByChallenge)) {
+      try {
+        await advanceChallengePhases(challengeId, challengeDuePhases, run);
+      } catch (err) {
+        logger.error(`Failed to advance phases for challenge ${challengeId}: ${err.message}`);
+        run.failures.push({ challengeId, message: err.message });
+      }
+    }
+  } catch (err) {
+    logger.logFullError(err, "PhaseAdvancementScheduler.runOnce");
+    run.error = err.message;
+  } finally {
+    run.finishedAt = new Date().toISOString();
+    lastRun = run;
+    currentRun = null;
+  }
+  logger.info(
+    `Phase advancement run finished: due=${run.duePhases} advanced=${run.advanced.length} skipped=${run.skipped.length} failed=${run.failures.length}`,
+  );
+  return run;
+}
+
+/**
+ * Schedule the next tick.
+ */
+function scheduleNextRun() {
+  if (stopped) {
+    return;
+  }
+  timer = setTimeout(async () => {
+    await runOnce();
+    scheduleNextRun();
+  }, schedulerConfig.INTERVAL_MS);
+  // Don't keep the process alive solely for the scheduler
+  timer.unref();
+}
+
+/**
+ * Start the scheduler when it is enabled in the configuration.
+ * @returns {Boolean} true when the scheduler was started
+ */
+function start() {
+  if (!schedulerConfig.ENABLED || !stopped) {
+    return false;
+  }
+  logger.info(`Starting phase advancement scheduler, interval=${schedulerConfig.INTERVAL_MS}ms`);
+  stopped = false;
+  scheduleNextRun();
+  return true;
+}
+
+/**
+ * Stop the scheduler. A run in progress is allowed to finish.
+ */
+function stop() {
+  stopped = true;
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+}
+
+/**
+ * Get the scheduler status of this instance.
+ * @returns {Object} the scheduler configuration, whether it runs and the last run results
+ */
+function getStatus() {
+  return {
+    enabled: schedulerConfig.ENABLED,
+    started: !stopped,
+    intervalMs: schedulerConfig.INTERVAL_MS,
+    batchSize: schedulerConfig.BATCH_SIZE,
+    running: !_.isNil(currentRun),
+    lastRun,
+  };
+}
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+  getStatus,
+};
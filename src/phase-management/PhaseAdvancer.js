@@ -4,9 +4,10 @@ const { Prisma } = require("@prisma/client");
 const config = require("config");
 const { getClient } = require("../common/prisma");
 const { getReviewClient } = require("../common/review-prisma");
+const { getUnresolvedAppealCount } = require("../common/appeal-helper");
 const prisma = getClient();
 
-const rulesJSON = require("./phase-rules.json");
+const { getPhaseRules } = require("./PhaseRuleSetResolver");
 const errors = require("../common/errors");
 const { PhaseFact } = require("../../app-constants");
 
@@ -23,6 +24,13 @@ const PHASE_FACTS = {
   Appeals: [PhaseFact.PHASE_FACT_APPEALS],
 };
 
+// Human readable explanations attached to failed conditions whose boolean fact
+// hides the underlying numbers
+const FAILED_CONDITION_DESCRIPTIONS = {
+  allAppealsResolved: (facts) =>
+    `${facts.unresolvedAppealCount} appeal(s) still awaiting a response`,
+};
+
 const shouldCheckConstraint = (operation, phase, constraintName, rules) => {
   const normalizedConstraintName = normalizeName(constraintName);
   return (
@@ -40,7 +48,6 @@ const parseDate = (dateString) => {
 // End of helper functions
 
 class PhaseAdvancer {
-  #rules = rulesJSON;
   #challengeDomain;
 
   constructor(challengeDomain) {
@@ -74,9 +81,13 @@ class PhaseAdvancer {
         phaseSpecificFacts
       ),
     }),
-    AppealsResponse: async (challengeId) => ({
-      allAppealsResolved: await this.#areAllAppealsResolved(challengeId),
-    }),
+    AppealsResponse: async (challengeId) => {
+      const unresolvedAppealCount = await this.#getUnresolvedAppealCount(challengeId);
+      return {
+        allAppealsResolved: unresolvedAppealCount === 0,
+        unresolvedAppealCount,
+      };
+    },
   };
 
   async #generateFacts(challengeId, legacyId, phases, phase, operation) {
@@ -114,7 +125,11 @@ class PhaseAdvancer {
     };
   }
 
-  async advancePhase(challengeId, legacyId, phases, operation, phaseName) {
+  // Phases are updated in place. With `dryRun` every rule is evaluated (rather than stopping at
+  // the first failure) and the computed facts and per-rule results are returned as well.
+  // `typeId`/`trackId` select the stored rule set of the challenge, phase-rules.json otherwise.
+  async advancePhase(challengeId, legacyId, phases, operation, phaseName, options = {}) {
+    const { dryRun = false, typeId, trackId } = options;
     const targetPhaseName = this.#normalizePhaseName(phaseName);
     const phase = this.#findActivePhase(phases, targetPhaseName);
 
@@ -122,9 +137,13 @@ class PhaseAdvancer {
       throw new errors.BadRequestError(`Phase ${targetPhaseName} not found or already closed`);
     }
 
-    const rules = this.#collectRules(operation, phase);
+    const { rules: phaseRules, ruleSetName } = await getPhaseRules({ typeId, trackId });
+    const rules = this.#collectRules(phaseRules, operation, phase);
     const facts = await this.#generateFacts(challengeId, legacyId, phases, phase, operation);
-    const validation = await this.#validateRules(rules, facts);
+    const validation = await this.#validateRules(rules, facts, { stopOnFailure: !dryRun });
+    const evaluation = dryRun
+      ? { ruleSet: ruleSetName || "default", facts, rules: validation.ruleResults }
+      : {};
 
     if (!validation.success) {
       return {
@@ -132,6 +151,7 @@ class PhaseAdvancer {
         message: `Cannot ${operation} phase ${phase.name} for challenge ${challengeId}`,
         detail: `Rule ${validation.ruleName} failed`,
         failureReasons: validation.failureReasons,
+        ...evaluation,
       };
     }
 
@@ -152,6 +172,7 @@ class PhaseAdvancer {
         operation: operation === "close" && nextPhases.length > 0 ? "open" : undefined,
         phases: nextPhases,
       },
+      ...evaluation,
     };
   }
 
@@ -167,9 +188,9 @@ class PhaseAdvancer {
     );
   }
 
-  #collectRules(operation, phase) {
+  #collectRules(phaseRules, operation, phase) {
     const normalizedPhaseName = normalizeName(phase.name);
-    const operationRules = this.#rules[`${operation}Rules`] || {};
+    const operationRules = phaseRules[`${operation}Rules`] || {};
     const essentialRules = operationRules[normalizedPhaseName]
       ? operationRules[normalizedPhaseName].map((rule) => ({
           name: rule.name,
@@ -178,24 +199,24 @@ class PhaseAdvancer {
         }))
       : [];
 
-    const constraintRules = this.#buildConstraintRules(operation, phase);
+    const constraintRules = this.#buildConstraintRules(phaseRules, operation, phase);
 
     return [...essentialRules, ...constraintRules];
   }
 
-  #buildConstraintRules(operation, phase) {
+  #buildConstraintRules(phaseRules, operation, phase) {
     if (!Array.isArray(phase.constraints) || phase.constraints.length === 0) {
       return [];
     }
 
     return phase.constraints
-      .filter((constraint) => shouldCheckConstraint(operation, phase, constraint.name, this.#rules))
+      .filter((constraint) => shouldCheckConstraint(operation, phase, constraint.name, phaseRules))
       .map((constraint) => ({
         name: `Constraint: ${constraint.name}`,
         conditions: {
           all: [
             {
-              fact: this.#rules.constraintNameFactMap[normalizeName(constraint.name)],
+              fact: phaseRules.constraintNameFactMap[normalizeName(constraint.name)],
               operator: "greaterThanInclusive",
               value: constraint.value,
             },
@@ -207,19 +228,33 @@ class PhaseAdvancer {
       }));
   }
 
-  async #validateRules(rules, facts) {
+  async #validateRules(rules, facts, { stopOnFailure = true } = {}) {
+    const ruleResults = [];
+    let firstFailure = null;
+
     for (const rule of rules) {
       const ruleExecutionResult = await this.#executeRule(rule, facts);
-      if (!ruleExecutionResult.success) {
-        return {
-          success: false,
+      ruleResults.push({
+        name: rule.name,
+        passed: ruleExecutionResult.success,
+        failureReasons: ruleExecutionResult.failureReasons,
+      });
+      if (!ruleExecutionResult.success && !firstFailure) {
+        firstFailure = {
           ruleName: rule.name,
           failureReasons: ruleExecutionResult.failureReasons,
         };
+        if (stopOnFailure) {
+          break;
+        }
       }
     }
 
-    return { success: true };
+    if (firstFailure) {
+      return { success: false, ...firstFailure, ruleResults };
+    }
+
+    return { success: true, ruleResults };
   }
 
   async #applyOperation(operation, challengeId, phases, phase, facts) {
@@ -408,9 +443,13 @@ class PhaseAdvancer {
     return requiredReviews === completedReviewCount;
   }
 
-  async #areAllAppealsResolved(challengeId) {
+  async #getUnresolvedAppealCount(challengeId) {
     console.log(`Checking if all appeals are resolved for challenge ${challengeId}`);
-    return Promise.resolve(false);
+
+    const unresolvedAppealCount = await getUnresolvedAppealCount(challengeId);
+    console.log(`Unresolved appeals for ${challengeId}: ${unresolvedAppealCount}`);
+
+    return unresolvedAppealCount;
   }
 
   async #wasSubmissionReviewedInCurrentOpenIterativeReviewPhase(challengeId, phaseSpecificFacts) {
@@ -507,11 +546,18 @@ class PhaseAdvancer {
       rule: rule.name,
       failedConditions: failureResult.conditions.all
         .filter((condition) => !condition.result)
-        .map((condition) => ({
-          fact: condition.fact,
-          operator: condition.operator,
-          value: condition.value,
-        })),
+        .map((condition) => {
+          const failedCondition = {
+            fact: condition.fact,
+            operator: condition.operator,
+            value: condition.value,
+          };
+          const describeFailure = FAILED_CONDITION_DESCRIPTIONS[condition.fact];
+          if (describeFailure) {
+            failedCondition.reason = describeFailure(facts);
+          }
+          return failedCondition;
+        }),
     }));
 
     return {
@@ -0,0 +1,215 @@
+/**
+ * Resolves the phase rules that apply to a challenge.
+ *
+ * phase-rules.json holds the default rules. Stored `PhaseRuleSet` records override them per
+ * challenge type and/or track; the most specific active rule set wins (type and track, then type
+ * only, then track only) and replaces the default rules phase by phase. Active rule sets are cached
+ * for `PHASE_RULE_SET_CACHE_TTL` seconds, so edits reach every instance without a redeploy.
+ */
+const _ = require("lodash");
+const config = require("config");
+const Joi = require("joi");
+const NodeCache = require("node-cache");
+const { Engine, Rule } = require("json-rules-engine");
+const { getClient } = require("../common/prisma");
+const errors = require("../common/errors");
+const defaultRules = require("./phase-rules.json");
+
+const prisma = getClient();
+
+const RULE_SECTIONS = ["openRules", "closeRules", "constraintRules", "constraintNameFactMap"];
+const ACTIVE_RULE_SETS_CACHE_KEY = "activePhaseRuleSets";
+
+const cache = new NodeCache({ stdTTL: config.PHASE_RULE_SET_CACHE_TTL });
+
+// Engine holding the default operators, used to reject unknown operators before saving
+const operatorEngine = new Engine();
+
+const normalizeName = (name) => name.replace(/ /g, "");
+
+// PhaseAdvancer reports failed conditions from the top level "all" list, so rules must use it
+const ruleSchema = Joi.object()
+  .keys({
+    name: Joi.string().required(),
+    conditions: Joi.object()
+      .keys({ all: Joi.array().min(1).required() })
+      .unknown(true)
+      .required(),
+    event: Joi.object().keys({ type: Joi.string().required() }).unknown(true).required(),
+  })
+  .unknown(true);
+
+const phaseRulesSchema = Joi.object()
+  .keys({
+    openRules: Joi.object().pattern(Joi.string(), Joi.array().items(ruleSchema)),
+    closeRules: Joi.object().pattern(Joi.string(), Joi.array().items(ruleSchema)),
+    constraintRules: Joi.object().pattern(Joi.string(), Joi.array().items(Joi.string())),
+    constraintNameFactMap: Joi.object().pattern(Joi.string(), Joi.string()),
+  })
+  .or(...RULE_SECTIONS)
+  .required();
+
+/**
+ * Find the operators of a condition tree that the rules engine doesn't know.
+ * @param {Object} condition the condition (or boolean "all"/"any"/"not" node)
+ * @returns {Array<String>} the unknown operators
+ */
+function findUnknownOperators(condition) {
+  if (!_.isPlainObject(condition)) {
+    return [];
+  }
+  const nested = _.flatMap(["all", "any"], (key) =>
+    _.flatMap(_.castArray(condition[key] || []), findUnknownOperators),
+  );
+  if (condition.not) {
+    nested.push(...findUnknownOperators(condition.not));
+  }
+  if (_.isString(condition.operator) && !operatorEngine.operators.get(condition.operator)) {
+    nested.push(condition.operator);
+  }
+  return nested;
+}
+
+/**
+ * Validate phase rules against the json-rules-engine rule format and normalize the phase keys
+ * (phase names without spaces, as PhaseAdvancer looks them up).
+ * @param {Object} rules the phase rules, same shape as phase-rules.json
+ * @returns {Object} the normalized phase rules
+ * @throws {BadRequestError} if the rules are invalid
+ */
+function validatePhaseRules(rules) {
+  const { error, value } = phaseRulesSchema.validate(rules, { abortEarly: false });
+  if (error) {
+    throw new errors.BadRequestError(`Invalid phase rules: ${error.message}`);
+  }
+
+  const normalized = {};
+  for (const section of RULE_SECTIONS) {
+    if (_.isUndefined(value[section])) {
+      continue;
+    }
+    normalized[section] = _.mapKeys(value[section], (entry, key) => normalizeName(key));
+  }
+
+  for (const section of ["openRules", "closeRules"]) {
+    _.each(normalized[section], (phaseRules, phaseName) => {
+      for (const rule of phaseRules) {
+        const location = `${section}.${phaseName} rule "${rule.name}"`;
+        try {
+          // The Rule constructor throws on structurally invalid conditions and events
+          new Rule(rule);
+        } catch (err) {
+          throw new errors.BadRequestError(`Invalid phase rules: ${location}: ${err.message}`);
+        }
+        const unknownOperators = findUnknownOperators(rule.conditions);
+        if (unknownOperators.length > 0) {
+          throw new errors.BadRequestError(
+            `Invalid phase rules: ${location} uses unknown operator(s) ${_.uniq(unknownOperators).join(", ")}`,
+          );
+        }
+      }
+    });
+  }
+
+  return normalized;
+}
+
+/**
+ * Get the active stored rule sets.
+ * @returns {Promise<Array<Object>>} the active rule sets
+ */
+async function getActivePhaseRuleSets() {
+  let ruleSets = cache.get(ACTIVE_RULE_SETS_CACHE_KEY);
+  if (_.isUndefined(ruleSets)) {
+    ruleSets = await prisma.phaseRuleSet.findMany({
+      where: { isActive: true },
+      select: { id: true, name: true, typeId: true, trackId: true, rules: true },
+    });
+    cache.set(ACTIVE_RULE_SETS_CACHE_KEY, ruleSets);
+  }
+  return ruleSets;
+}
+
+/**
+ * Find the most specific active rule set for a challenge type and track.
+ * @param {Array<Object>} ruleSets the active rule sets
+ * @param {String} typeId the challenge type id
+ * @param {String} trackId the challenge track id
+ * @returns {Object|undefined} the matching rule set
+ */
+function findMatchingRuleSet(ruleSets, typeId, trackId) {
+  const candidates = [
+    (ruleSet) => ruleSet.typeId === typeId && ruleSet.trackId === trackId,
+    (ruleSet) => ruleSet.typeId === typeId && _.isNil(ruleSet.trackId),
+    (ruleSet) => _.isNil(ruleSet.typeId) && ruleSet.trackId === trackId,
+  ];
+  for (const matches of candidates) {
+    const ruleSet = _.find(ruleSets, matches);
+    if (ruleSet) {
+      return ruleSet;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Merge a rule set over the default rules, phase by phase.
+ * @param {Object} rules the rule set rules
+ * @returns {Object} the complete phase rules
+ */
+function mergeWithDefaultRules(rules) {
+  return _.fromPairs(
+    _.map(RULE_SECTIONS, (section) => [
+      section,
+      { ...defaultRules[section], ...(rules && rules[section]) },
+    ]),
+  );
+}
+
+/**
+ * Get the phase rules for a challenge type and track.
+ * @param {Object} criteria the criteria
+ * @param {String} criteria.typeId the challenge type id
+ * @param {String} criteria.trackId the challenge track id
+ * @returns {Promise<Object>} the phase rules, with the name of the rule set they come from
+ * (`undefined` when phase-rules.json applies)
+ */
+async function getPhaseRules({ typeId, trackId } = {}) {
+  if (_.isNil(typeId) && _.isNil(trackId)) {
+    return { ruleSetName: undefined, rules: defaultRules };
+  }
+  const ruleSet = findMatchingRuleSet(await getActivePhaseRuleSets(), typeId, trackId);
+  if (!ruleSet) {
+    return { ruleSetName: undefined, rules: defaultRules };
+  }
+  return { ruleSetName: ruleSet.name, rules: mergeWithDefaultRules(ruleSet.rules) };
+}
+
+/**
+ * Get the (space-less) names of the phases that have rules for an operation in phase-rules.json
+ * or any active rule set.
+ * @param {String} operation "open" or "close"
+ * @returns {Promise<Array<String>>} the normalized phase names
+ */
+async function getRuleBackedPhaseNames(operation) {
+  const section = `${operation}Rules`;
+  const ruleSets = await getActivePhaseRuleSets();
+  return _.uniq([
+    ...Object.keys(defaultRules[section] || {}),
+    ..._.flatMap(ruleSets, (ruleSet) => Object.keys(_.get(ruleSet, ["rules", section]) || {})),
+  ]);
+}
+
+/**
+ * Drop the cached rule sets of this instance, so changes apply right away.
+ */
+function clearCache() {
+  cache.flushAll();
+}
+
+module.exports = {
+  validatePhaseRules,
+  getPhaseRules,
+  getRuleBackedPhaseNames,
+  clearCache,
+};
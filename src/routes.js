@@ -4,7 +4,7 @@
 
 const constants = require("../app-constants");
 const {
-  SCOPES: { READ, CREATE, UPDATE, DELETE, ALL },
+  SCOPES: { READ, CREATE, UPDATE, DELETE, ALL, WEBHOOKS },
 } = require("config");
 
 const CHALLENGE_EDITOR_ACCESS_ROLES = [
@@ -79,6 +79,120 @@ module.exports = {
       method: "checkHealth",
     },
   },
+  "/challenges/phase-advancement/status": {
+    get: {
+      controller: "PhaseAdvancementController",
+      method: "getPhaseAdvancementStatus",
+      auth: "jwt",
+      access: [constants.UserRoles.Admin],
+      scopes: [READ, ALL],
+    },
+  },
+  "/challenges/bus-event-relay/status": {
+    get: {
+      controller: "BusEventRelayController",
+      method: "getBusEventRelayStatus",
+      auth: "jwt",
+      access: [constants.UserRoles.Admin],
+      scopes: [READ, ALL],
+    },
+  },
+  "/challenges/export": {
+    get: {
+      controller: "ChallengeExportController",
+      method: "exportChallenges",
+      access: [
+        constants.UserRoles.Admin,
+        constants.UserRoles.Copilot,
+        constants.UserRoles.SelfServiceCustomer,
+        constants.UserRoles.Manager,
+        constants.UserRoles.User,
+      ],
+      scopes: [READ, ALL],
+    },
+  },
+  "/challenges/saved-searches": {
+    get: {
+      controller: "SavedSearchController",
+      method: "searchSavedSearches",
+      auth: "jwt",
+      access: [
+        constants.UserRoles.Admin,
+        constants.UserRoles.Copilot,
+        constants.UserRoles.SelfServiceCustomer,
+        constants.UserRoles.Manager,
+        constants.UserRoles.User,
+      ],
+    },
+    post: {
+      controller: "SavedSearchController",
+      method: "createSavedSearch",
+      auth: "jwt",
+      access: [
+        constants.UserRoles.Admin,
+        constants.UserRoles.Copilot,
+        constants.UserRoles.SelfServiceCustomer,
+        constants.UserRoles.Manager,
+        constants.UserRoles.User,
+      ],
+    },
+  },
+  "/challenges/saved-searches/:savedSearchId": {
+    get: {
+      controller: "SavedSearchController",
+      method: "getSavedSearch",
+      auth: "jwt",
+      access: [
+        constants.UserRoles.Admin,
+        constants.UserRoles.Copilot,
+        constants.UserRoles.SelfServiceCustomer,
+        constants.UserRoles.Manager,
+        constants.UserRoles.User,
+      ],
+    },
+    patch: {
+      controller: "SavedSearchController",
+      method: "partiallyUpdateSavedSearch",
+      auth: "jwt",
+      access: [
+        constants.UserRoles.Admin,
+        constants.UserRoles.Copilot,
+        constants.UserRoles.SelfServiceCustomer,
+        constants.UserRoles.Manager,
+        constants.UserRoles.User,
+      ],
+    },
+    delete: {
+      controller: "SavedSearchController",
+      method: "deleteSavedSearch",
+      auth: "jwt",
+      access: [
+        constants.UserRoles.Admin,
+        constants.UserRoles.Copilot,
+        constants.UserRoles.SelfServiceCustomer,
+        constants.UserRoles.Manager,
+        constants.UserRoles.User,
+      ],
+    },
+  },
+  "/challenges/bulk": {
+    post: {
+      controller: "ChallengeBulkController",
+      method: "bulkUpdateChallenges",
+      auth: "jwt",
+      access: CHALLENGE_EDITOR_ACCESS_ROLES,
+      scopes: [UPDATE, ALL],
+    },
+  },
+  "/challenges/cost-estimate": {
+    post: {
+      controller: "ChallengeController",
+      method: "estimateChallengeCost",
+      auth: "jwt",
+      access: CHALLENGE_EDITOR_ACCESS_ROLES,
+      scopes: [READ, ALL],
+    },
+  },
   "/challenges/:challengeId": {
     get: {
       controller: "ChallengeController",
@@ -117,6 +231,24 @@ module.exports = {
       scopes: [UPDATE, ALL],
     },
   },
+  "/challenges/:challengeId/history": {
+    get: {
+      controller: "AuditLogController",
+      method: "getChallengeHistory",
+      auth: "jwt",
+      access: [constants.UserRoles.Admin],
+      scopes: [READ],
+    },
+  },
+  "/challenges/:challengeId/clone": {
+    post: {
+      controller: "ChallengeController",
+      method: "cloneChallenge",
+      auth: "jwt",
+      access: CHALLENGE_EDITOR_ACCESS_ROLES,
+      scopes: [CREATE, ALL],
+    },
+  },
   "/challenges/:challengeId/close-marathon-match": {
     post: {
       controller: "ChallengeController",
@@ -132,6 +264,60 @@ module.exports = {
       method: "getChallengeStatistics",
     },
   },
+  "/challenges/:challengeId/cost-estimate": {
+    get: {
+      controller: "ChallengeController",
+      method: "getChallengeCostEstimate",
+      auth: "jwt",
+      access: CHALLENGE_EDITOR_ACCESS_ROLES,
+      scopes: [READ, ALL],
+    },
+  },
+  "/challenges/:challengeId/leaderboard": {
+    get: {
+      controller: "ChallengeLeaderboardController",
+      method: "getChallengeLeaderboard",
+    },
+  },
+  "/challenges/:challengeId/approvals": {
+    get: {
+      controller: "ChallengeApprovalController",
+      method: "getChallengeApprovals",
+      auth: "jwt", // approvers may have any role, checked by the service
+      scopes: [READ, ALL],
+    },
+    post: {
+      controller: "ChallengeApprovalController",
+      method: "createChallengeApproval",
+      auth: "jwt",
+      access: CHALLENGE_EDITOR_ACCESS_ROLES,
+      scopes: [UPDATE, ALL],
+    },
+  },
+  "/challenges/:challengeId/approvals/:approvalId": {
+    get: {
+      controller: "ChallengeApprovalController",
+      method: "getChallengeApproval",
+      auth: "jwt", // approvers may have any role, checked by the service
+      scopes: [READ, ALL],
+    },
+  },
+  "/challenges/:challengeId/approvals/:approvalId/approve": {
+    post: {
+      controller: "ChallengeApprovalController",
+      method: "approveChallengeApproval",
+      auth: "jwt", // approvers may have any role, checked by the service
+      scopes: [UPDATE, ALL],
+    },
+  },
+  "/challenges/:challengeId/approvals/:approvalId/reject": {
+    post: {
+      controller: "ChallengeApprovalController",
+      method: "rejectChallengeApproval",
+      auth: "jwt", // approvers may have any role, checked by the service
+      scopes: [UPDATE, ALL],
+    },
+  },
   "/challenges/:challengeId/notifications": {
     post: {
       controller: "ChallengeController",
@@ -269,6 +455,15 @@ module.exports = {
       scopes: [READ],
     },
   },
+  "/challenge-audit-logs/:id/revert": {
+    post: {
+      controller: "AuditLogController",
+      method: "revertAuditLog",
+      auth: "jwt",
+      access: [constants.UserRoles.Admin],
+      scopes: [UPDATE, ALL],
+    },
+  },
   "/challenge-phases": {
     get: {
       controller: "PhaseController",
@@ -359,6 +554,263 @@ module.exports = {
       scopes: [DELETE, ALL],
     },
   },
+  "/challenge-templates": {
+    get: {
+      controller: "ChallengeTemplateController",
+      method: "searchChallengeTemplates",
+      auth: "jwt",
+      access: CHALLENGE_EDITOR_ACCESS_ROLES,
+      scopes: [READ, ALL],
+    },
+    post: {
+      controller: "ChallengeTemplateController",
+      method: "createChallengeTemplate",
+      auth: "jwt",
+      access: CHALLENGE_EDITOR_ACCESS_ROLES,
+      scopes: [CREATE, ALL],
+    },
+  },
+  "/challenge-templates/:templateId": {
+    get: {
+      controller: "ChallengeTemplateController",
+      method: "getChallengeTemplate",
+      auth: "jwt",
+      access: CHALLENGE_EDITOR_ACCESS_ROLES,
+      scopes: [READ, ALL],
+    },
+    patch: {
+      controller: "ChallengeTemplateController",
+      method: "partiallyUpdateChallengeTemplate",
+      auth: "jwt",
+      access: CHALLENGE_EDITOR_ACCESS_ROLES,
+      scopes: [UPDATE, ALL],
+    },
+    delete: {
+      controller: "ChallengeTemplateController",
+      method: "deleteChallengeTemplate",
+      auth: "jwt",
+      access: CHALLENGE_EDITOR_ACCESS_ROLES,
+      scopes: [DELETE, ALL],
+    },
+  },
+  "/challenge-templates/:templateId/versions": {
+    get: {
+      controller: "ChallengeTemplateController",
+      method: "getChallengeTemplateVersions",
+      auth: "jwt",
+      access: CHALLENGE_EDITOR_ACCESS_ROLES,
+      scopes: [READ, ALL],
+    },
+  },
+  "/challenge-templates/:templateId/instantiate": {
+    post: {
+      controller: "ChallengeTemplateController",
+      method: "instantiateChallengeTemplate",
+      auth: "jwt",
+      access: CHALLENGE_EDITOR_ACCESS_ROLES,
+      scopes: [CREATE, ALL],
+    },
+  },
+  "/challenge-calendars/projects/:projectId.ics": {
+    get: {
+      controller: "ChallengeCalendarController",
+      method: "getProjectCalendar",
+    },
+  },
+  "/challenge-calendars/tracks/:trackId.ics": {
+    get: {
+      controller: "ChallengeCalendarController",
+      method: "getTrackCalendar",
+    },
+  },
+  "/challenge-calendars/members/:memberId.ics": {
+    get: {
+      controller: "ChallengeCalendarController",
+      method: "getMemberCalendar",
+    },
+  },
+  "/challenge-calendars/tokens": {
+    get: {
+      controller: "ChallengeCalendarController",
+      method: "getCalendarFeedTokens",
+      auth: "jwt",
+      access: [
+        constants.UserRoles.Admin,
+        constants.UserRoles.Copilot,
+        constants.UserRoles.SelfServiceCustomer,
+        constants.UserRoles.Manager,
+        constants.UserRoles.User,
+      ],
+    },
+    post: {
+      controller: "ChallengeCalendarController",
+      method: "createCalendarFeedToken",
+      auth: "jwt",
+      access: [
+        constants.UserRoles.Admin,
+        constants.UserRoles.Copilot,
+        constants.UserRoles.SelfServiceCustomer,
+        constants.UserRoles.Manager,
+        constants.UserRoles.User,
+      ],
+    },
+  },
+  "/challenge-calendars/tokens/:tokenId": {
+    delete: {
+      controller: "ChallengeCalendarController",
+      method: "revokeCalendarFeedToken",
+      auth: "jwt",
+      access: [
+        constants.UserRoles.Admin,
+        constants.UserRoles.Copilot,
+        constants.UserRoles.SelfServiceCustomer,
+        constants.UserRoles.Manager,
+        constants.UserRoles.User,
+      ],
+    },
+  },
+  "/phase-rule-sets": {
+    get: {
+      controller: "PhaseRuleSetController",
+      method: "searchPhaseRuleSets",
+      auth: "jwt",
+      access: [constants.UserRoles.Admin],
+      scopes: [READ, ALL],
+    },
+    post: {
+      controller: "PhaseRuleSetController",
+      method: "createPhaseRuleSet",
+      auth: "jwt",
+      access: [constants.UserRoles.Admin],
+      scopes: [CREATE, ALL],
+    },
+  },
+  "/phase-rule-sets/:phaseRuleSetId": {
+    get: {
+      controller: "PhaseRuleSetController",
+      method: "getPhaseRuleSet",
+      auth: "jwt",
+      access: [constants.UserRoles.Admin],
+      scopes: [READ, ALL],
+    },
+    put: {
+      controller: "PhaseRuleSetController",
+      method: "fullyUpdatePhaseRuleSet",
+      auth: "jwt",
+      access: [constants.UserRoles.Admin],
+      scopes: [UPDATE, ALL],
+    },
+    patch: {
+      controller: "PhaseRuleSetController",
+      method: "partiallyUpdatePhaseRuleSet",
+      auth: "jwt",
+      access: [constants.UserRoles.Admin],
+      scopes: [UPDATE, ALL],
+    },
+    delete: {
+      controller: "PhaseRuleSetController",
+      method: "deletePhaseRuleSet",
+      auth: "jwt",
+      access: [constants.UserRoles.Admin],
+      scopes: [DELETE, ALL],
+    },
+  },
+  "/exchange-rates": {
+    get: {
+      controller: "ExchangeRateController",
+      method: "searchExchangeRates",
+      auth: "jwt",
+      scopes: [READ, ALL],
+    },
+    post: {
+      controller: "ExchangeRateController",
+      method: "createExchangeRate",
+      auth: "jwt",
+      access: [constants.UserRoles.Admin],
+      scopes: [CREATE, ALL],
+    },
+  },
+  "/exchange-rates/:exchangeRateId": {
+    get: {
+      controller: "ExchangeRateController",
+      method: "getExchangeRate",
+      auth: "jwt",
+      scopes: [READ, ALL],
+    },
+    delete: {
+      controller: "ExchangeRateController",
+      method: "deleteExchangeRate",
+      auth: "jwt",
+      access: [constants.UserRoles.Admin],
+      scopes: [DELETE, ALL],
+    },
+  },
+  "/billing-accounts/:billingAccountId/reconciliation": {
+    get: {
+      controller: "BillingReconciliationController",
+      method: "getBillingAccountReconciliation",
+      auth: "jwt",
+      access: [constants.UserRoles.Admin],
+      scopes: [READ, ALL],
+    },
+  },
+  "/challenge-webhooks": {
+    get: {
+      controller: "WebhookController",
+      method: "searchWebhooks",
+      auth: "jwt",
+      access: [constants.UserRoles.Admin],
+      scopes: [WEBHOOKS, ALL],
+    },
+    post: {
+      controller: "WebhookController",
+      method: "createWebhook",
+      auth: "jwt",
+      access: [constants.UserRoles.Admin],
+      scopes: [WEBHOOKS, ALL],
+    },
+  },
+  "/challenge-webhooks/:webhookId": {
+    get: {
+      controller: "WebhookController",
+      method: "getWebhook",
+      auth: "jwt",
+      access: [constants.UserRoles.Admin],
+      scopes: [WEBHOOKS, ALL],
+    },
+    patch: {
+      controller: "WebhookController",
+      method: "partiallyUpdateWebhook",
+      auth: "jwt",
+      access: [constants.UserRoles.Admin],
+      scopes: [WEBHOOKS, ALL],
+    },
+    delete: {
+      controller: "WebhookController",
+      method: "deleteWebhook",
+      auth: "jwt",
+      access: [constants.UserRoles.Admin],
+      scopes: [WEBHOOKS, ALL],
+    },
+  },
+  "/challenge-webhooks/:webhookId/deliveries": {
+    get: {
+      controller: "WebhookController",
+      method: "searchWebhookDeliveries",
+      auth: "jwt",
+      access: [constants.UserRoles.Admin],
+      scopes: [WEBHOOKS, ALL],
+    },
+  },
+  "/challenge-webhooks/:webhookId/deliveries/:deliveryId/redeliver": {
+    post: {
+      controller: "WebhookController",
+      method: "redeliverWebhookDelivery",
+      auth: "jwt",
+      access: [constants.UserRoles.Admin],
+      scopes: [WEBHOOKS, ALL],
+    },
+  },
   "/timeline-templates": {
     get: {
       controller: "TimelineTemplateController",
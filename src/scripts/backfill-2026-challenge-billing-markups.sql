@@ -19,7 +19,7 @@ WITH candidates AS (
     cb."challengeId",
     cb."billingAccountId",
     cb."markup" AS "currentMarkup",
-    ba."markup"::double precision AS "billingAccountMarkup"
+    ba."markup"::numeric(9,6) AS "billingAccountMarkup"
   FROM "challenges"."ChallengeBilling" cb
   INNER JOIN "challenges"."Challenge" c
     ON c."id" = cb."challengeId"
@@ -28,7 +28,7 @@ WITH candidates AS (
   WHERE c."createdAt" >= TIMESTAMP '2026-01-01 00:00:00'
     AND c."createdAt" < TIMESTAMP '2027-01-01 00:00:00'
     AND cb."billingAccountId" IS NOT NULL
-    AND cb."markup" IS DISTINCT FROM ba."markup"::double precision
+    AND cb."markup" IS DISTINCT FROM ba."markup"::numeric(9,6)
 )
 SELECT
   COUNT(*) AS "rowsToUpdate",
@@ -38,7 +38,7 @@ FROM candidates;
 WITH candidates AS (
   SELECT
     cb."id" AS "challengeBillingId",
-    ba."markup"::double precision AS "billingAccountMarkup"
+    ba."markup"::numeric(9,6) AS "billingAccountMarkup"
   FROM "challenges"."ChallengeBilling" cb
   INNER JOIN "challenges"."Challenge" c
     ON c."id" = cb."challengeId"
@@ -47,7 +47,7 @@ WITH candidates AS (
   WHERE c."createdAt" >= TIMESTAMP '2026-01-01 00:00:00'
     AND c."createdAt" < TIMESTAMP '2027-01-01 00:00:00'
     AND cb."billingAccountId" IS NOT NULL
-    AND cb."markup" IS DISTINCT FROM ba."markup"::double precision
+    AND cb."markup" IS DISTINCT FROM ba."markup"::numeric(9,6)
 ),
 updated AS (
   UPDATE "challenges"."ChallengeBilling" cb
@@ -0,0 +1,122 @@
+/**
+ * Challenge skill names backfill script.
+ *
+ * The full-text search indexes the skill names stored with each challenge. They are written when
+ * the skills of a challenge are set, so the challenges created before the full-text search need
+ * this backfill; the update refreshes their search vector.
+ *
+ * Steps:
+ * 1) Set environment variables:
+ *    - DATABASE_URL (challenge DB)
+ *    - API_BASE_URL (standardized skills API)
+ * 2) Run:
+ *    - npm run backfill-challenge-skill-names -- [--batch-size 500] [--dry-run]
+ */
+require("../../app-bootstrap");
+const _ = require("lodash");
+const helper = require("../common/helper");
+const { getClient } = require("../common/prisma");
+
+const DEFAULT_BATCH_SIZE = 500;
+
+const parseArgs = (argv) => {
+  const options = { batchSize: DEFAULT_BATCH_SIZE, dryRun: false };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--") {
+      continue;
+    }
+    if (arg === "--batch-size") {
+      const next = Number(argv[i + 1]);
+      if (!Number.isInteger(next) || next <= 0) {
+        throw new Error(`${arg} requires a positive integer`);
+      }
+      options.batchSize = next;
+      i += 1;
+      continue;
+    }
+    if (arg === "--dry-run") {
+      options.dryRun = true;
+      continue;
+    }
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+    throw new Error(`Unknown option: ${arg}`);
+  }
+
+  return options;
+};
+
+const printUsage = () => {
+  console.log(`
+Usage:
+  node src/scripts/backfill-challenge-skill-names.js [options]
+
+Options:
+  --batch-size <n>  Number of challenges read at a time, default is ${DEFAULT_BATCH_SIZE}
+  --dry-run         Count the challenges to update without updating them
+  --help, -h        Show this help
+`);
+};
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    printUsage();
+    return;
+  }
+
+  const prisma = getClient();
+  let cursor = null;
+  let scanned = 0;
+  let updated = 0;
+  try {
+    for (;;) {
+      const challenges = await prisma.challenge.findMany({
+        where: { skills: { some: {} } },
+        select: { id: true, skillNames: true, skills: { select: { skillId: true } } },
+        orderBy: { id: "asc" },
+        take: options.batchSize,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+      });
+      if (challenges.length === 0) {
+        break;
+      }
+      cursor = _.last(challenges).id;
+      scanned += challenges.length;
+
+      const skillIds = _.uniq(_.flatMap(challenges, (c) => _.map(c.skills, "skillId")));
+      const skills = await helper.getStandSkills(skillIds);
+      const names = new Map(_.map(_.filter(skills, "id"), (skill) => [skill.id, skill.name]));
+
+      for (const challenge of challenges) {
+        const skillNames = _.compact(_.map(challenge.skills, (s) => names.get(s.skillId)));
+        if (_.isEqual(skillNames, challenge.skillNames)) {
+          continue;
+        }
+        updated += 1;
+        if (!options.dryRun) {
+          // raw update so the challenge keeps its updated date
+          await prisma.$executeRaw`
+            UPDATE "Challenge" SET "skillNames" = ${skillNames} WHERE "id" = ${challenge.id}
+          `;
+        }
+      }
+      console.error(`Scanned ${scanned} challenge(s), ${updated} to update`);
+    }
+    console.error(
+      `${options.dryRun ? "Would update" : "Updated"} the skill names of ${updated} of ${scanned} challenge(s)`,
+    );
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
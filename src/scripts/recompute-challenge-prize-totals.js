@@ -0,0 +1,150 @@
+/**
+ * Challenge prize totals recompute script.
+ *
+ * The total prizes of a challenge are the USD equivalent of its placement prizes. The
+ * `add_prize_currencies` migration can't convert the prizes paid in other currencies, the exchange
+ * rates are only loaded after it, so the challenges with such prizes keep their USD prizes total
+ * until their prizes are saved again. This script recomputes their totals with the current rates.
+ *
+ * Steps:
+ * 1) Set environment variables:
+ *    - DATABASE_URL (challenge DB)
+ * 2) Load the exchange rates of the prize currencies
+ * 3) Run:
+ *    - npm run recompute-challenge-prize-totals -- [--batch-size 500] [--dry-run]
+ */
+require("../../app-bootstrap");
+const _ = require("lodash");
+const constants = require("../../app-constants");
+const currencyHelper = require("../common/currency-helper");
+const moneyHelper = require("../common/money-helper");
+const { getClient, PrizeSetTypeEnum } = require("../common/prisma");
+
+const DEFAULT_BATCH_SIZE = 500;
+
+const parseArgs = (argv) => {
+  const options = { batchSize: DEFAULT_BATCH_SIZE, dryRun: false };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--") {
+      continue;
+    }
+    if (arg === "--batch-size") {
+      const next = Number(argv[i + 1]);
+      if (!Number.isInteger(next) || next <= 0) {
+        throw new Error(`${arg} requires a positive integer`);
+      }
+      options.batchSize = next;
+      i += 1;
+      continue;
+    }
+    if (arg === "--dry-run") {
+      options.dryRun = true;
+      continue;
+    }
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+    throw new Error(`Unknown option: ${arg}`);
+  }
+
+  return options;
+};
+
+const printUsage = () => {
+  console.log(`
+Usage:
+  node src/scripts/recompute-challenge-prize-totals.js [options]
+
+Options:
+  --batch-size <n>  Number of challenges read at a time, default is ${DEFAULT_BATCH_SIZE}
+  --dry-run         Count the challenges to update without updating them
+  --help, -h        Show this help
+`);
+};
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    printUsage();
+    return;
+  }
+
+  const prisma = getClient();
+  let cursor = null;
+  let scanned = 0;
+  let updated = 0;
+  try {
+    for (;;) {
+      const challenges = await prisma.challenge.findMany({
+        where: {
+          prizeSets: {
+            some: {
+              type: PrizeSetTypeEnum.PLACEMENT,
+              prizes: { some: { type: { not: constants.prizeTypes.USD } } },
+            },
+          },
+        },
+        select: {
+          id: true,
+          overviewTotalPrizes: true,
+          overviewTotalPrizesByCurrency: true,
+          prizeSets: {
+            where: { type: PrizeSetTypeEnum.PLACEMENT },
+            select: { prizes: { select: { type: true, value: true } } },
+          },
+        },
+        orderBy: { id: "asc" },
+        take: options.batchSize,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+      });
+      if (challenges.length === 0) {
+        break;
+      }
+      cursor = _.last(challenges).id;
+      scanned += challenges.length;
+
+      // fails when a currency has no effective rate, the rates must be loaded first
+      const exchangeRates = await currencyHelper.getPrizeSetExchangeRates(
+        _.flatMap(challenges, "prizeSets"),
+      );
+
+      for (const challenge of challenges) {
+        const { byCurrency, usdEquivalent } = currencyHelper.getPrizeTotals(
+          _.flatMap(challenge.prizeSets, "prizes"),
+          exchangeRates,
+        );
+        if (
+          usdEquivalent === moneyHelper.toAmountNumber(challenge.overviewTotalPrizes) &&
+          _.isEqual(byCurrency, challenge.overviewTotalPrizesByCurrency)
+        ) {
+          continue;
+        }
+        updated += 1;
+        if (!options.dryRun) {
+          // raw update so the challenge keeps its updated date
+          await prisma.$executeRaw`
+            UPDATE "Challenge"
+            SET "overviewTotalPrizes" = ${usdEquivalent},
+              "overviewTotalPrizesByCurrency" = ${JSON.stringify(byCurrency)}::jsonb
+            WHERE "id" = ${challenge.id}
+          `;
+        }
+      }
+      console.error(`Scanned ${scanned} challenge(s), ${updated} to update`);
+    }
+    console.error(
+      `${options.dryRun ? "Would update" : "Updated"} the prize totals of ${updated} of ${scanned} challenge(s)`,
+    );
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,133 @@
+/**
+ * Billing account reconciliation script.
+ *
+ * Lists the challenges of a billing account running in a date range with their locked, consumed
+ * and current amounts, winners and prizes, and flags drift, missing locks and challenges that
+ * completed without a lock. The same report is served by
+ * GET /billing-accounts/:billingAccountId/reconciliation.
+ *
+ * Steps:
+ * 1) Set environment variables:
+ *    - DATABASE_URL (challenge DB)
+ *    - BILLING_ACCOUNTS_API_URL (use http://localhost:4000/v6/billing-accounts for the mock API)
+ *    - AUTH0_URL / AUTH0_AUDIENCE / AUTH0_CLIENT_ID / AUTH0_CLIENT_SECRET (for the M2M token,
+ *      AUTH0_URL=http://localhost:4000/v5/auth0 for the mock API)
+ * 2) Run:
+ *    - npm run reconcile-billing-account -- --billing-account-id 80000062 \
+ *        --start-date 2026-01-01 --end-date 2026-03-31 [--csv] [--output /tmp/report.csv]
+ */
+require("../../app-bootstrap");
+const fs = require("fs");
+const _ = require("lodash");
+const service = require("../services/BillingReconciliationService");
+const { toCsvField } = require("../services/ChallengeExportService");
+const { getClient } = require("../common/prisma");
+
+const CSV_COLUMNS = {
+  challengeId: (c) => c.challengeId,
+  name: (c) => c.name,
+  status: (c) => c.status,
+  startDate: (c) => c.startDate && new Date(c.startDate).toISOString(),
+  endDate: (c) => c.endDate && new Date(c.endDate).toISOString(),
+  markup: (c) => c.markup,
+  currentAmount: (c) => c.currentAmount,
+  lockedAmount: (c) => c.lockedAmount,
+  consumedAmount: (c) => c.consumedAmount,
+  drift: (c) => c.drift,
+  winners: (c) =>
+    _.map(c.winners, (w) => `${w.handle} (${w.placement}): ${_.toString(w.usdAmount)}`),
+  winnerPrizeAmount: (c) => c.winnerPrizeAmount,
+  flags: (c) => c.flags,
+};
+
+const parseArgs = (argv) => {
+  const options = { csv: false };
+  const valueOptions = {
+    "--billing-account-id": "billingAccountId",
+    "--start-date": "startDate",
+    "--end-date": "endDate",
+    "--output": "output",
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--") {
+      continue;
+    }
+    if (valueOptions[arg]) {
+      const next = argv[i + 1];
+      if (!next || next.startsWith("--")) {
+        throw new Error(`${arg} requires a value`);
+      }
+      options[valueOptions[arg]] = next;
+      i += 1;
+      continue;
+    }
+    if (arg === "--csv") {
+      options.csv = true;
+      continue;
+    }
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+    throw new Error(`Unknown option: ${arg}`);
+  }
+
+  return options;
+};
+
+const printUsage = () => {
+  console.log(`
+Usage:
+  node src/scripts/reconcile-billing-account.js --billing-account-id <id> --start-date <date> --end-date <date> [options]
+
+Options:
+  --csv            Write one CSV row per challenge instead of the JSON report
+  --output <path>  Write the report to a file instead of stdout
+  --help, -h       Show this help
+`);
+};
+
+const toCsv = (report) =>
+  [
+    _.keys(CSV_COLUMNS).join(","),
+    ..._.map(report.challenges, (challenge) =>
+      _.map(CSV_COLUMNS, (read) => toCsvField(read(challenge))).join(","),
+    ),
+  ].join("\n") + "\n";
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    printUsage();
+    return;
+  }
+
+  try {
+    const report = await service.getBillingAccountReconciliation(options.billingAccountId, {
+      startDate: options.startDate,
+      endDate: options.endDate,
+    });
+    const output = options.csv ? toCsv(report) : `${JSON.stringify(report, null, 2)}\n`;
+    if (options.output) {
+      fs.writeFileSync(options.output, output);
+    } else {
+      process.stdout.write(output);
+    }
+    console.error(
+      `Reconciled ${report.summary.challengesCount} challenge(s): ${_.map(
+        report.summary.flags,
+        (count, flag) => `${count} ${flag}`,
+      ).join(", ")}`,
+    );
+  } finally {
+    await getClient().$disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -65,20 +65,27 @@ async function createAttachment(currentUser, challengeId, attachments) {
   const challenge = await prisma.challenge.findUnique({ where: { id: challengeId } });
   await helper.ensureUserCanModifyChallenge(currentUser, challenge);
   const userId = currentUser.userId;
-  const newAttachments = [];
   for (const attachment of attachments) {
     validateUrl(attachment.url);
-    _.assignIn(attachment, {
-      challengeId,
-      createdBy: userId,
-      updatedBy: userId,
-    });
-    let newAttachment = await prisma.attachment.create({ data: attachment });
-    newAttachment = _.omit(newAttachment, constants.auditFields, "challengeId");
-    await helper.postBusEvent(constants.Topics.ChallengeAttachmentCreated, newAttachment);
-    newAttachments.push(newAttachment);
   }
-  return newAttachments;
+  return prisma.$transaction(async (tx) => {
+    const newAttachments = [];
+    for (const attachment of attachments) {
+      _.assignIn(attachment, {
+        challengeId,
+        createdBy: userId,
+        updatedBy: userId,
+      });
+      let newAttachment = await tx.attachment.create({ data: attachment });
+      newAttachment = _.omit(newAttachment, constants.auditFields, "challengeId");
+      await helper.postBusEvent(constants.Topics.ChallengeAttachmentCreated, newAttachment, {
+        tx,
+        challengeId,
+      });
+      newAttachments.push(newAttachment);
+    }
+    return newAttachments;
+  });
 }
 
 createAttachment.schema = {
@@ -135,17 +142,20 @@ async function update(currentUser, challengeId, attachmentId, data, isFull) {
   }
   data.updatedBy = currentUser.userId;
 
-  let ret = await prisma.attachment.update({
-    data,
-    where: { id: attachmentId },
+  return prisma.$transaction(async (tx) => {
+    let ret = await tx.attachment.update({
+      data,
+      where: { id: attachmentId },
+    });
+    ret = _.omit(ret, constants.auditFields, "challengeId");
+    // post bus event
+    await helper.postBusEvent(
+      constants.Topics.ChallengeAttachmentUpdated,
+      isFull ? ret : _.assignIn({ id: attachmentId }, data),
+      { tx, challengeId },
+    );
+    return ret;
   });
-  ret = _.omit(ret, constants.auditFields, "challengeId");
-  // post bus event
-  await helper.postBusEvent(
-    constants.Topics.ChallengeAttachmentUpdated,
-    isFull ? ret : _.assignIn({ id: attachmentId }, data),
-  );
-  return ret;
 }
 
 /**
@@ -211,11 +221,16 @@ async function deleteAttachment(currentUser, challengeId, attachmentId) {
     await helper.deleteFromS3(s3UrlObject.bucket, s3UrlObject.key);
   }
 
-  let ret = await prisma.attachment.delete({ where: { id: attachmentId } });
-  ret = _.omit(ret, constants.auditFields, "challengeId");
-  // post bus event
-  await helper.postBusEvent(constants.Topics.ChallengeAttachmentDeleted, ret);
-  return ret;
+  return prisma.$transaction(async (tx) => {
+    let ret = await tx.attachment.delete({ where: { id: attachmentId } });
+    ret = _.omit(ret, constants.auditFields, "challengeId");
+    // post bus event
+    await helper.postBusEvent(constants.Topics.ChallengeAttachmentDeleted, ret, {
+      tx,
+      challengeId,
+    });
+    return ret;
+  });
 }
 
 deleteAttachment.schema = {
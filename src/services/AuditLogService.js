@@ -2,8 +2,11 @@
  * This service provides operations of audit logs.
  */
 
+const _ = require("lodash");
 const Joi = require("joi");
 const logger = require("../common/logger");
+const errors = require("../common/errors");
+const challengeService = require("./ChallengeService");
 const prisma = require("../common/prisma").getClient();
 
 /**
@@ -63,8 +66,297 @@ searchAuditLogs.schema = {
   }),
 };
 
+// audit rows of the same actor written within this window belong to the same change set
+const CHANGE_SET_WINDOW_MS = 1000;
+
+// the keys identifying the items of JSON array fields, e.g. phases by id and prize sets by type
+const ARRAY_ITEM_KEYS = ["id", "phaseId", "type", "userId", "name"];
+
+/**
+ * Parse a stored audit value, values are saved as JSON but older rows may hold plain strings.
+ * @param {String} value the stored value
+ * @returns {any} the parsed value
+ */
+function parseAuditValue(value) {
+  if (_.isNil(value)) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Get the key identifying the items of two versions of an array, if all of their items have one
+ * that is unique within each version. Prizes all of type USD, for example, have none.
+ * @param {Array} oldItems the old array items
+ * @param {Array} newItems the new array items
+ * @returns {String|undefined} the identity key
+ */
+function getArrayItemKey(oldItems, newItems) {
+  const items = oldItems.concat(newItems);
+  if (items.length === 0 || !_.every(items, _.isPlainObject)) {
+    return undefined;
+  }
+  const isUniqueKey = (versionItems, key) =>
+    _.uniqBy(versionItems, (item) => _.toString(item[key])).length === versionItems.length;
+  return _.find(
+    ARRAY_ITEM_KEYS,
+    (key) =>
+      _.every(items, (item) => !_.isNil(item[key])) &&
+      isUniqueKey(oldItems, key) &&
+      isUniqueKey(newItems, key),
+  );
+}
+
+/**
+ * Compute the structured diff of two values. Objects are compared key by key, arrays of objects
+ * item by item using their unique identity key (or position), arrays of scalars as sets.
+ * @param {any} oldValue the old value
+ * @param {any} newValue the new value
+ * @param {String} path the path of the values
+ * @returns {Array} the differences as { path, op, oldValue, newValue }
+ */
+function diffValues(oldValue, newValue, path = "") {
+  if (_.isEqual(oldValue, newValue)) {
+    return [];
+  }
+  if (_.isNil(oldValue)) {
+    return [{ path, op: "added", newValue }];
+  }
+  if (_.isNil(newValue)) {
+    return [{ path, op: "removed", oldValue }];
+  }
+  if (_.isPlainObject(oldValue) && _.isPlainObject(newValue)) {
+    return _.flatMap(_.union(_.keys(oldValue), _.keys(newValue)), (key) =>
+      diffValues(oldValue[key], newValue[key], path ? `${path}.${key}` : key),
+    );
+  }
+  if (_.isArray(oldValue) && _.isArray(newValue)) {
+    const itemKey = getArrayItemKey(oldValue, newValue);
+    if (itemKey) {
+      const oldItems = _.keyBy(oldValue, itemKey);
+      const newItems = _.keyBy(newValue, itemKey);
+      return _.flatMap(_.union(_.keys(oldItems), _.keys(newItems)), (id) =>
+        diffValues(oldItems[id], newItems[id], `${path}[${itemKey}=${id}]`),
+      );
+    }
+    if (!_.some(oldValue.concat(newValue), _.isObject)) {
+      return _.concat(
+        _.map(_.difference(newValue, oldValue), (item) => ({ path, op: "added", newValue: item })),
+        _.map(_.difference(oldValue, newValue), (item) => ({
+          path,
+          op: "removed",
+          oldValue: item,
+        })),
+      );
+    }
+    return _.flatMap(_.range(Math.max(oldValue.length, newValue.length)), (index) =>
+      diffValues(oldValue[index], newValue[index], `${path}[${index}]`),
+    );
+  }
+  return [{ path, op: "changed", oldValue, newValue }];
+}
+
+/**
+ * Make sure the challenge exists.
+ * @param {String} challengeId the challenge id
+ */
+async function ensureChallengeExists(challengeId) {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+    select: { id: true },
+  });
+  if (!challenge) {
+    throw new errors.NotFoundError(`Challenge of id ${challengeId} is not found.`);
+  }
+}
+
+/**
+ * Group audit rows, sorted by creation date, into change sets of the same actor and moment.
+ * @param {Array} logs the audit rows
+ * @returns {Array} the change sets
+ */
+function groupChangeSets(logs) {
+  const changeSets = [];
+  let current;
+  _.each(logs, (log) => {
+    const createdAt = new Date(log.createdAt);
+    if (
+      !current ||
+      current.createdBy !== log.createdBy ||
+      createdAt.getTime() - current.createdAt.getTime() > CHANGE_SET_WINDOW_MS
+    ) {
+      current = { createdBy: log.createdBy, createdAt, changes: [] };
+      changeSets.push(current);
+    }
+    const oldValue = parseAuditValue(log.oldValue);
+    const newValue = parseAuditValue(log.newValue);
+    const change = { id: log.id, fieldName: log.fieldName, oldValue, newValue };
+    if (!_.isNil(log.memberId)) {
+      change.memberId = log.memberId;
+    }
+    if (_.isObject(oldValue) || _.isObject(newValue)) {
+      change.diff = diffValues(oldValue, newValue);
+    }
+    current.changes.push(change);
+  });
+  return changeSets;
+}
+
+/**
+ * Get the change history of a challenge, newest change set first.
+ * @param {String} challengeId the challenge id
+ * @param {Object} criteria the search criteria
+ * @returns {Object} the search result
+ */
+async function getChallengeHistory(challengeId, criteria) {
+  await ensureChallengeExists(challengeId);
+  const page = criteria.page || 1;
+  const perPage = criteria.perPage || 20;
+
+  const where = { challengeId };
+  if (criteria.fieldName) {
+    where.fieldName = criteria.fieldName;
+  }
+  if (criteria.createdBy) {
+    where.createdBy = criteria.createdBy;
+  }
+  const logs = await prisma.auditLog.findMany({
+    where,
+    orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+  });
+  const changeSets = groupChangeSets(logs).reverse();
+
+  return {
+    total: changeSets.length,
+    page,
+    perPage,
+    result: changeSets.slice((page - 1) * perPage, page * perPage),
+  };
+}
+
+getChallengeHistory.schema = {
+  challengeId: Joi.id(),
+  criteria: Joi.object().keys({
+    page: Joi.page(),
+    perPage: Joi.perPage(),
+    fieldName: Joi.string(),
+    createdBy: Joi.string(),
+  }),
+};
+
+/**
+ * Reconstruct the audited fields of a challenge at a point in time. A field takes the new value
+ * of its last change before the date, or the old value of its first change after it.
+ * @param {String} challengeId the challenge id
+ * @param {Date} asOf the point in time
+ * @returns {Object} the audited field values at that time
+ */
+async function getChallengeSnapshot(challengeId, asOf) {
+  await ensureChallengeExists(challengeId);
+  const logs = await prisma.auditLog.findMany({
+    where: { challengeId },
+    orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+  });
+
+  const fields = {};
+  let lastChange;
+  _.each(_.groupBy(logs, "fieldName"), (fieldLogs, fieldName) => {
+    const before = _.findLast(fieldLogs, (log) => new Date(log.createdAt) <= asOf);
+    if (before) {
+      fields[fieldName] = parseAuditValue(before.newValue);
+      if (!lastChange || new Date(before.createdAt) > lastChange) {
+        lastChange = new Date(before.createdAt);
+      }
+    } else {
+      fields[fieldName] = parseAuditValue(fieldLogs[0].oldValue);
+    }
+  });
+
+  return { challengeId, asOf, lastChangedAt: lastChange || null, fields };
+}
+
+getChallengeSnapshot.schema = {
+  challengeId: Joi.id(),
+  asOf: Joi.date().required(),
+};
+
+/**
+ * Revert a challenge field change: re-apply the old value of an audit log entry through the
+ * regular challenge update and record the revert as a new audit log entry.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} id the audit log entry id
+ * @param {Object} data the revert options
+ * @returns {Object} the new audit log entry and the updated challenge
+ */
+async function revertAuditLog(currentUser, id, data) {
+  const entry = await prisma.auditLog.findUnique({ where: { id } });
+  if (!entry) {
+    throw new errors.NotFoundError(`AuditLog with id: ${id} doesn't exist`);
+  }
+  if (!entry.challengeId) {
+    throw new errors.BadRequestError(`AuditLog with id: ${id} is not about a challenge`);
+  }
+  const value = parseAuditValue(entry.oldValue);
+  if (_.isNil(value)) {
+    throw new errors.BadRequestError(
+      `AuditLog with id: ${id} has no previous value of ${entry.fieldName} to restore`,
+    );
+  }
+
+  const laterChanges = await prisma.auditLog.findMany({
+    where: {
+      challengeId: entry.challengeId,
+      fieldName: entry.fieldName,
+      createdAt: { gt: entry.createdAt },
+    },
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+  });
+  if (laterChanges.length > 0 && !data.force) {
+    throw new errors.ConflictError(
+      `${entry.fieldName} was changed again by ${laterChanges[0].createdBy} at ${new Date(
+        laterChanges[0].createdAt,
+      ).toISOString()}, set force to revert anyway`,
+    );
+  }
+
+  const challenge = await challengeService.updateChallenge(currentUser, entry.challengeId, {
+    [entry.fieldName]: value,
+  });
+
+  const auditLog = await prisma.auditLog.create({
+    data: {
+      challengeId: entry.challengeId,
+      fieldName: entry.fieldName,
+      oldValue: laterChanges.length > 0 ? laterChanges[0].newValue : entry.newValue,
+      newValue: entry.oldValue,
+      createdBy: _.toString(currentUser.userId || currentUser.sub),
+    },
+  });
+  logger.info(
+    `Reverted ${entry.fieldName} of challenge ${entry.challengeId} to audit log entry ${id}`,
+  );
+  return { auditLog, challenge };
+}
+
+revertAuditLog.schema = {
+  currentUser: Joi.any(),
+  id: Joi.id(),
+  data: Joi.object()
+    .keys({
+      force: Joi.boolean().default(false),
+    })
+    .default({}),
+};
+
 module.exports = {
   searchAuditLogs,
+  getChallengeHistory,
+  getChallengeSnapshot,
+  revertAuditLog,
 };
 
 logger.buildService(module.exports);
@@ -0,0 +1,229 @@
+/**
+ * This service reconciles the challenge budgets locked on a billing account with the challenges.
+ *
+ * Drafted, approved and active challenges lock their estimated member payments, markup applied,
+ * on their billing account, and finance later moves the row to consumed after payment generation.
+ * The report puts the ledger amount of each challenge of a billing account next to the amount the
+ * challenge would lock now, its winners and their prizes, and flags drift, missing locks and
+ * challenges that completed without a lock.
+ */
+const _ = require("lodash");
+const Joi = require("joi");
+const config = require("config");
+const logger = require("../common/logger");
+const errors = require("../common/errors");
+const projectHelper = require("../common/project-helper");
+const moneyHelper = require("../common/money-helper");
+const currencyHelper = require("../common/currency-helper");
+const challengeService = require("./ChallengeService");
+const { getClient, ChallengeStatusEnum } = require("../common/prisma");
+
+const prisma = getClient();
+
+// the ledger amounts keep the 4 decimal places of the lock amounts
+const LEDGER_DECIMAL_PLACES = 4;
+
+const ReconciliationFlags = {
+  DRIFT: "DRIFT",
+  MISSING_LOCK: "MISSING_LOCK",
+  COMPLETED_WITHOUT_LOCK: "COMPLETED_WITHOUT_LOCK",
+};
+
+/**
+ * Sum the ledger rows of each challenge.
+ * @param {Array<Object>} rows the ledger rows, with challengeId and amount
+ * @returns {Object} the amounts by challenge id
+ */
+function sumLedgerRows(rows) {
+  return _.mapValues(_.groupBy(rows, "challengeId"), (challengeRows) =>
+    moneyHelper.roundAmount(
+      moneyHelper.sumAmounts(_.map(challengeRows, "amount")),
+      LEDGER_DECIMAL_PLACES,
+    ),
+  );
+}
+
+/**
+ * Get the exchange rates of the prize currencies of a challenge. A challenge paying in a currency
+ * without an effective rate has no current amount rather than failing the whole report.
+ * @param {Object} challenge the challenge
+ * @returns {Promise<Object|null>} the rates by currency, null if a rate is missing
+ */
+async function getChallengeExchangeRates(challenge) {
+  try {
+    return await currencyHelper.getPrizeSetExchangeRates(challenge.prizeSets);
+  } catch (e) {
+    if (!(e instanceof errors.BadRequestError)) {
+      throw e;
+    }
+    logger.warn(`Cannot compute the current amount of challenge ${challenge.id}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get the winners of a challenge with their prizes. Placement N is paid the Nth highest prize of
+ * the prize set of the winner type.
+ * @param {Object} challenge the challenge, with prize sets and winners
+ * @param {Object|null} exchangeRates the USD exchange rates by currency
+ * @returns {Array<Object>} the winners
+ */
+function getWinnerPrizes(challenge, exchangeRates) {
+  return _.map(_.sortBy(challenge.winners, ["type", "placement"]), (winner) => {
+    const prizeSet = _.find(challenge.prizeSets, { type: winner.type });
+    const prize = _.get(prizeSet, ["prizes", winner.placement - 1]);
+    const usdAmount =
+      prize && exchangeRates
+        ? currencyHelper.convertToUsd(prize.value, prize.type, exchangeRates)
+        : null;
+    return {
+      userId: winner.userId,
+      handle: winner.handle,
+      placement: winner.placement,
+      type: winner.type,
+      prize: prize ? { type: prize.type, value: moneyHelper.toAmountNumber(prize.value) } : null,
+      usdAmount: moneyHelper.roundAmount(usdAmount),
+    };
+  });
+}
+
+/**
+ * Reconcile a challenge with the ledger of its billing account.
+ * @param {Object} challenge the challenge, with billing record, prize sets, reviewers and winners
+ * @param {Object} ledger the locked and consumed amounts by challenge id
+ * @param {Boolean} lockExpected whether the challenges of the billing account lock their budget
+ * @returns {Promise<Object>} the challenge reconciliation
+ */
+async function reconcileChallenge(challenge, ledger, lockExpected) {
+  const billing = challenge.billingRecord;
+  // the markup the budget lock is written with
+  const markup = _.get(billing, "clientBillingRate", _.get(billing, "markup"));
+  const exchangeRates = await getChallengeExchangeRates(challenge);
+  const memberPaymentAmount = exchangeRates
+    ? challengeService.getChallengeMemberPaymentAmount(challenge, exchangeRates)
+    : null;
+  const currentAmount = _.isNil(memberPaymentAmount)
+    ? null
+    : projectHelper.getBillingLockAmount(memberPaymentAmount, markup);
+
+  const lockedAmount = _.get(ledger.lockedAmounts, challenge.id, null);
+  const consumedAmount = _.get(ledger.consumedAmounts, challenge.id, null);
+  const hasLedgerRow = !_.isNil(lockedAmount) || !_.isNil(consumedAmount);
+  const drift =
+    hasLedgerRow && !_.isNil(currentAmount)
+      ? moneyHelper.roundAmount(
+          moneyHelper.sumAmounts([lockedAmount, consumedAmount]).minus(currentAmount),
+          LEDGER_DECIMAL_PLACES,
+        )
+      : null;
+
+  const flags = [];
+  if (!_.isNil(drift) && Math.abs(drift) > config.BILLING_RECONCILIATION_DRIFT_TOLERANCE) {
+    flags.push(ReconciliationFlags.DRIFT);
+  }
+  if (lockExpected && !hasLedgerRow) {
+    if (challenge.status === ChallengeStatusEnum.COMPLETED) {
+      flags.push(ReconciliationFlags.COMPLETED_WITHOUT_LOCK);
+    } else if (challengeService.isChallengeBillingLockStatus(challenge.status)) {
+      flags.push(ReconciliationFlags.MISSING_LOCK);
+    }
+  }
+
+  const winners = getWinnerPrizes(challenge, exchangeRates);
+  return {
+    challengeId: challenge.id,
+    name: challenge.name,
+    status: challenge.status,
+    projectId: challenge.projectId,
+    startDate: challenge.startDate,
+    endDate: challenge.endDate,
+    markup: moneyHelper.toAmountNumber(markup),
+    memberPaymentAmount,
+    currentAmount,
+    lockedAmount,
+    consumedAmount,
+    drift,
+    winners,
+    winnerPrizeAmount: moneyHelper.roundAmount(moneyHelper.sumAmounts(_.map(winners, "usdAmount"))),
+    flags,
+  };
+}
+
+/**
+ * Reconcile the budgets locked on a billing account with its challenges running in a date range,
+ * those that started by the end of the range and had not ended by its start.
+ * @param {String} billingAccountId the billing account id
+ * @param {Object} criteria the date range
+ * @returns {Promise<Object>} the reconciliation report
+ */
+async function getBillingAccountReconciliation(billingAccountId, criteria) {
+  const ledger = await projectHelper.getBillingAccountLedger(billingAccountId);
+  if (!ledger) {
+    throw new errors.NotFoundError(`Billing account with id: ${billingAccountId} doesn't exist`);
+  }
+  const ledgerAmounts = {
+    lockedAmounts: sumLedgerRows(ledger.lockedAmounts),
+    consumedAmounts: sumLedgerRows(ledger.consumedAmounts),
+  };
+  // the budget lock is skipped for the billing accounts that bypass the funds validation
+  const lockExpected =
+    !challengeService.shouldIgnoreChallengeActivationBillingValidation(billingAccountId);
+
+  const challenges = await prisma.challenge.findMany({
+    where: {
+      billingRecord: { is: { billingAccountId } },
+      startDate: { lte: criteria.endDate },
+      OR: [{ endDate: null }, { endDate: { gte: criteria.startDate } }],
+    },
+    include: {
+      billingRecord: true,
+      prizeSets: { include: { prizes: { orderBy: { value: "desc" } } } },
+      reviewers: true,
+      winners: true,
+    },
+    orderBy: [{ startDate: "asc" }, { id: "asc" }],
+  });
+
+  const result = [];
+  for (const challenge of challenges) {
+    result.push(await reconcileChallenge(challenge, ledgerAmounts, lockExpected));
+  }
+
+  const sumOf = (field) =>
+    moneyHelper.roundAmount(moneyHelper.sumAmounts(_.map(result, field)), LEDGER_DECIMAL_PLACES);
+  return {
+    billingAccountId,
+    startDate: criteria.startDate,
+    endDate: criteria.endDate,
+    lockExpected,
+    summary: {
+      challengesCount: result.length,
+      currentAmount: sumOf("currentAmount"),
+      lockedAmount: sumOf("lockedAmount"),
+      consumedAmount: sumOf("consumedAmount"),
+      winnerPrizeAmount: sumOf("winnerPrizeAmount"),
+      flags: _.mapValues(
+        ReconciliationFlags,
+        (flag) => _.filter(result, (c) => _.includes(c.flags, flag)).length,
+      ),
+    },
+    challenges: result,
+  };
+}
+
+getBillingAccountReconciliation.schema = {
+  billingAccountId: Joi.string().trim().required(),
+  criteria: Joi.object()
+    .keys({
+      startDate: Joi.date().required(),
+      endDate: Joi.date().min(Joi.ref("startDate")).required(),
+    })
+    .required(),
+};
+
+module.exports = {
+  ReconciliationFlags,
+  getBillingAccountReconciliation,
+};
+
+logger.buildService(module.exports);
@@ -0,0 +1,406 @@
+/**
+ * This service provides operations of challenge budget approval requests.
+ *
+ * A request routes the challenge budget through the approval levels its billing account and
+ * member payment amount require, for example a project manager and, above a threshold, finance.
+ * The levels are decided in order and every decision is kept as a step of the request, so the
+ * request doubles as the approval history. The challenge approval status follows the latest
+ * request: pending until its last level approves, rejected as soon as one level rejects. The
+ * member who created a request can't decide on any of its levels.
+ */
+const _ = require("lodash");
+const Joi = require("joi");
+const logger = require("../common/logger");
+const errors = require("../common/errors");
+const helper = require("../common/helper");
+const projectHelper = require("../common/project-helper");
+const challengeHelper = require("../common/challenge-helper");
+const moneyHelper = require("../common/money-helper");
+const currencyHelper = require("../common/currency-helper");
+const {
+  CHALLENGE_APPROVAL_STATUS,
+  APPROVAL_REQUEST_STATUS,
+  APPROVAL_STEP_STATUS,
+  getApprovalLevels,
+  canApproveLevel,
+} = require("../common/challenge-approval-helper");
+const challengeService = require("./ChallengeService");
+const { getClient, ChallengeStatusEnum } = require("../common/prisma");
+
+const prisma = getClient();
+
+// Challenges whose budget can no longer be approved
+const CLOSED_CHALLENGE_STATUSES = [ChallengeStatusEnum.COMPLETED, ChallengeStatusEnum.DELETED];
+
+/**
+ * Get the challenge with the fields the member payment amount is computed from.
+ * @param {String} challengeId the challenge id
+ * @returns {Promise<Object>} the challenge
+ * @throws not found error if the challenge does not exist
+ */
+async function getApprovalChallenge(challengeId) {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+    include: {
+      billingRecord: true,
+      prizeSets: { include: { prizes: true } },
+      reviewers: true,
+    },
+  });
+  if (!challenge) {
+    throw new errors.NotFoundError(`Challenge with id: ${challengeId} doesn't exist`);
+  }
+  return challenge;
+}
+
+/**
+ * Get the billing account an approval request of the challenge is routed by, the project one
+ * taking precedence like in challenge updates.
+ * @param {Object} challenge the challenge
+ * @returns {Promise<String|null>} the billing account id
+ */
+async function getApprovalBillingAccountId(challenge) {
+  let projectBillingAccountId;
+  if (challengeHelper.isProjectIdRequired(challenge.timelineTemplateId)) {
+    ({ billingAccountId: projectBillingAccountId } =
+      await projectHelper.getProjectBillingInformation(challenge.projectId));
+  }
+  return challengeService.getApprovalFlowBillingAccountId(challenge, null, projectBillingAccountId);
+}
+
+/**
+ * Check the current user can see the approval requests of a challenge: the users who can modify
+ * the challenge, and the approvers of a level of one of the requests.
+ * @param {Object} currentUser the user who perform operation
+ * @param {Object} challenge the challenge
+ * @param {Array<Object>} approvalRequests the approval requests of the challenge
+ * @throws forbidden error if the user can't see the approval requests
+ */
+async function ensureCanViewApprovals(currentUser, challenge, approvalRequests) {
+  try {
+    await helper.ensureUserCanModifyChallenge(currentUser, challenge);
+  } catch (e) {
+    if (e.name !== "ForbiddenError") {
+      throw e;
+    }
+    for (const level of _.uniqBy(_.flatMap(approvalRequests, "levels"), "name")) {
+      if (await canApproveLevel(currentUser, challenge.projectId, level)) {
+        return;
+      }
+    }
+    throw e;
+  }
+}
+
+/**
+ * Convert an approval request to its response, with the steps in level order.
+ * @param {Object} approvalRequest the approval request with its steps
+ * @returns {Object} the approval request response
+ */
+function toApprovalResponse(approvalRequest) {
+  return {
+    ..._.omit(approvalRequest, ["steps"]),
+    amount: moneyHelper.toAmountNumber(approvalRequest.amount),
+    steps: _.map(_.sortBy(approvalRequest.steps, "level"), (step) => _.omit(step, ["requestId"])),
+  };
+}
+
+/**
+ * Get the approval requests of a challenge, latest first.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} challengeId the challenge id
+ * @returns {Promise<Array<Object>>} the approval requests with their steps
+ */
+async function getChallengeApprovals(currentUser, challengeId) {
+  const challenge = await getApprovalChallenge(challengeId);
+  const approvalRequests = await prisma.challengeApprovalRequest.findMany({
+    where: { challengeId },
+    orderBy: { createdAt: "desc" },
+    include: { steps: true },
+  });
+  await ensureCanViewApprovals(currentUser, challenge, approvalRequests);
+  return _.map(approvalRequests, toApprovalResponse);
+}
+
+getChallengeApprovals.schema = {
+  currentUser: Joi.any(),
+  challengeId: Joi.id(),
+};
+
+/**
+ * Get an approval request of a challenge.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} challengeId the challenge id
+ * @param {String} approvalId the approval request id
+ * @returns {Promise<Object>} the approval request with its steps
+ */
+async function getChallengeApproval(currentUser, challengeId, approvalId) {
+  const challenge = await getApprovalChallenge(challengeId);
+  const approvalRequest = await prisma.challengeApprovalRequest.findUnique({
+    where: { id: approvalId },
+    include: { steps: true },
+  });
+  if (!approvalRequest || approvalRequest.challengeId !== challengeId) {
+    throw new errors.NotFoundError(
+      `Approval request ${approvalId} not found in challenge ${challengeId}`,
+    );
+  }
+  await ensureCanViewApprovals(currentUser, challenge, [approvalRequest]);
+  return toApprovalResponse(approvalRequest);
+}
+
+getChallengeApproval.schema = {
+  currentUser: Joi.any(),
+  challengeId: Joi.id(),
+  approvalId: Joi.id(),
+};
+
+/**
+ * Request the budget approval of a challenge. The levels are routed by the billing account and
+ * current member payment amount of the challenge, and the pending request of the challenge, if
+ * any, is cancelled.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} challengeId the challenge id
+ * @param {Object} data the request data
+ * @returns {Promise<Object>} the created approval request
+ */
+async function createChallengeApproval(currentUser, challengeId, data) {
+  const challenge = await getApprovalChallenge(challengeId);
+  await helper.ensureUserCanModifyChallenge(currentUser, challenge);
+  if (
+    _.includes(CLOSED_CHALLENGE_STATUSES, challenge.status) ||
+    _.startsWith(challenge.status, ChallengeStatusEnum.CANCELLED)
+  ) {
+    throw new errors.BadRequestError(
+      `Budget approval can't be requested for a ${challenge.status} challenge.`,
+    );
+  }
+
+  const billingAccountId = await getApprovalBillingAccountId(challenge);
+  if (challengeService.shouldSkipChallengeApprovalFlow(billingAccountId)) {
+    throw new errors.BadRequestError(
+      `Challenges of billing account ${billingAccountId} don't need budget approval.`,
+    );
+  }
+  const amount = challengeService.getChallengeMemberPaymentAmount(
+    challenge,
+    await currencyHelper.getPrizeSetExchangeRates(challenge.prizeSets),
+  );
+  if (_.isNil(amount)) {
+    throw new errors.BadRequestError("The challenge has no member payment amount to approve.");
+  }
+  const levels = getApprovalLevels(billingAccountId, amount);
+  if (_.isEmpty(levels)) {
+    throw new errors.BadRequestError(
+      `No approval level is configured for a budget of ${amount} on billing account ${billingAccountId}.`,
+    );
+  }
+
+  const userId = helper.getCallerId(currentUser);
+  const approvalRequest = await prisma.$transaction(async (tx) => {
+    await tx.challengeApprovalRequest.updateMany({
+      where: { challengeId, status: APPROVAL_REQUEST_STATUS.PENDING },
+      data: { status: APPROVAL_REQUEST_STATUS.CANCELLED, updatedBy: userId },
+    });
+    const created = await tx.challengeApprovalRequest.create({
+      data: {
+        challengeId,
+        amount,
+        billingAccountId,
+        levels,
+        comment: data.comment,
+        createdBy: userId,
+        updatedBy: userId,
+        steps: { create: [{ level: 0, name: levels[0].name }] },
+      },
+      include: { steps: true },
+    });
+    await tx.challenge.update({
+      where: { id: challengeId },
+      data: {
+        approvalStatus: CHALLENGE_APPROVAL_STATUS.PENDING_APPROVAL,
+        approvalApprovedBy: null,
+        approvalRejectionReason: null,
+        updatedBy: userId,
+      },
+    });
+    return created;
+  });
+  return toApprovalResponse(approvalRequest);
+}
+
+createChallengeApproval.schema = {
+  currentUser: Joi.any(),
+  challengeId: Joi.id(),
+  data: Joi.object()
+    .keys({
+      comment: Joi.string().trim().max(2000),
+    })
+    .default({}),
+};
+
+/**
+ * Decide on the current level of a pending approval request, by an approver of the level other
+ * than the member who created the request.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} challengeId the challenge id
+ * @param {String} approvalId the approval request id
+ * @param {String} status the decision, APPROVED or REJECTED
+ * @param {String} comment the comment of the decision
+ * @returns {Promise<Object>} the updated approval request
+ */
+async function decideChallengeApproval(currentUser, challengeId, approvalId, status, comment) {
+  const challenge = await getApprovalChallenge(challengeId);
+  const approvalRequest = await prisma.challengeApprovalRequest.findUnique({
+    where: { id: approvalId },
+  });
+  if (!approvalRequest || approvalRequest.challengeId !== challengeId) {
+    throw new errors.NotFoundError(
+      `Approval request ${approvalId} not found in challenge ${challengeId}`,
+    );
+  }
+  if (approvalRequest.status !== APPROVAL_REQUEST_STATUS.PENDING) {
+    throw new errors.BadRequestError(
+      `Approval request ${approvalId} is ${approvalRequest.status} and can't be decided.`,
+    );
+  }
+  const { currentLevel, levels } = approvalRequest;
+  const level = levels[currentLevel];
+  if (!(await canApproveLevel(currentUser, challenge.projectId, level))) {
+    throw new errors.ForbiddenError(
+      `Only ${level.name} approvers can decide on step ${currentLevel + 1} of the approval request.`,
+    );
+  }
+  const userId = helper.getCallerId(currentUser);
+  if (approvalRequest.createdBy === userId) {
+    throw new errors.ForbiddenError(
+      `Approval request ${approvalId} can't be decided by the member who created it.`,
+    );
+  }
+  if (status === APPROVAL_STEP_STATUS.REJECTED && !comment) {
+    throw new errors.BadRequestError("Comment is required when rejecting a challenge budget.");
+  }
+
+  const actedBy = _.toString(currentUser.handle || "").trim() || userId;
+  const nextLevel = status === APPROVAL_STEP_STATUS.APPROVED ? currentLevel + 1 : null;
+  const isFinal = _.isNil(nextLevel) || nextLevel >= levels.length;
+  const requestData = isFinal
+    ? { status: APPROVAL_REQUEST_STATUS[status], updatedBy: userId }
+    : { currentLevel: nextLevel, updatedBy: userId };
+
+  const updated = await prisma.$transaction(async (tx) => {
+    // guards against a concurrent decision or a new request since the request was read
+    const { count } = await tx.challengeApprovalRequest.updateMany({
+      where: { id: approvalId, status: APPROVAL_REQUEST_STATUS.PENDING, currentLevel },
+      data: requestData,
+    });
+    if (count === 0) {
+      throw new errors.ConflictError(
+        `Approval request ${approvalId} was changed meanwhile, please reload it.`,
+      );
+    }
+    await tx.challengeApprovalStep.update({
+      where: { requestId_level: { requestId: approvalId, level: currentLevel } },
+      data: { status, comment, actedAt: new Date(), actedBy },
+    });
+    if (!isFinal) {
+      await tx.challengeApprovalStep.create({
+        data: { requestId: approvalId, level: nextLevel, name: levels[nextLevel].name },
+      });
+    } else if (status === APPROVAL_STEP_STATUS.APPROVED) {
+      await tx.challenge.update({
+        where: { id: challengeId },
+        data: {
+          approvalStatus: CHALLENGE_APPROVAL_STATUS.APPROVED,
+          approvalApprovedBy: actedBy,
+          approvalRejectionReason: null,
+          updatedBy: userId,
+        },
+      });
+    } else {
+      await tx.challenge.update({
+        where: { id: challengeId },
+        data: {
+          approvalStatus: CHALLENGE_APPROVAL_STATUS.REJECTED,
+          approvalApprovedBy: null,
+          approvalRejectionReason: comment,
+          updatedBy: userId,
+        },
+      });
+    }
+    return tx.challengeApprovalRequest.findUnique({
+      where: { id: approvalId },
+      include: { steps: true },
+    });
+  });
+  return toApprovalResponse(updated);
+}
+
+/**
+ * Approve the current level of an approval request. Approving the last level approves the
+ * challenge budget, otherwise the next level is requested.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} challengeId the challenge id
+ * @param {String} approvalId the approval request id
+ * @param {Object} data the decision data
+ * @returns {Promise<Object>} the updated approval request
+ */
+async function approveChallengeApproval(currentUser, challengeId, approvalId, data) {
+  return decideChallengeApproval(
+    currentUser,
+    challengeId,
+    approvalId,
+    APPROVAL_STEP_STATUS.APPROVED,
+    data.comment,
+  );
+}
+
+approveChallengeApproval.schema = {
+  currentUser: Joi.any(),
+  challengeId: Joi.id(),
+  approvalId: Joi.id(),
+  data: Joi.object()
+    .keys({
+      comment: Joi.string().trim().max(2000),
+    })
+    .default({}),
+};
+
+/**
+ * Reject the current level of an approval request, which rejects the challenge budget.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} challengeId the challenge id
+ * @param {String} approvalId the approval request id
+ * @param {Object} data the decision data, the comment is the rejection reason
+ * @returns {Promise<Object>} the updated approval request
+ */
+async function rejectChallengeApproval(currentUser, challengeId, approvalId, data) {
+  return decideChallengeApproval(
+    currentUser,
+    challengeId,
+    approvalId,
+    APPROVAL_STEP_STATUS.REJECTED,
+    data.comment,
+  );
+}
+
+rejectChallengeApproval.schema = {
+  currentUser: Joi.any(),
+  challengeId: Joi.id(),
+  approvalId: Joi.id(),
+  data: Joi.object()
+    .keys({
+      comment: Joi.string().trim().max(2000).required(),
+    })
+    .required(),
+};
+
+module.exports = {
+  getChallengeApprovals,
+  getChallengeApproval,
+  createChallengeApproval,
+  approveChallengeApproval,
+  rejectChallengeApproval,
+};
+
+logger.buildService(module.exports);
@@ -0,0 +1,266 @@
+/**
+ * This service applies one operation to many challenges.
+ *
+ * Every challenge is updated through ChallengeService.updateChallenge, so the regular
+ * validations, audit logs and bus events apply, and the outcome is reported per challenge.
+ */
+const _ = require("lodash");
+const Joi = require("joi");
+const Bluebird = require("bluebird");
+const config = require("config");
+const HttpStatus = require("http-status-codes");
+const logger = require("../common/logger");
+const errors = require("../common/errors");
+const { ChallengeStatusEnum } = require("../common/prisma");
+const challengeService = require("./ChallengeService");
+
+const CANCELLED_STATUSES = _.filter(_.values(ChallengeStatusEnum), (status) =>
+  _.startsWith(status, ChallengeStatusEnum.CANCELLED),
+);
+
+const BulkOperationTypes = {
+  CANCEL: "cancel",
+  SET_TAGS: "setTags",
+  ADD_TAGS: "addTags",
+  REMOVE_TAGS: "removeTags",
+  SET_GROUPS: "setGroups",
+  ADD_GROUPS: "addGroups",
+  REMOVE_GROUPS: "removeGroups",
+  SHIFT_DATES: "shiftDates",
+};
+
+/**
+ * Shift a date by a number of seconds.
+ * @param {String|Date} date the date
+ * @param {Number} seconds the seconds to shift by
+ * @returns {String} the shifted date in ISO format
+ */
+function shiftDate(date, seconds) {
+  return new Date(new Date(date).getTime() + seconds * 1000).toISOString();
+}
+
+/**
+ * Build the updateChallenge payload of an operation for a challenge.
+ * @param {Object} challenge the challenge
+ * @param {Object} operation the operation
+ * @returns {Object|null} the update payload, null if the challenge already matches
+ */
+function buildUpdateData(challenge, operation) {
+  const tags = challenge.tags || [];
+  const groups = challenge.groups || [];
+  let data;
+  switch (operation.type) {
+    case BulkOperationTypes.CANCEL:
+      if (challenge.status === operation.status) {
+        return null;
+      }
+      return _.pickBy(
+        { status: operation.status, cancelReason: operation.cancelReason },
+        _.negate(_.isUndefined),
+      );
+    case BulkOperationTypes.SET_TAGS:
+      data = { tags: _.uniq(operation.tags) };
+      break;
+    case BulkOperationTypes.ADD_TAGS:
+      data = { tags: _.union(tags, operation.tags) };
+      break;
+    case BulkOperationTypes.REMOVE_TAGS:
+      data = { tags: _.difference(tags, operation.tags) };
+      break;
+    case BulkOperationTypes.SET_GROUPS:
+      data = { groups: _.uniq(operation.groups) };
+      break;
+    case BulkOperationTypes.ADD_GROUPS:
+      data = { groups: _.union(groups, operation.groups) };
+      break;
+    case BulkOperationTypes.REMOVE_GROUPS:
+      data = { groups: _.difference(groups, operation.groups) };
+      break;
+    case BulkOperationTypes.SHIFT_DATES: {
+      // Phases that already started keep their dates, the remaining ones follow their predecessors
+      const phases = _.filter(challenge.phases, (phase) => _.isNil(phase.actualStartDate));
+      if (phases.length === 0) {
+        throw new errors.BadRequestError(
+          `Challenge with id: ${challenge.id} has no phases left to shift`,
+        );
+      }
+      return {
+        phases: _.map(phases, (phase) => ({
+          id: phase.id,
+          phaseId: phase.phaseId,
+          scheduledStartDate: shiftDate(phase.scheduledStartDate, operation.seconds),
+          scheduledEndDate: shiftDate(phase.scheduledEndDate, operation.seconds),
+        })),
+      };
+    }
+    default:
+      throw new errors.BadRequestError(`Unsupported bulk operation ${operation.type}`);
+  }
+  const [field] = Object.keys(data);
+  const current = field === "tags" ? tags : groups;
+  if (_.isEqual(_.sortBy(current), _.sortBy(data[field]))) {
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Resolve the ids of the challenges matching a search criteria.
+ * @param {Object} currentUser the user who perform operation
+ * @param {Object} criteria the searchChallenges criteria
+ * @returns {Promise<Array<String>>} the challenge ids
+ */
+async function findChallengeIds(currentUser, criteria) {
+  const maxItems = config.BULK_CHALLENGE_OPERATION_MAX_ITEMS;
+  const perPage = 100;
+  const ids = [];
+  for (let page = 1; ; page += 1) {
+    const { total, result } = await challengeService.searchChallenges(currentUser, {
+      ..._.omit(criteria, ["page", "perPage"]),
+      page,
+      perPage,
+    });
+    if (total > maxItems) {
+      throw new errors.BadRequestError(
+        `The criteria match ${total} challenges, at most ${maxItems} can be updated at once`,
+      );
+    }
+    ids.push(..._.map(result, "id"));
+    if (result.length < perPage || ids.length >= total) {
+      break;
+    }
+  }
+  return _.uniq(ids);
+}
+
+/**
+ * Apply the operation to one challenge and report the outcome instead of throwing.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} challengeId the challenge id
+ * @param {Object} operation the operation
+ * @param {Boolean} dryRun whether to only report the update payload
+ * @returns {Promise<Object>} the result of the challenge
+ */
+async function applyOperation(currentUser, challengeId, operation, dryRun) {
+  try {
+    const challenge = await challengeService.getChallenge(currentUser, challengeId);
+    const data = buildUpdateData(challenge, operation);
+    if (_.isNil(data)) {
+      return { challengeId, success: true, changed: false };
+    }
+    if (dryRun) {
+      return { challengeId, success: true, changed: true, data };
+    }
+    const updated = await challengeService.updateChallenge(currentUser, challengeId, data);
+    return { challengeId, success: true, changed: true, status: updated.status };
+  } catch (err) {
+    logger.warn(`Bulk ${operation.type} of challenge ${challengeId} failed: ${err.message}`);
+    return {
+      challengeId,
+      success: false,
+      error: {
+        status: err.isJoi
+          ? HttpStatus.BAD_REQUEST
+          : err.httpStatus || HttpStatus.INTERNAL_SERVER_ERROR,
+        message: err.message,
+      },
+    };
+  }
+}
+
+/**
+ * Apply one operation to a list of challenges, or to the challenges matching a search criteria.
+ * @param {Object} currentUser the user who perform operation
+ * @param {Object} data the bulk request
+ * @returns {Promise<Object>} the per challenge results with success/failure totals
+ */
+async function bulkUpdateChallenges(currentUser, data) {
+  const challengeIds = data.criteria
+    ? await findChallengeIds(currentUser, data.criteria)
+    : _.uniq(data.challengeIds);
+  const concurrency = Math.min(data.concurrency, config.BULK_CHALLENGE_OPERATION_MAX_CONCURRENCY);
+
+  logger.info(
+    `Bulk ${data.operation.type} of ${challengeIds.length} challenges (dryRun=${data.dryRun}, concurrency=${concurrency})`,
+  );
+  const results = await Bluebird.map(
+    challengeIds,
+    (challengeId) => applyOperation(currentUser, challengeId, data.operation, data.dryRun),
+    { concurrency },
+  );
+
+  return {
+    dryRun: data.dryRun,
+    operation: data.operation,
+    total: results.length,
+    succeeded: _.filter(results, "success").length,
+    failed: _.reject(results, "success").length,
+    results,
+  };
+}
+
+bulkUpdateChallenges.schema = {
+  currentUser: Joi.any(),
+  data: Joi.object()
+    .keys({
+      challengeIds: Joi.array()
+        .items(Joi.id())
+        .unique()
+        .min(1)
+        .max(config.BULK_CHALLENGE_OPERATION_MAX_ITEMS),
+      criteria: Joi.object().unknown(true),
+      operation: Joi.object()
+        .keys({
+          type: Joi.string()
+            .valid(..._.values(BulkOperationTypes))
+            .required(),
+          status: Joi.when("type", {
+            is: BulkOperationTypes.CANCEL,
+            then: Joi.string()
+              .valid(...CANCELLED_STATUSES)
+              .insensitive()
+              .default(ChallengeStatusEnum.CANCELLED),
+            otherwise: Joi.forbidden(),
+          }),
+          cancelReason: Joi.when("type", {
+            is: BulkOperationTypes.CANCEL,
+            then: Joi.string(),
+            otherwise: Joi.forbidden(),
+          }),
+          tags: Joi.when("type", {
+            is: Joi.valid(
+              BulkOperationTypes.SET_TAGS,
+              BulkOperationTypes.ADD_TAGS,
+              BulkOperationTypes.REMOVE_TAGS,
+            ),
+            then: Joi.array().items(Joi.string()).min(1).required(),
+            otherwise: Joi.forbidden(),
+          }),
+          groups: Joi.when("type", {
+            is: Joi.valid(
+              BulkOperationTypes.SET_GROUPS,
+              BulkOperationTypes.ADD_GROUPS,
+              BulkOperationTypes.REMOVE_GROUPS,
+            ),
+            then: Joi.array().items(Joi.optionalId()).unique().required(),
+            otherwise: Joi.forbidden(),
+          }),
+          seconds: Joi.when("type", {
+            is: BulkOperationTypes.SHIFT_DATES,
+            then: Joi.number().integer().invalid(0).required(),
+            otherwise: Joi.forbidden(),
+          }),
+        })
+        .required(),
+      dryRun: Joi.boolean().default(false),
+      concurrency: Joi.number().integer().min(1).default(5),
+    })
+    .xor("challengeIds", "criteria")
+    .required(),
+};
+
+module.exports = {
+  bulkUpdateChallenges,
+};
+
+logger.buildService(module.exports);
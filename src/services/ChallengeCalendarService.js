@@ -0,0 +1,386 @@
+/**
+ * This service provides the iCalendar feeds of the challenge phases, per project, track and member.
+ *
+ * Challenges are read through ChallengeService.searchChallenges, so a feed shows the challenges its
+ * reader could find with a search. Calendar applications can't send a JWT: a feed is read
+ * anonymously, or as the member owning the revocable signed feed token given in `feedToken`, with
+ * the roles the member has when the feed is read.
+ */
+const _ = require("lodash");
+const Joi = require("joi");
+const crypto = require("crypto");
+const config = require("config");
+const logger = require("../common/logger");
+const errors = require("../common/errors");
+const helper = require("../common/helper");
+const { hasAdminRole } = require("../common/role-helper");
+const challengeService = require("./ChallengeService");
+const challengeTrackService = require("./ChallengeTrackService");
+
+const prisma = require("../common/prisma").getClient();
+
+const CALENDAR_PAGE_SIZE = 100;
+const PRODUCT_ID = "-//Topcoder//Challenge API//EN";
+const UID_DOMAIN = "challenges.topcoder.com";
+const TOKEN_FIELDS = ["id", "name", "lastUsedAt", "revokedAt", "createdAt"];
+
+/**
+ * Sign a calendar feed token id.
+ * @param {String} id the token id
+ * @returns {String} the signature
+ */
+function sign(id) {
+  return crypto
+    .createHmac("sha256", config.CALENDAR_FEED.TOKEN_SECRET)
+    .update(id)
+    .digest("base64url");
+}
+
+/**
+ * Get the value of a calendar feed token, the token id with its signature.
+ * @param {Object} record the calendar feed token record
+ * @returns {String} the token
+ */
+function getTokenValue(record) {
+  return `${record.id}.${sign(record.id)}`;
+}
+
+/**
+ * Convert a calendar feed token record to the response.
+ * @param {Object} record the calendar feed token record
+ * @returns {Object} the calendar feed token with its value
+ */
+function toResponse(record) {
+  return {
+    ..._.pick(record, TOKEN_FIELDS),
+    token: getTokenValue(record),
+  };
+}
+
+/**
+ * Get the member id of the current user.
+ * @param {Object} currentUser the user who perform operation
+ * @returns {String} the member id
+ */
+function getUserId(currentUser) {
+  if (_.isNil(currentUser.userId) || currentUser.isMachine) {
+    throw new errors.ForbiddenError("Calendar feed tokens are only available to members");
+  }
+  return _.toString(currentUser.userId);
+}
+
+/**
+ * Get the user reading a feed: the owner of the feed token, or the caller when no token is given.
+ * @param {Object} currentUser the caller, if authenticated
+ * @param {String} feedToken the calendar feed token
+ * @returns {Promise<Object>} the feed reader, undefined for anonymous feeds
+ */
+async function getFeedUser(currentUser, feedToken) {
+  if (!feedToken) {
+    return currentUser;
+  }
+  const [id, signature] = feedToken.split(".");
+  const expected = sign(id || "");
+  if (
+    !signature ||
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    throw new errors.UnauthorizedError("Invalid calendar feed token");
+  }
+  const record = await prisma.calendarFeedToken.findUnique({ where: { id } });
+  if (!record || record.revokedAt) {
+    throw new errors.UnauthorizedError("The calendar feed token is revoked");
+  }
+  await prisma.calendarFeedToken.update({ where: { id }, data: { lastUsedAt: new Date() } });
+  const roles = await helper.getUserRoles(record.userId);
+  return { userId: record.userId, handle: record.handle, roles };
+}
+
+/**
+ * Escape an iCalendar text value.
+ * @param {String} value the text
+ * @returns {String} the escaped text
+ */
+function escapeText(value) {
+  return _.toString(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/([;,])/g, "\\$1")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold an iCalendar content line in lines of at most 75 octets.
+ * @param {String} line the content line
+ * @returns {String} the folded line
+ */
+function foldLine(line) {
+  const parts = [];
+  let part = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(part);
+      part = "";
+      octets = 0;
+    }
+    part += char;
+    octets += size;
+  }
+  parts.push(part);
+  return parts.join("\r\n ");
+}
+
+/**
+ * Format a date as an iCalendar UTC date-time.
+ * @param {Date|String} value the date
+ * @returns {String} the date-time
+ */
+function formatDate(value) {
+  return new Date(value)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+/**
+ * Build the event of a challenge phase. Closed phases show when they actually ran.
+ * @param {Object} challenge the challenge
+ * @param {Object} phase the challenge phase
+ * @param {String} stamp the time the feed is generated
+ * @returns {Array<String>} the event lines, empty when the phase isn't scheduled
+ */
+function buildPhaseEvent(challenge, phase, stamp) {
+  const isClosed = !phase.isOpen && !_.isNil(phase.actualEndDate);
+  const start = isClosed
+    ? phase.actualStartDate || phase.scheduledStartDate
+    : phase.scheduledStartDate;
+  const end = isClosed ? phase.actualEndDate : phase.scheduledEndDate;
+  if (!start || !end) {
+    return [];
+  }
+  const url = `${config.CHALLENGE_URL}/${challenge.id}`;
+  return [
+    "BEGIN:VEVENT",
+    `UID:${phase.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(`${challenge.name} - ${phase.name}`)}`,
+    `DESCRIPTION:${escapeText(`${phase.name} of ${challenge.name}\n${url}`)}`,
+    `URL:${url}`,
+    `CATEGORIES:${escapeText(_.get(challenge, "track.name", challenge.track) || "Challenge")}`,
+    `STATUS:${_.startsWith(challenge.status, "CANCELLED") ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT",
+  ];
+}
+
+/**
+ * Build an iCalendar document with the phases of the challenges.
+ * @param {String} name the calendar name
+ * @param {Array<Object>} challenges the challenges
+ * @returns {String} the iCalendar document
+ */
+function buildCalendar(name, challenges) {
+  const stamp = formatDate(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ..._.flatMap(challenges, (challenge) =>
+      _.flatMap(challenge.phases, (phase) => buildPhaseEvent(challenge, phase, stamp)),
+    ),
+    "END:VCALENDAR",
+  ];
+  return `${_.map(lines, foldLine).join("\r\n")}\r\n`;
+}
+
+/**
+ * Load the challenges of a feed, page after page, up to the configured maximum.
+ * @param {Object} feedUser the feed reader
+ * @param {Object} criteria the searchChallenges criteria
+ * @returns {Promise<Array<Object>>} the challenges
+ */
+async function getFeedChallenges(feedUser, criteria) {
+  const endDateStart = new Date(Date.now() - config.CALENDAR_FEED.PAST_DAYS * 24 * 60 * 60 * 1000);
+  const challenges = [];
+  for (let page = 1; challenges.length < config.CALENDAR_FEED.MAX_CHALLENGES; page += 1) {
+    const { result } = await challengeService.searchChallenges(feedUser, {
+      ...criteria,
+      endDateStart,
+      page,
+      perPage: CALENDAR_PAGE_SIZE,
+      includeTotal: false,
+    });
+    challenges.push(...result);
+    if (result.length < CALENDAR_PAGE_SIZE) {
+      break;
+    }
+  }
+  return _.take(challenges, config.CALENDAR_FEED.MAX_CHALLENGES);
+}
+
+/**
+ * Get the calendar of the challenge phases of a project.
+ * @param {Object} currentUser the user who perform operation
+ * @param {Number} projectId the project id
+ * @param {Object} criteria the feed options
+ * @returns {Promise<String>} the iCalendar document
+ */
+async function getProjectCalendar(currentUser, projectId, criteria) {
+  const feedUser = await getFeedUser(currentUser, criteria.feedToken);
+  const challenges = await getFeedChallenges(feedUser, { projectId });
+  return buildCalendar(`Topcoder project ${projectId} challenges`, challenges);
+}
+
+const feedCriteriaSchema = Joi.object()
+  .keys({
+    feedToken: Joi.string(),
+  })
+  .default({});
+
+getProjectCalendar.schema = {
+  currentUser: Joi.any(),
+  projectId: Joi.number().integer().positive().required(),
+  criteria: feedCriteriaSchema,
+};
+
+/**
+ * Get the calendar of the challenge phases of a track.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} trackId the challenge track id
+ * @param {Object} criteria the feed options
+ * @returns {Promise<String>} the iCalendar document
+ */
+async function getTrackCalendar(currentUser, trackId, criteria) {
+  const track = await challengeTrackService.getChallengeTrack(trackId);
+  const feedUser = await getFeedUser(currentUser, criteria.feedToken);
+  const challenges = await getFeedChallenges(feedUser, { trackId });
+  return buildCalendar(`Topcoder ${track.name} challenges`, challenges);
+}
+
+getTrackCalendar.schema = {
+  currentUser: Joi.any(),
+  trackId: Joi.id(),
+  criteria: feedCriteriaSchema,
+};
+
+/**
+ * Get the calendar of the challenge phases of the challenges a member is registered on. The feed
+ * is private: only the member, or an admin, can read it with their feed token.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} memberId the member id
+ * @param {Object} criteria the feed options
+ * @returns {Promise<String>} the iCalendar document
+ */
+async function getMemberCalendar(currentUser, memberId, criteria) {
+  if (!criteria.feedToken) {
+    throw new errors.UnauthorizedError("A calendar feed token is required for member feeds");
+  }
+  const feedUser = await getFeedUser(currentUser, criteria.feedToken);
+  if (feedUser.userId !== memberId && !hasAdminRole(feedUser)) {
+    throw new errors.ForbiddenError("You are not allowed to read the calendar of another member");
+  }
+  const challenges = await getFeedChallenges(feedUser, { memberId });
+  return buildCalendar(`Topcoder challenges of ${feedUser.handle}`, challenges);
+}
+
+getMemberCalendar.schema = {
+  currentUser: Joi.any(),
+  memberId: Joi.string().required(),
+  criteria: feedCriteriaSchema,
+};
+
+/**
+ * Get the active calendar feed tokens of the current user.
+ * @param {Object} currentUser the user who perform operation
+ * @returns {Promise<Array<Object>>} the calendar feed tokens
+ */
+async function getCalendarFeedTokens(currentUser) {
+  const records = await prisma.calendarFeedToken.findMany({
+    where: { userId: getUserId(currentUser), revokedAt: null },
+    orderBy: { createdAt: "asc" },
+  });
+  return _.map(records, toResponse);
+}
+
+getCalendarFeedTokens.schema = {
+  currentUser: Joi.any(),
+};
+
+/**
+ * Create a calendar feed token. The feeds read with it see the challenges of the current user.
+ * @param {Object} currentUser the user who perform operation
+ * @param {Object} data the calendar feed token data
+ * @returns {Promise<Object>} the created calendar feed token
+ */
+async function createCalendarFeedToken(currentUser, data) {
+  const userId = getUserId(currentUser);
+  const count = await prisma.calendarFeedToken.count({ where: { userId, revokedAt: null } });
+  if (count >= config.CALENDAR_FEED.MAX_TOKENS_PER_USER) {
+    throw new errors.BadRequestError(
+      `A member can't have more than ${config.CALENDAR_FEED.MAX_TOKENS_PER_USER} calendar feed tokens`,
+    );
+  }
+
+  const ret = await prisma.calendarFeedToken.create({
+    data: {
+      ...data,
+      userId,
+      handle: currentUser.handle,
+      createdBy: userId,
+      updatedBy: userId,
+    },
+  });
+  logger.info(`Calendar feed token ${ret.id} created for user ${userId}`);
+  return toResponse(ret);
+}
+
+createCalendarFeedToken.schema = {
+  currentUser: Joi.any(),
+  data: Joi.object()
+    .keys({
+      name: Joi.string().max(100),
+    })
+    .default({}),
+};
+
+/**
+ * Revoke a calendar feed token of the current user.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} id the calendar feed token id
+ * @returns {Promise<Object>} the revoked calendar feed token
+ */
+async function revokeCalendarFeedToken(currentUser, id) {
+  const userId = getUserId(currentUser);
+  const record = await prisma.calendarFeedToken.findUnique({ where: { id } });
+  if (!record || record.userId !== userId || record.revokedAt) {
+    throw new errors.NotFoundError(`CalendarFeedToken with id: ${id} doesn't exist`);
+  }
+  const ret = await prisma.calendarFeedToken.update({
+    where: { id },
+    data: { revokedAt: new Date(), updatedBy: userId },
+  });
+  logger.info(`Calendar feed token ${id} revoked by user ${userId}`);
+  return _.pick(ret, TOKEN_FIELDS);
+}
+
+revokeCalendarFeedToken.schema = {
+  currentUser: Joi.any(),
+  id: Joi.id(),
+};
+
+module.exports = {
+  getProjectCalendar,
+  getTrackCalendar,
+  getMemberCalendar,
+  getCalendarFeedTokens,
+  createCalendarFeedToken,
+  revokeCalendarFeedToken,
+};
+
+logger.buildService(module.exports);
@@ -0,0 +1,229 @@
+/**
+ * This service exports challenge search results as CSV or NDJSON.
+ *
+ * Rows are read page by page through ChallengeService.searchChallenges with a cursor, or with
+ * page numbers for the legacyId and memberId searches that don't support the cursor, so the
+ * export applies exactly the same access, group and whitelist filtering and the same response
+ * sanitization (billing, markup, winners) as the JSON search.
+ */
+const _ = require("lodash");
+const Joi = require("joi");
+const { Readable } = require("stream");
+const logger = require("../common/logger");
+const errors = require("../common/errors");
+const challengeService = require("./ChallengeService");
+
+const EXPORT_PAGE_SIZE = 100;
+
+const ExportFormats = {
+  CSV: "csv",
+  NDJSON: "ndjson",
+};
+
+const MIME_TYPES = {
+  [ExportFormats.CSV]: "text/csv; charset=utf-8",
+  [ExportFormats.NDJSON]: "application/x-ndjson; charset=utf-8",
+};
+
+// Exportable columns and how to read them from a search result
+const EXPORT_COLUMNS = {
+  id: (c) => c.id,
+  legacyId: (c) => c.legacyId,
+  name: (c) => c.name,
+  status: (c) => c.status,
+  type: (c) => _.get(c, "type.name", c.type),
+  track: (c) => _.get(c, "track.name", c.track),
+  projectId: (c) => c.projectId,
+  startDate: (c) => c.startDate,
+  endDate: (c) => c.endDate,
+  created: (c) => c.created,
+  updated: (c) => c.updated,
+  createdBy: (c) => c.createdBy,
+  currentPhaseNames: (c) => c.currentPhaseNames || [],
+  numOfRegistrants: (c) => c.numOfRegistrants,
+  numOfSubmissions: (c) => c.numOfSubmissions,
+  totalPrizes: (c) => _.get(c, "overview.totalPrizes"),
+  billingAccountId: (c) => _.get(c, "billing.billingAccountId"),
+  markup: (c) => _.get(c, "billing.markup"),
+  winners: (c) => _.map(c.winners, (w) => `${w.handle} (${w.placement})`),
+  tags: (c) => c.tags || [],
+};
+
+const DEFAULT_COLUMNS = [
+  "id",
+  "name",
+  "status",
+  "type",
+  "track",
+  "projectId",
+  "startDate",
+  "endDate",
+  "currentPhaseNames",
+  "totalPrizes",
+  "billingAccountId",
+  "markup",
+  "winners",
+];
+
+/**
+ * Format a value as a CSV field. Values a spreadsheet would run as a formula are prefixed with
+ * a quote.
+ * @param {any} value the value
+ * @returns {String} the CSV field
+ */
+function toCsvField(value) {
+  if (_.isNil(value)) {
+    return "";
+  }
+  let str = _.isArray(value) ? value.join("; ") : _.toString(value);
+  if (/^[=+\-@\t\r]/.test(str) && !_.isNumber(value)) {
+    str = `'${str}`;
+  }
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Format a challenge as an export line.
+ * @param {Object} challenge the search result
+ * @param {Array<String>} columns the columns
+ * @param {String} format the export format
+ * @returns {String} the line
+ */
+function formatRow(challenge, columns, format) {
+  if (format === ExportFormats.NDJSON) {
+    const row = {};
+    _.each(columns, (column) => {
+      const value = EXPORT_COLUMNS[column](challenge);
+      row[column] = _.isUndefined(value) ? null : value;
+    });
+    return `${JSON.stringify(row)}\n`;
+  }
+  return `${_.map(columns, (column) => toCsvField(EXPORT_COLUMNS[column](challenge))).join(",")}\r\n`;
+}
+
+/**
+ * Parse the requested columns, given as a comma separated list or repeated parameters.
+ * @param {String|Array<String>} columns the requested columns
+ * @returns {Array<String>} the columns to export
+ */
+function parseColumns(columns) {
+  if (_.isNil(columns)) {
+    return DEFAULT_COLUMNS;
+  }
+  const parsed = _.uniq(
+    _.compact(_.flatMap(_.castArray(columns), (column) => _.map(column.split(","), _.trim))),
+  );
+  const unknown = _.difference(parsed, _.keys(EXPORT_COLUMNS));
+  if (unknown.length > 0) {
+    throw new errors.BadRequestError(
+      `Unknown export columns: ${unknown.join(", ")}. Valid columns are ${_.keys(EXPORT_COLUMNS).join(", ")}`,
+    );
+  }
+  if (parsed.length === 0) {
+    throw new errors.BadRequestError("At least one export column is required");
+  }
+  return parsed;
+}
+
+/**
+ * Get the search criteria of the page after a search page.
+ * @param {Object} pageCriteria the search criteria of the page, with a cursor or a page number
+ * @param {Object} page the search page
+ * @returns {Object|null} the search criteria of the next page, null after the last page
+ */
+function getNextPageCriteria(pageCriteria, page) {
+  if (_.isUndefined(pageCriteria.cursor)) {
+    return page.result.length < EXPORT_PAGE_SIZE
+      ? null
+      : { ...pageCriteria, page: pageCriteria.page + 1 };
+  }
+  return page.nextCursor ? { ...pageCriteria, cursor: page.nextCursor } : null;
+}
+
+/**
+ * Generate the export lines, page after page.
+ * @param {Object} currentUser the user who perform operation
+ * @param {Object} firstPageCriteria the search criteria of the first page
+ * @param {Object} firstPage the first search page
+ * @param {Array<String>} columns the columns
+ * @param {String} format the export format
+ */
+async function* generateExport(currentUser, firstPageCriteria, firstPage, columns, format) {
+  if (format === ExportFormats.CSV) {
+    yield `${columns.join(",")}\r\n`;
+  }
+  let page = firstPage;
+  let pageCriteria = firstPageCriteria;
+  let count = 0;
+  for (;;) {
+    for (const challenge of page.result) {
+      count += 1;
+      yield formatRow(challenge, columns, format);
+    }
+    pageCriteria = getNextPageCriteria(pageCriteria, page);
+    if (!pageCriteria) {
+      break;
+    }
+    page = await challengeService.searchChallenges(currentUser, pageCriteria);
+  }
+  logger.info(`Exported ${count} challenges as ${format}`);
+}
+
+/**
+ * Export the challenges matching a search criteria. The first page is read before returning so
+ * invalid criteria are reported as a regular error response.
+ * @param {Object} currentUser the user who perform operation
+ * @param {Object} criteria the searchChallenges criteria with the export format and columns
+ * @returns {Promise<Object>} the file name, mime type and the stream of the export
+ */
+async function exportChallenges(currentUser, criteria) {
+  const { format } = criteria;
+  const columns = parseColumns(criteria.columns);
+  const searchCriteria = {
+    ..._.omit(criteria, [
+      "format",
+      "columns",
+      "page",
+      "perPage",
+      "cursor",
+      "includeTotal",
+      "facets",
+    ]),
+    perPage: EXPORT_PAGE_SIZE,
+    includeTotal: false,
+  };
+  // searchChallenges rejects the cursor with legacyId or memberId, those are read by page number
+  const firstPageCriteria =
+    _.isUndefined(searchCriteria.legacyId) && _.isNil(searchCriteria.memberId)
+      ? { ...searchCriteria, cursor: "" }
+      : { ...searchCriteria, page: 1 };
+  const firstPage = await challengeService.searchChallenges(currentUser, firstPageCriteria);
+
+  return {
+    fileName: `challenges-${new Date().toISOString().slice(0, 10)}.${format}`,
+    mimetype: MIME_TYPES[format],
+    stream: Readable.from(
+      generateExport(currentUser, firstPageCriteria, firstPage, columns, format),
+    ),
+  };
+}
+
+exportChallenges.schema = {
+  currentUser: Joi.any(),
+  criteria: Joi.object()
+    .keys({
+      format: Joi.string()
+        .lowercase()
+        .valid(..._.values(ExportFormats))
+        .default(ExportFormats.CSV),
+      columns: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string())),
+    })
+    .unknown(true),
+};
+
+module.exports = {
+  exportChallenges,
+  toCsvField,
+};
+
+logger.buildService(module.exports);
@@ -0,0 +1,316 @@
+/**
+ * This service provides the leaderboard of a challenge.
+ *
+ * Submissions and review summations are read directly from the review database and the member
+ * profiles are resolved in bulk. The leaderboard is cached until a submission or a review
+ * summation of the challenge changes.
+ *
+ * Marathon Matches have provisional and final leaderboards, ranking the newest provisional or
+ * final (system test) summation of the latest submission of each member, the summation
+ * closeMarathonMatch ranks the winners by.
+ */
+const _ = require("lodash");
+const Joi = require("joi");
+const config = require("config");
+const { Prisma } = require("@prisma/client");
+const helper = require("../common/helper");
+const logger = require("../common/logger");
+const errors = require("../common/errors");
+const { hasAdminRole } = require("../common/role-helper");
+const { getReviewClient } = require("../common/review-prisma");
+const { selectLatestSubmissionSummations } = require("../common/review-summation-helper");
+const { getClient, ChallengeStatusEnum } = require("../common/prisma");
+const challengeService = require("./ChallengeService");
+
+const prisma = getClient();
+
+const CHECKPOINT_SUBMISSION_TYPE = "CHECKPOINT_SUBMISSION";
+const CACHE_KEY_PREFIX = "ChallengeLeaderboard_";
+const MARATHON_MATCH_TYPE_NAME = "Marathon Match";
+
+const LeaderboardModes = {
+  Provisional: "provisional",
+  Final: "final",
+};
+
+/**
+ * Get a table of the review database schema.
+ * @param {String} name the table name
+ * @returns {Object} the raw SQL table reference
+ */
+function getReviewTable(name) {
+  const reviewSchema = _.toString(config.REVIEW_DB_SCHEMA || "").trim();
+  return reviewSchema
+    ? Prisma.raw(`"${reviewSchema.replace(/"/g, '""')}"."${name}"`)
+    : Prisma.raw(`"${name}"`);
+}
+
+/**
+ * Get a value that changes whenever a submission or a review summation of the challenge is
+ * created, updated or deleted.
+ * @param {String} challengeId the challenge id
+ * @returns {Promise<String>} the fingerprint
+ */
+async function getLeaderboardFingerprint(challengeId) {
+  const [row] = await getReviewClient().$queryRaw`
+    SELECT
+      COUNT(DISTINCT s."id")::int AS "submissionCount",
+      MAX(s."updatedAt") AS "submissionUpdatedAt",
+      COUNT(rs."id")::int AS "summationCount",
+      MAX(COALESCE(rs."updatedAt", rs."createdAt")) AS "summationUpdatedAt"
+    FROM ${getReviewTable("submission")} s
+    LEFT JOIN ${getReviewTable("reviewSummation")} rs ON rs."submissionId" = s."id"
+    WHERE s."challengeId" = ${challengeId}
+  `;
+  return JSON.stringify(row || {});
+}
+
+/**
+ * Load the score statistics of every member with a submission. The score of a submission is the
+ * aggregate score of its newest review summation.
+ * @param {String} challengeId the challenge id
+ * @returns {Promise<Array<Object>>} one row per member
+ */
+async function getMemberScores(challengeId) {
+  return getReviewClient().$queryRaw`
+    WITH "subs" AS (
+      SELECT
+        "id",
+        "memberId",
+        COALESCE("submittedDate", "createdAt") AS "submittedAt"
+      FROM ${getReviewTable("submission")}
+      WHERE "challengeId" = ${challengeId}
+        AND "memberId" IS NOT NULL
+        AND COALESCE("type"::text, '') <> ${CHECKPOINT_SUBMISSION_TYPE}
+        AND COALESCE("status"::text, '') <> 'DELETED'
+    ),
+    "scores" AS (
+      SELECT DISTINCT ON (rs."submissionId")
+        rs."submissionId",
+        rs."aggregateScore"
+      FROM ${getReviewTable("reviewSummation")} rs
+      JOIN "subs" ON "subs"."id" = rs."submissionId"
+      ORDER BY
+        rs."submissionId",
+        COALESCE(rs."reviewedDate", rs."updatedAt", rs."createdAt") DESC
+    )
+    SELECT
+      "subs"."memberId",
+      COUNT(*)::int AS "submissionCount",
+      MAX("scores"."aggregateScore") AS "bestScore",
+      (ARRAY_AGG("scores"."aggregateScore" ORDER BY "subs"."submittedAt" DESC, "subs"."id" DESC))[1]
+        AS "latestScore",
+      MAX("subs"."submittedAt") AS "lastSubmittedAt"
+    FROM "subs"
+    LEFT JOIN "scores" ON "scores"."submissionId" = "subs"."id"
+    GROUP BY "subs"."memberId"
+  `;
+}
+
+/**
+ * Load the review summations of the Marathon Match submissions, with the submitter.
+ * @param {String} challengeId the challenge id
+ * @returns {Promise<Array<Object>>} the review summations
+ */
+async function getMarathonMatchSummations(challengeId) {
+  return getReviewClient().$queryRaw`
+    SELECT
+      rs."id",
+      rs."submissionId",
+      s."memberId" AS "submitterId",
+      rs."aggregateScore",
+      rs."isFinal",
+      rs."reviewedDate",
+      rs."createdAt",
+      rs."updatedAt"
+    FROM ${getReviewTable("reviewSummation")} rs
+    JOIN ${getReviewTable("submission")} s ON s."id" = rs."submissionId"
+    WHERE s."challengeId" = ${challengeId}
+      AND s."memberId" IS NOT NULL
+      AND COALESCE(s."type"::text, '') <> ${CHECKPOINT_SUBMISSION_TYPE}
+      AND COALESCE(s."status"::text, '') <> 'DELETED'
+  `;
+}
+
+/**
+ * Convert a member profile to the leaderboard entry fields.
+ * @param {Object} member the member profile
+ * @returns {Object} the profile fields
+ */
+function getProfileFields(member) {
+  return {
+    handle: member.handle,
+    photoUrl: member.photoURL,
+    rating: _.get(member, "maxRating.rating", 0),
+    ratingColor: _.get(member, "maxRating.ratingColor", "#9D9FA0"),
+    homeCountryCode: member.homeCountryCode,
+  };
+}
+
+/**
+ * Rank the newest provisional or final summation of the latest submission of every member, the
+ * selection of the Marathon Match winners. Members whose latest submission isn't scored yet are
+ * left out; like the winners, members are ordered by score and the earliest summation wins a tie.
+ * @param {Array<Object>} summations the review summations
+ * @param {Array<Object>} latestSubmissions the latest submission of every member
+ * @param {String} mode the leaderboard mode
+ * @param {Object} membersById the member profiles by user id
+ * @returns {Array<Object>} the leaderboard entries
+ */
+function buildMarathonMatchLeaderboard(summations, latestSubmissions, mode, membersById) {
+  const isFinal = mode === LeaderboardModes.Final;
+  const { selected } = selectLatestSubmissionSummations(
+    _.filter(summations, (summation) => (summation.isFinal === true) === isFinal),
+    latestSubmissions,
+  );
+  const ordered = _.orderBy(
+    selected,
+    [(summation) => Number(summation.aggregateScore), "createdAt"],
+    ["desc", "asc"],
+  );
+  return _.map(ordered, (summation, index) => ({
+    rank: index + 1,
+    memberId: _.toString(summation.submitterId),
+    ...getProfileFields(membersById[_.toString(summation.submitterId)] || {}),
+    score: Number(summation.aggregateScore),
+    submissionId: summation.submissionId,
+    reviewedDate: summation.reviewedDate || summation.updatedAt || summation.createdAt,
+  }));
+}
+
+/**
+ * Rank the members by best score. Members with the same best score share a rank, members without
+ * a score are not ranked and come last.
+ * @param {Array<Object>} rows the member score rows
+ * @param {Object} membersById the member profiles by user id
+ * @returns {Array<Object>} the leaderboard entries
+ */
+function buildLeaderboard(rows, membersById) {
+  const toScore = (value) => (_.isNil(value) ? null : Number(value));
+  const sorted = _.orderBy(
+    _.map(rows, (row) => ({ ...row, bestScore: toScore(row.bestScore) })),
+    [(row) => _.isNil(row.bestScore), "bestScore", "lastSubmittedAt"],
+    ["asc", "desc", "asc"],
+  );
+  let previous;
+  return _.map(sorted, (row, index) => {
+    let rank = null;
+    if (!_.isNil(row.bestScore)) {
+      rank = previous && previous.bestScore === row.bestScore ? previous.rank : index + 1;
+    }
+    const entry = {
+      rank,
+      memberId: _.toString(row.memberId),
+      ...getProfileFields(membersById[_.toString(row.memberId)] || {}),
+      bestScore: row.bestScore,
+      latestScore: toScore(row.latestScore),
+      submissionCount: Number(row.submissionCount),
+      lastSubmittedAt: row.lastSubmittedAt,
+    };
+    previous = entry;
+    return entry;
+  });
+}
+
+/**
+ * Get the mode of a leaderboard. Marathon Matches show the provisional leaderboard until they are
+ * COMPLETED and the final one afterwards; final scores are only shown to admins and M2M clients
+ * before then.
+ * @param {Object} currentUser the user who perform operation
+ * @param {Object} challenge the challenge, with its type
+ * @param {String} mode the requested mode, if any
+ * @returns {String} the mode, or null for the leaderboard of other challenges
+ */
+function getLeaderboardMode(currentUser, challenge, mode) {
+  if (_.get(challenge, "type.name") !== MARATHON_MATCH_TYPE_NAME) {
+    if (mode) {
+      throw new errors.BadRequestError(
+        `Challenge with id: ${challenge.id} is not a Marathon Match challenge.`,
+      );
+    }
+    return null;
+  }
+  const isCompleted = challenge.status === ChallengeStatusEnum.COMPLETED;
+  if (!mode) {
+    return isCompleted ? LeaderboardModes.Final : LeaderboardModes.Provisional;
+  }
+  const isPrivileged = currentUser && (currentUser.isMachine || hasAdminRole(currentUser));
+  if (mode === LeaderboardModes.Final && !isCompleted && !isPrivileged) {
+    throw new errors.ForbiddenError(
+      "The final leaderboard is only available once the challenge is completed",
+    );
+  }
+  return mode;
+}
+
+/**
+ * Get the leaderboard of a challenge.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} challengeId the challenge id
+ * @param {Object} criteria the leaderboard options
+ * @returns {Promise<Array<Object>>} the leaderboard entries, best first
+ */
+async function getChallengeLeaderboard(currentUser, challengeId, criteria) {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+    include: { type: true },
+  });
+  if (_.isNil(challenge) || _.isNil(challenge.id)) {
+    throw new errors.NotFoundError(`Challenge of id ${challengeId} is not found.`);
+  }
+  await helper.ensureUserCanViewChallenge(currentUser, challenge);
+  const mode = getLeaderboardMode(currentUser, challenge, criteria.mode);
+  if (!config.REVIEW_DB_URL) {
+    throw new errors.ServiceUnavailableError("The review database is not configured");
+  }
+
+  const cacheKey = `${CACHE_KEY_PREFIX}${challengeId}_${mode || "default"}`;
+  const fingerprint = await getLeaderboardFingerprint(challengeId);
+  const cached = helper.getFromInternalCache(cacheKey);
+  if (cached && cached.fingerprint === fingerprint) {
+    return cached.leaderboard;
+  }
+
+  let leaderboard;
+  if (mode) {
+    const summations = await getMarathonMatchSummations(challengeId);
+    const latestSubmissions = await challengeService.getLatestMarathonMatchSubmissions(challengeId);
+    const members = await helper.getMembersByUserIds(_.map(summations, "submitterId"));
+    leaderboard = buildMarathonMatchLeaderboard(
+      summations,
+      latestSubmissions,
+      mode,
+      _.keyBy(members, (member) => _.toString(member.userId)),
+    );
+  } else {
+    const rows = await getMemberScores(challengeId);
+    const members = await helper.getMembersByUserIds(_.map(rows, "memberId"));
+    leaderboard = buildLeaderboard(
+      rows,
+      _.keyBy(members, (member) => _.toString(member.userId)),
+    );
+  }
+  helper.setToInternalCache(cacheKey, { fingerprint, leaderboard });
+  logger.debug(
+    `Leaderboard of challenge ${challengeId} built with ${leaderboard.length} entries (${mode || "default"})`,
+  );
+  return leaderboard;
+}
+
+getChallengeLeaderboard.schema = {
+  currentUser: Joi.any(),
+  challengeId: Joi.id(),
+  criteria: Joi.object()
+    .keys({
+      mode: Joi.string()
+        .lowercase()
+        .valid(..._.values(LeaderboardModes)),
+    })
+    .default({}),
+};
+
+module.exports = {
+  getChallengeLeaderboard,
+};
+
+logger.buildService(module.exports);
@@ -11,6 +11,7 @@ const logger = require("../common/logger");
 const errors = require("../common/errors");
 const constants = require("../../app-constants");
 const { getReviewClient } = require("../common/review-prisma");
+const appealHelper = require("../common/appeal-helper");
 const phaseHelper = require("../common/phase-helper");
 const {
   indexChallengeAndPostToKafka,
@@ -373,54 +374,7 @@ async function hasSubmittedAppealsForChallenge(challengeId) {
 }
 
 async function hasPendingAppealResponsesForChallenge(challengeId) {
-  if (!config.REVIEW_DB_URL) {
-    logger.debug(
-      `Skipping pending appeal response check for challenge ${challengeId} because REVIEW_DB_URL is not configured`,
-    );
-    return false;
-  }
-
-  const reviewPrisma = getReviewClient();
-  const reviewSchema = config.REVIEW_DB_SCHEMA;
-  const appealTable = Prisma.raw(`"${reviewSchema}"."appeal"`);
-  const appealResponseTable = Prisma.raw(`"${reviewSchema}"."appealResponse"`);
-  const reviewItemCommentTable = Prisma.raw(`"${reviewSchema}"."reviewItemComment"`);
-  const reviewItemTable = Prisma.raw(`"${reviewSchema}"."reviewItem"`);
-  const reviewTable = Prisma.raw(`"${reviewSchema}"."review"`);
-  const submissionTable = Prisma.raw(`"${reviewSchema}"."submission"`);
-
-  let rows;
-  try {
-    rows = await reviewPrisma.$queryRaw(
-      Prisma.sql`
-        SELECT COUNT(DISTINCT a."id")::int AS count
-        FROM ${appealTable} a
-        LEFT JOIN ${appealResponseTable} ar ON ar."appealId" = a."id"
-        INNER JOIN ${reviewItemCommentTable} ric ON ric."id" = a."reviewItemCommentId"
-        INNER JOIN ${reviewItemTable} ri ON ri."id" = ric."reviewItemId"
-        INNER JOIN ${reviewTable} r ON r."id" = ri."reviewId"
-        WHERE ar."id" IS NULL
-          AND EXISTS (
-            SELECT 1
-            FROM ${submissionTable} s
-            WHERE s."challengeId" = ${challengeId}
-              AND (
-                (r."submissionId" IS NOT NULL AND s."id" = r."submissionId")
-                OR (r."legacySubmissionId" IS NOT NULL AND s."legacySubmissionId" = r."legacySubmissionId")
-              )
-          )
-      `,
-    );
-  } catch (err) {
-    logger.error(
-      `Failed to check pending appeal responses for challenge ${challengeId}: ${err.message}`,
-      err,
-    );
-    throw err;
-  }
-
-  const [{ count = 0 } = {}] = rows || [];
-  return Number(count) > 0;
+  return (await appealHelper.getUnresolvedAppealCount(challengeId)) > 0;
 }
 
 async function hasPendingEscalationRequestsForChallenge(challengeId) {
@@ -482,6 +436,16 @@ async function getChallengeForPhaseAccess(challengeId) {
   return challenge;
 }
 
+/**
+ * Remove the audit fields from a challenge phase. The last update time is kept as `updated`, like
+ * in the challenge responses, it is the version of the phase for `If-Match` updates.
+ * @param {Object} challengePhase the challenge phase
+ * @returns {Object} the challenge phase to return
+ */
+function toPhaseResponse(challengePhase) {
+  return { ..._.omit(challengePhase, constants.auditFields), updated: challengePhase.updatedAt };
+}
+
 /**
  * Publish a challenge update event with the latest challenge payload.
  * @param {String} challengeId the challenge id
@@ -628,7 +592,7 @@ async function getChallengePhase(challengeId, id, currentUser) {
       `ChallengePhase with challengeId: ${challengeId},  phaseId: ${id} doesn't exist`,
     );
   }
-  const ret = _.omit(result, constants.auditFields);
+  const ret = toPhaseResponse(result);
   ret.phase = _.omit(result.phase, constants.auditFields);
   ret.constraints = _.map(result.constraints, (constraint) => _.omit(constraint));
   return ret;
@@ -646,11 +610,13 @@ getChallengePhase.schema = {
  * @param {String} challengeId the challenge id
  * @param {String} id the phase id
  * @param {Object} data the partial phase update
+ * @param {Object} options the update options, `ifMatch` is the version the update is based on
  * @returns {Object} the updated challengePhase
  * @throws {ForbiddenError} when the current user cannot modify the challenge
  * @throws {BadRequestError} when phase schedule shortening violates track or timing rules
+ * @throws {PreconditionFailedError} when the phase was modified since the `ifMatch` version
  */
-async function partiallyUpdateChallengePhase(currentUser, challengeId, id, data) {
+async function partiallyUpdateChallengePhase(currentUser, challengeId, id, data, options) {
   const challenge = await getChallengeForPhaseAccess(challengeId);
   await helper.ensureUserCanModifyChallenge(currentUser, challenge);
   const challengePhase = await prisma.challengePhase.findFirst({
@@ -662,6 +628,7 @@ async function partiallyUpdateChallengePhase(currentUser, challengeId, id, data)
       `ChallengePhase with challengeId: ${challengeId},  phaseId: ${id} doesn't exist`,
     );
   }
+  helper.ensureEntityTagMatches(options.ifMatch, challengePhase.updatedAt);
   const originalScheduledEndDate = challengePhase.scheduledEndDate;
   const shouldAttemptSuccessorRecalc = Boolean(
     data.duration || data.scheduledStartDate || data.scheduledEndDate,
@@ -947,6 +914,12 @@ async function partiallyUpdateChallengePhase(currentUser, challengeId, id, data)
     Object.prototype.hasOwnProperty.call(data, "isOpen") ||
     Object.prototype.hasOwnProperty.call(data, "name");
   const result = await prisma.$transaction(async (tx) => {
+    await helper.lockEntityVersion(
+      tx.challengePhase,
+      challengePhase.id,
+      options.ifMatch,
+      challengePhase.updatedAt,
+    );
     const updatedPhase = await tx.challengePhase.update({
       data: dataToUpdate,
       where: {
@@ -1008,22 +981,21 @@ async function partiallyUpdateChallengePhase(currentUser, challengeId, id, data)
         }
       }
     }
+    // the challenge is updated as well, so its version changes with its phases
+    const challengeData = { updatedBy: currentUserId };
     if (shouldRefreshPhaseNames) {
       const openPhases = await tx.challengePhase.findMany({
         where: { challengeId, isOpen: true },
         select: { name: true },
       });
-      const currentPhaseNames = _.uniq(
+      challengeData.currentPhaseNames = _.uniq(
         openPhases.map((phase) => phase.name).filter((name) => !_.isNil(name)),
       );
-      await tx.challenge.update({
-        where: { id: challengeId },
-        data: {
-          currentPhaseNames,
-          updatedBy: currentUserId,
-        },
-      });
     }
+    await tx.challenge.update({
+      where: { id: challengeId },
+      data: challengeData,
+    });
     return updatedPhase;
   });
   helper.flushInternalCache();
@@ -1073,7 +1045,7 @@ async function partiallyUpdateChallengePhase(currentUser, challengeId, id, data)
         logger.debug(
           `phase change notification skipped: no recipients for challenge ${challengeId}`,
         );
-        return _.omit(result, constants.auditFields);
+        return toPhaseResponse(result);
       }
 
       // build payload that matches the SendGrid HTML template
@@ -1095,7 +1067,7 @@ async function partiallyUpdateChallengePhase(currentUser, challengeId, id, data)
     );
   }
 
-  return _.omit(result, constants.auditFields);
+  return toPhaseResponse(result);
 }
 
 partiallyUpdateChallengePhase.schema = {
@@ -1124,6 +1096,11 @@ partiallyUpdateChallengePhase.schema = {
       )
       .optional(),
   }),
+  options: Joi.object()
+    .keys({
+      ifMatch: Joi.string(),
+    })
+    .default({}),
 };
 
 /**
@@ -17,7 +17,14 @@ const { BadRequestError } = require("../common/errors");
 const phaseHelper = require("../common/phase-helper");
 const projectHelper = require("../common/project-helper");
 const challengeHelper = require("../common/challenge-helper");
+const challengeApprovalHelper = require("../common/challenge-approval-helper");
 const { getReviewClient } = require("../common/review-prisma");
+const {
+  normalizeMatchId,
+  shouldReplaceSelectedReviewSummation,
+  getLatestSubmissionScopedSummationsBySubmitter,
+  selectLatestSubmissionSummations,
+} = require("../common/review-summation-helper");
 
 const PhaseAdvancer = require("../phase-management/PhaseAdvancer");
 
@@ -25,6 +32,8 @@ const { hasAdminRole } = require("../common/role-helper");
 const { enrichChallengeForResponse, convertToISOString } = require("../common/challenge-helper");
 const deepEqual = require("deep-equal");
 const prismaHelper = require("../common/prisma-helper");
+const moneyHelper = require("../common/money-helper");
+const currencyHelper = require("../common/currency-helper");
 
 const {
   getClient,
@@ -52,16 +61,13 @@ const CHALLENGE_BILLING_LOCK_STATUSES = new Set([
   ChallengeStatusEnum.ACTIVE,
 ]);
 
-const CHALLENGE_APPROVAL_STATUS = {
-  PENDING_APPROVAL: "PENDING_APPROVAL",
-  APPROVED: "APPROVED",
-  REJECTED: "REJECTED",
-};
+const { CHALLENGE_APPROVAL_STATUS } = challengeApprovalHelper;
 const CHALLENGE_APPROVAL_ACTION_STATUSES = new Set([
   CHALLENGE_APPROVAL_STATUS.APPROVED,
   CHALLENGE_APPROVAL_STATUS.REJECTED,
 ]);
 
+const SAVED_SEARCH_NOTIFICATION_TYPE = "challenges.saved-search.match";
 const DEFAULT_ESTIMATED_SUBMISSIONS_COUNT = 2;
 const CHECKPOINT_SUBMISSION_TYPE = "CHECKPOINT_SUBMISSION";
 
@@ -76,6 +82,26 @@ const allowedSortByValues = _.uniq([
   ...Object.keys(sortByAliases),
 ]);
 
+// Sort fields of the cursor pagination that may be null, nulls are returned last
+const KEYSET_NULLABLE_SORT_FIELDS = new Set([
+  "projectId",
+  "startDate",
+  "endDate",
+  "overviewTotalPrizes",
+]);
+const KEYSET_DATE_SORT_FIELDS = new Set(["createdAt", "updatedAt", "startDate", "endDate"]);
+const KEYSET_SORT_FIELDS = _.uniq(
+  _.map(
+    _.without(_.values(constants.validChallengeParams), constants.validChallengeParams.Relevance),
+    (field) => (field === constants.validChallengeParams.Prizes ? "overviewTotalPrizes" : field),
+  ),
+);
+
+// Facets that can be counted along a search, see getSearchFacets
+const SEARCH_FACETS = ["track", "type", "status", "tags", "currentPhaseNames", "skills"];
+// The facets are returned in a response header, only their most frequent values are kept
+const SEARCH_FACET_MAX_BUCKETS = 50;
+
 const CANCELLED_CHALLENGE_STATUSES = new Set([
   ChallengeStatusEnum.CANCELLED,
   ChallengeStatusEnum.CANCELLED_REQUIREMENTS_INFEASIBLE,
@@ -239,78 +265,6 @@ async function getLatestMarathonMatchSubmissions(challengeId) {
   `;
 }
 
-/**
- * Normalizes identifiers used to match review summations to submissions.
- * @param {*} value raw identifier value
- * @returns {String} trimmed identifier, or an empty string when absent
- */
-function normalizeMatchId(value) {
-  return _.toString(value || "").trim();
-}
-
-/**
- * Reads a review summation timestamp for latest-result comparisons.
- * @param {Object} summation review summation returned by Review API
- * @returns {Number} timestamp in milliseconds, or zero when unavailable
- */
-function getReviewSummationTimestampValue(summation) {
-  const candidate =
-    _.get(summation, "reviewedDate") ||
-    _.get(summation, "updatedAt") ||
-    _.get(summation, "createdAt");
-  const timestamp = new Date(candidate).getTime();
-  return Number.isFinite(timestamp) ? timestamp : 0;
-}
-
-/**
- * Compares two review summations for the same submission or submitter.
- * Newer summations win; ties keep the higher score.
- *
- * @param {Object|null} current currently selected summation
- * @param {Object} candidate summation being considered
- * @returns {Boolean} true when candidate should replace current
- */
-function shouldReplaceSelectedReviewSummation(current, candidate) {
-  if (!current) {
-    return true;
-  }
-
-  const currentTimestamp = getReviewSummationTimestampValue(current);
-  const candidateTimestamp = getReviewSummationTimestampValue(candidate);
-  if (candidateTimestamp !== currentTimestamp) {
-    return candidateTimestamp > currentTimestamp;
-  }
-
-  return Number(candidate.aggregateScore) > Number(current.aggregateScore);
-}
-
-/**
- * Finds the newest submission-scoped review summation per submitter.
- *
- * This is used as a fallback completeness signal when latest submission rows
- * cannot be read directly from the review database.
- *
- * @param {Array<Object>} reviewSummations review summations returned by Review API
- * @returns {Map<String, Object>} latest submission-scoped summation by submitter id
- */
-function getLatestSubmissionScopedSummationsBySubmitter(reviewSummations) {
-  const latestBySubmitter = new Map();
-
-  (Array.isArray(reviewSummations) ? reviewSummations : []).forEach((summation) => {
-    const submitterId = normalizeMatchId(summation.submitterId);
-    const submissionId = normalizeMatchId(summation.submissionId);
-    if (!submitterId || !submissionId) {
-      return;
-    }
-
-    if (shouldReplaceSelectedReviewSummation(latestBySubmitter.get(submitterId), summation)) {
-      latestBySubmitter.set(submitterId, summation);
-    }
-  });
-
-  return latestBySubmitter;
-}
-
 /**
  * Selects the final summations that should determine Marathon Match winners.
  *
@@ -369,45 +323,20 @@ function selectMarathonMatchWinnerSummations(
     return Array.from(latestBySubmitter.values());
   }
 
-  const finalBySubmission = new Map();
-  finalSummations.forEach((summation) => {
-    const submitterId = normalizeMatchId(summation.submitterId);
-    const submissionId = normalizeMatchId(summation.submissionId);
-    if (!submitterId || !submissionId) {
-      return;
-    }
-    const key = `${submitterId}:${submissionId}`;
-    if (shouldReplaceSelectedReviewSummation(finalBySubmission.get(key), summation)) {
-      finalBySubmission.set(key, summation);
-    }
-  });
-
-  const selectedSummations = [];
-  const missingSubmissions = [];
-  latestSubmissions.forEach((submission) => {
-    const memberId = normalizeMatchId(submission.memberId);
-    const submissionId = normalizeMatchId(submission.id);
-    if (!memberId || !submissionId) {
-      return;
-    }
-
-    const summation = finalBySubmission.get(`${memberId}:${submissionId}`);
-    if (summation) {
-      selectedSummations.push(summation);
-    } else {
-      missingSubmissions.push(submissionId);
-    }
-  });
+  const { selected, missingSubmissionIds } = selectLatestSubmissionSummations(
+    finalSummations,
+    latestSubmissions,
+  );
 
-  if (missingSubmissions.length > 0) {
+  if (missingSubmissionIds.length > 0) {
     throw new errors.BadRequestError(
-      `Cannot close Marathon Match challenge ${challengeId}: final system scoring is not complete for latest submissions. Missing final summations for submissionIds: ${missingSubmissions.join(
+      `Cannot close Marathon Match challenge ${challengeId}: final system scoring is not complete for latest submissions. Missing final summations for submissionIds: ${missingSubmissionIds.join(
         ", ",
       )}`,
     );
   }
 
-  return selectedSummations;
+  return selected;
 }
 
 function normalizeStatusSortValue(statusValue) {
@@ -520,15 +449,37 @@ function applyChallengeApprovalFlowBypass(target, billingAccountId) {
 /**
  * Determines whether challenge activation must wait for budget approval.
  *
+ * Once a challenge has an approval request, launch also needs that request to have
+ * approved every level of the chain the current member payment amount requires.
+ * Without one, the single approval status only covers single-level chains.
+ *
  * @param {string|null|undefined} approvalStatus Effective approval status.
  * @param {string|number|null|undefined} billingAccountId Billing-account identifier.
+ * @param {object|null|undefined} approvalRequest Latest non-cancelled approval request with steps.
+ * @param {number|undefined} memberPaymentAmount Current member-payment amount.
  * @returns {boolean} `true` when launch should be blocked by approval state.
  */
-function shouldBlockChallengeLaunchForApproval(approvalStatus, billingAccountId) {
-  return (
-    !shouldSkipChallengeApprovalFlow(billingAccountId) &&
-    normalizeApprovalStatus(approvalStatus) !== CHALLENGE_APPROVAL_STATUS.APPROVED
-  );
+function shouldBlockChallengeLaunchForApproval(
+  approvalStatus,
+  billingAccountId,
+  approvalRequest,
+  memberPaymentAmount,
+) {
+  if (shouldSkipChallengeApprovalFlow(billingAccountId)) {
+    return false;
+  }
+
+  if (normalizeApprovalStatus(approvalStatus) !== CHALLENGE_APPROVAL_STATUS.APPROVED) {
+    return true;
+  }
+
+  const levels = challengeApprovalHelper.getApprovalLevels(billingAccountId, memberPaymentAmount);
+
+  if (!approvalRequest) {
+    return levels.length > 1;
+  }
+
+  return !challengeApprovalHelper.isApprovalChainComplete(approvalRequest, levels);
 }
 
 async function userCanApproveChallengeBudget(currentUser, challengeOrProjectId) {
@@ -578,42 +529,40 @@ function isChallengeBillingLockStatus(status) {
 /**
  * Calculates the billable USD prize-set total for a challenge.
  *
+ * Prizes in other currencies count at their USD exchange rate, prizes without a
+ * rate (such as points) are not billed.
+ *
  * @param {object} challenge Challenge model or response object.
+ * @param {object} [exchangeRates] USD exchange rates of the prize currencies.
  * @returns {number|undefined} USD prize-set member-payment amount before markup,
  * or `undefined` when prize sets are not loaded.
  */
-function getChallengePrizeSetMemberPaymentAmount(challenge) {
+function getChallengePrizeSetMemberPaymentAmount(challenge, exchangeRates = {}) {
   const prizeSets = _.get(challenge, "prizeSets");
 
   if (!Array.isArray(prizeSets)) {
     return undefined;
   }
 
-  return prizeSets.reduce((total, prizeSet) => {
+  const prizeValues = _.flatMap(prizeSets, (prizeSet) => {
     const prizes = Array.isArray(prizeSet && prizeSet.prizes) ? prizeSet.prizes : [];
 
-    return (
-      total +
-      prizes.reduce((prizeTotal, prize) => {
-        if (_.toString(_.get(prize, "type")).toUpperCase() !== constants.prizeTypes.USD) {
-          return prizeTotal;
-        }
-
-        const prizeValue = _.toNumber(_.get(prize, "value"));
-
-        return Number.isFinite(prizeValue) ? prizeTotal + prizeValue : prizeTotal;
-      }, 0)
+    return prizes.map((prize) =>
+      currencyHelper.convertToUsd(_.get(prize, "value"), _.get(prize, "type"), exchangeRates),
     );
-  }, 0);
+  });
+
+  return moneyHelper.sumAmounts(prizeValues).toNumber();
 }
 
 /**
  * Reads the first-place placement prize used by reviewer cost estimates.
  *
  * @param {object} challenge Challenge model or response object.
+ * @param {object} [exchangeRates] USD exchange rates of the prize currencies.
  * @returns {number|undefined} First-place USD placement prize amount, or undefined when unavailable.
  */
-function getFirstPlacePrizeValue(challenge) {
+function getFirstPlacePrizeValue(challenge, exchangeRates = {}) {
   const prizeSets = _.get(challenge, "prizeSets");
 
   if (!Array.isArray(prizeSets)) {
@@ -625,74 +574,107 @@ function getFirstPlacePrizeValue(challenge) {
     (prizeSet) => _.toString(_.get(prizeSet, "type")).toUpperCase() === PrizeSetTypeEnum.PLACEMENT,
   );
   const firstPrize = _.get(placementPrizeSet, "prizes[0]");
+  const prizeValue = moneyHelper.toDecimal(_.get(firstPrize, "value"));
+  const usdPrizeValue =
+    prizeValue && currencyHelper.convertToUsd(prizeValue, _.get(firstPrize, "type"), exchangeRates);
 
-  if (_.toString(_.get(firstPrize, "type")).toUpperCase() !== constants.prizeTypes.USD) {
-    return undefined;
-  }
-
-  const prizeValue = _.toNumber(_.get(firstPrize, "value"));
-
-  return Number.isFinite(prizeValue) ? prizeValue : undefined;
+  return usdPrizeValue ? usdPrizeValue.toNumber() : undefined;
 }
 
 /**
- * Calculates the estimated member-review payment amount for billing locks.
- *
- * The work app shows review cost using a two-submission estimate, so draft
- * budget locks need the same fixed and coefficient-based reviewer math.
+ * Calculates the estimated payment of each member-review configuration.
  *
  * @param {object} challenge Challenge model or response object.
- * @returns {number} Estimated member-review payment amount before markup.
+ * @param {number} [submissionsCount] Submissions the incremental coefficients are applied to.
+ * @param {object} [exchangeRates] USD exchange rates of the prize currencies.
+ * @returns {Array<object>} Estimates of the member reviewers, with `phaseId`, `type`,
+ * `memberReviewerCount` and the total `amount` of the configuration.
  */
-function getEstimatedReviewerPaymentAmount(challenge) {
+function getEstimatedReviewerPayments(
+  challenge,
+  submissionsCount = DEFAULT_ESTIMATED_SUBMISSIONS_COUNT,
+  exchangeRates = {},
+) {
   const reviewers = _.get(challenge, "reviewers");
 
   if (!Array.isArray(reviewers)) {
-    return 0;
+    return [];
   }
 
-  const firstPlacePrizeValue = getFirstPlacePrizeValue(challenge);
+  const firstPlacePrizeValue = getFirstPlacePrizeValue(challenge, exchangeRates);
 
   if (_.isNil(firstPlacePrizeValue)) {
-    return 0;
+    return [];
   }
 
-  return reviewers.reduce((total, reviewer) => {
-    if (_.get(reviewer, "isMemberReview") === false) {
-      return total;
-    }
+  return _.filter(reviewers, (reviewer) => _.get(reviewer, "isMemberReview") !== false).map(
+    (reviewer) => {
+      const fixedAmount = moneyHelper.toDecimal(_.get(reviewer, "fixedAmount"), 0);
+      const baseCoefficient = moneyHelper.toDecimal(_.get(reviewer, "baseCoefficient"), 0);
+      const incrementalCoefficient = moneyHelper.toDecimal(
+        _.get(reviewer, "incrementalCoefficient"),
+        0,
+      );
+      const memberReviewerCount = Math.max(
+        1,
+        Math.trunc(_.toNumber(_.get(reviewer, "memberReviewerCount")) || 1),
+      );
+      const reviewerPayment = fixedAmount.plus(
+        baseCoefficient
+          .plus(incrementalCoefficient.times(submissionsCount))
+          .times(firstPlacePrizeValue),
+      );
 
-    const fixedAmount = _.toNumber(_.get(reviewer, "fixedAmount"));
-    const baseCoefficient = _.toNumber(_.get(reviewer, "baseCoefficient"));
-    const incrementalCoefficient = _.toNumber(_.get(reviewer, "incrementalCoefficient"));
-    const memberReviewerCount = Math.max(
-      1,
-      Math.trunc(_.toNumber(_.get(reviewer, "memberReviewerCount")) || 1),
-    );
-    const reviewerPayment =
-      (Number.isFinite(fixedAmount) ? fixedAmount : 0) +
-      ((Number.isFinite(baseCoefficient) ? baseCoefficient : 0) +
-        (Number.isFinite(incrementalCoefficient) ? incrementalCoefficient : 0) *
-          DEFAULT_ESTIMATED_SUBMISSIONS_COUNT) *
-        firstPlacePrizeValue;
-
-    return total + reviewerPayment * memberReviewerCount;
-  }, 0);
+      return {
+        phaseId: _.get(reviewer, "phaseId"),
+        type: _.get(reviewer, "type"),
+        memberReviewerCount,
+        amount: reviewerPayment.times(memberReviewerCount).toNumber(),
+      };
+    },
+  );
+}
+
+/**
+ * Calculates the estimated member-review payment amount for billing locks.
+ *
+ * The work app shows review cost using a two-submission estimate, so draft
+ * budget locks need the same fixed and coefficient-based reviewer math.
+ *
+ * @param {object} challenge Challenge model or response object.
+ * @param {object} [exchangeRates] USD exchange rates of the prize currencies.
+ * @returns {number} Estimated member-review payment amount before markup.
+ */
+function getEstimatedReviewerPaymentAmount(challenge, exchangeRates = {}) {
+  const reviewerPayments = getEstimatedReviewerPayments(
+    challenge,
+    DEFAULT_ESTIMATED_SUBMISSIONS_COUNT,
+    exchangeRates,
+  );
+
+  return moneyHelper.sumAmounts(_.map(reviewerPayments, "amount")).toNumber();
 }
 
 /**
  * Reads the currently persisted challenge member-payment total.
  *
  * @param {object} challenge Challenge model or response object.
+ * @param {object} [exchangeRates] USD exchange rates of the prize currencies.
  * @returns {number|undefined} Total USD member-payment amount before markup,
  * including estimated member-review cost when prize sets are loaded.
  */
-function getChallengeMemberPaymentAmount(challenge) {
-  const prizeSetMemberPaymentAmount = getChallengePrizeSetMemberPaymentAmount(challenge);
+function getChallengeMemberPaymentAmount(challenge, exchangeRates = {}) {
+  const prizeSetMemberPaymentAmount = getChallengePrizeSetMemberPaymentAmount(
+    challenge,
+    exchangeRates,
+  );
 
   if (!_.isNil(prizeSetMemberPaymentAmount)) {
-    return Number(
-      (prizeSetMemberPaymentAmount + getEstimatedReviewerPaymentAmount(challenge)).toFixed(2),
+    return moneyHelper.roundAmount(
+      moneyHelper.sumAmounts([
+        prizeSetMemberPaymentAmount,
+        getEstimatedReviewerPaymentAmount(challenge, exchangeRates),
+      ]),
     );
   }
 
@@ -701,9 +683,9 @@ function getChallengeMemberPaymentAmount(challenge) {
     "overview.totalPrizes",
     _.get(challenge, "overviewTotalPrizes"),
   );
-  const amount = _.toNumber(totalPrizes);
+  const amount = moneyHelper.toDecimal(totalPrizes);
 
-  return Number.isFinite(amount) ? amount : undefined;
+  return amount ? amount.toNumber() : undefined;
 }
 
 /**
@@ -715,7 +697,8 @@ function getChallengeMemberPaymentAmount(challenge) {
  * details until finance moves the row to consumed.
  * Accounts configured to ignore challenge activation billing validation also
  * skip this lock because the Billing Accounts API validates available funds
- * when writing the lock.
+ * when writing the lock. A prize currency without an effective exchange rate
+ * skips the lock with a warning, like a missing billing context.
  *
  * @param {object} challenge Challenge model or response object after persistence.
  * @returns {Promise<void>} Resolves after the billing-account lock is written or skipped.
@@ -729,7 +712,6 @@ async function syncChallengeBillingAccountLock(challenge) {
   const billing = _.get(challenge, "billing", _.get(challenge, "billingRecord"));
   const billingAccountId = _.get(billing, "billingAccountId");
   const hasBillingAccountId = !_.isNil(billingAccountId) && _.toString(billingAccountId).trim();
-  const memberPaymentAmount = getChallengeMemberPaymentAmount(challenge);
 
   if (shouldIgnoreChallengeActivationBillingValidation(billingAccountId)) {
     logger.info("Skipping challenge billing lock sync for ignored billing account", {
@@ -739,6 +721,22 @@ async function syncChallengeBillingAccountLock(challenge) {
     return;
   }
 
+  let exchangeRates;
+  try {
+    exchangeRates = await currencyHelper.getPrizeSetExchangeRates(_.get(challenge, "prizeSets"));
+  } catch (e) {
+    // the challenge is already saved, a missing rate must not fail the request
+    if (!(e instanceof errors.BadRequestError)) {
+      throw e;
+    }
+    logger.warn("Skipping challenge billing lock sync due to a missing exchange rate", {
+      challengeId: _.get(challenge, "id"),
+      error: e.message,
+    });
+    return;
+  }
+  const memberPaymentAmount = getChallengeMemberPaymentAmount(challenge, exchangeRates);
+
   if (!hasBillingAccountId || _.isNil(memberPaymentAmount)) {
     logger.warn("Skipping challenge billing lock sync due to missing billing context", {
       challengeId: _.get(challenge, "id"),
@@ -974,6 +972,32 @@ async function ensureAIPhaseCanBeClosed(challengeId, phaseName = 'AI Screening')
   logger.debug(`${phaseName} closure allowed for challenge ${challengeId}: all reviews finalized`);
 }
 
+/**
+ * Look up standardized skills by id.
+ * @param {Array<String>} skillIds the skill ids
+ * @returns {Promise<Map>} the skills by id
+ */
+async function getSkillLookup(skillIds) {
+  const lookup = new Map();
+  const standSkills = await helper.getStandSkills(skillIds);
+  standSkills.forEach((skill) => {
+    if (skill && skill.id) {
+      lookup.set(skill.id, skill);
+    }
+  });
+  return lookup;
+}
+
+/**
+ * Get the names of skills, stored with the challenge for the full-text search.
+ * @param {Array<String>} skillIds the skill ids
+ * @param {Map} skillLookup the skills by id
+ * @returns {Array<String>} the names of the skills found
+ */
+function getSkillNames(skillIds, skillLookup) {
+  return _.compact(_.map(skillIds, (skillId) => _.get(skillLookup.get(skillId), "name")));
+}
+
 /**
  * Enrich skills data with full details from standardized skills API.
  * @param {Object} challenge the challenge object
@@ -998,13 +1022,7 @@ async function enrichSkillsData(challenge, { skillLookup } = {}) {
   let lookup = skillLookup;
   if (!lookup) {
     try {
-      const standSkills = await helper.getStandSkills(skillIds);
-      lookup = new Map();
-      standSkills.forEach((skill) => {
-        if (skill && skill.id) {
-          lookup.set(skill.id, skill);
-        }
-      });
+      lookup = await getSkillLookup(skillIds);
     } catch (error) {
       logger.error("Failed to enrich skills data:", error);
       challenge.skills = challenge.skills.map((skill) => ({
@@ -1197,7 +1215,7 @@ async function getDefaultReviewers(currentUser, criteria) {
     memberReviewerCount: r.memberReviewerCount,
     phaseName: r.phaseName,
     phaseId: r.phaseId,
-    fixedAmount: r.fixedAmount,
+    fixedAmount: moneyHelper.toAmountNumber(r.fixedAmount),
     baseCoefficient: r.baseCoefficient,
     incrementalCoefficient: r.incrementalCoefficient,
     type: r.opportunityType,
@@ -1371,6 +1389,313 @@ async function searchByLegacyId(currentUser, legacyId, page, perPage) {
   return challenges;
 }
 
+/**
+ * Build the cursor pagination order of a challenge search: the sort field, then the id so every
+ * challenge has a unique position. Statuses are ordered as declared in the database enum.
+ * @param {String} sortByProp normalized challenge sort field
+ * @param {String} sortOrderProp "asc" | "desc"
+ * @returns {Array<Object>} the Prisma orderBy
+ */
+function buildKeysetOrderBy(sortByProp, sortOrderProp) {
+  let primary;
+  if (sortByProp === "type") {
+    primary = { type: { name: sortOrderProp } };
+  } else if (KEYSET_NULLABLE_SORT_FIELDS.has(sortByProp)) {
+    primary = { [sortByProp]: { sort: sortOrderProp, nulls: "last" } };
+  } else {
+    primary = { [sortByProp]: sortOrderProp };
+  }
+  return [primary, { id: sortOrderProp }];
+}
+
+/**
+ * Get the position of a challenge in the cursor pagination order.
+ * @param {Object} challenge the challenge record
+ * @param {String} sortByProp normalized challenge sort field
+ * @param {String} sortOrderProp "asc" | "desc"
+ * @returns {String} the cursor pointing after the challenge
+ */
+function getChallengeCursor(challenge, sortByProp, sortOrderProp) {
+  let value = sortByProp === "type" ? _.get(challenge, "type.name") : challenge[sortByProp];
+  if (value instanceof Date) {
+    value = value.toISOString();
+  }
+  return helper.encodeCursor({
+    sortBy: sortByProp,
+    sortOrder: sortOrderProp,
+    value: _.isNil(value) ? null : value,
+    id: challenge.id,
+  });
+}
+
+/**
+ * Decode a challenge search cursor.
+ * @param {String} cursor the cursor
+ * @returns {Object} the sort field, order and the position of the last returned challenge
+ */
+function decodeChallengeCursor(cursor) {
+  const position = helper.decodeCursor(cursor);
+  const { error, value } = Joi.object()
+    .keys({
+      sortBy: Joi.string()
+        .valid(...KEYSET_SORT_FIELDS)
+        .required(),
+      sortOrder: Joi.string().valid("asc", "desc").required(),
+      value: Joi.alternatives().try(Joi.string(), Joi.number()).allow(null),
+      id: Joi.string().required(),
+    })
+    .validate(position);
+  const isUnknownStatus =
+    !error &&
+    value.sortBy === "status" &&
+    !_.isNil(value.value) &&
+    !_.includes(_.values(ChallengeStatusEnum), value.value);
+  if (error || isUnknownStatus) {
+    throw new errors.BadRequestError(`Invalid cursor: ${cursor}`);
+  }
+  return value;
+}
+
+/**
+ * Build the filter of the challenges after a cursor position.
+ * @param {Object} position the decoded cursor
+ * @returns {Object} the Prisma where clause
+ */
+function buildKeysetWhere({ sortBy, sortOrder, value, id }) {
+  const op = sortOrder === "asc" ? "gt" : "lt";
+  const sameValueAfter = { id: { [op]: id } };
+  if (_.isNil(value)) {
+    // the position is in the trailing null values
+    return { AND: [{ [sortBy]: null }, sameValueAfter] };
+  }
+  let after;
+  let equal;
+  if (sortBy === "status") {
+    // enum fields only support equality filters, list the statuses after the position instead
+    const statuses = _.values(ChallengeStatusEnum);
+    const index = statuses.indexOf(value);
+    after = {
+      status: {
+        in: sortOrder === "asc" ? statuses.slice(index + 1) : statuses.slice(0, index),
+      },
+    };
+    equal = { status: value };
+  } else if (sortBy === "type") {
+    after = { type: { is: { name: { [op]: value } } } };
+    equal = { type: { is: { name: value } } };
+  } else {
+    const fieldValue = KEYSET_DATE_SORT_FIELDS.has(sortBy) ? new Date(value) : value;
+    after = { [sortBy]: { [op]: fieldValue } };
+    equal = { [sortBy]: fieldValue };
+  }
+  const OR = [after, { AND: [equal, sameValueAfter] }];
+  if (KEYSET_NULLABLE_SORT_FIELDS.has(sortBy)) {
+    OR.push({ [sortBy]: null });
+  }
+  return { OR };
+}
+
+/**
+ * Parse the requested search facets, given as a comma separated list or repeated parameters.
+ * @param {String|Array<String>} facets the requested facets
+ * @returns {Array<String>|null} the facets to count, null when none is requested
+ */
+function parseSearchFacets(facets) {
+  if (_.isNil(facets)) {
+    return null;
+  }
+  const parsed = _.uniq(
+    _.compact(_.flatMap(_.castArray(facets), (facet) => _.map(facet.split(","), _.trim))),
+  );
+  const unknown = _.difference(parsed, SEARCH_FACETS);
+  if (unknown.length > 0) {
+    throw new errors.BadRequestError(
+      `Unknown search facets: ${unknown.join(", ")}. Valid facets are ${SEARCH_FACETS.join(", ")}`,
+    );
+  }
+  return parsed.length > 0 ? parsed : null;
+}
+
+/**
+ * Sort facet buckets by decreasing count, then by value.
+ * @param {Array<Object>} buckets the facet buckets
+ * @returns {Array<Object>} the sorted buckets
+ */
+function sortFacetBuckets(buckets) {
+  return _.orderBy(buckets, ["count", "value"], ["desc", "asc"]);
+}
+
+/**
+ * Count the challenges per value of a scalar column.
+ * @param {String} field the column
+ * @param {Object} where the Prisma where clause
+ * @param {Object} client the Prisma client to run the query on
+ * @returns {Promise<Array<Object>>} the value and count of each group
+ */
+async function countFacetByField(field, where, client) {
+  const groups = await client.challenge.groupBy({
+    by: [field],
+    where,
+    _count: { _all: true },
+  });
+  return _.map(
+    _.filter(groups, (group) => !_.isNil(group[field])),
+    (group) => ({ value: group[field], count: group._count._all }),
+  );
+}
+
+/**
+ * Count the challenges per element of an array column. The ChallengeFacetValue view holds the
+ * elements of each challenge once, they are grouped on the challenges matching the where clause.
+ * @param {String} field the array column
+ * @param {Object} where the Prisma where clause
+ * @param {Object} client the Prisma client to run the query on
+ * @returns {Promise<Array<Object>>} the value and count of each element
+ */
+async function countFacetByArrayField(field, where, client) {
+  const groups = await client.challengeFacetValue.groupBy({
+    by: ["value"],
+    where: { facet: field, challenge: where },
+    _count: { _all: true },
+  });
+  return _.map(groups, (group) => ({ value: group.value, count: group._count._all }));
+}
+
+/**
+ * Add the names of a model to facet buckets keyed by id.
+ * @param {Object} model the Prisma model, challengeTrack or challengeType
+ * @param {Array<Object>} buckets the facet buckets
+ * @returns {Promise<Array<Object>>} the buckets with their name
+ */
+async function addFacetNames(model, buckets) {
+  if (buckets.length === 0) {
+    return buckets;
+  }
+  const records = await model.findMany({
+    where: { id: { in: _.map(buckets, "value") } },
+    select: { id: true, name: true },
+  });
+  const names = _.fromPairs(_.map(records, (record) => [record.id, record.name]));
+  return _.map(buckets, (bucket) => ({ ...bucket, name: names[bucket.value] }));
+}
+
+const searchFacetCounters = {
+  track: async (where, client) =>
+    addFacetNames(client.challengeTrack, await countFacetByField("trackId", where, client)),
+  type: async (where, client) =>
+    addFacetNames(client.challengeType, await countFacetByField("typeId", where, client)),
+  status: (where, client) => countFacetByField("status", where, client),
+  tags: (where, client) => countFacetByArrayField("tags", where, client),
+  currentPhaseNames: (where, client) => countFacetByArrayField("currentPhaseNames", where, client),
+  skills: async (where, client) => {
+    const groups = await client.challengeSkill.groupBy({
+      by: ["skillId"],
+      where: { challenge: where },
+      _count: { _all: true },
+    });
+    const buckets = _.map(groups, (group) => ({ value: group.skillId, count: group._count._all }));
+    let lookup = new Map();
+    if (buckets.length > 0) {
+      try {
+        lookup = await getSkillLookup(_.map(buckets, "value"));
+      } catch (error) {
+        logger.error("Failed to load the skill names of the search facets:", error);
+      }
+    }
+    return _.map(buckets, (bucket) => ({
+      ...bucket,
+      name: _.get(lookup.get(bucket.value), "name"),
+    }));
+  },
+};
+
+/**
+ * Count the challenges matching a search per value of each requested facet. The filters of a
+ * facet are left out of its own counts, so every value shows how many challenges selecting it
+ * would return. Only the SEARCH_FACET_MAX_BUCKETS most frequent values of a facet are kept.
+ * @param {Array<String>} facets the facets to count
+ * @param {Array<Object>} baseFilters the search filters that don't belong to a facet, including
+ * the access filters
+ * @param {Object} facetFilters the search filters of each facet
+ * @param {Object} client the Prisma client to run the queries on
+ * @returns {Promise<Object>} the buckets of each facet
+ */
+async function getSearchFacets(facets, baseFilters, facetFilters, client) {
+  const counts = await Promise.all(
+    _.map(facets, async (facet) => {
+      const where = {
+        AND: [...baseFilters, ..._.flatten(_.values(_.omit(facetFilters, facet)))],
+      };
+      return _.take(
+        sortFacetBuckets(await searchFacetCounters[facet](where, client)),
+        SEARCH_FACET_MAX_BUCKETS,
+      );
+    }),
+  );
+  return _.zipObject(facets, counts);
+}
+
+/**
+ * Run the queries of a search. With a search term, they run in a transaction whose
+ * challenge.search_query setting holds the term: the ChallengeSearchMatch view reads it, so the
+ * full-text match and its rank are applied by the filtered and paginated queries themselves.
+ * @param {String} search the search term, in the web search syntax
+ * @param {Function} fn the queries, called with the Prisma client to run them on
+ * @returns {Promise<*>} the result of the queries
+ */
+async function withSearchQuery(search, fn) {
+  if (!search) {
+    return fn(prisma);
+  }
+  return prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT set_config('challenge.search_query', ${search}, true)`;
+    return fn(tx);
+  });
+}
+
+/**
+ * HTML-escape a text expression in SQL.
+ * @param {Object} expression the SQL expression
+ * @returns {Object} the SQL expression of the escaped text
+ */
+function escapeHtmlSql(expression) {
+  return Prisma.sql`replace(replace(replace(replace(replace(${expression},
+    '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;'), '''', '&#39;')`;
+}
+
+/**
+ * Get the highlighted snippets of the name and description of challenges matching a search term.
+ * HTML tags are removed from the description and the text is HTML-escaped, so the <mark> tags
+ * wrapping the matched words are the only markup of the snippets.
+ * @param {String} search the search term, in the web search syntax
+ * @param {Array<String>} challengeIds the challenge ids
+ * @returns {Promise<Map<String, Object>>} the highlights of each challenge id, with the name
+ * and description snippets that contain a match
+ */
+async function getFullTextSearchHighlights(search, challengeIds) {
+  if (challengeIds.length === 0) {
+    return new Map();
+  }
+  const rows = await prisma.$queryRaw`
+    SELECT
+      c."id",
+      ts_headline('english', ${escapeHtmlSql(Prisma.sql`c."name"`)}, q.query,
+        'HighlightAll=true, StartSel=<mark>, StopSel=</mark>') AS "name",
+      ts_headline('english',
+        ${escapeHtmlSql(Prisma.sql`regexp_replace(coalesce(c."description", ''), '<[^>]*>', ' ', 'g')`)},
+        q.query, 'MaxFragments=2, MaxWords=30, MinWords=10, StartSel=<mark>, StopSel=</mark>')
+        AS "description"
+    FROM "Challenge" c, websearch_to_tsquery('english', ${search}) AS q(query)
+    WHERE c."id" IN (${Prisma.join(challengeIds)})
+  `;
+  return new Map(
+    _.map(rows, (row) => [
+      row.id,
+      _.pickBy(_.pick(row, ["name", "description"]), (snippet) => _.includes(snippet, "<mark>")),
+    ]),
+  );
+}
+
 /**
  * Specialized search path when filtering by a specific memberId. We pivot through the
  * Resource table to load the member's challenge ids, then apply the remaining filters in
@@ -1385,6 +1710,7 @@ async function searchByLegacyId(currentUser, legacyId, page, perPage) {
  * @param {number} options.perPage
  * @param {Object} options.challengeInclude include payload
  * @param {Function} options.markTiming timing logger
+ * @param {Object} options.client the Prisma client to run the queries on
  * @returns {Promise<{ total: number, challenges: Array<Object> }>}
  */
 async function searchChallengesViaMemberAccess({
@@ -1397,10 +1723,11 @@ async function searchChallengesViaMemberAccess({
   perPage,
   challengeInclude,
   markTiming,
+  client = prisma,
 }) {
   const chunkSize = Number(process.env.SEARCH_MEMBER_CHUNK_SIZE || 500);
   const memberChallengeIdStart = Date.now();
-  const memberChallengeIdRows = await prisma.memberChallengeAccess.findMany({
+  const memberChallengeIdRows = await client.memberChallengeAccess.findMany({
     where: { memberId: requestedMemberId },
     select: { challengeId: true },
     distinct: ["challengeId"],
@@ -1427,7 +1754,7 @@ async function searchChallengesViaMemberAccess({
   for (const chunk of idChunks) {
     const chunkWhere = _.cloneDeep(baseWhere);
     chunkWhere.AND = [...(chunkWhere.AND || []), { id: { in: chunk } }];
-    const rows = await prisma.challenge.findMany({
+    const rows = await client.challenge.findMany({
       where: chunkWhere,
       select: summarySelect,
     });
@@ -1460,6 +1787,9 @@ async function searchChallengesViaMemberAccess({
     if (_.isNumber(aValue) && _.isNumber(bValue)) {
       return aValue - bValue;
     }
+    if (moneyHelper.isDecimal(aValue) || moneyHelper.isDecimal(bValue)) {
+      return moneyHelper.compareAmounts(aValue, bValue);
+    }
     if (aValue instanceof Date && bValue instanceof Date) {
       return aValue - bValue;
     }
@@ -1484,7 +1814,7 @@ async function searchChallengesViaMemberAccess({
   fetchWhere.AND = [...(fetchWhere.AND || []), { id: { in: pageIds } }];
 
   const fetchStart = Date.now();
-  const challenges = await prisma.challenge.findMany({
+  const challenges = await client.challenge.findMany({
     where: fetchWhere,
     include: challengeInclude,
   });
@@ -1537,6 +1867,17 @@ async function searchChallenges(currentUser, criteria) {
     criteria.sortBy = sortByAliases[criteria.sortBy];
   }
 
+  // An empty cursor starts a cursor pagination, the next ones are returned in X-Next-Cursor
+  const useCursor = !_.isUndefined(criteria.cursor);
+  if (useCursor && (!_.isUndefined(criteria.legacyId) || !_.isNil(criteria.memberId))) {
+    throw new errors.BadRequestError("The cursor can't be used with legacyId or memberId");
+  }
+  const includeTotal = _.isUndefined(criteria.includeTotal) ? !useCursor : criteria.includeTotal;
+  const facets = parseSearchFacets(criteria.facets);
+  if (facets && !_.isUndefined(criteria.legacyId)) {
+    throw new errors.BadRequestError("The facets can't be counted with legacyId");
+  }
+
   // Log the requested search filter (omit pagination for brevity)
   try {
     const filterToLog = _.omit(criteria, ["page", "perPage"]);
@@ -1558,6 +1899,15 @@ async function searchChallenges(currentUser, criteria) {
       AND: [],
     },
   };
+  // Filters on the facet values are kept apart, each facet is counted without its own filters
+  const facetFilters = {
+    track: [],
+    type: [],
+    status: [],
+    tags: [],
+    currentPhaseNames: [],
+    skills: [],
+  };
 
   const matchPhraseKeys = [
     "id",
@@ -1667,7 +2017,7 @@ async function searchChallenges(currentUser, criteria) {
 
   // handle status
   if (!_.isNil(criteria.status)) {
-    prismaFilter.where.AND.push({
+    facetFilters.status.push({
       status: criteria.status.toUpperCase(),
     });
   }
@@ -1697,34 +2047,32 @@ async function searchChallenges(currentUser, criteria) {
   });
 
   if (includedTypeIds.length > 0) {
-    prismaFilter.where.AND.push({
+    facetFilters.type.push({
       typeId: { in: includedTypeIds },
     });
   }
 
   if (includedTrackIds.length > 0) {
-    prismaFilter.where.AND.push({
+    facetFilters.track.push({
       trackId: { in: includedTrackIds },
     });
   }
 
   if (criteria.search) {
+    // Full-text match on name, tags, skill names and description, see withSearchQuery. The name
+    // substring match keeps partial words working and the exact tag match keeps the tags the
+    // full-text parser splits, these challenges rank last
     prismaFilter.where.AND.push({
       OR: [
+        {
+          searchMatch: { isNot: null },
+        },
         {
           name: {
             contains: criteria.search,
             mode: "insensitive",
           },
         },
-        {
-          description: { contains: criteria.search },
-          // TODO: Skills doesn't have name field in db.
-          /*
-      }, {
-        skills: { some: { name: { contains: criteria.search } } }
-      */
-        },
         {
           tags: { has: criteria.search },
         },
@@ -1748,7 +2096,7 @@ async function searchChallenges(currentUser, criteria) {
   }
 
   if (criteria.tag) {
-    prismaFilter.where.AND.push({
+    facetFilters.tags.push({
       tags: {
         has: criteria.tag,
       },
@@ -1757,26 +2105,35 @@ async function searchChallenges(currentUser, criteria) {
 
   if (criteria.tags) {
     if (criteria.includeAllTags) {
-      prismaFilter.where.AND.push({
+      facetFilters.tags.push({
         tags: { hasEvery: criteria.tags },
       });
     } else {
-      prismaFilter.where.AND.push({
+      facetFilters.tags.push({
         tags: { hasSome: criteria.tags },
       });
     }
   }
 
+  if (criteria.skillIds) {
+    facetFilters.skills.push({
+      skills: { some: { skillId: { in: criteria.skillIds } } },
+    });
+  }
+
   if (criteria.totalPrizesFrom || criteria.totalPrizesTo) {
+    // the totals of a prize currency, or the USD equivalent of all the prizes by default
+    const totalPrizesFilter = (filter) =>
+      criteria.totalPrizesCurrency
+        ? {
+            overviewTotalPrizesByCurrency: { path: [criteria.totalPrizesCurrency], ...filter },
+          }
+        : { overviewTotalPrizes: filter };
     if (criteria.totalPrizesFrom) {
-      prismaFilter.where.AND.push({
-        overviewTotalPrizes: { gte: criteria.totalPrizesFrom },
-      });
+      prismaFilter.where.AND.push(totalPrizesFilter({ gte: criteria.totalPrizesFrom }));
     }
     if (criteria.totalPrizesTo) {
-      prismaFilter.where.AND.push({
-        overviewTotalPrizes: { lte: criteria.totalPrizesTo },
-      });
+      prismaFilter.where.AND.push(totalPrizesFilter({ lte: criteria.totalPrizesTo }));
     }
   }
   if (criteria.selfService) {
@@ -1827,7 +2184,7 @@ async function searchChallenges(currentUser, criteria) {
         ? ["Registration", "Open"]
         : [criteria.currentPhaseName];
 
-    prismaFilter.where.AND.push({
+    facetFilters.currentPhaseNames.push({
       OR: [
         { currentPhaseNames: { hasSome: phaseNamesToMatch } },
         {
@@ -1924,12 +2281,38 @@ async function searchChallenges(currentUser, criteria) {
 
   let sortByProp = criteria.sortBy ? criteria.sortBy : "createdAt";
 
-  const sortOrderProp = criteria.sortOrder ? criteria.sortOrder : "desc";
+  let sortOrderProp = criteria.sortOrder ? criteria.sortOrder : "desc";
 
   if (sortByProp === "overview.totalPrizes") {
     sortByProp = "overviewTotalPrizes";
   }
 
+  let cursorPosition = null;
+  if (criteria.cursor) {
+    cursorPosition = decodeChallengeCursor(criteria.cursor);
+    if (
+      (criteria.sortBy && cursorPosition.sortBy !== sortByProp) ||
+      (criteria.sortOrder && cursorPosition.sortOrder !== sortOrderProp)
+    ) {
+      throw new errors.BadRequestError(
+        "The sortBy and sortOrder must not change while paginating with a cursor",
+      );
+    }
+    sortByProp = cursorPosition.sortBy;
+    sortOrderProp = cursorPosition.sortOrder;
+  }
+
+  if (sortByProp === constants.validChallengeParams.Relevance) {
+    if (!criteria.search) {
+      throw new errors.BadRequestError("Sorting by relevance requires a search term");
+    }
+    if (useCursor || !_.isNil(criteria.memberId)) {
+      throw new errors.BadRequestError(
+        "Sorting by relevance can't be used with a cursor or memberId",
+      );
+    }
+  }
+
   if (criteria.tco) {
     prismaFilter.where.AND.push({
       events: {
@@ -2041,7 +2424,13 @@ async function searchChallenges(currentUser, criteria) {
     if (groupsToFilter.length === 0) {
       // User can't access any of the groups from the filters
       // We return an empty array as the result
-      return { total: 0, page, perPage, result: [] };
+      return {
+        total: 0,
+        page,
+        perPage,
+        result: [],
+        facets: facets ? _.fromPairs(_.map(facets, (facet) => [facet, []])) : undefined,
+      };
     }
   }
 
@@ -2144,8 +2533,24 @@ async function searchChallenges(currentUser, criteria) {
     });
   }
 
+  const baseFilters = [...prismaFilter.where.AND];
+  if (requestedMemberId) {
+    // The member search pivots through the member accesses, the facets filter on them instead
+    baseFilters.push({ memberAccesses: { some: { memberId: requestedMemberId } } });
+  }
+  prismaFilter.where.AND.push(..._.flatten(_.values(facetFilters)));
+
   const sortFilter = {};
-  sortFilter[sortByProp] = sortOrderProp;
+  const orderBy = [sortFilter];
+  if (sortByProp === constants.validChallengeParams.Relevance) {
+    // The challenges matching only the name or a tag have no full-text rank, they rank last
+    sortFilter.searchMatch = {
+      rank: { sort: sortOrderProp, nulls: sortOrderProp === "desc" ? "last" : "first" },
+    };
+    orderBy.push({ id: sortOrderProp });
+  } else {
+    sortFilter[sortByProp] = sortOrderProp;
+  }
 
   const challengeInclude = buildChallengeInclude(currentUserMemberId);
 
@@ -2153,7 +2558,7 @@ async function searchChallenges(currentUser, criteria) {
     ...prismaFilter,
     take: perPage,
     skip: (page - 1) * perPage,
-    orderBy: [sortFilter],
+    orderBy,
     include: challengeInclude,
   };
 
@@ -2205,75 +2610,111 @@ async function searchChallenges(currentUser, criteria) {
 
   let challenges = [];
   let total = 0;
+  let nextCursor;
+  let facetCounts;
   try {
-    if (requestedMemberId) {
-      ({ total, challenges } = await searchChallengesViaMemberAccess({
-        requestedMemberId,
-        challengeWhere: prismaFilter.where,
-        sortFilter,
-        sortByProp,
-        sortOrderProp,
-        page,
-        perPage,
-        challengeInclude,
-        markTiming,
-      }));
-    } else if (sortByProp === "status") {
-      const summaryStart = Date.now();
-      const summaryRecords = await prisma.challenge.findMany({
-        where: prismaFilter.where,
-        select: {
-          id: true,
-          status: true,
-        },
-      });
-      markTiming("statusSortSummaryScan", {
-        durationMs: Date.now() - summaryStart,
-        candidateCount: summaryRecords.length,
-      });
-
-      const sortDirection = sortOrderProp === "asc" ? 1 : -1;
-      summaryRecords.sort((a, b) => compareStatusSortValues(a.status, b.status) * sortDirection);
-
-      total = summaryRecords.length;
-      const offset = (page - 1) * perPage;
-      const pageSummaries = summaryRecords.slice(offset, offset + perPage);
-      const pageIds = pageSummaries.map((summary) => summary.id);
-      if (pageIds.length === 0) {
-        challenges = [];
-      } else {
-        const fetchWhere = _.cloneDeep(prismaFilter.where);
-        fetchWhere.AND = [...(fetchWhere.AND || []), { id: { in: pageIds } }];
-
+    await withSearchQuery(criteria.search, async (client) => {
+      if (requestedMemberId) {
+        ({ total, challenges } = await searchChallengesViaMemberAccess({
+          requestedMemberId,
+          challengeWhere: prismaFilter.where,
+          sortFilter,
+          sortByProp,
+          sortOrderProp,
+          page,
+          perPage,
+          challengeInclude,
+          markTiming,
+          client,
+        }));
+      } else if (useCursor) {
+        if (includeTotal) {
+          const countStart = Date.now();
+          total = await client.challenge.count({ ...prismaFilter });
+          markTiming("count", { durationMs: Date.now() - countStart, total });
+        } else {
+          total = undefined;
+        }
+        const keysetWhere = cursorPosition
+          ? { AND: [...prismaFilter.where.AND, buildKeysetWhere(cursorPosition)] }
+          : prismaFilter.where;
         const findManyStart = Date.now();
-        const fetchedChallenges = await prisma.challenge.findMany({
-          where: fetchWhere,
+        // Fetch one more challenge to know whether there is a next page
+        challenges = await client.challenge.findMany({
+          where: keysetWhere,
+          orderBy: buildKeysetOrderBy(sortByProp, sortOrderProp),
+          take: perPage + 1,
           include: challengeInclude,
         });
-        markTiming("statusSortFetch", {
+        markTiming("keysetFindMany", {
           durationMs: Date.now() - findManyStart,
-          resultCount: fetchedChallenges.length,
+          resultCount: challenges.length,
+        });
+        if (challenges.length > perPage) {
+          challenges = challenges.slice(0, perPage);
+          nextCursor = getChallengeCursor(_.last(challenges), sortByProp, sortOrderProp);
+        }
+      } else if (sortByProp === "status") {
+        const summaryStart = Date.now();
+        const summaryRecords = await client.challenge.findMany({
+          where: prismaFilter.where,
+          select: {
+            id: true,
+            status: true,
+          },
+        });
+        markTiming("statusSortSummaryScan", {
+          durationMs: Date.now() - summaryStart,
+          candidateCount: summaryRecords.length,
         });
 
-        const challengesById = new Map();
-        fetchedChallenges.forEach((challenge) => {
-          challengesById.set(challenge.id, challenge);
+        const sortDirection = sortOrderProp === "asc" ? 1 : -1;
+        summaryRecords.sort((a, b) => compareStatusSortValues(a.status, b.status) * sortDirection);
+
+        total = summaryRecords.length;
+        const offset = (page - 1) * perPage;
+        const pageSummaries = summaryRecords.slice(offset, offset + perPage);
+        const pageIds = pageSummaries.map((summary) => summary.id);
+        if (pageIds.length === 0) {
+          challenges = [];
+        } else {
+          const fetchWhere = _.cloneDeep(prismaFilter.where);
+          fetchWhere.AND = [...(fetchWhere.AND || []), { id: { in: pageIds } }];
+
+          const findManyStart = Date.now();
+          const fetchedChallenges = await client.challenge.findMany({
+            where: fetchWhere,
+            include: challengeInclude,
+          });
+          markTiming("statusSortFetch", {
+            durationMs: Date.now() - findManyStart,
+            resultCount: fetchedChallenges.length,
+          });
+
+          const challengesById = new Map();
+          fetchedChallenges.forEach((challenge) => {
+            challengesById.set(challenge.id, challenge);
+          });
+          challenges = pageIds
+            .map((challengeId) => challengesById.get(challengeId))
+            .filter((challenge) => !!challenge);
+        }
+      } else {
+        if (includeTotal) {
+          const countStart = Date.now();
+          total = await client.challenge.count({ ...prismaFilter });
+          markTiming("count", { durationMs: Date.now() - countStart, total });
+        } else {
+          total = undefined;
+        }
+        const findManyStart = Date.now();
+        challenges = await client.challenge.findMany(prismaQuery);
+        markTiming("findMany", {
+          durationMs: Date.now() - findManyStart,
+          resultCount: challenges.length,
         });
-        challenges = pageIds
-          .map((challengeId) => challengesById.get(challengeId))
-          .filter((challenge) => !!challenge);
       }
-    } else {
-      const countStart = Date.now();
-      total = await prisma.challenge.count({ ...prismaFilter });
-      markTiming("count", { durationMs: Date.now() - countStart, total });
-      const findManyStart = Date.now();
-      challenges = await prisma.challenge.findMany(prismaQuery);
-      markTiming("findMany", {
-        durationMs: Date.now() - findManyStart,
-        resultCount: challenges.length,
-      });
-    }
+    });
 
     const taskSyncTargets = challenges.filter((challenge) => {
       const taskInfo = helper.getTaskInfo(challenge);
@@ -2306,7 +2747,29 @@ async function searchChallenges(currentUser, criteria) {
       enrichChallengeForResponse(challenge, challenge.track, challenge.type);
     });
 
+    if (criteria.search) {
+      const highlightsStart = Date.now();
+      const highlights = await getFullTextSearchHighlights(
+        criteria.search,
+        _.map(challenges, "id"),
+      );
+      challenges.forEach((challenge) => {
+        if (!_.isEmpty(highlights.get(challenge.id))) {
+          challenge.highlights = highlights.get(challenge.id);
+        }
+      });
+      markTiming("highlights", { durationMs: Date.now() - highlightsStart });
+    }
+
     // Note: numOfRegistrants and numOfSubmissions are no longer calculated here.
+
+    if (facets) {
+      const facetsStart = Date.now();
+      facetCounts = await withSearchQuery(criteria.search, (client) =>
+        getSearchFacets(facets, baseFilters, facetFilters, client),
+      );
+      markTiming("facets", { durationMs: Date.now() - facetsStart, facets });
+    }
   } catch (e) {
     // logger.error(JSON.stringify(e));
     console.log(e);
@@ -2365,7 +2828,7 @@ async function searchChallenges(currentUser, criteria) {
     );
   }
 
-  return { total, page, perPage, result: sanitizedResult };
+  return { total, page, perPage, result: sanitizedResult, nextCursor, facets: facetCounts };
 }
 searchChallenges.schema = {
   currentUser: Joi.any(),
@@ -2394,6 +2857,7 @@ searchChallenges.schema = {
       tag: Joi.string(),
       tags: Joi.array().items(Joi.string()),
       includeAllTags: Joi.boolean().default(true),
+      skillIds: Joi.array().items(Joi.optionalId()),
       projectId: Joi.number().integer().positive(),
       projectIds: Joi.array().items(Joi.number().integer().positive()),
       forumId: Joi.number().integer(),
@@ -2428,6 +2892,9 @@ searchChallenges.schema = {
       memberId: Joi.string(),
       sortBy: Joi.string().valid(...allowedSortByValues),
       sortOrder: Joi.string().valid("asc", "desc"),
+      cursor: Joi.string().allow(""),
+      includeTotal: Joi.boolean(),
+      facets: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string())),
       groups: Joi.array().items(Joi.optionalId()).unique(),
       ids: Joi.array().items(Joi.optionalId()).unique().min(1),
       isTask: Joi.boolean(),
@@ -2438,11 +2905,216 @@ searchChallenges.schema = {
       useSchedulingAPI: Joi.boolean(),
       totalPrizesFrom: Joi.number().min(0),
       totalPrizesTo: Joi.number().min(0),
+      totalPrizesCurrency: Joi.string()
+        .uppercase()
+        .valid(...currencyHelper.getPrizeCurrencies()),
       tco: Joi.boolean().default(false),
     })
     .unknown(true),
 };
 
+/**
+ * Notify a member of a challenge matching their saved searches, unless they were notified less
+ * than SAVED_SEARCH.NOTIFICATION_THROTTLE_MS ago.
+ * @param {String} userId the member id
+ * @param {Array<Object>} savedSearches the matching saved searches of the member
+ * @param {Object} challenge the matching challenge
+ * @returns {Promise<Boolean>} whether the member was notified
+ */
+async function notifySavedSearchOwner(userId, savedSearches, challenge) {
+  const now = new Date();
+  const {
+    _max: { lastNotifiedAt },
+  } = await prisma.savedSearch.aggregate({
+    where: { userId },
+    _max: { lastNotifiedAt: true },
+  });
+  const throttledUntil = lastNotifiedAt
+    ? new Date(lastNotifiedAt).getTime() + config.SAVED_SEARCH.NOTIFICATION_THROTTLE_MS
+    : 0;
+  if (now.getTime() < throttledUntil) {
+    logger.info(`Saved search notification to ${userId} throttled for challenge ${challenge.id}`);
+    return false;
+  }
+  await prisma.$transaction(async (tx) => {
+    await helper.postBusEvent(
+      constants.Topics.Notifications,
+      {
+        notifications: [
+          {
+            serviceId: "email",
+            type: SAVED_SEARCH_NOTIFICATION_TYPE,
+            details: {
+              from: config.EMAIL_FROM,
+              recipients: [{ userId }],
+              data: {
+                challengeId: challenge.id,
+                challengeName: challenge.name,
+                challengeURL: `${config.CHALLENGE_URL}/${challenge.id}`,
+                savedSearchNames: _.map(savedSearches, "name"),
+              },
+              sendgridTemplateId: config.SAVED_SEARCH.SENDGRID_TEMPLATE_ID,
+              version: "v3",
+            },
+          },
+        ],
+      },
+      { tx, challengeId: challenge.id },
+    );
+    await tx.savedSearch.updateMany({
+      where: { id: { in: _.map(savedSearches, "id") } },
+      data: { lastNotifiedAt: now },
+    });
+  });
+  return true;
+}
+
+// the saved search criteria matchSavedSearchCriteria evaluates, any other criteria is searched
+const SAVED_SEARCH_MEMORY_CRITERIA = [
+  "typeId",
+  "typeIds",
+  "trackId",
+  "trackIds",
+  "name",
+  "tag",
+  "tags",
+  "includeAllTags",
+  "skillIds",
+  "projectId",
+  "projectIds",
+  "status",
+  "totalPrizesFrom",
+  "totalPrizesTo",
+  "includeAllEvents",
+  "isLightweight",
+  "tco",
+];
+
+/**
+ * Match a challenge against saved search criteria the way searchChallenges filters, without the
+ * access rules.
+ * @param {Object} criteria the normalized saved search criteria
+ * @param {Object} challenge the challenge, as stored or as returned by the API
+ * @returns {Boolean|null} whether the challenge matches, null when the criteria must be searched
+ */
+function matchSavedSearchCriteria(criteria, challenge) {
+  const keys = _.keys(_.omitBy(criteria, _.isNil));
+  if (_.difference(keys, SAVED_SEARCH_MEMORY_CRITERIA).length > 0 || criteria.tco) {
+    return null;
+  }
+  const typeIds = _.compact([...(criteria.typeIds || []), criteria.typeId]);
+  const trackIds = _.compact([...(criteria.trackIds || []), criteria.trackId]);
+  const tags = challenge.tags || [];
+  const hasTag = (tag) => _.includes(tags, tag);
+  const skillIds = _.map(challenge.skills, (skill) => skill.skillId || skill.id);
+  const totalPrizes = _.get(challenge, "overview.totalPrizes", challenge.overviewTotalPrizes);
+  return (
+    (typeIds.length === 0 || _.includes(typeIds, challenge.typeId)) &&
+    (trackIds.length === 0 || _.includes(trackIds, challenge.trackId)) &&
+    (!criteria.name || _.includes(_.toLower(challenge.name), _.toLower(criteria.name))) &&
+    (!criteria.tag || hasTag(criteria.tag)) &&
+    (!criteria.tags ||
+      (criteria.includeAllTags ? _.every(criteria.tags, hasTag) : _.some(criteria.tags, hasTag))) &&
+    (!criteria.skillIds || _.intersection(criteria.skillIds, skillIds).length > 0) &&
+    (_.isNil(criteria.projectId) || criteria.projectId === challenge.projectId) &&
+    (_.isEmpty(criteria.projectIds) || _.includes(criteria.projectIds, challenge.projectId)) &&
+    (!criteria.status || criteria.status.toUpperCase() === challenge.status) &&
+    (!criteria.totalPrizesFrom || totalPrizes >= criteria.totalPrizesFrom) &&
+    (!criteria.totalPrizesTo || totalPrizes <= criteria.totalPrizesTo)
+  );
+}
+
+/**
+ * Notify the members whose saved searches match a challenge that went ACTIVE. The saved searches
+ * are pre-filtered on their track, type and status columns, then the challenge is matched against
+ * each of them in memory; a saved search with criteria the matcher doesn't evaluate, or on a
+ * group, whitelist or task challenge, runs as its owner restricted to the challenge so the access
+ * rules of the search apply. Errors are logged per saved search and per member, the caller doesn't
+ * wait for the notifications.
+ * @param {Object} challenge the challenge
+ */
+async function notifySavedSearchMatches(challenge) {
+  try {
+    const whitelistCount = await prisma.challengeUserWhitelist.count({
+      where: { challengeId: challenge.id },
+    });
+    const checkAccess =
+      helper.isRestrictedChallenge(challenge.groups, whitelistCount) ||
+      Boolean(_.get(challenge, "task.isTask", challenge.taskIsTask));
+    const matchesByUser = new Map();
+    let lastId;
+    for (;;) {
+      const savedSearches = await prisma.savedSearch.findMany({
+        where: {
+          notify: true,
+          AND: [
+            { OR: [{ trackIds: { isEmpty: true } }, { trackIds: { has: challenge.trackId } }] },
+            { OR: [{ typeIds: { isEmpty: true } }, { typeIds: { has: challenge.typeId } }] },
+            { OR: [{ status: null }, { status: challenge.status }] },
+          ],
+          ...(lastId ? { id: { gt: lastId } } : {}),
+        },
+        orderBy: { id: "asc" },
+        take: config.SAVED_SEARCH.BATCH_SIZE,
+      });
+      for (const savedSearch of savedSearches) {
+        try {
+          let matched = matchSavedSearchCriteria(savedSearch.criteria, challenge);
+          if (matched !== false && (matched === null || checkAccess)) {
+            const { result } = await searchChallenges(
+              { userId: savedSearch.userId, roles: [] },
+              validateSearchCriteria({
+                ...savedSearch.criteria,
+                ids: [challenge.id],
+                perPage: 1,
+                includeTotal: false,
+              }),
+            );
+            matched = result.length > 0;
+          }
+          if (matched) {
+            matchesByUser.set(savedSearch.userId, [
+              ...(matchesByUser.get(savedSearch.userId) || []),
+              savedSearch,
+            ]);
+          }
+        } catch (e) {
+          logger.error(
+            `Failed to match saved search ${savedSearch.id} against challenge ${challenge.id}: ${e.message}`,
+          );
+        }
+      }
+      if (savedSearches.length < config.SAVED_SEARCH.BATCH_SIZE) {
+        break;
+      }
+      lastId = _.last(savedSearches).id;
+    }
+
+    for (const [userId, savedSearches] of matchesByUser) {
+      try {
+        await notifySavedSearchOwner(userId, savedSearches, challenge);
+      } catch (e) {
+        logger.error(
+          `Failed to notify ${userId} of saved searches matching challenge ${challenge.id}: ${e.message}`,
+        );
+      }
+    }
+  } catch (e) {
+    logger.error(
+      `Failed to notify the saved searches matching challenge ${challenge.id}: ${e.message}`,
+    );
+  }
+}
+
+/**
+ * Validate and normalize search criteria the way searchChallenges does, for saved searches.
+ * @param {Object} criteria the search criteria
+ * @returns {Object} the normalized criteria
+ */
+function validateSearchCriteria(criteria) {
+  return Joi.attempt(criteria, searchChallenges.schema.criteria);
+}
+
 /**
  * Create challenge.
  * Challenges billed to configured Topgear accounts skip manual budget approval and are auto-approved.
@@ -2750,7 +3422,12 @@ async function createChallenge(currentUser, challenge, userToken) {
 
   // AI screening phase will be added when challenge is launched (status changed to ACTIVE)
 
-  const prismaModel = prismaHelper.convertChallengeSchemaToPrisma(currentUser, challenge);
+  const exchangeRates = await currencyHelper.getPrizeSetExchangeRates(challenge.prizeSets);
+  const prismaModel = prismaHelper.convertChallengeSchemaToPrisma(
+    currentUser,
+    challenge,
+    exchangeRates,
+  );
   logger.info(
     `createChallenge: creating challenge record via prisma ${buildLogContext()} phaseCount=${_.get(
       challenge,
@@ -2758,11 +3435,49 @@ async function createChallenge(currentUser, challenge, userToken) {
       0,
     )} prizeSetCount=${_.get(challenge, "prizeSets.length", 0)}`,
   );
-  const ret = await prisma.challenge.create({
-    data: prismaModel,
-    include: includeReturnFields,
+  // Look the skills up first so the transaction below does not wait on the skills API
+  let skillLookup = new Map();
+  const skillIds = _.uniq(_.compact(_.map(challenge.skills, "id")));
+  if (skillIds.length > 0) {
+    try {
+      skillLookup = await getSkillLookup(skillIds);
+    } catch (error) {
+      logger.error("Failed to enrich skills data:", error);
+    }
+  }
+  prismaModel.skillNames = getSkillNames(skillIds, skillLookup);
+
+  // The challenge and its ChallengeCreated event are committed together
+  const ret = await prisma.$transaction(async (tx) => {
+    const created = await tx.challenge.create({
+      data: prismaModel,
+      include: includeReturnFields,
+    });
+    logger.info(
+      `createChallenge: challenge record created (id=${created.id}) ${buildLogContext()}`,
+    );
+
+    created.overview = { totalPrizes: created.overviewTotalPrizes };
+    // No conversion needed - values are already in dollars in the database
+
+    prismaHelper.convertModelToResponse(created);
+    await enrichSkillsData(created, { skillLookup });
+    enrichChallengeForResponse(created, track, type);
+
+    // post bus event
+    logger.info(
+      `createChallenge: posting bus event ${constants.Topics.ChallengeCreated} (challengeId=${
+        created.id
+      }) ${buildLogContext()}`,
+    );
+    await helper.postBusEvent(constants.Topics.ChallengeCreated, created, { tx });
+    logger.info(
+      `createChallenge: bus event posted ${constants.Topics.ChallengeCreated} (challengeId=${
+        created.id
+      }) ${buildLogContext()}`,
+    );
+    return created;
   });
-  logger.info(`createChallenge: challenge record created (id=${ret.id}) ${buildLogContext()}`);
 
   if (!hasProvidedReviewers) {
     await challengeHelper.createAIReviewConfigsForChallengeCreation(
@@ -2772,12 +3487,6 @@ async function createChallenge(currentUser, challenge, userToken) {
     );
   }
 
-  ret.overview = { totalPrizes: ret.overviewTotalPrizes };
-  // No conversion needed - values are already in dollars in the database
-
-  prismaHelper.convertModelToResponse(ret);
-  await enrichSkillsData(ret);
-  enrichChallengeForResponse(ret, track, type);
   await syncChallengeBillingAccountLock(ret);
 
   // If the challenge is self-service, add the creating user as the "client manager", *not* the manager
@@ -2813,18 +3522,9 @@ async function createChallenge(currentUser, challenge, userToken) {
     }
   }
 
-  // post bus event
-  logger.info(
-    `createChallenge: posting bus event ${constants.Topics.ChallengeCreated} (challengeId=${
-      ret.id
-    }) ${buildLogContext()}`,
-  );
-  await helper.postBusEvent(constants.Topics.ChallengeCreated, ret);
-  logger.info(
-    `createChallenge: bus event posted ${constants.Topics.ChallengeCreated} (challengeId=${
-      ret.id
-    }) ${buildLogContext()}`,
-  );
+  if (ret.status === ChallengeStatusEnum.ACTIVE) {
+    void notifySavedSearchMatches(ret);
+  }
 
   return helper.removeNullProperties(sanitizeBillingMarkupForCaller(currentUser, ret));
 }
@@ -2955,7 +3655,9 @@ createChallenge.schema = {
             .items(
               Joi.object().keys({
                 description: Joi.string(),
-                type: Joi.string().required(),
+                type: Joi.string()
+                  .valid(...currencyHelper.getPrizeCurrencies())
+                  .required(),
                 value: Joi.number().min(0).required(),
               }),
             )
@@ -3005,6 +3707,133 @@ createChallenge.schema = {
   userToken: Joi.string().required(),
 };
 
+// Legacy settings carried over to a clone; legacy ids (forumId, directProjectId) are not
+const CLONED_LEGACY_FIELDS = [
+  "reviewType",
+  "confidentialityType",
+  "screeningScorecardId",
+  "reviewScorecardId",
+  "isTask",
+  "useSchedulingAPI",
+  "pureV5Task",
+  "pureV5",
+  "selfService",
+  "selfServiceCopilot",
+];
+const CLONED_FROM_METADATA_NAME = "clonedFromChallengeId";
+
+/**
+ * Build the create challenge payload of a clone from the source challenge.
+ * Winners, counters, legacy ids, approval status and phase dates are left out so they start over.
+ * @param {Object} source the source challenge, in response format
+ * @param {Object} constraintRecord the top level constraints of the source challenge
+ * @param {Object} data the clone options
+ * @returns {Object} the create challenge payload
+ */
+function buildClonedChallengePayload(source, constraintRecord, data) {
+  const sourceStartDate = source.startDate ? new Date(source.startDate) : null;
+  let startDate = data.startDate;
+  if (!startDate && sourceStartDate && sourceStartDate > new Date()) {
+    startDate = sourceStartDate.toISOString();
+  }
+
+  const payload = {
+    ..._.pick(source, [
+      "typeId",
+      "trackId",
+      "timelineTemplateId",
+      "name",
+      "description",
+      "privateDescription",
+      "descriptionFormat",
+      "wiproAllowed",
+      "funChallenge",
+      "challengeSource",
+      "projectId",
+      "tags",
+      "groups",
+      "terms",
+      "events",
+    ]),
+    ..._.pick(data, ["name", "projectId"]),
+    status: ChallengeStatusEnum.DRAFT,
+    startDate,
+    legacy: _.pick(source.legacy, CLONED_LEGACY_FIELDS),
+    billing: _.pick(source.billing, ["billingAccountId", "markup", "clientBillingRate"]),
+    // Iterative Review phases inserted while the source ran share their phaseId, keep the first
+    phases: _.map(_.uniqBy(source.phases, "phaseId"), (phase) =>
+      _.pick(phase, ["phaseId", "duration", "constraints"]),
+    ),
+    prizeSets: source.prizeSets,
+    reviewers: source.reviewers,
+    skills: _.map(source.skills, (skill) => _.pick(skill, ["id"])),
+    discussions: _.map(source.discussions, (discussion) => _.omit(discussion, ["id"])),
+    metadata: [
+      ..._.reject(source.metadata, { name: CLONED_FROM_METADATA_NAME }),
+      { name: CLONED_FROM_METADATA_NAME, value: source.id },
+    ],
+  };
+  if (constraintRecord && !_.isEmpty(constraintRecord.allowedRegistrants)) {
+    payload.constraints = { allowedRegistrants: constraintRecord.allowedRegistrants };
+  }
+  return helper.removeNullProperties(payload);
+}
+
+/**
+ * Clone a challenge into a new DRAFT challenge. Only users who can modify the source can clone it.
+ * The clone goes through createChallenge, so it is validated, billed and approved like any new
+ * challenge; its phases are populated from the timeline template starting at the new start date.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} challengeId the id of the challenge to clone
+ * @param {Object} data the clone options
+ * @param {String} userToken the user token
+ * @returns {Object} the created challenge
+ */
+async function cloneChallenge(currentUser, challengeId, data, userToken) {
+  const source = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+    include: { ...includeReturnFields, constraintRecord: true },
+  });
+  if (_.isNil(source) || _.isNil(source.id)) {
+    throw new errors.NotFoundError(`Challenge with id: ${challengeId} doesn't exist.`);
+  }
+  await helper.ensureChallengeWhitelistAccess(currentUser, source.id);
+  await helper.ensureUserCanViewChallenge(currentUser, source);
+  // the clone copies the private description, reviewers and billing terms of the source
+  await helper.ensureUserCanModifyChallenge(currentUser, source);
+
+  const { constraintRecord } = source;
+  prismaHelper.convertModelToResponse(source);
+  const challenge = Joi.attempt(
+    buildClonedChallengePayload(source, constraintRecord, data),
+    createChallenge.schema.challenge,
+  );
+  logger.info(`cloneChallenge: cloning challenge ${challengeId} into a new draft`);
+  return createChallenge(currentUser, challenge, userToken);
+}
+
+cloneChallenge.schema = {
+  currentUser: Joi.any(),
+  challengeId: Joi.id(),
+  data: Joi.object()
+    .keys({
+      name: Joi.string(),
+      projectId: Joi.number().integer().positive(),
+      startDate: Joi.date().iso(),
+    })
+    .default({}),
+  userToken: Joi.string().required(),
+};
+
+/**
+ * Validate and normalize a challenge payload the way createChallenge does, for challenge templates.
+ * @param {Object} challenge the challenge data
+ * @returns {Object} the normalized challenge data
+ */
+function validateCreateChallengeData(challenge) {
+  return Joi.attempt(challenge, createChallenge.schema.challenge);
+}
+
 /**
  * Get challenge.
  * @param {Object} currentUser the user who perform operation
@@ -3106,20 +3935,20 @@ async function getChallengeStatistics(currentUser, id) {
     throw new errors.NotFoundError(`Challenge of id ${id} is not found.`);
   }
   await helper.ensureUserCanViewChallenge(currentUser, challenge);
-  // get submissions
-  console.log("Getting challenge submissions for challenge ID: " + id);
   const submissions = await helper.getChallengeSubmissions(id);
-  console.log(`Found ${submissions.length} submissions`);
+  logger.debug(`getChallengeStatistics: found ${submissions.length} submissions for ${id}`);
   if (submissions.length === 0) {
     return [];
   }
-  // for each submission, load member profile
+  // load the member profiles in bulk rather than one call per member
+  const members = _.keyBy(
+    await helper.getMembersByUserIds(_.map(submissions, "memberId")),
+    (member) => _.toString(member.userId),
+  );
   const map = {};
   for (const submission of submissions) {
     if (!map[submission.memberId]) {
-      console.log("Finding member ID: " + submission.memberId);
-      // Load member profile and cache
-      const member = await helper.getMemberById(submission.memberId);
+      const member = members[_.toString(submission.memberId)] || {};
       map[submission.memberId] = {
         photoUrl: member.photoURL,
         rating: _.get(member, "maxRating.rating", 0),
@@ -3146,6 +3975,201 @@ getChallengeStatistics.schema = {
   id: Joi.id(),
 };
 
+// Prize set types in the order the cost estimate lists them
+const COST_ESTIMATE_PRIZE_SET_TYPES = [
+  PrizeSetTypeEnum.PLACEMENT,
+  PrizeSetTypeEnum.CHECKPOINT,
+  PrizeSetTypeEnum.COPILOT,
+  PrizeSetTypeEnum.REVIEWER,
+  PrizeSetTypeEnum.PASSED_REVIEW,
+];
+
+/**
+ * Itemizes the estimated cost of a challenge: the USD prizes of each prize set type, with the
+ * estimated member reviews under the reviewer payments, and the billing rate applied on top.
+ * The client billing rate takes precedence over the markup, and rates above 1 are percentages.
+ * Prizes in other currencies are estimated at their USD exchange rate, points are left out.
+ * @param {Object} challenge the challenge or draft with prizeSets, reviewers and billing
+ * @param {Number} submissionsCount the submissions the reviewer estimates are computed for
+ * @param {Object} exchangeRates the USD exchange rates of the prize currencies
+ * @returns {Object} the cost estimate
+ */
+function buildChallengeCostEstimate(challenge, submissionsCount, exchangeRates = {}) {
+  const reviewerPayments = getEstimatedReviewerPayments(challenge, submissionsCount, exchangeRates);
+  const items = [];
+  for (const type of COST_ESTIMATE_PRIZE_SET_TYPES) {
+    const prizes = _.flatMap(
+      _.filter(
+        _.get(challenge, "prizeSets"),
+        (prizeSet) => _.toString(_.get(prizeSet, "type")).toUpperCase() === type,
+      ),
+      (prizeSet) => _.get(prizeSet, "prizes") || [],
+    );
+    const usdPrizes = _.map(prizes, (prize) =>
+      currencyHelper.convertToUsd(prize.value, prize.type, exchangeRates),
+    );
+    const item = {
+      type,
+      prizes: _.map(_.reject(usdPrizes, _.isNil), (prize) => moneyHelper.roundAmount(prize)),
+    };
+    if (type === PrizeSetTypeEnum.REVIEWER && !_.isEmpty(reviewerPayments)) {
+      item.memberReviewers = _.map(reviewerPayments, (payment) => ({
+        ...payment,
+        amount: moneyHelper.roundAmount(payment.amount),
+      }));
+    }
+    if (_.isEmpty(item.prizes) && _.isEmpty(item.memberReviewers)) {
+      continue;
+    }
+    const memberReviewAmounts = item.memberReviewers ? _.map(reviewerPayments, "amount") : [];
+    item.amount = moneyHelper.roundAmount(
+      moneyHelper.sumAmounts([...item.prizes, ...memberReviewAmounts]),
+    );
+    items.push(item);
+  }
+
+  const billing = _.get(challenge, "billing", _.get(challenge, "billingRecord")) || {};
+  const markup = _.isNil(billing.markup) ? null : moneyHelper.toAmountNumber(billing.markup);
+  const clientBillingRate = _.isNil(billing.clientBillingRate)
+    ? null
+    : moneyHelper.toAmountNumber(billing.clientBillingRate);
+  const rate = moneyHelper.toDecimal(_.isNil(clientBillingRate) ? markup : clientBillingRate, 0);
+  const billingRate = rate.greaterThan(1) ? rate.dividedBy(100) : rate;
+  const memberPaymentAmount = moneyHelper.roundAmount(
+    moneyHelper.sumAmounts(_.map(items, "amount")),
+  );
+  const billingAmount = moneyHelper.roundAmount(billingRate.times(memberPaymentAmount));
+
+  return {
+    submissionsCount,
+    currency: constants.prizeTypes.USD,
+    items,
+    memberPaymentAmount,
+    markup,
+    clientBillingRate,
+    billingRate: billingRate.toNumber(),
+    billingAmount,
+    totalAmount: moneyHelper.roundAmount(
+      moneyHelper.sumAmounts([memberPaymentAmount, billingAmount]),
+    ),
+  };
+}
+
+/**
+ * Removes the markup from a cost estimate for copilot-only callers, along with the billed amounts
+ * when they were derived from it.
+ * @param {Object} currentUser the authenticated user
+ * @param {Object} estimate the cost estimate
+ * @returns {Object} the cost estimate the caller can see
+ */
+function sanitizeCostEstimateForCaller(currentUser, estimate) {
+  if (!shouldHideBillingMarkupForCopilot(currentUser)) {
+    return estimate;
+  }
+  if (_.isNil(estimate.clientBillingRate)) {
+    return _.omit(estimate, ["markup", "billingRate", "billingAmount", "totalAmount"]);
+  }
+  return _.omit(estimate, ["markup"]);
+}
+
+/**
+ * Get the itemized cost estimate of a challenge.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} challengeId the challenge id
+ * @param {Object} criteria the estimate criteria
+ * @returns {Object} the cost estimate
+ */
+async function getChallengeCostEstimate(currentUser, challengeId, criteria) {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+    include: {
+      billingRecord: true,
+      prizeSets: { include: { prizes: true } },
+      reviewers: true,
+    },
+  });
+  if (_.isNil(challenge) || _.isNil(challenge.id)) {
+    throw new errors.NotFoundError(`Challenge of id ${challengeId} is not found.`);
+  }
+  await helper.ensureUserCanModifyChallenge(currentUser, challenge);
+  const exchangeRates = await currencyHelper.getPrizeSetExchangeRates(challenge.prizeSets);
+
+  return sanitizeCostEstimateForCaller(
+    currentUser,
+    buildChallengeCostEstimate(challenge, criteria.submissionsCount, exchangeRates),
+  );
+}
+
+getChallengeCostEstimate.schema = {
+  currentUser: Joi.any(),
+  challengeId: Joi.id(),
+  criteria: Joi.object()
+    .keys({
+      submissionsCount: Joi.number()
+        .integer()
+        .min(0)
+        .max(10000)
+        .default(DEFAULT_ESTIMATED_SUBMISSIONS_COUNT),
+    })
+    .default({ submissionsCount: DEFAULT_ESTIMATED_SUBMISSIONS_COUNT }),
+};
+
+/**
+ * Estimate the itemized cost of an unsaved challenge draft. Without billing in the draft, the
+ * markup of its project billing account is applied.
+ * @param {Object} currentUser the user who perform operation
+ * @param {Object} data the challenge draft
+ * @param {Object} criteria the estimate criteria
+ * @returns {Object} the cost estimate
+ */
+async function estimateChallengeCost(currentUser, data, criteria) {
+  const draft = { ...data };
+  if (_.isNil(draft.billing) && draft.projectId) {
+    if (!(await helper.userHasProjectWriteAccess(draft.projectId, currentUser))) {
+      throw new errors.ForbiddenError(
+        `You don't have access to the billing of project ${draft.projectId}`,
+      );
+    }
+    const { billingAccountId, markup } = await projectHelper.getProjectBillingInformation(
+      draft.projectId,
+    );
+    draft.billing = { billingAccountId, markup };
+  }
+  const exchangeRates = await currencyHelper.getPrizeSetExchangeRates(draft.prizeSets);
+
+  return sanitizeCostEstimateForCaller(
+    currentUser,
+    buildChallengeCostEstimate(draft, criteria.submissionsCount, exchangeRates),
+  );
+}
+
+estimateChallengeCost.schema = {
+  currentUser: Joi.any(),
+  data: Joi.object()
+    .keys({
+      projectId: Joi.number().integer().positive(),
+      billing: createChallenge.schema.challenge.extract("billing"),
+      prizeSets: createChallenge.schema.challenge.extract("prizeSets"),
+      // only the payment fields of the reviewers are needed for an estimate
+      reviewers: Joi.array().items(
+        Joi.object()
+          .keys({
+            isMemberReview: Joi.boolean().default(true),
+            memberReviewerCount: Joi.number().integer().min(1),
+            phaseId: Joi.id(),
+            type: Joi.string(),
+            fixedAmount: Joi.number().min(0).optional().allow(null),
+            baseCoefficient: Joi.number().min(0).max(1).optional().allow(null),
+            incrementalCoefficient: Joi.number().min(0).max(1).optional().allow(null),
+          })
+          .unknown(true),
+      ),
+    })
+    .unknown(true)
+    .required(),
+  criteria: getChallengeCostEstimate.schema.criteria,
+};
+
 /**
  * Check whether given two PrizeSet Array are different.
  * @param {Array} prizeSets the first PrizeSet Array
@@ -3551,13 +4575,15 @@ function prepareTaskCompletionData(challenge, challengeResources, data) {
  * When a challenge transitions to completed task status or a cancelled status,
  * payment generation is requested after the database update commits.
  * Challenges billed to configured Topgear accounts skip manual budget approval and remain approved.
+ * With `options.ifMatch`, the update fails with 412 when the challenge was modified since that
+ * version.
  * @param {Object} currentUser the user who perform operation
  * @param {String} challengeId the challenge id
  * @param {Object} data the challenge data to be updated
  * @returns {Object} the updated challenge
  */
 // Note: `options` may be a boolean for backward compatibility (emitEvent flag),
-// or an object { emitEvent?: boolean }.
+// or an object { emitEvent?: boolean, ifMatch?: string }.
 async function updateChallenge(currentUser, challengeId, data, options = {}) {
   // Backward compatibility for callers passing a boolean as the 4th arg
   let emitEvent = true;
@@ -3566,6 +4592,7 @@ async function updateChallenge(currentUser, challengeId, data, options = {}) {
   } else if (options && Object.prototype.hasOwnProperty.call(options, "emitEvent")) {
     emitEvent = options.emitEvent !== false;
   }
+  const ifMatch = _.get(options, "ifMatch");
   const challenge = await prisma.challenge.findUnique({
     where: { id: challengeId },
     include: includeReturnFields,
@@ -3574,6 +4601,8 @@ async function updateChallenge(currentUser, challengeId, data, options = {}) {
     throw new errors.NotFoundError(`Challenge with id: ${challengeId} doesn't exist`);
   }
   await helper.ensureChallengeWhitelistAccess(currentUser, challenge.id);
+  helper.ensureEntityTagMatches(ifMatch, challenge.updatedAt);
+  const challengeVersion = challenge.updatedAt;
   enrichChallengeForResponse(challenge);
   prismaHelper.convertModelToResponse(challenge);
   const originalChallengePhases = _.cloneDeep(challenge.phases || []);
@@ -3734,13 +4763,35 @@ async function updateChallenge(currentUser, challengeId, data, options = {}) {
     data.status === ChallengeStatusEnum.COMPLETED &&
     challenge.status !== ChallengeStatusEnum.COMPLETED;
 
-  if (
-    isStatusChangingToActive &&
-    shouldBlockChallengeLaunchForApproval(resolvedApprovalStatus, approvalBillingAccountId)
-  ) {
-    throw new errors.BadRequestError(
-      "Challenge launch is blocked until budget approval is Approved.",
+  // the launch must be covered by the latest approval chain of the challenge
+  const latestApprovalRequest = isStatusChangingToActive
+    ? await prisma.challengeApprovalRequest.findFirst({
+        where: {
+          challengeId,
+          status: { not: challengeApprovalHelper.APPROVAL_REQUEST_STATUS.CANCELLED },
+        },
+        orderBy: { createdAt: "desc" },
+        include: { steps: true },
+      })
+    : null;
+
+  if (isStatusChangingToActive) {
+    const launchedChallenge = { ...challenge, ..._.pick(data, ["prizeSets", "reviewers"]) };
+    const launchExchangeRates = await currencyHelper.getPrizeSetExchangeRates(
+      launchedChallenge.prizeSets,
     );
+    if (
+      shouldBlockChallengeLaunchForApproval(
+        resolvedApprovalStatus,
+        approvalBillingAccountId,
+        latestApprovalRequest,
+        getChallengeMemberPaymentAmount(launchedChallenge, launchExchangeRates),
+      )
+    ) {
+      throw new errors.BadRequestError(
+        "Challenge launch is blocked until budget approval is Approved.",
+      );
+    }
   }
 
   let sendActivationEmail = false;
@@ -3998,6 +5049,7 @@ async function updateChallenge(currentUser, challengeId, data, options = {}) {
     timelineTemplateChanged = true;
   }
 
+  let exchangeRates = {};
   if (data.prizeSets) {
     if (
       isDifferentPrizeSets(data.prizeSets, challenge.prizeSets) &&
@@ -4011,9 +5063,13 @@ async function updateChallenge(currentUser, challengeId, data, options = {}) {
       }
     }
 
+    exchangeRates = await currencyHelper.getPrizeSetExchangeRates(data.prizeSets);
     const prizeSetsGroup = _.groupBy(data.prizeSets, "type");
     if (prizeSetsGroup[PrizeSetTypeEnum.PLACEMENT]) {
-      const totalPrizes = helper.sumOfPrizes(prizeSetsGroup[PrizeSetTypeEnum.PLACEMENT][0].prizes);
+      const totalPrizes = helper.sumOfPrizes(
+        prizeSetsGroup[PrizeSetTypeEnum.PLACEMENT][0].prizes,
+        exchangeRates,
+      );
       _.assign(data, { overview: { totalPrizes } });
     }
   }
@@ -4424,6 +5480,7 @@ async function updateChallenge(currentUser, challengeId, data, options = {}) {
   const updateData = prismaHelper.convertChallengeSchemaToPrisma(
     currentUser,
     _.omit(data, ["cancelReason"]),
+    exchangeRates,
   );
   updateData.updatedBy = _.toString(currentUser.userId);
   // reset createdBy
@@ -4431,8 +5488,17 @@ async function updateChallenge(currentUser, challengeId, data, options = {}) {
   if (!_.isNil(updateData.phases)) {
     delete updateData.phases;
   }
+  if (!_.isNil(data.skills)) {
+    const skillIds = _.uniq(_.compact(_.map(data.skills, "id")));
+    try {
+      updateData.skillNames = getSkillNames(skillIds, await getSkillLookup(skillIds));
+    } catch (error) {
+      logger.error("Failed to look up the skill names for the search:", error);
+    }
+  }
 
   const updatedChallenge = await prisma.$transaction(async (tx) => {
+    await helper.lockEntityVersion(tx.challenge, challengeId, ifMatch, challengeVersion);
     if (Array.isArray(phasesForUpdate)) {
       await syncChallengePhases(
         tx,
@@ -4477,11 +5543,16 @@ async function updateChallenge(currentUser, challengeId, data, options = {}) {
       await tx.challengeSkill.deleteMany({ where: { challengeId } });
     }
 
-    return await tx.challenge.update({
+    const updated = await tx.challenge.update({
       data: updateData,
       where: { id: challengeId },
       include: includeReturnFields,
     });
+    // Queue the event in the same transaction so it is only published once the update commits
+    if (emitEvent) {
+      await indexChallengeAndPostToKafka(_.cloneDeep(updated), track, type, tx);
+    }
+    return updated;
   });
   await syncChallengeBillingAccountLock(updatedChallenge);
   if (taskCompletionInfo && taskCompletionInfo.shouldTriggerPayments) {
@@ -4508,20 +5579,13 @@ async function updateChallenge(currentUser, challengeId, data, options = {}) {
       );
     }
   }
-  // Re-fetch the challenge outside the transaction to ensure we publish
-  // only after the commit succeeds and using the committed snapshot.
-  if (emitEvent) {
-    const committed = await prisma.challenge.findUnique({
-      where: { id: challengeId },
-      include: includeReturnFields,
-    });
-    await indexChallengeAndPostToKafka(committed, track, type);
-  }
-
   if (isStatusChangingToCompleted) {
     logger.info(`Triggering member rating updates for completed challenge ${challengeId}`);
     void helper.rerateChallengeSubmitterRatings(challengeId);
   }
+  if (isStatusChangingToActive) {
+    void notifySavedSearchMatches(updatedChallenge);
+  }
 
   // Convert to response shape before any business-logic checks that expect it
   prismaHelper.convertModelToResponse(updatedChallenge);
@@ -4734,7 +5798,9 @@ updateChallenge.schema = {
                 .items(
                   Joi.object().keys({
                     description: Joi.string(),
-                    type: Joi.string().required(),
+                    type: Joi.string()
+                      .valid(...currencyHelper.getPrizeCurrencies())
+                      .required(),
                     value: Joi.number().min(0).required(),
                   }),
                 )
@@ -4815,6 +5881,13 @@ updateChallenge.schema = {
     })
     .unknown(true)
     .required(),
+  options: Joi.alternatives().try(
+    Joi.boolean(),
+    Joi.object().keys({
+      emitEvent: Joi.boolean(),
+      ifMatch: Joi.string(),
+    }),
+  ),
 };
 
 /**
@@ -5400,10 +6473,16 @@ async function deleteChallenge(currentUser, challengeId) {
   // ensure user can modify challenge
   await helper.ensureUserCanModifyChallenge(currentUser, challenge);
   // delete DB record
-  await prisma.challenge.delete({ where: { id: challengeId } });
+  await prisma.$transaction(async (tx) => {
+    await tx.challenge.delete({ where: { id: challengeId } });
 
-  await helper.postBusEvent(constants.Topics.ChallengeDeleted, {
-    id: challengeId,
+    await helper.postBusEvent(
+      constants.Topics.ChallengeDeleted,
+      {
+        id: challengeId,
+      },
+      { tx },
+    );
   });
   prismaHelper.convertModelToResponse(challenge);
   return helper.removeNullProperties(challenge);
@@ -5414,6 +6493,51 @@ deleteChallenge.schema = {
   challengeId: Joi.id(),
 };
 
+const ADVANCE_PHASE_DERIVED_CHALLENGE_FIELDS = [
+  "currentPhaseNames",
+  "registrationStartDate",
+  "registrationEndDate",
+  "submissionStartDate",
+  "submissionEndDate",
+];
+
+/**
+ * Build the advance-phase response for a dry run without persisting anything.
+ * @param {Object} phaseAdvancerResult the result of PhaseAdvancer#advancePhase in dry-run mode
+ * @returns {Object} the evaluated facts and rules plus the would-be phases and challenge fields
+ */
+function buildAdvancePhasePreview(phaseAdvancerResult) {
+  const preview = {
+    dryRun: true,
+    ..._.pick(phaseAdvancerResult, [
+      "success",
+      "message",
+      "detail",
+      "failureReasons",
+      "ruleSet",
+      "facts",
+      "rules",
+    ]),
+  };
+  if (!phaseAdvancerResult.success) {
+    return preview;
+  }
+
+  const challengeData = {};
+  prismaHelper.convertChallengePhaseSchema(
+    { phases: phaseAdvancerResult.updatedPhases },
+    challengeData,
+    {},
+  );
+  preview.challenge = _.pick(challengeData, ADVANCE_PHASE_DERIVED_CHALLENGE_FIELDS);
+  if (phaseAdvancerResult.hasWinningSubmission === true) {
+    preview.challenge.status = ChallengeStatusEnum.COMPLETED;
+  }
+  preview.phases = phaseAdvancerResult.updatedPhases;
+  preview.next = phaseAdvancerResult.next;
+  return preview;
+}
+
 async function advancePhase(currentUser, challengeId, data) {
   logger.info(`Advance Phase Request - ${challengeId} - ${JSON.stringify(data)}`);
   const machineOrAdmin = currentUser && (currentUser.isMachine || hasAdminRole(currentUser));
@@ -5442,14 +6566,22 @@ async function advancePhase(currentUser, challengeId, data) {
     await ensureAIPhaseCanBeClosed(challenge.id, data.phase);
   }
 
+  const dryRun = data.dryRun === true;
+  // A dry run works on a copy so the loaded challenge is never touched
+  const phases = dryRun ? _.cloneDeep(challenge.phases) : challenge.phases;
   const phaseAdvancerResult = await phaseAdvancer.advancePhase(
     challenge.id,
     challenge.legacyId,
-    challenge.phases,
+    phases,
     data.operation,
     data.phase,
+    { dryRun, typeId: challenge.typeId, trackId: challenge.trackId },
   );
 
+  if (dryRun) {
+    return buildAdvancePhasePreview(phaseAdvancerResult);
+  }
+
   const auditFields = {
     createdBy: _.toString(currentUser.userId),
     updatedBy: _.toString(currentUser.userId),
@@ -5467,13 +6599,7 @@ async function advancePhase(currentUser, challengeId, data) {
   );
   // Persist phases based on the raw updated phases array from PhaseAdvancer
   const newPhases = phaseAdvancerResult.updatedPhases;
-  const newChallengeData = _.pick(challengeData, [
-    "currentPhaseNames",
-    "registrationStartDate",
-    "registrationEndDate",
-    "submissionStartDate",
-    "submissionEndDate",
-  ]);
+  const newChallengeData = _.pick(challengeData, ADVANCE_PHASE_DERIVED_CHALLENGE_FIELDS);
 
   // TODO: This is a temporary solution to update the challenge status to COMPLETED; We currently do not have a way to get winner list using v5 data
   // TODO: With the implementation of v5 review API we'll develop a mechanism to maintain the winner list in v5 data that challenge-api can use to create the winners list
@@ -5538,13 +6664,12 @@ async function advancePhase(currentUser, challengeId, data) {
         throw e;
       }
     }
-    await tx.challenge.update({
+    const updatedChallenge = await tx.challenge.update({
       where: { id: challengeId },
       data: newChallengeData,
     });
+    await indexChallengeAndPostToKafka(updatedChallenge, null, null, tx);
   });
-  const updatedChallenge = await prisma.challenge.findUnique({ where: { id: challengeId } });
-  await indexChallengeAndPostToKafka(updatedChallenge);
 
   return {
     success: true,
@@ -5660,6 +6785,7 @@ advancePhase.schema = {
     .keys({
       phase: Joi.string().required(),
       operation: Joi.string().lowercase().valid("open", "close").required(),
+      dryRun: Joi.boolean().default(false),
     })
     .required(),
 };
@@ -5669,7 +6795,7 @@ closeMarathonMatch.schema = {
   challengeId: Joi.id(),
 };
 
-async function indexChallengeAndPostToKafka(updatedChallenge, track, type) {
+async function indexChallengeAndPostToKafka(updatedChallenge, track, type, tx) {
   const prizeType = challengeHelper.validatePrizeSetsAndGetPrizeType(updatedChallenge.prizeSets);
 
   // No conversion needed - values are already in dollars in the database
@@ -5697,6 +6823,7 @@ async function indexChallengeAndPostToKafka(updatedChallenge, track, type) {
   enrichChallengeForResponse(updatedChallenge, track, type, { asString: true });
 
   await helper.postBusEvent(constants.Topics.ChallengeUpdated, updatedChallenge, {
+    tx,
     key:
       updatedChallenge.status === ChallengeStatusEnum.COMPLETED
         ? `${updatedChallenge.id}:${updatedChallenge.status}`
@@ -5712,20 +6839,34 @@ module.exports = {
     validateChallengeActivationBillingAccount,
     getLatestSubmissionCountsByChallenge,
     applyLatestSubmissionCounts,
+    matchSavedSearchCriteria,
+    notifySavedSearchMatches,
+    notifySavedSearchOwner,
   },
+  validateSearchCriteria,
+  validateCreateChallengeData,
   searchChallenges,
   createChallenge,
+  cloneChallenge,
   getChallenge,
   updateChallenge,
   deleteChallenge,
   getChallengeStatistics,
+  getChallengeCostEstimate,
+  estimateChallengeCost,
   sendNotifications,
   advancePhase,
   closeMarathonMatch,
+  getLatestMarathonMatchSubmissions,
   getDefaultReviewers,
   setDefaultReviewers,
   indexChallengeAndPostToKafka,
   ensureAIPhaseCanBeClosed,
+  getChallengeMemberPaymentAmount,
+  isChallengeBillingLockStatus,
+  shouldIgnoreChallengeActivationBillingValidation,
+  getApprovalFlowBillingAccountId,
+  shouldSkipChallengeApprovalFlow,
 };
 
 logger.buildService(module.exports);
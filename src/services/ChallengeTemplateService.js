@@ -0,0 +1,456 @@
+/**
+ * This service provides operations of challenge templates.
+ *
+ * A template is a named challenge blueprint, global or scoped to a project. Its challenge fields
+ * are kept as immutable versions: updating them adds a version, so the history stays available
+ * and challenges created from an older version are not affected. String values of the blueprint
+ * may hold {{placeholders}} that are filled in when the template is instantiated.
+ */
+const _ = require("lodash");
+const Joi = require("joi");
+const logger = require("../common/logger");
+const errors = require("../common/errors");
+const helper = require("../common/helper");
+const constants = require("../../app-constants");
+const { hasAdminRole } = require("../common/role-helper");
+const challengeService = require("./ChallengeService");
+const { getClient, ChallengeStatusEnum } = require("../common/prisma");
+
+const prisma = getClient();
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Metadata recording the template a challenge was created from
+const TEMPLATE_ID_METADATA_NAME = "challengeTemplateId";
+const TEMPLATE_VERSION_METADATA_NAME = "challengeTemplateVersion";
+
+// Challenge fields a template can hold; project, billing, dates and status are set per challenge
+const TEMPLATE_CHALLENGE_FIELDS = [
+  "typeId",
+  "trackId",
+  "timelineTemplateId",
+  "legacy",
+  "name",
+  "description",
+  "privateDescription",
+  "descriptionFormat",
+  "wiproAllowed",
+  "funChallenge",
+  "challengeSource",
+  "metadata",
+  "phases",
+  "discussions",
+  "reviewers",
+  "prizeSets",
+  "tags",
+  "groups",
+  "terms",
+  "skills",
+];
+
+/**
+ * Check the current user can use the templates of a project.
+ * @param {Object} currentUser the user who perform operation
+ * @param {Number} projectId the project id
+ * @throws forbidden error if the user has no write access to the project
+ */
+async function ensureProjectAccess(currentUser, projectId) {
+  if (!(await helper.userHasProjectWriteAccess(projectId, currentUser))) {
+    throw new errors.ForbiddenError(
+      `You don't have access to the challenge templates of project ${projectId}`,
+    );
+  }
+}
+
+/**
+ * Check the current user can create, update or delete a template. Global templates are managed by
+ * admins and M2M clients, project templates by the users with write access to the project.
+ * @param {Object} currentUser the user who perform operation
+ * @param {Number} projectId the project id of the template, if any
+ */
+async function ensureCanManageTemplate(currentUser, projectId) {
+  if (!_.isNil(projectId)) {
+    await ensureProjectAccess(currentUser, projectId);
+  } else if (!currentUser.isMachine && !hasAdminRole(currentUser)) {
+    throw new errors.ForbiddenError("Only admins can manage global challenge templates");
+  }
+}
+
+/**
+ * Validate the challenge fields of a template.
+ * @param {Object} challenge the template challenge fields
+ * @returns {Object} the challenge fields to save
+ */
+function validateTemplateChallenge(challenge) {
+  try {
+    return challengeService.validateCreateChallengeData(challenge);
+  } catch (e) {
+    throw new errors.BadRequestError(`Invalid template challenge: ${e.message}`);
+  }
+}
+
+/**
+ * List the placeholders used by the string values of a template.
+ * @param {Object} challenge the template challenge fields
+ * @returns {Array<String>} the placeholder names
+ */
+function getPlaceholders(challenge) {
+  const names = [];
+  const collect = (value) => {
+    if (_.isString(value)) {
+      for (const match of value.matchAll(PLACEHOLDER_PATTERN)) {
+        names.push(match[1]);
+      }
+    } else if (_.isObjectLike(value)) {
+      _.each(value, collect);
+    }
+  };
+  collect(challenge);
+  return _.uniq(names);
+}
+
+/**
+ * Fill in the placeholders of the string values of a template.
+ * @param {Object} challenge the template challenge fields
+ * @param {Object} values the placeholder values
+ * @returns {Object} the challenge fields with the placeholders replaced
+ * @throws bad request error if a placeholder has no value
+ */
+function fillPlaceholders(challenge, values) {
+  const missing = _.reject(getPlaceholders(challenge), (name) => _.has(values, name));
+  if (missing.length > 0) {
+    throw new errors.BadRequestError(`Missing values for placeholders: ${missing.join(", ")}`);
+  }
+  const fill = (value) => {
+    if (_.isString(value)) {
+      return value.replace(PLACEHOLDER_PATTERN, (match, name) => _.toString(values[name]));
+    }
+    if (_.isArray(value)) {
+      return _.map(value, fill);
+    }
+    if (_.isPlainObject(value)) {
+      return _.mapValues(value, fill);
+    }
+    return value;
+  };
+  return fill(challenge);
+}
+
+/**
+ * Convert a template and a version to the response format.
+ * @param {Object} template the template record
+ * @param {Object} templateVersion the version record
+ * @returns {Object} the template
+ */
+function toResponse(template, templateVersion) {
+  return {
+    ..._.omit(template, [...constants.auditFields, "versions"]),
+    challenge: templateVersion.challenge,
+    placeholders: getPlaceholders(templateVersion.challenge),
+  };
+}
+
+/**
+ * Get a template record with its latest version.
+ * @param {String} id the template id
+ * @returns {Promise<Object>} the template record
+ */
+async function getTemplateRecord(id) {
+  const ret = await prisma.challengeTemplate.findUnique({
+    where: { id },
+    include: { versions: { orderBy: { version: "desc" }, take: 1 } },
+  });
+  if (!ret) {
+    throw new errors.NotFoundError(`ChallengeTemplate with id: ${id} doesn't exist`);
+  }
+  return ret;
+}
+
+/**
+ * Search challenge templates. The global templates are returned with the templates of the
+ * requested project, if any.
+ * @param {Object} currentUser the user who perform operation
+ * @param {Object} criteria the search criteria
+ * @returns {Promise<Object>} the search result
+ */
+async function searchChallengeTemplates(currentUser, criteria) {
+  const page = criteria.page || 1;
+  const perPage = criteria.perPage || 50;
+  const filter = {};
+  if (_.isNil(criteria.projectId)) {
+    filter.projectId = null;
+  } else {
+    await ensureProjectAccess(currentUser, criteria.projectId);
+    filter.OR = [{ projectId: null }, { projectId: criteria.projectId }];
+  }
+  if (!_.isEmpty(criteria.name)) {
+    filter.name = { contains: criteria.name, mode: "insensitive" };
+  }
+  if (!_.isUndefined(criteria.isActive)) {
+    filter.isActive = criteria.isActive;
+  }
+
+  const [total, records] = await Promise.all([
+    prisma.challengeTemplate.count({ where: filter }),
+    prisma.challengeTemplate.findMany({
+      where: filter,
+      include: { versions: { orderBy: { version: "desc" }, take: 1 } },
+      orderBy: { name: "asc" },
+      skip: (page - 1) * perPage,
+      take: perPage,
+    }),
+  ]);
+
+  return {
+    total,
+    page,
+    perPage,
+    result: _.map(records, (record) => toResponse(record, record.versions[0])),
+  };
+}
+
+searchChallengeTemplates.schema = {
+  currentUser: Joi.any(),
+  criteria: Joi.object().keys({
+    page: Joi.page(),
+    perPage: Joi.perPage().default(50),
+    name: Joi.string(),
+    projectId: Joi.number().integer().positive(),
+    isActive: Joi.boolean(),
+  }),
+};
+
+/**
+ * Create challenge template.
+ * @param {Object} currentUser the user who perform operation
+ * @param {Object} template the challenge template to create
+ * @returns {Promise<Object>} the created challenge template
+ */
+async function createChallengeTemplate(currentUser, template) {
+  await ensureCanManageTemplate(currentUser, template.projectId);
+  const challenge = validateTemplateChallenge(template.challenge);
+  const userId = _.toString(currentUser.userId);
+
+  const ret = await prisma.challengeTemplate.create({
+    data: {
+      ..._.omit(template, ["challenge"]),
+      version: 1,
+      createdBy: userId,
+      updatedBy: userId,
+      versions: { create: { version: 1, challenge, createdBy: userId } },
+    },
+    include: { versions: true },
+  });
+  logger.info(`Challenge template ${ret.id} created by ${userId}`);
+  return toResponse(ret, ret.versions[0]);
+}
+
+const templateChallengeSchema = Joi.object().keys(
+  _.fromPairs(_.map(TEMPLATE_CHALLENGE_FIELDS, (field) => [field, Joi.any()])),
+);
+
+createChallengeTemplate.schema = {
+  currentUser: Joi.any(),
+  template: Joi.object()
+    .keys({
+      name: Joi.string().required(),
+      description: Joi.string(),
+      projectId: Joi.number().integer().positive(),
+      isActive: Joi.boolean().default(true),
+      challenge: templateChallengeSchema.required(),
+    })
+    .required(),
+};
+
+/**
+ * Get challenge template.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} id the challenge template id
+ * @returns {Promise<Object>} the challenge template with its latest challenge fields
+ */
+async function getChallengeTemplate(currentUser, id) {
+  const ret = await getTemplateRecord(id);
+  if (!_.isNil(ret.projectId)) {
+    await ensureProjectAccess(currentUser, ret.projectId);
+  }
+  return toResponse(ret, ret.versions[0]);
+}
+
+getChallengeTemplate.schema = {
+  currentUser: Joi.any(),
+  id: Joi.id(),
+};
+
+/**
+ * Get the version history of a challenge template, latest first.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} id the challenge template id
+ * @returns {Promise<Array<Object>>} the versions
+ */
+async function getChallengeTemplateVersions(currentUser, id) {
+  const template = await getChallengeTemplate(currentUser, id);
+  const versions = await prisma.challengeTemplateVersion.findMany({
+    where: { templateId: template.id },
+    orderBy: { version: "desc" },
+  });
+  return _.map(versions, (v) => _.pick(v, ["version", "challenge", "createdAt", "createdBy"]));
+}
+
+getChallengeTemplateVersions.schema = {
+  currentUser: Joi.any(),
+  id: Joi.id(),
+};
+
+/**
+ * Partially update challenge template. New challenge fields replace the current ones as a new
+ * version; when another update added a version in the meantime, the update fails with a conflict.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} id the challenge template id
+ * @param {Object} data the challenge template data to be updated
+ * @returns {Promise<Object>} the updated challenge template
+ */
+async function partiallyUpdateChallengeTemplate(currentUser, id, data) {
+  const template = await getTemplateRecord(id);
+  await ensureCanManageTemplate(currentUser, template.projectId);
+  if (!_.isUndefined(data.projectId)) {
+    await ensureCanManageTemplate(currentUser, data.projectId);
+  }
+  const userId = _.toString(currentUser.userId);
+  const update = { ..._.omit(data, ["challenge"]), updatedBy: userId };
+  const challenge = data.challenge ? validateTemplateChallenge(data.challenge) : null;
+
+  const ret = await prisma.$transaction(async (tx) => {
+    if (challenge) {
+      // Claim the next version only if the template is still at the version read above
+      const version = template.version + 1;
+      const { count } = await tx.challengeTemplate.updateMany({
+        where: { id, version: template.version },
+        data: { version },
+      });
+      if (count === 0) {
+        throw new errors.ConflictError(
+          `ChallengeTemplate ${id} was updated concurrently, please retry the update`,
+        );
+      }
+      update.versions = { create: { version, challenge, createdBy: userId } };
+    }
+    return tx.challengeTemplate.update({
+      where: { id },
+      data: update,
+      include: { versions: { orderBy: { version: "desc" }, take: 1 } },
+    });
+  });
+  return toResponse(ret, ret.versions[0]);
+}
+
+partiallyUpdateChallengeTemplate.schema = {
+  currentUser: Joi.any(),
+  id: Joi.id(),
+  data: Joi.object()
+    .keys({
+      name: Joi.string(),
+      description: Joi.string().allow(null),
+      projectId: Joi.number().integer().positive().allow(null),
+      isActive: Joi.boolean(),
+      challenge: templateChallengeSchema,
+    })
+    .required(),
+};
+
+/**
+ * Delete challenge template with its versions. Challenges created from it are not affected.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} id the challenge template id
+ * @returns {Promise<Object>} the deleted challenge template
+ */
+async function deleteChallengeTemplate(currentUser, id) {
+  const template = await getTemplateRecord(id);
+  await ensureCanManageTemplate(currentUser, template.projectId);
+  await prisma.challengeTemplate.delete({ where: { id } });
+  return toResponse(template, template.versions[0]);
+}
+
+deleteChallengeTemplate.schema = {
+  currentUser: Joi.any(),
+  id: Joi.id(),
+};
+
+/**
+ * Create a challenge from a template. The placeholders are filled in and the challenge goes
+ * through createChallenge like any new challenge.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} id the challenge template id
+ * @param {Object} data the instantiation options
+ * @param {String} userToken the user token
+ * @returns {Promise<Object>} the created challenge
+ */
+async function instantiateChallengeTemplate(currentUser, id, data, userToken) {
+  const template = await getChallengeTemplate(currentUser, id);
+  if (!template.isActive) {
+    throw new errors.BadRequestError(`ChallengeTemplate with id: ${id} is not active`);
+  }
+  if (
+    !_.isNil(template.projectId) &&
+    !_.isNil(data.projectId) &&
+    data.projectId !== template.projectId
+  ) {
+    throw new errors.BadRequestError(
+      `ChallengeTemplate with id: ${id} can only be used in project ${template.projectId}`,
+    );
+  }
+
+  const version = data.version || template.version;
+  const templateVersion = await prisma.challengeTemplateVersion.findUnique({
+    where: { templateId_version: { templateId: id, version } },
+  });
+  if (!templateVersion) {
+    throw new errors.NotFoundError(`Version ${version} of ChallengeTemplate ${id} doesn't exist`);
+  }
+
+  const challenge = fillPlaceholders(templateVersion.challenge, data.placeholders);
+  const projectId = data.projectId || template.projectId;
+  const payload = {
+    ...challenge,
+    ..._.pick(data, ["name", "startDate"]),
+    ...(projectId ? { projectId } : {}),
+    status: ChallengeStatusEnum.DRAFT,
+    metadata: [
+      ..._.reject(challenge.metadata, (m) =>
+        _.includes([TEMPLATE_ID_METADATA_NAME, TEMPLATE_VERSION_METADATA_NAME], m.name),
+      ),
+      { name: TEMPLATE_ID_METADATA_NAME, value: id },
+      { name: TEMPLATE_VERSION_METADATA_NAME, value: _.toString(version) },
+    ],
+  };
+  logger.info(`instantiateChallengeTemplate: creating a challenge from template ${id} v${version}`);
+  return challengeService.createChallenge(currentUser, payload, userToken);
+}
+
+instantiateChallengeTemplate.schema = {
+  currentUser: Joi.any(),
+  id: Joi.id(),
+  data: Joi.object()
+    .keys({
+      version: Joi.number().integer().positive(),
+      projectId: Joi.number().integer().positive(),
+      name: Joi.string(),
+      startDate: Joi.date().iso(),
+      placeholders: Joi.object()
+        .pattern(/^[\w.-]+$/, Joi.alternatives().try(Joi.string(), Joi.number()))
+        .default({}),
+    })
+    .default({}),
+  userToken: Joi.string().required(),
+};
+
+module.exports = {
+  searchChallengeTemplates,
+  createChallengeTemplate,
+  getChallengeTemplate,
+  getChallengeTemplateVersions,
+  partiallyUpdateChallengeTemplate,
+  deleteChallengeTemplate,
+  instantiateChallengeTemplate,
+};
+
+logger.buildService(module.exports);
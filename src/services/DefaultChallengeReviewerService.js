@@ -7,6 +7,7 @@ const helper = require("../common/helper");
 const logger = require("../common/logger");
 const constants = require("../../app-constants");
 const errors = require("../common/errors");
+const prismaHelper = require("../common/prisma-helper");
 
 const prismaModule = require("../common/prisma");
 const prisma = prismaModule.getClient();
@@ -31,7 +32,9 @@ function sanitize(record) {
   if (!record) {
     return record;
   }
-  const result = _.omit(record, constants.auditFields);
+  const result = prismaHelper.convertAmountFields(_.omit(record, constants.auditFields), [
+    "fixedAmount",
+  ]);
 
   if (record.challengeType) {
     result.challengeType = _.omit(record.challengeType, constants.auditFields);
@@ -0,0 +1,149 @@
+/**
+ * This service provides operations of the USD exchange rates of the prize currencies.
+ */
+const _ = require("lodash");
+const Joi = require("joi");
+const logger = require("../common/logger");
+const errors = require("../common/errors");
+const constants = require("../../app-constants");
+const currencyHelper = require("../common/currency-helper");
+const prismaHelper = require("../common/prisma-helper");
+
+const prisma = require("../common/prisma").getClient();
+
+/**
+ * Convert an exchange rate record to its response.
+ * @param {Object} record the exchange rate record
+ * @returns {Object} the exchange rate
+ */
+function toExchangeRateResponse(record) {
+  return prismaHelper.convertAmountFields(_.omit(record, constants.auditFields), ["rate"]);
+}
+
+/**
+ * Search exchange rates, latest effective first.
+ * @param {Object} criteria the search criteria
+ * @returns {Promise<Object>} the search result
+ */
+async function searchExchangeRates(criteria) {
+  const filter = {};
+  if (criteria.currency) {
+    filter.currency = criteria.currency;
+  }
+  if (criteria.effectiveOn) {
+    filter.effectiveDate = { lte: criteria.effectiveOn };
+  }
+  const page = criteria.page || 1;
+  const perPage = criteria.perPage || 50;
+
+  const [total, records] = await Promise.all([
+    prisma.exchangeRate.count({ where: filter }),
+    prisma.exchangeRate.findMany({
+      where: filter,
+      orderBy: [{ effectiveDate: "desc" }, { currency: "asc" }],
+      skip: (page - 1) * perPage,
+      take: perPage,
+    }),
+  ]);
+
+  return { total, page, perPage, result: _.map(records, toExchangeRateResponse) };
+}
+
+searchExchangeRates.schema = {
+  criteria: Joi.object().keys({
+    page: Joi.page(),
+    perPage: Joi.perPage().default(50),
+    currency: Joi.string().uppercase(),
+    effectiveOn: Joi.date(),
+  }),
+};
+
+/**
+ * Create an exchange rate. The rate applies to the prizes of the currency from its effective
+ * date until the next rate of the currency.
+ * @param {Object} authUser auth user
+ * @param {Object} data the exchange rate to create
+ * @returns {Promise<Object>} the created exchange rate
+ */
+async function createExchangeRate(authUser, data) {
+  if (
+    data.currency === constants.prizeTypes.USD ||
+    !_.includes(currencyHelper.getPrizeCurrencies(), data.currency) ||
+    !currencyHelper.isMonetaryCurrency(data.currency)
+  ) {
+    throw new errors.BadRequestError(
+      `${data.currency} is not a prize currency that converts to USD`,
+    );
+  }
+  const existing = await prisma.exchangeRate.findUnique({
+    where: {
+      currency_effectiveDate: { currency: data.currency, effectiveDate: data.effectiveDate },
+    },
+  });
+  if (existing) {
+    throw new errors.ConflictError(
+      `An exchange rate of ${data.currency} is already effective on ${data.effectiveDate.toISOString()}`,
+    );
+  }
+
+  const ret = await prisma.exchangeRate.create({
+    data: {
+      ...data,
+      createdBy: _.toString(authUser.userId),
+      updatedBy: _.toString(authUser.userId),
+    },
+  });
+  return toExchangeRateResponse(ret);
+}
+
+createExchangeRate.schema = {
+  authUser: Joi.any(),
+  data: Joi.object()
+    .keys({
+      currency: Joi.string().uppercase().required(),
+      rate: Joi.number().positive().required(),
+      effectiveDate: Joi.date().required(),
+    })
+    .required(),
+};
+
+/**
+ * Get an exchange rate.
+ * @param {String} id the exchange rate id
+ * @returns {Promise<Object>} the exchange rate
+ */
+async function getExchangeRate(id) {
+  const ret = await prisma.exchangeRate.findUnique({ where: { id } });
+  if (!ret || _.isUndefined(ret.id)) {
+    throw new errors.NotFoundError(`ExchangeRate with id: ${id} doesn't exist`);
+  }
+  return toExchangeRateResponse(ret);
+}
+
+getExchangeRate.schema = {
+  id: Joi.id(),
+};
+
+/**
+ * Delete an exchange rate. The totals of the challenges saved while it was effective are kept.
+ * @param {String} id the exchange rate id
+ * @returns {Promise<Object>} the deleted exchange rate
+ */
+async function deleteExchangeRate(id) {
+  const ret = await getExchangeRate(id);
+  await prisma.exchangeRate.delete({ where: { id } });
+  return ret;
+}
+
+deleteExchangeRate.schema = {
+  id: Joi.id(),
+};
+
+module.exports = {
+  searchExchangeRates,
+  createExchangeRate,
+  getExchangeRate,
+  deleteExchangeRate,
+};
+
+logger.buildService(module.exports);
@@ -0,0 +1,312 @@
+/**
+ * This service provides operations of phase rule sets.
+ */
+const _ = require("lodash");
+const Joi = require("joi");
+const helper = require("../common/helper");
+const logger = require("../common/logger");
+const errors = require("../common/errors");
+const constants = require("../../app-constants");
+const phaseRuleSetResolver = require("../phase-management/PhaseRuleSetResolver");
+
+const prisma = require("../common/prisma").getClient();
+
+/**
+ * Search phase rule sets
+ * @param {Object} criteria the search criteria
+ * @returns {Promise<Object>} the search result
+ */
+async function searchPhaseRuleSets(criteria) {
+  const filter = getSearchFilter(_.omit(criteria, ["page", "perPage"]));
+  const page = criteria.page || 1;
+  const perPage = criteria.perPage || 50;
+
+  const [total, records] = await Promise.all([
+    prisma.phaseRuleSet.count({ where: filter }),
+    prisma.phaseRuleSet.findMany({
+      where: filter,
+      orderBy: { createdAt: "asc" },
+      skip: (page - 1) * perPage,
+      take: perPage,
+    }),
+  ]);
+
+  return {
+    total,
+    page,
+    perPage,
+    result: _.map(records, (r) => _.omit(r, constants.auditFields)),
+  };
+}
+
+/**
+ * Get prisma filter
+ *
+ * @param {Object} criteria search criteria
+ * @returns filter used in prisma
+ */
+function getSearchFilter(criteria) {
+  const ret = {};
+  if (!_.isEmpty(criteria.name)) {
+    ret.name = { contains: criteria.name, mode: "insensitive" };
+  }
+  if (!_.isEmpty(criteria.typeId)) {
+    ret.typeId = { equals: criteria.typeId };
+  }
+  if (!_.isEmpty(criteria.trackId)) {
+    ret.trackId = { equals: criteria.trackId };
+  }
+  if (!_.isUndefined(criteria.isActive)) {
+    ret.isActive = { equals: criteria.isActive };
+  }
+  return ret;
+}
+
+searchPhaseRuleSets.schema = {
+  criteria: Joi.object().keys({
+    page: Joi.page(),
+    perPage: Joi.perPage().default(50),
+    name: Joi.string(),
+    typeId: Joi.optionalId(),
+    trackId: Joi.optionalId(),
+    isActive: Joi.boolean(),
+  }),
+};
+
+/**
+ * Check the challenge type and track of a rule set exist.
+ * @param {Object} data the rule set data
+ * @throws not found error if the type or track doesn't exist
+ */
+async function validateTypeAndTrack(data) {
+  if (!_.isNil(data.typeId)) {
+    const type = await prisma.challengeType.findUnique({ where: { id: data.typeId } });
+    if (!type) {
+      throw new errors.NotFoundError(`ChallengeType with id: ${data.typeId} doesn't exist`);
+    }
+  }
+  if (!_.isNil(data.trackId)) {
+    const track = await prisma.challengeTrack.findUnique({ where: { id: data.trackId } });
+    if (!track) {
+      throw new errors.NotFoundError(`ChallengeTrack with id: ${data.trackId} doesn't exist`);
+    }
+  }
+}
+
+/**
+ * Check a rule set can be saved: it targets a type and/or track, its name is unique and no other
+ * active rule set targets the same type and track.
+ * @param {Object} ruleSet the rule set to save
+ * @param {String} id the id of the rule set being updated, if any
+ * @throws bad request error if neither type nor track is set
+ * @throws conflict error if the name or the active type/track combination is taken
+ */
+async function checkRuleSet(ruleSet, id) {
+  if (_.isNil(ruleSet.typeId) && _.isNil(ruleSet.trackId)) {
+    throw new errors.BadRequestError(
+      "A phase rule set needs a typeId and/or trackId, phase-rules.json applies to all other challenges",
+    );
+  }
+  const otherRecords = id ? { id: { not: id } } : {};
+
+  const existingByName = await prisma.phaseRuleSet.findMany({
+    where: { name: ruleSet.name, ...otherRecords },
+  });
+  if (existingByName.length > 0) {
+    throw new errors.ConflictError(`PhaseRuleSet with name ${ruleSet.name} already exists`);
+  }
+
+  if (ruleSet.isActive) {
+    const existingByTarget = await prisma.phaseRuleSet.findMany({
+      where: {
+        typeId: ruleSet.typeId || null,
+        trackId: ruleSet.trackId || null,
+        isActive: true,
+        ...otherRecords,
+      },
+    });
+    if (existingByTarget.length > 0) {
+      throw new errors.ConflictError(
+        `Active PhaseRuleSet ${existingByTarget[0].name} already exists for the same typeId and trackId`,
+      );
+    }
+  }
+}
+
+/**
+ * Create phase rule set.
+ * @param {Object} authUser auth user
+ * @param {Object} ruleSet the phase rule set to created
+ * @returns {Object} the created phase rule set
+ */
+async function createPhaseRuleSet(authUser, ruleSet) {
+  const rules = phaseRuleSetResolver.validatePhaseRules(ruleSet.rules);
+  await validateTypeAndTrack(ruleSet);
+  await checkRuleSet(ruleSet);
+
+  let ret = await prisma.phaseRuleSet.create({
+    data: {
+      ...ruleSet,
+      rules,
+      createdBy: authUser.userId,
+      updatedBy: authUser.userId,
+    },
+  });
+  ret = _.omit(ret, constants.auditFields);
+  phaseRuleSetResolver.clearCache();
+  // post bus event
+  await helper.postBusEvent(constants.Topics.PhaseRuleSetCreated, ret);
+  return ret;
+}
+
+createPhaseRuleSet.schema = {
+  authUser: Joi.any(),
+  ruleSet: Joi.object()
+    .keys({
+      name: Joi.string().required(),
+      description: Joi.string(),
+      typeId: Joi.optionalId(),
+      trackId: Joi.optionalId(),
+      rules: Joi.object().required(),
+      isActive: Joi.boolean().default(true),
+    })
+    .required(),
+};
+
+/**
+ * Get phase rule set.
+ * @param {String} id the phase rule set id
+ * @returns {Object} the phase rule set with given id
+ */
+async function getPhaseRuleSet(id) {
+  let ret = await prisma.phaseRuleSet.findUnique({ where: { id } });
+  if (!ret || _.isUndefined(ret.id)) {
+    throw new errors.NotFoundError(`PhaseRuleSet with id: ${id} doesn't exist`);
+  }
+  ret = _.omit(ret, constants.auditFields);
+  return ret;
+}
+
+getPhaseRuleSet.schema = {
+  id: Joi.id(),
+};
+
+/**
+ * Fully update phase rule set.
+ * @param {Object} authUser auth user
+ * @param {String} id the phase rule set id
+ * @param {Object} data the phase rule set data to be updated
+ * @returns {Object} the updated phase rule set
+ */
+async function fullyUpdatePhaseRuleSet(authUser, id, data) {
+  await getPhaseRuleSet(id);
+  data.rules = phaseRuleSetResolver.validatePhaseRules(data.rules);
+  _.each(["description", "typeId", "trackId"], (field) => {
+    if (_.isUndefined(data[field])) {
+      data[field] = null;
+    }
+  });
+  await validateTypeAndTrack(data);
+  await checkRuleSet(data, id);
+
+  data.updatedBy = authUser.userId;
+  let ret = await prisma.phaseRuleSet.update({
+    where: { id },
+    data,
+  });
+  ret = _.omit(ret, constants.auditFields);
+  phaseRuleSetResolver.clearCache();
+  // post bus event
+  await helper.postBusEvent(constants.Topics.PhaseRuleSetUpdated, ret);
+  return ret;
+}
+
+fullyUpdatePhaseRuleSet.schema = {
+  authUser: Joi.any(),
+  id: Joi.id(),
+  data: Joi.object()
+    .keys({
+      name: Joi.string().required(),
+      description: Joi.string(),
+      typeId: Joi.optionalId(),
+      trackId: Joi.optionalId(),
+      rules: Joi.object().required(),
+      isActive: Joi.boolean().required(),
+    })
+    .required(),
+};
+
+/**
+ * Partially update phase rule set.
+ * @param {Object} authUser auth user
+ * @param {String} id the phase rule set id
+ * @param {Object} data the phase rule set data to be updated
+ * @returns {Object} the updated phase rule set
+ */
+async function partiallyUpdatePhaseRuleSet(authUser, id, data) {
+  const ruleSet = await getPhaseRuleSet(id);
+  if (!_.isUndefined(data.rules)) {
+    data.rules = phaseRuleSetResolver.validatePhaseRules(data.rules);
+  }
+  await validateTypeAndTrack(_.pick(data, ["typeId", "trackId"]));
+  await checkRuleSet(_.extend({}, ruleSet, data), id);
+
+  data.updatedBy = authUser.userId;
+  let ret = await prisma.phaseRuleSet.update({
+    where: { id },
+    data,
+  });
+  ret = _.omit(ret, constants.auditFields);
+  phaseRuleSetResolver.clearCache();
+  // post bus event
+  await helper.postBusEvent(
+    constants.Topics.PhaseRuleSetUpdated,
+    _.assignIn({ id }, _.omit(data, ["updatedBy"])),
+  );
+  return ret;
+}
+
+partiallyUpdatePhaseRuleSet.schema = {
+  authUser: Joi.any(),
+  id: Joi.id(),
+  data: Joi.object()
+    .keys({
+      name: Joi.string(),
+      description: Joi.string().allow(null),
+      typeId: Joi.optionalId().allow(null),
+      trackId: Joi.optionalId().allow(null),
+      rules: Joi.object(),
+      isActive: Joi.boolean(),
+    })
+    .required(),
+};
+
+/**
+ * Delete phase rule set.
+ * @param {String} id the phase rule set id
+ * @return {Object} the deleted phase rule set
+ */
+async function deletePhaseRuleSet(id) {
+  const ret = await getPhaseRuleSet(id);
+  await prisma.phaseRuleSet.delete({ where: { id } });
+  phaseRuleSetResolver.clearCache();
+
+  // post bus event
+  await helper.postBusEvent(constants.Topics.PhaseRuleSetDeleted, ret);
+  return ret;
+}
+
+deletePhaseRuleSet.schema = {
+  id: Joi.id(),
+};
+
+module.exports = {
+  searchPhaseRuleSets,
+  createPhaseRuleSet,
+  getPhaseRuleSet,
+  fullyUpdatePhaseRuleSet,
+  partiallyUpdatePhaseRuleSet,
+  deletePhaseRuleSet,
+};
+
+logger.buildService(module.exports);
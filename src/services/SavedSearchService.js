@@ -0,0 +1,251 @@
+/**
+ * This service provides operations of the saved challenge searches of members.
+ *
+ * The criteria of a saved search are validated like the searchChallenges criteria. The members
+ * are notified when a challenge matching their saved searches goes ACTIVE, see
+ * ChallengeService.notifySavedSearchMatches.
+ */
+const _ = require("lodash");
+const Joi = require("joi");
+const config = require("config");
+const logger = require("../common/logger");
+const errors = require("../common/errors");
+const constants = require("../../app-constants");
+const challengeService = require("./ChallengeService");
+
+const prisma = require("../common/prisma").getClient();
+
+// Criteria that don't filter challenges are not saved
+const NON_FILTER_CRITERIA = [
+  "page",
+  "perPage",
+  "cursor",
+  "includeTotal",
+  "facets",
+  "sortBy",
+  "sortOrder",
+  "isLightweight",
+];
+
+// Columns derived from the criteria, see getCriteriaColumns
+const CRITERIA_COLUMNS = ["trackIds", "typeIds", "status"];
+
+/**
+ * Get the member id of the current user.
+ * @param {Object} currentUser the user who perform operation
+ * @returns {String} the member id
+ */
+function getUserId(currentUser) {
+  if (_.isNil(currentUser.userId)) {
+    throw new errors.ForbiddenError("Saved searches are only available to members");
+  }
+  return _.toString(currentUser.userId);
+}
+
+/**
+ * Validate and normalize the criteria of a saved search.
+ * @param {Object} criteria the searchChallenges criteria
+ * @returns {Object} the criteria to save
+ */
+function normalizeCriteria(criteria) {
+  // The notifications restrict the saved criteria to the activated challenge
+  if (!_.isUndefined(criteria.ids) || !_.isUndefined(criteria.legacyId)) {
+    throw new errors.BadRequestError("Saved search criteria can't filter by ids or legacyId");
+  }
+  let normalized;
+  try {
+    normalized = challengeService.validateSearchCriteria(criteria);
+  } catch (e) {
+    throw new errors.BadRequestError(`Invalid saved search criteria: ${e.message}`);
+  }
+  // round-trip through JSON so dates are stored the way they are read back
+  return JSON.parse(JSON.stringify(_.omit(normalized, NON_FILTER_CRITERIA)));
+}
+
+/**
+ * Get the columns the notifications pre-filter saved searches on. The track and type
+ * abbreviations are resolved by the search, their ids are not pre-filtered.
+ * @param {Object} criteria the normalized criteria
+ * @returns {Object} the trackIds, typeIds and status columns
+ */
+function getCriteriaColumns(criteria) {
+  const getIds = (idsKey, idKey, abbreviationKeys) =>
+    _.some(abbreviationKeys, (key) => !_.isNil(criteria[key]))
+      ? []
+      : _.uniq(_.compact([...(criteria[idsKey] || []), criteria[idKey]]));
+  return {
+    trackIds: getIds("trackIds", "trackId", ["track", "tracks"]),
+    typeIds: getIds("typeIds", "typeId", ["type", "types"]),
+    status: criteria.status ? criteria.status.toUpperCase() : null,
+  };
+}
+
+/**
+ * Remove the audit fields and the columns derived from the criteria from a saved search.
+ * @param {Object} savedSearch the saved search
+ * @returns {Object} the saved search to return
+ */
+function toResponse(savedSearch) {
+  return _.omit(savedSearch, [...constants.auditFields, ...CRITERIA_COLUMNS]);
+}
+
+/**
+ * Get a saved search of the current user.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} id the saved search id
+ * @returns {Promise<Object>} the saved search record
+ */
+async function getSavedSearchRecord(currentUser, id) {
+  const ret = await prisma.savedSearch.findUnique({ where: { id } });
+  if (!ret || ret.userId !== getUserId(currentUser)) {
+    throw new errors.NotFoundError(`SavedSearch with id: ${id} doesn't exist`);
+  }
+  return ret;
+}
+
+/**
+ * Search the saved searches of the current user
+ * @param {Object} currentUser the user who perform operation
+ * @param {Object} criteria the search criteria
+ * @returns {Promise<Object>} the search result
+ */
+async function searchSavedSearches(currentUser, criteria) {
+  const page = criteria.page || 1;
+  const perPage = criteria.perPage || 20;
+  const filter = { userId: getUserId(currentUser) };
+
+  const [total, records] = await Promise.all([
+    prisma.savedSearch.count({ where: filter }),
+    prisma.savedSearch.findMany({
+      where: filter,
+      orderBy: { createdAt: "asc" },
+      skip: (page - 1) * perPage,
+      take: perPage,
+    }),
+  ]);
+
+  return { total, page, perPage, result: _.map(records, toResponse) };
+}
+
+searchSavedSearches.schema = {
+  currentUser: Joi.any(),
+  criteria: Joi.object().keys({
+    page: Joi.page(),
+    perPage: Joi.perPage(),
+  }),
+};
+
+/**
+ * Create saved search.
+ * @param {Object} currentUser the user who perform operation
+ * @param {Object} savedSearch the saved search to create
+ * @returns {Promise<Object>} the created saved search
+ */
+async function createSavedSearch(currentUser, savedSearch) {
+  const userId = getUserId(currentUser);
+  const count = await prisma.savedSearch.count({ where: { userId } });
+  if (count >= config.SAVED_SEARCH.MAX_PER_USER) {
+    throw new errors.BadRequestError(
+      `A member can't have more than ${config.SAVED_SEARCH.MAX_PER_USER} saved searches`,
+    );
+  }
+
+  const criteria = normalizeCriteria(savedSearch.criteria);
+  const ret = await prisma.savedSearch.create({
+    data: {
+      ...savedSearch,
+      criteria,
+      ...getCriteriaColumns(criteria),
+      userId,
+      createdBy: userId,
+      updatedBy: userId,
+    },
+  });
+  logger.info(`Saved search ${ret.id} created for user ${userId}`);
+  return toResponse(ret);
+}
+
+const savedSearchKeys = {
+  name: Joi.string().max(100),
+  criteria: Joi.object(),
+  notify: Joi.boolean(),
+};
+
+createSavedSearch.schema = {
+  currentUser: Joi.any(),
+  savedSearch: Joi.object()
+    .keys({
+      ...savedSearchKeys,
+      name: savedSearchKeys.name.required(),
+      criteria: savedSearchKeys.criteria.required(),
+      notify: savedSearchKeys.notify.default(true),
+    })
+    .required(),
+};
+
+/**
+ * Get saved search.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} id the saved search id
+ * @returns {Promise<Object>} the saved search with given id
+ */
+async function getSavedSearch(currentUser, id) {
+  return toResponse(await getSavedSearchRecord(currentUser, id));
+}
+
+getSavedSearch.schema = {
+  currentUser: Joi.any(),
+  id: Joi.id(),
+};
+
+/**
+ * Partially update saved search.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} id the saved search id
+ * @param {Object} data the saved search data to be updated
+ * @returns {Promise<Object>} the updated saved search
+ */
+async function partiallyUpdateSavedSearch(currentUser, id, data) {
+  await getSavedSearchRecord(currentUser, id);
+  const update = { ...data, updatedBy: getUserId(currentUser) };
+  if (data.criteria) {
+    update.criteria = normalizeCriteria(data.criteria);
+    _.assign(update, getCriteriaColumns(update.criteria));
+  }
+
+  const ret = await prisma.savedSearch.update({ where: { id }, data: update });
+  return toResponse(ret);
+}
+
+partiallyUpdateSavedSearch.schema = {
+  currentUser: Joi.any(),
+  id: Joi.id(),
+  data: Joi.object().keys(savedSearchKeys).required(),
+};
+
+/**
+ * Delete saved search.
+ * @param {Object} currentUser the user who perform operation
+ * @param {String} id the saved search id
+ * @returns {Promise<Object>} the deleted saved search
+ */
+async function deleteSavedSearch(currentUser, id) {
+  const ret = await getSavedSearch(currentUser, id);
+  await prisma.savedSearch.delete({ where: { id } });
+  return ret;
+}
+
+deleteSavedSearch.schema = {
+  currentUser: Joi.any(),
+  id: Joi.id(),
+};
+
+module.exports = {
+  searchSavedSearches,
+  createSavedSearch,
+  getSavedSearch,
+  partiallyUpdateSavedSearch,
+  deleteSavedSearch,
+};
+
+logger.buildService(module.exports);
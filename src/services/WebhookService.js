@@ -0,0 +1,296 @@
+/**
+ * This service provides operations of webhook subscriptions and their deliveries. A subscription
+ * belongs to the client that created it and is only visible to and managed by that client.
+ */
+const _ = require("lodash");
+const Joi = require("joi");
+const crypto = require("crypto");
+const logger = require("../common/logger");
+const errors = require("../common/errors");
+const helper = require("../common/helper");
+const constants = require("../../app-constants");
+const { WebhookDeliveryStatusEnum } = require("../common/prisma");
+
+const prisma = require("../common/prisma").getClient();
+
+/**
+ * Generate a signing secret for a subscription.
+ * @returns {String} the secret
+ */
+function generateSecret() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+/**
+ * Remove the signing secret and audit fields from a subscription.
+ * @param {Object} subscription the subscription
+ * @returns {Object} the subscription to return
+ */
+function toResponse(subscription) {
+  return _.omit(subscription, ["secret", ...constants.auditFields]);
+}
+
+/**
+ * Search the webhook subscriptions of the caller
+ * @param {Object} authUser auth user
+ * @param {Object} criteria the search criteria
+ * @returns {Promise<Object>} the search result
+ */
+async function searchWebhooks(authUser, criteria) {
+  const page = criteria.page || 1;
+  const perPage = criteria.perPage || 50;
+  const filter = { ownerId: helper.getCallerId(authUser) };
+  if (criteria.topic) {
+    filter.topics = { has: criteria.topic };
+  }
+  if (!_.isUndefined(criteria.projectId)) {
+    filter.projectId = criteria.projectId;
+  }
+  if (!_.isUndefined(criteria.isActive)) {
+    filter.isActive = criteria.isActive;
+  }
+
+  const [total, records] = await Promise.all([
+    prisma.webhookSubscription.count({ where: filter }),
+    prisma.webhookSubscription.findMany({
+      where: filter,
+      orderBy: { createdAt: "asc" },
+      skip: (page - 1) * perPage,
+      take: perPage,
+    }),
+  ]);
+
+  return { total, page, perPage, result: _.map(records, toResponse) };
+}
+
+searchWebhooks.schema = {
+  authUser: Joi.any(),
+  criteria: Joi.object().keys({
+    page: Joi.page(),
+    perPage: Joi.perPage().default(50),
+    topic: Joi.string().valid(...constants.WebhookTopics),
+    projectId: Joi.number().integer().positive(),
+    isActive: Joi.boolean(),
+  }),
+};
+
+/**
+ * Create webhook subscription. The signing secret is only returned here and when it is rotated.
+ * @param {Object} authUser auth user
+ * @param {Object} webhook the webhook subscription to create
+ * @returns {Promise<Object>} the created subscription with its secret
+ */
+async function createWebhook(authUser, webhook) {
+  const userId = _.toString(authUser.userId || authUser.sub);
+  const ret = await prisma.webhookSubscription.create({
+    data: {
+      ...webhook,
+      topics: _.uniq(webhook.topics),
+      secret: generateSecret(),
+      ownerId: helper.getCallerId(authUser),
+      createdBy: userId,
+      updatedBy: userId,
+    },
+  });
+  logger.info(`Webhook subscription ${ret.id} created for ${ret.url}`);
+  return { ...toResponse(ret), secret: ret.secret };
+}
+
+const webhookKeys = {
+  url: Joi.string().uri({ scheme: ["http", "https"] }),
+  description: Joi.string(),
+  topics: Joi.array()
+    .items(Joi.string().valid(...constants.WebhookTopics))
+    .min(1),
+  projectId: Joi.number().integer().positive(),
+  isActive: Joi.boolean(),
+};
+
+createWebhook.schema = {
+  authUser: Joi.any(),
+  webhook: Joi.object()
+    .keys({
+      ...webhookKeys,
+      url: webhookKeys.url.required(),
+      topics: webhookKeys.topics.required(),
+      isActive: webhookKeys.isActive.default(true),
+    })
+    .required(),
+};
+
+/**
+ * Get webhook subscription record of the caller, the subscriptions of other clients are reported
+ * as not found.
+ * @param {Object} authUser auth user
+ * @param {String} id the subscription id
+ * @returns {Promise<Object>} the subscription record
+ */
+async function getWebhookRecord(authUser, id) {
+  const ret = await prisma.webhookSubscription.findFirst({
+    where: { id, ownerId: helper.getCallerId(authUser) },
+  });
+  if (!ret) {
+    throw new errors.NotFoundError(`WebhookSubscription with id: ${id} doesn't exist`);
+  }
+  return ret;
+}
+
+/**
+ * Get webhook subscription.
+ * @param {Object} authUser auth user
+ * @param {String} id the subscription id
+ * @returns {Promise<Object>} the subscription with given id
+ */
+async function getWebhook(authUser, id) {
+  return toResponse(await getWebhookRecord(authUser, id));
+}
+
+getWebhook.schema = {
+  authUser: Joi.any(),
+  id: Joi.id(),
+};
+
+/**
+ * Partially update webhook subscription.
+ * @param {Object} authUser auth user
+ * @param {String} id the subscription id
+ * @param {Object} data the subscription data to be updated
+ * @returns {Promise<Object>} the updated subscription, with the new secret if it was rotated
+ */
+async function partiallyUpdateWebhook(authUser, id, data) {
+  await getWebhookRecord(authUser, id);
+  const update = _.omit(data, ["rotateSecret"]);
+  if (update.topics) {
+    update.topics = _.uniq(update.topics);
+  }
+  if (data.rotateSecret) {
+    update.secret = generateSecret();
+  }
+  update.updatedBy = _.toString(authUser.userId || authUser.sub);
+
+  const ret = await prisma.webhookSubscription.update({ where: { id }, data: update });
+  return data.rotateSecret ? { ...toResponse(ret), secret: ret.secret } : toResponse(ret);
+}
+
+partiallyUpdateWebhook.schema = {
+  authUser: Joi.any(),
+  id: Joi.id(),
+  data: Joi.object()
+    .keys({
+      ...webhookKeys,
+      description: webhookKeys.description.allow(null),
+      projectId: webhookKeys.projectId.allow(null),
+      rotateSecret: Joi.boolean(),
+    })
+    .required(),
+};
+
+/**
+ * Delete webhook subscription, its pending and dead deliveries are deleted as well.
+ * @param {Object} authUser auth user
+ * @param {String} id the subscription id
+ * @returns {Promise<Object>} the deleted subscription
+ */
+async function deleteWebhook(authUser, id) {
+  const ret = toResponse(await getWebhookRecord(authUser, id));
+  await prisma.webhookSubscription.delete({ where: { id } });
+  return ret;
+}
+
+deleteWebhook.schema = {
+  authUser: Joi.any(),
+  id: Joi.id(),
+};
+
+/**
+ * Search the deliveries of a webhook subscription, newest first. Filter by DEAD status to get
+ * the dead letter list.
+ * @param {Object} authUser auth user
+ * @param {String} id the subscription id
+ * @param {Object} criteria the search criteria
+ * @returns {Promise<Object>} the search result
+ */
+async function searchWebhookDeliveries(authUser, id, criteria) {
+  await getWebhookRecord(authUser, id);
+  const page = criteria.page || 1;
+  const perPage = criteria.perPage || 20;
+  const filter = { subscriptionId: id };
+  if (criteria.status) {
+    filter.status = criteria.status;
+  }
+  if (criteria.topic) {
+    filter.topic = criteria.topic;
+  }
+
+  const [total, result] = await Promise.all([
+    prisma.webhookDelivery.count({ where: filter }),
+    prisma.webhookDelivery.findMany({
+      where: filter,
+      orderBy: { createdAt: "desc" },
+      skip: (page - 1) * perPage,
+      take: perPage,
+    }),
+  ]);
+
+  return { total, page, perPage, result };
+}
+
+searchWebhookDeliveries.schema = {
+  authUser: Joi.any(),
+  id: Joi.id(),
+  criteria: Joi.object().keys({
+    page: Joi.page(),
+    perPage: Joi.perPage(),
+    status: Joi.string()
+      .valid(..._.values(WebhookDeliveryStatusEnum))
+      .insensitive(),
+    topic: Joi.string(),
+  }),
+};
+
+/**
+ * Queue a delivery again, e.g. from the dead letter list once the subscriber endpoint is fixed.
+ * @param {Object} authUser auth user
+ * @param {String} id the subscription id
+ * @param {String} deliveryId the delivery id
+ * @returns {Promise<Object>} the queued delivery
+ */
+async function redeliverWebhookDelivery(authUser, id, deliveryId) {
+  await getWebhookRecord(authUser, id);
+  const delivery = await prisma.webhookDelivery.findUnique({ where: { id: deliveryId } });
+  if (!delivery || delivery.subscriptionId !== id) {
+    throw new errors.NotFoundError(
+      `WebhookDelivery with id: ${deliveryId} doesn't exist for subscription ${id}`,
+    );
+  }
+  if (delivery.status === WebhookDeliveryStatusEnum.PENDING) {
+    throw new errors.ConflictError(`WebhookDelivery with id: ${deliveryId} is already queued`);
+  }
+  return prisma.webhookDelivery.update({
+    where: { id: deliveryId },
+    data: {
+      status: WebhookDeliveryStatusEnum.PENDING,
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      lastError: null,
+    },
+  });
+}
+
+redeliverWebhookDelivery.schema = {
+  authUser: Joi.any(),
+  id: Joi.id(),
+  deliveryId: Joi.id(),
+};
+
+module.exports = {
+  searchWebhooks,
+  createWebhook,
+  getWebhook,
+  partiallyUpdateWebhook,
+  deleteWebhook,
+  searchWebhookDeliveries,
+  redeliverWebhookDelivery,
+};
+
+logger.buildService(module.exports);
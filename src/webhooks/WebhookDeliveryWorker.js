@@ -0,0 +1,254 @@
+/**
+ * Periodically delivers the queued webhook events to the subscriber endpoints.
+ *
+ * Events are queued in the `WebhookDelivery` table by the bus event relay when it publishes them
+ * to Kafka. Every tick claims the due deliveries with `FOR UPDATE SKIP LOCKED`, so API instances
+ * never send the same delivery at the same time, and posts them signed with the HMAC-SHA256 of
+ * the subscription secret.
+ * Failed deliveries are retried with an exponential backoff until they run out of attempts and
+ * are moved to the dead letter list (DEAD status), from where they can be redelivered manually.
+ */
+const _ = require("lodash");
+const axios = require("axios");
+const config = require("config");
+const crypto = require("crypto");
+const helper = require("../common/helper");
+const logger = require("../common/logger");
+const { getClient, WebhookDeliveryStatusEnum } = require("../common/prisma");
+
+const prisma = getClient();
+
+const webhookConfig = config.WEBHOOKS;
+
+let timer = null;
+let stopped = true;
+let currentRun = null;
+let lastRun = null;
+
+/**
+ * Sign a delivery body. Subscribers recompute the HMAC of `<timestamp>.<body>` with their secret
+ * and compare it with the `X-Webhook-Signature` header.
+ * @param {String} secret the subscription secret
+ * @param {Number} timestamp the delivery timestamp, in seconds
+ * @param {String} body the raw request body
+ * @returns {String} the signature header value
+ */
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `sha256=${hmac}`;
+}
+
+/**
+ * Get when a failed delivery is tried again.
+ * @param {Number} attempts the number of attempts made so far
+ * @param {Date} now the reference time
+ * @returns {Date} the next attempt date
+ */
+function getNextAttemptAt(attempts, now) {
+  const delay = helper.exponentialDelay(attempts - 1) * webhookConfig.RETRY_DELAY_FACTOR;
+  return new Date(now.getTime() + delay);
+}
+
+/**
+ * Claim the due deliveries of active subscriptions. Claiming pushes their next attempt past the
+ * delivery timeout, so a crashed instance only delays them.
+ * @param {Date} now the reference time
+ * @param {Number} limit the maximum number of deliveries to claim
+ * @returns {Promise<Array<Object>>} the claimed deliveries with their subscription
+ */
+async function claimDueDeliveries(now, limit) {
+  const leaseUntil = new Date(now.getTime() + 2 * webhookConfig.DELIVERY_TIMEOUT_MS);
+  const claimed = await prisma.$queryRaw`
+    UPDATE "WebhookDelivery"
+    SET "nextAttemptAt" = ${leaseUntil}, "updatedAt" = ${now}
+    WHERE "id" IN (
+      SELECT d."id"
+      FROM "WebhookDelivery" d
+      INNER JOIN "WebhookSubscription" s ON s."id" = d."subscriptionId"
+      WHERE d."status" = ${WebhookDeliveryStatusEnum.PENDING}::"WebhookDeliveryStatusEnum"
+        AND d."nextAttemptAt" <= ${now}
+        AND s."isActive" = true
+      ORDER BY d."nextAttemptAt" ASC
+      LIMIT ${limit}
+      FOR UPDATE OF d SKIP LOCKED
+    )
+    RETURNING "id"
+  `;
+  if (claimed.length === 0) {
+    return [];
+  }
+  return prisma.webhookDelivery.findMany({
+    where: { id: { in: _.map(claimed, "id") } },
+    include: { subscription: true },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+/**
+ * Post one delivery to its subscriber and record the outcome.
+ * @param {Object} delivery the delivery with its subscription
+ * @param {Object} run the run status to record results in
+ */
+async function deliver(delivery, run) {
+  const now = new Date();
+  const timestamp = Math.floor(now.getTime() / 1000);
+  const body = JSON.stringify({
+    id: delivery.id,
+    topic: delivery.topic,
+    createdAt: delivery.createdAt,
+    payload: delivery.payload,
+  });
+
+  let responseStatus = null;
+  let error = null;
+  try {
+    const res = await axios.post(delivery.subscription.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Id": delivery.id,
+        "X-Webhook-Topic": delivery.topic,
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": signPayload(delivery.subscription.secret, timestamp, body),
+      },
+      timeout: webhookConfig.DELIVERY_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true,
+    });
+    responseStatus = res.status;
+    if (res.status < 200 || res.status >= 300) {
+      error = `Subscriber responded with status ${res.status}`;
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  const data = {
+    attempts,
+    lastAttemptAt: now,
+    lastResponseStatus: responseStatus,
+    lastError: error,
+  };
+  if (!error) {
+    data.status = WebhookDeliveryStatusEnum.DELIVERED;
+    data.deliveredAt = now;
+    run.delivered += 1;
+  } else if (attempts >= webhookConfig.MAX_ATTEMPTS) {
+    data.status = WebhookDeliveryStatusEnum.DEAD;
+    run.dead += 1;
+    logger.warn(
+      `Webhook delivery ${delivery.id} to ${delivery.subscription.url} failed ${attempts} times and is dead: ${error}`,
+    );
+  } else {
+    data.nextAttemptAt = getNextAttemptAt(attempts, now);
+    run.retried += 1;
+  }
+  await prisma.webhookDelivery.update({ where: { id: delivery.id }, data });
+}
+
+/**
+ * Send the due deliveries once.
+ * @returns {Promise<Object>} the run status
+ */
+async function runOnce() {
+  if (currentRun) {
+    return currentRun;
+  }
+  const run = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    claimed: 0,
+    delivered: 0,
+    retried: 0,
+    dead: 0,
+  };
+  currentRun = run;
+  try {
+    const deliveries = await claimDueDeliveries(
+      new Date(run.startedAt),
+      webhookConfig.DELIVERY_BATCH_SIZE,
+    );
+    run.claimed = deliveries.length;
+    for (const delivery of deliveries) {
+      try {
+        await deliver(delivery, run);
+      } catch (err) {
+        logger.error(`Failed to record webhook delivery ${delivery.id}: ${err.message}`);
+      }
+    }
+  } catch (err) {
+    logger.logFullError(err, "WebhookDeliveryWorker.runOnce");
+    run.error = err.message;
+  } finally {
+    run.finishedAt = new Date().toISOString();
+    lastRun = run;
+    currentRun = null;
+  }
+  if (run.claimed > 0) {
+    logger.info(
+      `Webhook delivery run finished: claimed=${run.claimed} delivered=${run.delivered} retried=${run.retried} dead=${run.dead}`,
+    );
+  }
+  return run;
+}
+
+/**
+ * Schedule the next tick.
+ */
+function scheduleNextRun() {
+  if (stopped) {
+    return;
+  }
+  timer = setTimeout(async () => {
+    await runOnce();
+    scheduleNextRun();
+  }, webhookConfig.DELIVERY_INTERVAL_MS);
+  // Don't keep the process alive solely for the worker
+  timer.unref();
+}
+
+/**
+ * Start the worker when it is enabled in the configuration.
+ * @returns {Boolean} true when the worker was started
+ */
+function start() {
+  if (!webhookConfig.DELIVERY_ENABLED || !stopped) {
+    return false;
+  }
+  logger.info(`Starting webhook delivery worker, interval=${webhookConfig.DELIVERY_INTERVAL_MS}ms`);
+  stopped = false;
+  scheduleNextRun();
+  return true;
+}
+
+/**
+ * Stop the worker. A run in progress is allowed to finish.
+ */
+function stop() {
+  stopped = true;
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+}
+
+/**
+ * Get the worker status of this instance.
+ * @returns {Object} whether the worker runs and the last run results
+ */
+function getStatus() {
+  return {
+    enabled: webhookConfig.DELIVERY_ENABLED,
+    started: !stopped,
+    running: !_.isNil(currentRun),
+    lastRun,
+  };
+}
+
+module.exports = {
+  signPayload,
+  start,
+  stop,
+  runOnce,
+  getStatus,
+};
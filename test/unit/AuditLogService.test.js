@@ -7,6 +7,7 @@ const _ = require('lodash')
 const { v4: uuid } = require('uuid');
 const chai = require('chai')
 const service = require('../../src/services/AuditLogService')
+const challengeService = require('../../src/services/ChallengeService')
 const prisma = require('../../src/common/prisma').getClient()
 const testHelper = require('../testHelper')
 
@@ -35,6 +36,27 @@ describe('audit log service unit tests', () => {
         newValue: '"desc-abc"',
         oldValue: '"desc"',
         createdAt: new Date()
+      }, {
+        challengeId: data.challenge.id,
+        fieldName: 'prizeSets',
+        createdBy: 'history-admin',
+        oldValue: JSON.stringify([{ type: 'PLACEMENT', prizes: [{ type: 'USD', value: 100 }] }]),
+        newValue: JSON.stringify([{ type: 'PLACEMENT', prizes: [{ type: 'USD', value: 200 }] }]),
+        createdAt: new Date('2025-06-01T10:00:00.000Z')
+      }, {
+        challengeId: data.challenge.id,
+        fieldName: 'name',
+        createdBy: 'history-admin',
+        oldValue: '"old name"',
+        newValue: '"new name"',
+        createdAt: new Date('2025-06-01T10:00:00.400Z')
+      }, {
+        challengeId: data.challenge.id,
+        fieldName: 'name',
+        createdBy: 'history-copilot',
+        oldValue: '"new name"',
+        newValue: '"final name"',
+        createdAt: new Date('2025-07-01T10:00:00.000Z')
       }]
     })
   })
@@ -153,4 +175,145 @@ describe('audit log service unit tests', () => {
       throw new Error('should not reach here')
     })
   })
+
+  describe('challenge history tests', () => {
+    it('get challenge history - groups changes by actor and time', async () => {
+      const res = await service.getChallengeHistory(data.challenge.id, { createdBy: 'history-admin' })
+      should.equal(res.total, 1)
+      should.equal(res.result[0].createdBy, 'history-admin')
+      should.equal(res.result[0].changes.length, 2)
+      const prizeChange = _.find(res.result[0].changes, (item) => item.fieldName === 'prizeSets')
+      should.equal(prizeChange.diff.length, 1)
+      should.equal(prizeChange.diff[0].path, '[type=PLACEMENT].prizes[type=USD].value')
+      should.equal(prizeChange.diff[0].oldValue, 100)
+      should.equal(prizeChange.diff[0].newValue, 200)
+      const nameChange = _.find(res.result[0].changes, (item) => item.fieldName === 'name')
+      should.equal(nameChange.newValue, 'new name')
+      should.not.exist(nameChange.diff)
+    })
+
+    it('get challenge history - prizes of the same type diffed by position', async () => {
+      await prisma.auditLog.create({
+        data: {
+          challengeId: data.challenge.id,
+          fieldName: 'prizeSets',
+          createdBy: 'history-prizes',
+          oldValue: JSON.stringify([{
+            type: 'PLACEMENT',
+            prizes: [{ type: 'USD', value: 500 }, { type: 'USD', value: 200 }]
+          }]),
+          newValue: JSON.stringify([{
+            type: 'PLACEMENT',
+            prizes: [{ type: 'USD', value: 600 }, { type: 'USD', value: 200 }]
+          }]),
+          createdAt: new Date('2024-01-01T10:00:00.000Z')
+        }
+      })
+      try {
+        const res = await service.getChallengeHistory(data.challenge.id, { createdBy: 'history-prizes' })
+        should.equal(res.total, 1)
+        const prizeChange = res.result[0].changes[0]
+        should.equal(prizeChange.diff.length, 1)
+        should.equal(prizeChange.diff[0].path, '[type=PLACEMENT].prizes[0].value')
+        should.equal(prizeChange.diff[0].oldValue, 500)
+        should.equal(prizeChange.diff[0].newValue, 600)
+      } finally {
+        await prisma.auditLog.deleteMany({ where: { createdBy: 'history-prizes' } })
+      }
+    })
+
+    it('get challenge history - newest change set first', async () => {
+      const res = await service.getChallengeHistory(data.challenge.id, { fieldName: 'name' })
+      should.equal(res.total, 2)
+      should.equal(res.result[0].createdBy, 'history-copilot')
+      should.equal(res.result[1].createdBy, 'history-admin')
+    })
+
+    it('get challenge snapshot - reconstructs fields at a date', async () => {
+      const res = await service.getChallengeSnapshot(data.challenge.id, '2025-06-15')
+      should.equal(res.fields.name, 'new name')
+      should.equal(res.fields.prizeSets[0].prizes[0].value, 200)
+      should.equal(new Date(res.lastChangedAt).toISOString(), '2025-06-01T10:00:00.400Z')
+
+      const before = await service.getChallengeSnapshot(data.challenge.id, '2025-01-01')
+      should.equal(before.fields.name, 'old name')
+      should.equal(before.fields.prizeSets[0].prizes[0].value, 100)
+      should.equal(before.lastChangedAt, null)
+    })
+
+    it('get challenge history - challenge not found', async () => {
+      try {
+        await service.getChallengeHistory(notFoundId, {})
+      } catch (e) {
+        should.equal(e.httpStatus, 404)
+        return
+      }
+      throw new Error('should not reach here')
+    })
+  })
+
+  describe('revert audit log tests', () => {
+    let originalUpdateChallenge
+    let updates
+
+    beforeEach(() => {
+      originalUpdateChallenge = challengeService.updateChallenge
+      updates = []
+      challengeService.updateChallenge = async (currentUser, challengeId, update) => {
+        updates.push({ challengeId, update })
+        return { id: challengeId, ...update }
+      }
+    })
+
+    afterEach(() => {
+      challengeService.updateChallenge = originalUpdateChallenge
+    })
+
+    it('revert audit log - refuses when the field changed again', async () => {
+      const entry = await prisma.auditLog.findFirst({
+        where: { challengeId: data.challenge.id, fieldName: 'name', createdBy: 'history-admin' }
+      })
+      try {
+        await service.revertAuditLog({ userId: '16096823' }, entry.id, {})
+      } catch (e) {
+        should.equal(e.httpStatus, 409)
+        should.equal(e.message.indexOf('history-copilot') >= 0, true)
+        should.equal(updates.length, 0)
+        return
+      }
+      throw new Error('should not reach here')
+    })
+
+    it('revert audit log - forced revert updates the challenge and records an entry', async () => {
+      const entry = await prisma.auditLog.findFirst({
+        where: { challengeId: data.challenge.id, fieldName: 'name', createdBy: 'history-admin' }
+      })
+      const res = await service.revertAuditLog({ userId: '16096823' }, entry.id, { force: true })
+      should.equal(updates.length, 1)
+      should.equal(updates[0].update.name, 'old name')
+      should.equal(res.challenge.name, 'old name')
+      should.equal(res.auditLog.fieldName, 'name')
+      should.equal(res.auditLog.oldValue, '"final name"')
+      should.equal(res.auditLog.newValue, '"old name"')
+      should.equal(res.auditLog.createdBy, '16096823')
+    })
+
+    it('revert audit log - reverts the latest change without force', async () => {
+      const entry = await prisma.auditLog.findFirst({
+        where: { challengeId: data.challenge.id, fieldName: 'prizeSets' }
+      })
+      const res = await service.revertAuditLog({ userId: '16096823' }, entry.id)
+      should.equal(res.challenge.prizeSets[0].prizes[0].value, 100)
+    })
+
+    it('revert audit log - entry not found', async () => {
+      try {
+        await service.revertAuditLog({ userId: '16096823' }, notFoundId, {})
+      } catch (e) {
+        should.equal(e.httpStatus, 404)
+        return
+      }
+      throw new Error('should not reach here')
+    })
+  })
 })
@@ -0,0 +1,147 @@
+/*
+ * Unit tests of the billing account reconciliation
+ */
+
+require("../../app-bootstrap");
+const chai = require("chai");
+const config = require("config");
+const service = require("../../src/services/BillingReconciliationService");
+const projectHelper = require("../../src/common/project-helper");
+const prisma = require("../../src/common/prisma").getClient();
+
+const should = chai.should();
+
+describe("billing reconciliation service unit tests", () => {
+  const billingAccountId = "80000100";
+  const criteria = { startDate: "2026-01-01", endDate: "2026-03-31" };
+  const originalGetBillingAccountLedger = projectHelper.getBillingAccountLedger;
+  const originalFindMany = prisma.challenge.findMany;
+  const originalIgnoredBillingAccounts = config.IGNORED_CHALLENGE_ACTIVATION_BILLING_ACCOUNT_IDS;
+
+  const buildChallenge = (id, status, prizes, winners = []) => ({
+    id,
+    name: `challenge ${id}`,
+    status,
+    projectId: 100,
+    startDate: new Date("2026-02-01T00:00:00.000Z"),
+    endDate: null,
+    billingRecord: { billingAccountId, markup: 0.5, clientBillingRate: 0.5 },
+    prizeSets: [
+      {
+        type: "PLACEMENT",
+        prizes: prizes.map((value) => ({ type: "USD", value })),
+      },
+    ],
+    reviewers: [],
+    winners,
+  });
+
+  const challenges = [
+    buildChallenge("5a4b3c2d-0000-4000-8000-000000000001", "ACTIVE", [1000, 500]),
+    buildChallenge("5a4b3c2d-0000-4000-8000-000000000002", "ACTIVE", [200]),
+    buildChallenge("5a4b3c2d-0000-4000-8000-000000000003", "DRAFT", [100]),
+    buildChallenge(
+      "5a4b3c2d-0000-4000-8000-000000000004",
+      "COMPLETED",
+      [300, 100],
+      [
+        { userId: 2, handle: "second", placement: 2, type: "PLACEMENT" },
+        { userId: 1, handle: "first", placement: 1, type: "PLACEMENT" },
+      ],
+    ),
+  ];
+
+  let findManyQuery;
+
+  beforeEach(() => {
+    projectHelper.getBillingAccountLedger = async () => ({
+      billingAccountId,
+      lockedAmounts: [
+        { challengeId: challenges[0].id, amount: 2250 },
+        { challengeId: challenges[1].id, amount: 250 },
+      ],
+      consumedAmounts: [],
+    });
+    prisma.challenge.findMany = async (query) => {
+      findManyQuery = query;
+      return challenges;
+    };
+  });
+
+  afterEach(() => {
+    projectHelper.getBillingAccountLedger = originalGetBillingAccountLedger;
+    prisma.challenge.findMany = originalFindMany;
+    config.IGNORED_CHALLENGE_ACTIVATION_BILLING_ACCOUNT_IDS = originalIgnoredBillingAccounts;
+  });
+
+  it("reconcile billing account - flags drift, missing locks and completed challenges without a lock", async () => {
+    const result = await service.getBillingAccountReconciliation(billingAccountId, criteria);
+
+    findManyQuery.where.billingRecord.should.deep.equal({ is: { billingAccountId } });
+    should.equal(result.lockExpected, true);
+    result.challenges
+      .map((c) => [c.currentAmount, c.lockedAmount, c.drift, c.flags])
+      .should.deep.equal([
+        [2250, 2250, 0, []],
+        [300, 250, -50, ["DRIFT"]],
+        [150, null, null, ["MISSING_LOCK"]],
+        [600, null, null, ["COMPLETED_WITHOUT_LOCK"]],
+      ]);
+    result.summary.flags.should.deep.equal({
+      DRIFT: 1,
+      MISSING_LOCK: 1,
+      COMPLETED_WITHOUT_LOCK: 1,
+    });
+    should.equal(result.summary.lockedAmount, 2500);
+  });
+
+  it("reconcile billing account - winners with their placement prizes", async () => {
+    const result = await service.getBillingAccountReconciliation(billingAccountId, criteria);
+
+    const completed = result.challenges[3];
+    completed.winners
+      .map((w) => [w.handle, w.placement, w.usdAmount])
+      .should.deep.equal([
+        ["first", 1, 300],
+        ["second", 2, 100],
+      ]);
+    should.equal(completed.winnerPrizeAmount, 400);
+  });
+
+  it("reconcile billing account - no lock expected on ignored billing accounts", async () => {
+    config.IGNORED_CHALLENGE_ACTIVATION_BILLING_ACCOUNT_IDS = [billingAccountId];
+
+    const result = await service.getBillingAccountReconciliation(billingAccountId, criteria);
+
+    should.equal(result.lockExpected, false);
+    result.challenges.map((c) => c.flags).should.deep.equal([[], ["DRIFT"], [], []]);
+  });
+
+  it("reconcile billing account - billing account not found", async () => {
+    projectHelper.getBillingAccountLedger = async () => null;
+
+    try {
+      await service.getBillingAccountReconciliation(billingAccountId, criteria);
+    } catch (e) {
+      should.equal(e.message, `Billing account with id: ${billingAccountId} doesn't exist`);
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+
+  it("reconcile billing account - end date before the start date", async () => {
+    try {
+      await service.getBillingAccountReconciliation(billingAccountId, {
+        startDate: "2026-03-31",
+        endDate: "2026-01-01",
+      });
+    } catch (e) {
+      should.equal(
+        e.message.indexOf('"criteria.endDate" must be greater than or equal to') >= 0,
+        true,
+      );
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+});
@@ -0,0 +1,208 @@
+/*
+ * Unit tests of challenge approval service
+ */
+
+require("../../app-bootstrap");
+const _ = require("lodash");
+const chai = require("chai");
+
+const service = require("../../src/services/ChallengeApprovalService");
+const helper = require("../../src/common/helper");
+const projectHelper = require("../../src/common/project-helper");
+const constants = require("../../app-constants");
+const prisma = require("../../src/common/prisma").getClient();
+const { mockPrisma, restorePrisma } = require("./prisma-mock");
+
+const should = chai.should();
+
+describe("challenge approval service unit tests", () => {
+  const challengeId = "7d1e2f3a-0000-4000-8000-000000000001";
+  const projectManager = { userId: "2001", handle: "manager", roles: [constants.UserRoles.User] };
+  const financeApprover = { userId: "2002", handle: "finance", roles: ["Finance Admin"] };
+  const copilot = { userId: "2003", handle: "copilot", roles: [constants.UserRoles.Copilot] };
+  const client = { isMachine: true, azp: "client-1", sub: "client-1@clients" };
+  const otherClient = { isMachine: true, azp: "client-2", sub: "client-2@clients" };
+  const originalHelpers = {
+    ensureUserCanModifyChallenge: helper.ensureUserCanModifyChallenge,
+    userHasProjectManagerAccess: helper.userHasProjectManagerAccess,
+    getProjectBillingInformation: projectHelper.getProjectBillingInformation,
+  };
+  const originalTransaction = prisma.$transaction;
+  let challenge;
+  let requests;
+  let steps;
+
+  /**
+   * Get a stored approval request with its steps.
+   * @param {String} id the approval request id
+   * @returns {Object} the approval request
+   */
+  const withSteps = (id) =>
+    requests[id] && { ...requests[id], steps: _.filter(steps, { requestId: id }) };
+
+  /**
+   * Build a challenge with the given first place prize.
+   * @param {Number} value the prize value
+   * @returns {Object} the challenge
+   */
+  const buildChallenge = (value) => ({
+    id: challengeId,
+    projectId: 100,
+    status: "DRAFT",
+    approvalStatus: "APPROVED",
+    billingRecord: { billingAccountId: "80001061" },
+    prizeSets: [{ type: "PLACEMENT", prizes: [{ type: "USD", value }] }],
+    reviewers: [],
+  });
+
+  beforeEach(() => {
+    challenge = buildChallenge(8000);
+    requests = {};
+    steps = [];
+    let sequence = 0;
+    helper.ensureUserCanModifyChallenge = async () => {};
+    helper.userHasProjectManagerAccess = async (projectId, user) =>
+      user.userId === projectManager.userId;
+    projectHelper.getProjectBillingInformation = async () => ({ billingAccountId: "80001061" });
+    prisma.$transaction = async (fn) => fn(prisma);
+    mockPrisma("challenge", "findUnique", async () => challenge);
+    mockPrisma("challenge", "update", async ({ data }) => _.assign(challenge, data));
+    mockPrisma("challengeApprovalRequest", "updateMany", async ({ where, data }) => {
+      const matches = _.filter(requests, _.omitBy(where, _.isNil));
+      _.each(matches, (request) => _.assign(request, data));
+      return { count: matches.length };
+    });
+    mockPrisma("challengeApprovalRequest", "create", async ({ data }) => {
+      sequence += 1;
+      const id = `7d1e2f3a-0000-4000-8000-00000000010${sequence}`;
+      requests[id] = {
+        id,
+        status: "PENDING",
+        currentLevel: 0,
+        ..._.omit(data, "steps"),
+      };
+      _.each(data.steps.create, (step) =>
+        steps.push({ requestId: id, status: "REQUESTED", ...step }),
+      );
+      return withSteps(id);
+    });
+    mockPrisma("challengeApprovalRequest", "findUnique", async ({ where }) => withSteps(where.id));
+    mockPrisma("challengeApprovalStep", "update", async ({ where, data }) =>
+      _.assign(_.find(steps, where.requestId_level), data),
+    );
+    mockPrisma("challengeApprovalStep", "create", async ({ data }) => {
+      steps.push({ status: "REQUESTED", ...data });
+    });
+  });
+
+  afterEach(() => {
+    helper.ensureUserCanModifyChallenge = originalHelpers.ensureUserCanModifyChallenge;
+    helper.userHasProjectManagerAccess = originalHelpers.userHasProjectManagerAccess;
+    projectHelper.getProjectBillingInformation = originalHelpers.getProjectBillingInformation;
+    prisma.$transaction = originalTransaction;
+    restorePrisma();
+  });
+
+  it("create approval - routed to the project manager and finance above the threshold", async () => {
+    const first = await service.createChallengeApproval(projectManager, challengeId, {});
+    const second = await service.createChallengeApproval(projectManager, challengeId, {
+      comment: "Prizes raised",
+    });
+
+    should.equal(requests[first.id].status, "CANCELLED");
+    should.equal(second.status, "PENDING");
+    should.equal(second.amount, 8000);
+    should.equal(second.billingAccountId, "80001061");
+    _.map(second.levels, "name").should.deep.equal(["PROJECT_MANAGER", "FINANCE"]);
+    _.map(second.steps, "name").should.deep.equal(["PROJECT_MANAGER"]);
+    should.equal(challenge.approvalStatus, "PENDING_APPROVAL");
+  });
+
+  it("create approval - a project manager approval only under the threshold", async () => {
+    challenge = buildChallenge(1500);
+    const result = await service.createChallengeApproval(projectManager, challengeId, {});
+
+    _.map(result.levels, "name").should.deep.equal(["PROJECT_MANAGER"]);
+  });
+
+  it("approve approval - each level by its approvers, in order", async () => {
+    const { id } = await service.createChallengeApproval(copilot, challengeId, {});
+    try {
+      await service.approveChallengeApproval(financeApprover, challengeId, id, {});
+      throw new Error("should not reach here");
+    } catch (e) {
+      should.equal(e.name, "ForbiddenError");
+    }
+
+    let result = await service.approveChallengeApproval(projectManager, challengeId, id, {
+      comment: "Within the project budget",
+    });
+    should.equal(result.status, "PENDING");
+    should.equal(result.currentLevel, 1);
+    should.equal(result.steps[0].status, "APPROVED");
+    should.equal(result.steps[0].actedBy, projectManager.handle);
+    should.equal(result.steps[1].status, "REQUESTED");
+    should.equal(challenge.approvalStatus, "PENDING_APPROVAL");
+
+    result = await service.approveChallengeApproval(financeApprover, challengeId, id, {});
+    should.equal(result.status, "APPROVED");
+    should.equal(challenge.approvalStatus, "APPROVED");
+    should.equal(challenge.approvalApprovedBy, financeApprover.handle);
+  });
+
+  it("reject approval - rejects the challenge budget with the comment", async () => {
+    const { id } = await service.createChallengeApproval(copilot, challengeId, {});
+    const result = await service.rejectChallengeApproval(projectManager, challengeId, id, {
+      comment: "Over budget",
+    });
+
+    should.equal(result.status, "REJECTED");
+    should.equal(result.steps[0].comment, "Over budget");
+    should.equal(challenge.approvalStatus, "REJECTED");
+    should.equal(challenge.approvalRejectionReason, "Over budget");
+    try {
+      await service.approveChallengeApproval(projectManager, challengeId, id, {});
+    } catch (e) {
+      should.equal(e.name, "BadRequestError");
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+
+  it("approve approval - not by the member who created the request", async () => {
+    const { id } = await service.createChallengeApproval(projectManager, challengeId, {});
+    try {
+      await service.approveChallengeApproval(projectManager, challengeId, id, {});
+    } catch (e) {
+      should.equal(e.name, "ForbiddenError");
+      should.equal(_.find(steps, { requestId: id }).status, "REQUESTED");
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+
+  it("approve approval - not by the M2M client that created the request", async () => {
+    const { id } = await service.createChallengeApproval(client, challengeId, {});
+    should.equal(requests[id].createdBy, "client-1");
+    try {
+      await service.approveChallengeApproval(client, challengeId, id, {});
+      throw new Error("should not reach here");
+    } catch (e) {
+      should.equal(e.name, "ForbiddenError");
+    }
+
+    const result = await service.approveChallengeApproval(otherClient, challengeId, id, {});
+    should.equal(result.currentLevel, 1);
+  });
+
+  it("reject approval - comment is required", async () => {
+    const { id } = await service.createChallengeApproval(copilot, challengeId, {});
+    try {
+      await service.rejectChallengeApproval(projectManager, challengeId, id, {});
+    } catch (e) {
+      should.equal(e.message.indexOf('"data.comment" is required') >= 0, true);
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+});
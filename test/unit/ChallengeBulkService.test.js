@@ -0,0 +1,155 @@
+/*
+ * Unit tests of challenge bulk service
+ */
+
+require("../../app-bootstrap");
+const { v4: uuid } = require("uuid");
+const chai = require("chai");
+
+const service = require("../../src/services/ChallengeBulkService");
+const challengeService = require("../../src/services/ChallengeService");
+const errors = require("../../src/common/errors");
+
+const should = chai.should();
+
+describe("challenge bulk service unit tests", () => {
+  const currentUser = { userId: "test-user", isMachine: true };
+  let originalGetChallenge;
+  let originalUpdateChallenge;
+  let originalSearchChallenges;
+  let challenges;
+  let updates;
+
+  beforeEach(() => {
+    originalGetChallenge = challengeService.getChallenge;
+    originalUpdateChallenge = challengeService.updateChallenge;
+    originalSearchChallenges = challengeService.searchChallenges;
+    challenges = {};
+    updates = [];
+    challengeService.getChallenge = async (user, id) => {
+      if (!challenges[id]) {
+        throw new errors.NotFoundError(`Challenge of id ${id} is not found.`);
+      }
+      return challenges[id];
+    };
+    challengeService.updateChallenge = async (user, id, data) => {
+      updates.push({ id, data });
+      return { ...challenges[id], ...data };
+    };
+  });
+
+  afterEach(() => {
+    challengeService.getChallenge = originalGetChallenge;
+    challengeService.updateChallenge = originalUpdateChallenge;
+    challengeService.searchChallenges = originalSearchChallenges;
+  });
+
+  it("bulk update - reports success and failure per challenge", async () => {
+    const first = uuid();
+    const second = uuid();
+    const missing = uuid();
+    challenges[first] = { id: first, status: "ACTIVE", tags: ["a"] };
+    challenges[second] = { id: second, status: "ACTIVE", tags: ["a", "b"] };
+
+    const result = await service.bulkUpdateChallenges(currentUser, {
+      challengeIds: [first, second, missing],
+      operation: { type: "addTags", tags: ["b"] },
+    });
+
+    should.equal(result.total, 3);
+    should.equal(result.succeeded, 2);
+    should.equal(result.failed, 1);
+    should.equal(updates.length, 1);
+    should.equal(updates[0].id, first);
+    updates[0].data.tags.should.eql(["a", "b"]);
+    should.equal(result.results[1].changed, false);
+    should.equal(result.results[2].error.status, 404);
+  });
+
+  it("bulk update - dry run does not update challenges", async () => {
+    const id = uuid();
+    challenges[id] = {
+      id,
+      status: "ACTIVE",
+      phases: [
+        {
+          id: uuid(),
+          phaseId: uuid(),
+          actualStartDate: "2026-10-01T00:00:00.000Z",
+          scheduledStartDate: "2026-10-01T00:00:00.000Z",
+          scheduledEndDate: "2026-10-02T00:00:00.000Z",
+        },
+        {
+          id: uuid(),
+          phaseId: uuid(),
+          scheduledStartDate: "2026-10-02T00:00:00.000Z",
+          scheduledEndDate: "2026-10-03T00:00:00.000Z",
+        },
+      ],
+    };
+
+    const result = await service.bulkUpdateChallenges(currentUser, {
+      challengeIds: [id],
+      operation: { type: "shiftDates", seconds: 3600 },
+      dryRun: true,
+    });
+
+    should.equal(updates.length, 0);
+    should.equal(result.results[0].success, true);
+    should.equal(result.results[0].data.phases.length, 1);
+    should.equal(
+      result.results[0].data.phases[0].scheduledStartDate,
+      "2026-10-02T01:00:00.000Z",
+    );
+  });
+
+  it("bulk update - cancels the challenges matching a criteria", async () => {
+    const ids = [uuid(), uuid()];
+    ids.forEach((id) => {
+      challenges[id] = { id, status: "ACTIVE" };
+    });
+    challengeService.searchChallenges = async () => ({
+      total: 2,
+      page: 1,
+      perPage: 100,
+      result: ids.map((id) => ({ id })),
+    });
+
+    const result = await service.bulkUpdateChallenges(currentUser, {
+      criteria: { projectId: 123 },
+      operation: { type: "cancel", cancelReason: "Project closed" },
+    });
+
+    should.equal(result.succeeded, 2);
+    updates.map((u) => u.data.status).should.eql(["CANCELLED", "CANCELLED"]);
+    should.equal(updates[0].data.cancelReason, "Project closed");
+  });
+
+  it("bulk update - rejects a criteria matching too many challenges", async () => {
+    challengeService.searchChallenges = async () => ({ total: 100000, result: [] });
+    try {
+      await service.bulkUpdateChallenges(currentUser, {
+        criteria: { status: "ACTIVE" },
+        operation: { type: "cancel" },
+      });
+    } catch (e) {
+      should.equal(e.httpStatus, 400);
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+
+  it("bulk update - requires either challengeIds or criteria", async () => {
+    try {
+      await service.bulkUpdateChallenges(currentUser, {
+        challengeIds: [uuid()],
+        criteria: { status: "ACTIVE" },
+        operation: { type: "cancel" },
+      });
+    } catch (e) {
+      should.equal(e.isJoi, true);
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+});
@@ -0,0 +1,162 @@
+/*
+ * Unit tests of challenge calendar service
+ */
+
+require("../../app-bootstrap");
+const _ = require("lodash");
+const chai = require("chai");
+
+const service = require("../../src/services/ChallengeCalendarService");
+const challengeService = require("../../src/services/ChallengeService");
+const helper = require("../../src/common/helper");
+const constants = require("../../app-constants");
+const { mockPrisma, restorePrisma } = require("./prisma-mock");
+
+const should = chai.should();
+
+describe("challenge calendar service unit tests", () => {
+  const member = { userId: "1001", handle: "member", roles: [constants.UserRoles.User] };
+  const tokenId = "6c1d2e3f-0000-4000-8000-000000000003";
+  const originalSearchChallenges = challengeService.searchChallenges;
+  const originalGetUserRoles = helper.getUserRoles;
+  let tokens;
+  let searches;
+
+  /**
+   * Create a feed token of the member.
+   * @returns {Promise<String>} the token value
+   */
+  const createToken = async () => {
+    const ret = await service.createCalendarFeedToken(member, { name: "Calendar" });
+    return ret.token;
+  };
+
+  beforeEach(() => {
+    tokens = {};
+    searches = [];
+    mockPrisma("calendarFeedToken", "count", async () => _.size(tokens));
+    mockPrisma("calendarFeedToken", "create", async ({ data }) => {
+      tokens[tokenId] = { id: tokenId, ...data, createdAt: new Date(), revokedAt: null };
+      return tokens[tokenId];
+    });
+    mockPrisma("calendarFeedToken", "findUnique", async ({ where }) => tokens[where.id] || null);
+    mockPrisma("calendarFeedToken", "update", async ({ where, data }) => {
+      tokens[where.id] = { ...tokens[where.id], ...data };
+      return tokens[where.id];
+    });
+    helper.getUserRoles = async () => [constants.UserRoles.User];
+    challengeService.searchChallenges = async (currentUser, criteria) => {
+      searches.push({ currentUser, criteria });
+      return {
+        result: [
+          {
+            id: "challenge-1",
+            name: "Payments, refunds; fixes",
+            status: "ACTIVE",
+            track: { name: "Development" },
+            phases: [
+              {
+                id: "phase-1",
+                name: "Registration",
+                isOpen: false,
+                scheduledStartDate: "2026-10-01T00:00:00.000Z",
+                scheduledEndDate: "2026-10-03T00:00:00.000Z",
+                actualStartDate: "2026-10-01T02:00:00.000Z",
+                actualEndDate: "2026-10-02T12:30:00.000Z",
+              },
+              {
+                id: "phase-2",
+                name: "Submission",
+                isOpen: true,
+                scheduledStartDate: "2026-10-01T02:00:00.000Z",
+                scheduledEndDate: "2026-10-08T02:00:00.000Z",
+                actualStartDate: "2026-10-01T02:00:00.000Z",
+              },
+              { id: "phase-3", name: "Review", isOpen: false },
+            ],
+          },
+        ],
+      };
+    };
+  });
+
+  afterEach(() => {
+    challengeService.searchChallenges = originalSearchChallenges;
+    helper.getUserRoles = originalGetUserRoles;
+    restorePrisma();
+  });
+
+  it("get project calendar - an event per scheduled phase", async () => {
+    const calendar = await service.getProjectCalendar(undefined, 100);
+
+    should.equal(searches[0].currentUser, undefined);
+    should.equal(searches[0].criteria.projectId, 100);
+    const lines = calendar.split("\r\n");
+    should.equal(lines[0], "BEGIN:VCALENDAR");
+    should.equal(_.filter(lines, (line) => line === "BEGIN:VEVENT").length, 2);
+    lines.should.include("UID:phase-1@challenges.topcoder.com");
+    // closed phases show their actual dates
+    lines.should.include("DTSTART:20261001T020000Z");
+    lines.should.include("DTEND:20261002T123000Z");
+    lines.should.include("DTEND:20261008T020000Z");
+    lines.should.include("SUMMARY:Payments\\, refunds\\; fixes - Registration");
+    _.each(lines, (line) => Buffer.byteLength(line).should.be.at.most(75));
+  });
+
+  it("get project calendar - read as the owner of the feed token", async () => {
+    const feedToken = await createToken();
+    await service.getProjectCalendar(undefined, 100, { feedToken });
+
+    searches[0].currentUser.should.deep.equal(_.pick(member, ["userId", "handle", "roles"]));
+    should.exist(tokens[tokenId].lastUsedAt);
+  });
+
+  it("get project calendar - read with the current roles of the token owner", async () => {
+    const feedToken = await createToken();
+    should.not.exist(tokens[tokenId].roles);
+    helper.getUserRoles = async () => [constants.UserRoles.Admin];
+
+    await service.getProjectCalendar(undefined, 100, { feedToken });
+
+    searches[0].currentUser.roles.should.deep.equal([constants.UserRoles.Admin]);
+  });
+
+  it("get project calendar - tampered feed token", async () => {
+    const feedToken = await createToken();
+    try {
+      await service.getProjectCalendar(undefined, 100, { feedToken: `${feedToken.slice(0, -1)}x` });
+    } catch (e) {
+      should.equal(e.name, "UnauthorizedError");
+      should.equal(searches.length, 0);
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+
+  it("get member calendar - revoked feed token", async () => {
+    const feedToken = await createToken();
+    await service.getMemberCalendar(undefined, member.userId, { feedToken });
+    should.equal(searches[0].criteria.memberId, member.userId);
+
+    await service.revokeCalendarFeedToken(member, tokenId);
+    try {
+      await service.getMemberCalendar(undefined, member.userId, { feedToken });
+    } catch (e) {
+      should.equal(e.name, "UnauthorizedError");
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+
+  it("get member calendar - feed token of another member", async () => {
+    const feedToken = await createToken();
+    try {
+      await service.getMemberCalendar(undefined, "1002", { feedToken });
+    } catch (e) {
+      should.equal(e.name, "ForbiddenError");
+      should.equal(searches.length, 0);
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+});
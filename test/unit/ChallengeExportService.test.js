@@ -0,0 +1,145 @@
+/*
+ * Unit tests of challenge export service
+ */
+
+require("../../app-bootstrap");
+const chai = require("chai");
+
+const service = require("../../src/services/ChallengeExportService");
+const challengeService = require("../../src/services/ChallengeService");
+
+const should = chai.should();
+
+/**
+ * Read a stream to the end.
+ * @param {Readable} stream the stream
+ * @returns {Promise<String>} the content
+ */
+async function readAll(stream) {
+  let content = "";
+  for await (const chunk of stream) {
+    content += chunk;
+  }
+  return content;
+}
+
+describe("challenge export service unit tests", () => {
+  const currentUser = { userId: "test-user", isMachine: true };
+  let originalSearchChallenges;
+  let searches;
+
+  const pages = {
+    "": {
+      result: [
+        {
+          id: "challenge-1",
+          name: 'Build "fast", cheap',
+          status: "COMPLETED",
+          overview: { totalPrizes: 1500 },
+          billing: { billingAccountId: "80000062", markup: 0.5 },
+          currentPhaseNames: [],
+          winners: [
+            { handle: "first", placement: 1 },
+            { handle: "second", placement: 2 },
+          ],
+        },
+      ],
+      nextCursor: "cursor-2",
+    },
+    "cursor-2": {
+      result: [
+        {
+          id: "challenge-2",
+          name: "=HYPERLINK(\"x\")",
+          status: "ACTIVE",
+          currentPhaseNames: ["Registration", "Submission"],
+        },
+      ],
+    },
+  };
+
+  beforeEach(() => {
+    originalSearchChallenges = challengeService.searchChallenges;
+    searches = [];
+    challengeService.searchChallenges = async (user, criteria) => {
+      searches.push(criteria);
+      return pages[criteria.cursor];
+    };
+  });
+
+  afterEach(() => {
+    challengeService.searchChallenges = originalSearchChallenges;
+  });
+
+  it("export challenges - streams every page as csv", async () => {
+    const result = await service.exportChallenges(currentUser, {
+      projectId: 100,
+      perPage: 5,
+      columns: "id,name,totalPrizes,billingAccountId,markup,currentPhaseNames,winners",
+    });
+    should.equal(result.mimetype, "text/csv; charset=utf-8");
+    const lines = (await readAll(result.stream)).split("\r\n");
+
+    lines.should.deep.equal([
+      "id,name,totalPrizes,billingAccountId,markup,currentPhaseNames,winners",
+      'challenge-1,"Build ""fast"", cheap",1500,80000062,0.5,,first (1); second (2)',
+      "challenge-2,\"'=HYPERLINK(\"\"x\"\")\",,,,Registration; Submission,",
+      "",
+    ]);
+    should.equal(searches.length, 2);
+    should.equal(searches[0].projectId, 100);
+    should.equal(searches[0].perPage, 100);
+    should.equal(searches[0].includeTotal, false);
+  });
+
+  it("export challenges - streams ndjson", async () => {
+    const result = await service.exportChallenges(currentUser, {
+      format: "ndjson",
+      columns: ["id", "currentPhaseNames"],
+    });
+    const rows = (await readAll(result.stream))
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+
+    rows.should.deep.equal([
+      { id: "challenge-1", currentPhaseNames: [] },
+      { id: "challenge-2", currentPhaseNames: ["Registration", "Submission"] },
+    ]);
+  });
+
+  it("export challenges - memberId search read by page number", async () => {
+    const buildPage = (count, offset) =>
+      Array.from({ length: count }, (v, i) => ({ id: `challenge-${offset + i}` }));
+    challengeService.searchChallenges = async (user, criteria) => {
+      searches.push(criteria);
+      return { result: criteria.page === 1 ? buildPage(100, 1) : buildPage(1, 101) };
+    };
+
+    const result = await service.exportChallenges(currentUser, {
+      memberId: "40000001",
+      format: "ndjson",
+      columns: "id",
+    });
+    const rows = (await readAll(result.stream)).trim().split("\n");
+
+    should.equal(rows.length, 101);
+    searches
+      .map((criteria) => [criteria.page, criteria.cursor])
+      .should.deep.equal([
+        [1, undefined],
+        [2, undefined],
+      ]);
+    should.equal(searches[1].memberId, "40000001");
+  });
+
+  it("export challenges - unknown column", async () => {
+    try {
+      await service.exportChallenges(currentUser, { columns: "id,secret" });
+    } catch (e) {
+      should.equal(e.name, "BadRequestError");
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+});
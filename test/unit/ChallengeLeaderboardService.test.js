@@ -0,0 +1,247 @@
+/*
+ * Unit tests of challenge leaderboard service
+ */
+
+if (!process.env.REVIEW_DB_URL && process.env.DATABASE_URL) {
+  process.env.REVIEW_DB_URL = process.env.DATABASE_URL;
+}
+
+require("../../app-bootstrap");
+const config = require("config");
+const chai = require("chai");
+const service = require("../../src/services/ChallengeLeaderboardService");
+const helper = require("../../src/common/helper");
+const testHelper = require("../testHelper");
+const { getClient } = require("../../src/common/prisma");
+const { getReviewClient } = require("../../src/common/review-prisma");
+
+const reviewSchema = config.get("REVIEW_DB_SCHEMA");
+const submissionTableName = `"${reviewSchema}"."submission"`;
+const reviewSummationTableName = `"${reviewSchema}"."reviewSummation"`;
+const prisma = getClient();
+const should = chai.should();
+
+describe("challenge leaderboard service unit tests", () => {
+  const currentUser = { isMachine: true, userId: "machine-user" };
+  const originalGetMembersByUserIds = helper.getMembersByUserIds;
+  let reviewClient;
+  let data;
+  let memberLookups;
+
+  before(async () => {
+    await testHelper.clearData();
+    await testHelper.createData();
+    data = testHelper.getData();
+
+    reviewClient = getReviewClient();
+    await reviewClient.$executeRawUnsafe(`CREATE SCHEMA IF NOT EXISTS "${reviewSchema}"`);
+    await reviewClient.$executeRawUnsafe(`
+      CREATE TABLE IF NOT EXISTS ${submissionTableName} (
+        "id" varchar(64) PRIMARY KEY,
+        "challengeId" varchar(255),
+        "memberId" varchar(255),
+        "type" varchar(64),
+        "status" varchar(64),
+        "submittedDate" timestamp,
+        "createdAt" timestamp DEFAULT now(),
+        "updatedAt" timestamp DEFAULT now()
+      )
+    `);
+    await reviewClient.$executeRawUnsafe(`
+      ALTER TABLE ${submissionTableName}
+      ADD COLUMN IF NOT EXISTS "status" varchar(64)
+    `);
+    await reviewClient.$executeRawUnsafe(`
+      ALTER TABLE ${submissionTableName}
+      ADD COLUMN IF NOT EXISTS "isLatest" boolean
+    `);
+    await reviewClient.$executeRawUnsafe(`
+      CREATE TABLE IF NOT EXISTS ${reviewSummationTableName} (
+        "id" varchar(64) PRIMARY KEY,
+        "submissionId" varchar(64),
+        "aggregateScore" double precision,
+        "isFinal" boolean,
+        "reviewedDate" timestamp,
+        "createdAt" timestamp DEFAULT now(),
+        "updatedAt" timestamp DEFAULT now()
+      )
+    `);
+    await reviewClient.$executeRawUnsafe(`DELETE FROM ${reviewSummationTableName}`);
+    await reviewClient.$executeRawUnsafe(`DELETE FROM ${submissionTableName}`);
+
+    const challengeId = data.challenge.id;
+    await reviewClient.$executeRawUnsafe(`
+      INSERT INTO ${submissionTableName} ("id", "challengeId", "memberId", "type", "submittedDate")
+      VALUES
+        ('lb-sub-1', '${challengeId}', '1001', 'CONTEST_SUBMISSION', '2026-10-01T10:00:00Z'),
+        ('lb-sub-2', '${challengeId}', '1001', 'CONTEST_SUBMISSION', '2026-10-02T10:00:00Z'),
+        ('lb-sub-3', '${challengeId}', '1002', 'CONTEST_SUBMISSION', '2026-10-01T12:00:00Z'),
+        ('lb-sub-4', '${challengeId}', '1003', 'CONTEST_SUBMISSION', '2026-10-01T13:00:00Z'),
+        ('lb-sub-5', '${challengeId}', '1004', 'CONTEST_SUBMISSION', '2026-10-01T14:00:00Z')
+    `);
+    await reviewClient.$executeRawUnsafe(`
+      INSERT INTO ${reviewSummationTableName} ("id", "submissionId", "aggregateScore", "reviewedDate")
+      VALUES
+        ('lb-rs-1', 'lb-sub-1', 90, '2026-10-01T11:00:00Z'),
+        ('lb-rs-2', 'lb-sub-2', 80, '2026-10-02T11:00:00Z'),
+        ('lb-rs-3', 'lb-sub-3', 50, '2026-10-01T12:30:00Z'),
+        ('lb-rs-4', 'lb-sub-3', 90, '2026-10-03T12:30:00Z'),
+        ('lb-rs-5', 'lb-sub-4', 70, '2026-10-01T13:30:00Z')
+    `);
+  });
+
+  after(async () => {
+    await reviewClient.$executeRawUnsafe(`DELETE FROM ${reviewSummationTableName}`);
+    await reviewClient.$executeRawUnsafe(`DELETE FROM ${submissionTableName}`);
+    await testHelper.clearData();
+  });
+
+  beforeEach(() => {
+    memberLookups = [];
+    helper.getMembersByUserIds = async (userIds) => {
+      memberLookups.push(userIds);
+      return userIds.map((userId) => ({
+        userId: Number(userId),
+        handle: `member${userId}`,
+        maxRating: { rating: 1500, ratingColor: "#69C329" },
+      }));
+    };
+  });
+
+  afterEach(() => {
+    helper.getMembersByUserIds = originalGetMembersByUserIds;
+  });
+
+  it("get challenge leaderboard - ranks members by best score", async () => {
+    const leaderboard = await service.getChallengeLeaderboard(currentUser, data.challenge.id);
+
+    should.equal(memberLookups.length, 1);
+    leaderboard
+      .map((entry) => [entry.memberId, entry.rank, entry.bestScore, entry.latestScore])
+      .should.deep.equal([
+        ["1002", 1, 90, 90],
+        ["1001", 1, 90, 80],
+        ["1003", 3, 70, 70],
+        ["1004", null, null, null],
+      ]);
+    should.equal(leaderboard[1].submissionCount, 2);
+    should.equal(leaderboard[1].handle, "member1001");
+    should.equal(leaderboard[1].rating, 1500);
+  });
+
+  it("get challenge leaderboard - cached until a new review summation", async () => {
+    await service.getChallengeLeaderboard(currentUser, data.challenge.id);
+    should.equal(memberLookups.length, 0);
+
+    await reviewClient.$executeRawUnsafe(`
+      INSERT INTO ${reviewSummationTableName} ("id", "submissionId", "aggregateScore", "reviewedDate")
+      VALUES ('lb-rs-6', 'lb-sub-5', 95, '2026-10-04T10:00:00Z')
+    `);
+    const leaderboard = await service.getChallengeLeaderboard(currentUser, data.challenge.id);
+    should.equal(memberLookups.length, 1);
+    should.equal(leaderboard[0].memberId, "1004");
+    should.equal(leaderboard[0].rank, 1);
+  });
+
+  describe("marathon match leaderboard", () => {
+    const originalFindUnique = prisma.challenge.findUnique;
+    let status;
+
+    before(async () => {
+      await reviewClient.$executeRawUnsafe(`DELETE FROM ${reviewSummationTableName}`);
+      await reviewClient.$executeRawUnsafe(`
+        INSERT INTO ${reviewSummationTableName}
+          ("id", "submissionId", "aggregateScore", "isFinal", "reviewedDate", "createdAt")
+        VALUES
+          ('mm-rs-1', 'lb-sub-1', 90, false, '2026-10-01T11:00:00Z', '2026-10-01T11:00:00Z'),
+          ('mm-rs-2', 'lb-sub-2', 70, false, '2026-10-02T11:00:00Z', '2026-10-02T11:00:00Z'),
+          ('mm-rs-3', 'lb-sub-3', 80, false, '2026-10-01T12:30:00Z', '2026-10-01T12:30:00Z'),
+          ('mm-rs-4', 'lb-sub-2', 60, true, '2026-10-05T11:00:00Z', '2026-10-05T11:00:00Z'),
+          ('mm-rs-5', 'lb-sub-3', 85, true, '2026-10-05T11:00:00Z', '2026-10-05T11:00:00Z'),
+          ('mm-rs-6', 'lb-sub-1', 95, false, '2026-10-06T11:00:00Z', '2026-10-06T11:00:00Z'),
+          ('mm-rs-7', 'lb-sub-1', 99, true, '2026-10-06T11:00:00Z', '2026-10-06T11:00:00Z')
+      `);
+    });
+
+    beforeEach(() => {
+      status = "ACTIVE";
+      prisma.challenge.findUnique = async (args) => {
+        const challenge = await originalFindUnique.call(prisma.challenge, args);
+        return challenge && { ...challenge, status, type: { name: "Marathon Match" } };
+      };
+    });
+
+    afterEach(() => {
+      prisma.challenge.findUnique = originalFindUnique;
+    });
+
+    // the rescores of the older lb-sub-1 of member 1001 are newer, they aren't ranked
+    it("shows the provisional scores of the latest submissions while active", async () => {
+      const leaderboard = await service.getChallengeLeaderboard(
+        { handle: "member", roles: ["Topcoder User"], userId: "1003" },
+        data.challenge.id,
+      );
+      leaderboard
+        .map((entry) => [entry.memberId, entry.rank, entry.score, entry.submissionId])
+        .should.deep.equal([
+          ["1002", 1, 80, "lb-sub-3"],
+          ["1001", 2, 70, "lb-sub-2"],
+        ]);
+    });
+
+    it("hides the final scores from members until completed", async () => {
+      try {
+        await service.getChallengeLeaderboard(
+          { handle: "member", roles: ["Topcoder User"], userId: "1003" },
+          data.challenge.id,
+          { mode: "final" },
+        );
+      } catch (e) {
+        should.equal(e.name, "ForbiddenError");
+        const leaderboard = await service.getChallengeLeaderboard(currentUser, data.challenge.id, {
+          mode: "final",
+        });
+        leaderboard
+          .map((entry) => [entry.memberId, entry.score])
+          .should.deep.equal([
+            ["1002", 85],
+            ["1001", 60],
+          ]);
+        return;
+      }
+      throw new Error("should not reach here");
+    });
+
+    it("shows the final scores once completed", async () => {
+      status = "COMPLETED";
+      const leaderboard = await service.getChallengeLeaderboard(
+        { handle: "member", roles: ["Topcoder User"], userId: "1003" },
+        data.challenge.id,
+      );
+      should.equal(leaderboard[0].memberId, "1002");
+      should.equal(leaderboard[0].score, 85);
+    });
+  });
+
+  it("get challenge leaderboard - mode of a challenge that is not a marathon match", async () => {
+    try {
+      await service.getChallengeLeaderboard(currentUser, data.challenge.id, {
+        mode: "provisional",
+      });
+    } catch (e) {
+      should.equal(e.name, "BadRequestError");
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+
+  it("get challenge leaderboard - challenge not found", async () => {
+    try {
+      await service.getChallengeLeaderboard(currentUser, "b4e2a2a1-0000-4000-8000-000000000000");
+    } catch (e) {
+      should.equal(e.name, "NotFoundError");
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+});
@@ -391,6 +391,33 @@ describe('challenge phase service unit tests', () => {
       )
     })
 
+    it('partially update challenge phase - stale If-Match version', async () => {
+      const current = await service.getChallengePhase(data.challenge.id, data.challengePhase1Id)
+      const staleVersion = helper.getEntityTag(new Date(current.updated).getTime() - 1000)
+      try {
+        await service.partiallyUpdateChallengePhase(
+          authUser,
+          data.challenge.id,
+          data.challengePhase1Id,
+          { name: 'stale-Registration' },
+          { ifMatch: staleVersion }
+        )
+      } catch (e) {
+        should.equal(e.name, 'PreconditionFailedError')
+        should.equal(e.etag, helper.getEntityTag(current.updated))
+        const challengePhase = await service.partiallyUpdateChallengePhase(
+          authUser,
+          data.challenge.id,
+          data.challengePhase1Id,
+          { name: current.name },
+          { ifMatch: e.etag }
+        )
+        should.notEqual(helper.getEntityTag(challengePhase.updated), e.etag)
+        return
+      }
+      throw new Error('should not reach here')
+    })
+
     it('partially update challenge phase - explicit scheduledEndDate wins over stale duration', async function () {
       this.timeout(50000)
       const scheduledStartDate = '2025-01-01T00:00:00.000Z'
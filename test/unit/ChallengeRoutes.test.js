@@ -13,6 +13,8 @@ describe("Challenge route access", () => {
     ["/challenges/:challengeId", "put"],
     ["/challenges/:challengeId", "patch"],
     ["/challenges/:challengeId", "delete"],
+    ["/challenges/:challengeId/clone", "post"],
+    ["/challenges/bulk", "post"],
     ["/challenges/:challengeId/attachments", "post"],
     ["/challenges/:challengeId/attachments/:attachmentId", "put"],
     ["/challenges/:challengeId/attachments/:attachmentId", "patch"],
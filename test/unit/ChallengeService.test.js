@@ -32,6 +32,7 @@ describe("challenge service unit tests", () => {
   // created entity id
   let id;
   let id2;
+  let clonedId;
   let attachment;
   const winners = [
     {
@@ -208,7 +209,7 @@ describe("challenge service unit tests", () => {
   });
 
   after(async () => {
-    const idsToDelete = _.compact([id, id2]);
+    const idsToDelete = _.compact([id, id2, clonedId]);
     if (idsToDelete.length > 0) {
       await prisma.challenge.deleteMany({
         where: {
@@ -600,6 +601,80 @@ describe("challenge service unit tests", () => {
     });
   });
 
+  describe("clone challenge tests", () => {
+    it("clone challenge into a new draft successfully", async () => {
+      const startDate = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+      const result = await service.cloneChallenge(
+        { isMachine: true, sub: "sub", userId: "testuser" },
+        id,
+        { startDate },
+        config.M2M_FULL_ACCESS_TOKEN,
+      );
+      clonedId = result.id;
+      should.notEqual(result.id, id);
+      should.equal(result.status, ChallengeStatusEnum.DRAFT);
+      should.equal(result.approvalStatus, "PENDING_APPROVAL");
+      should.equal(result.typeId, createdChallengeData.typeId);
+      should.equal(result.trackId, createdChallengeData.trackId);
+      should.equal(result.timelineTemplateId, createdChallengeData.timelineTemplateId);
+      should.equal(result.name, createdChallengeData.name);
+      should.equal(_.isNil(result.legacyId), true);
+      should.equal(result.numOfRegistrants, 0);
+      should.equal(result.numOfSubmissions, 0);
+      should.deep.equal(result.tags, createdChallengeData.tags);
+      should.deep.equal(result.prizeSets, createdChallengeData.prizeSets);
+      should.equal(result.discussions.length, createdChallengeData.discussions.length);
+      should.deep.equal(
+        _.map(result.phases, (p) => [p.phaseId, p.duration]),
+        _.map(createdChallengeData.phases, (p) => [p.phaseId, p.duration]),
+      );
+      should.equal(testHelper.getDatesDiff(result.phases[0].scheduledStartDate, startDate), 0);
+      _.each(result.phases, (phase) => {
+        should.equal(_.isNil(phase.actualStartDate), true);
+        should.equal(_.isNil(phase.actualEndDate), true);
+      });
+      should.deep.equal(_.find(result.metadata, { name: "clonedFromChallengeId" }), {
+        name: "clonedFromChallengeId",
+        value: id,
+      });
+      should.exist(_.find(result.metadata, { name: "meta-name" }));
+    });
+
+    it("clone challenge - user who can only view the source", async () => {
+      const originalGetProject = projectHelper.getProject;
+      projectHelper.getProject = async () => ({ members: [] });
+      try {
+        await service.cloneChallenge(
+          { userId: "16096823", handle: "viewer", roles: ["Topcoder User"] },
+          id,
+          { projectId: 123 },
+          config.M2M_FULL_ACCESS_TOKEN,
+        );
+      } catch (e) {
+        should.equal(e.name, "ForbiddenError");
+        return;
+      } finally {
+        projectHelper.getProject = originalGetProject;
+      }
+      throw new Error("should not reach here");
+    });
+
+    it("clone challenge - not found", async () => {
+      try {
+        await service.cloneChallenge(
+          { isMachine: true, sub: "sub", userId: "testuser" },
+          notFoundId,
+          {},
+          config.M2M_FULL_ACCESS_TOKEN,
+        );
+      } catch (e) {
+        should.equal(e.name, "NotFoundError");
+        return;
+      }
+      throw new Error("should not reach here");
+    });
+  });
+
   describe("get challenge tests", () => {
     it("get challenge successfully", async () => {
       const result = await service.getChallenge({ isMachine: true }, createdChallengeData.id);
@@ -1138,6 +1213,263 @@ describe("challenge service unit tests", () => {
       }
     });
 
+    it("search challenges with a cursor returns every challenge once", async () => {
+      const cursorChallenges = _.map(["C", "A", "E", "B", "D"], (suffix, index) => ({
+        id: uuid(),
+        name: `Cursor Crawl ${suffix}`,
+        status: index % 2 ? ChallengeStatusEnum.ACTIVE : ChallengeStatusEnum.NEW,
+      }));
+      const cursorChallengeIds = _.map(cursorChallenges, "id");
+
+      try {
+        await Promise.all(
+          cursorChallenges.map((challengeRow) =>
+            prisma.challenge.create({
+              data: {
+                id: challengeRow.id,
+                name: challengeRow.name,
+                description: "cursor-crawl",
+                privateDescription: "cursor-crawl",
+                challengeSource: "Topcoder",
+                descriptionFormat: "html",
+                timelineTemplate: { connect: { id: data.timelineTemplate.id } },
+                type: { connect: { id: data.challenge.typeId } },
+                track: { connect: { id: data.challenge.trackId } },
+                tags: [],
+                groups: [],
+                status: challengeRow.status,
+                createdBy: "testuser",
+                updatedBy: "testuser",
+              },
+            }),
+          ),
+        );
+
+        const crawl = async (criteria) => {
+          const names = [];
+          let cursor = "";
+          for (let i = 0; i < 10 && !_.isUndefined(cursor); i += 1) {
+            const res = await service.searchChallenges(
+              { isMachine: true },
+              { ids: cursorChallengeIds, perPage: 2, ...criteria, cursor },
+            );
+            should.equal(res.total, undefined);
+            names.push(..._.map(res.result, "name"));
+            cursor = res.nextCursor;
+          }
+          return names;
+        };
+
+        const byName = await crawl({ sortBy: "name", sortOrder: "asc" });
+        byName.should.deep.equal([
+          "Cursor Crawl A",
+          "Cursor Crawl B",
+          "Cursor Crawl C",
+          "Cursor Crawl D",
+          "Cursor Crawl E",
+        ]);
+        const byStatus = await crawl({ sortBy: "status", sortOrder: "desc" });
+        should.equal(byStatus.length, 5);
+        should.equal(_.uniq(byStatus).length, 5);
+
+        const firstPage = await service.searchChallenges(
+          { isMachine: true },
+          { ids: cursorChallengeIds, perPage: 2, sortBy: "name", cursor: "", includeTotal: true },
+        );
+        should.equal(firstPage.total, 5);
+        try {
+          await service.searchChallenges(
+            { isMachine: true },
+            { ids: cursorChallengeIds, sortBy: "createdAt", cursor: firstPage.nextCursor },
+          );
+        } catch (e) {
+          should.equal(e.name, "BadRequestError");
+          return;
+        }
+        throw new Error("should not reach here");
+      } finally {
+        await prisma.challenge.deleteMany({ where: { id: { in: cursorChallengeIds } } });
+      }
+    });
+
+    it("search challenges with an invalid cursor", async () => {
+      try {
+        await service.searchChallenges({ isMachine: true }, { cursor: "not-a-cursor" });
+      } catch (e) {
+        should.equal(e.name, "BadRequestError");
+        return;
+      }
+      throw new Error("should not reach here");
+    });
+
+    it("search challenges with facets counts each facet without its own filter", async () => {
+      const facetChallenges = [
+        { id: uuid(), status: ChallengeStatusEnum.ACTIVE, tags: ["facet-a", "facet-b"] },
+        { id: uuid(), status: ChallengeStatusEnum.ACTIVE, tags: ["facet-a"] },
+        { id: uuid(), status: ChallengeStatusEnum.NEW, tags: ["facet-b"] },
+      ];
+      const facetChallengeIds = _.map(facetChallenges, "id");
+
+      try {
+        await Promise.all(
+          facetChallenges.map((challengeRow) =>
+            prisma.challenge.create({
+              data: {
+                id: challengeRow.id,
+                name: `Facet ${challengeRow.id}`,
+                description: "facets",
+                challengeSource: "Topcoder",
+                descriptionFormat: "html",
+                timelineTemplate: { connect: { id: data.timelineTemplate.id } },
+                type: { connect: { id: data.challenge.typeId } },
+                track: { connect: { id: data.challenge.trackId } },
+                tags: challengeRow.tags,
+                groups: [],
+                status: challengeRow.status,
+                createdBy: "testuser",
+                updatedBy: "testuser",
+              },
+            }),
+          ),
+        );
+
+        const res = await service.searchChallenges(
+          { isMachine: true },
+          {
+            ids: facetChallengeIds,
+            status: ChallengeStatusEnum.ACTIVE,
+            facets: "status,tags,type",
+          },
+        );
+        should.equal(res.total, 2);
+        res.facets.status.should.deep.equal([
+          { value: ChallengeStatusEnum.ACTIVE, count: 2 },
+          { value: ChallengeStatusEnum.NEW, count: 1 },
+        ]);
+        res.facets.tags.should.deep.equal([
+          { value: "facet-a", count: 2 },
+          { value: "facet-b", count: 1 },
+        ]);
+        should.equal(res.facets.type.length, 1);
+        should.equal(res.facets.type[0].value, data.challenge.typeId);
+        should.equal(res.facets.type[0].count, 2);
+      } finally {
+        await prisma.challenge.deleteMany({ where: { id: { in: facetChallengeIds } } });
+      }
+    });
+
+    it("search challenges by full-text search sorted by relevance with highlights", async () => {
+      const nameMatchId = uuid();
+      const descriptionMatchId = uuid();
+      const createChallenge = (id, name, description) =>
+        prisma.challenge.create({
+          data: {
+            id,
+            name,
+            description,
+            privateDescription: "secret quokka notes",
+            challengeSource: "Topcoder",
+            descriptionFormat: "html",
+            timelineTemplate: { connect: { id: data.timelineTemplate.id } },
+            type: { connect: { id: data.challenge.typeId } },
+            track: { connect: { id: data.challenge.trackId } },
+            tags: [],
+            groups: [],
+            status: ChallengeStatusEnum.ACTIVE,
+            createdBy: "testuser",
+            updatedBy: "testuser",
+          },
+        });
+
+      try {
+        await createChallenge(descriptionMatchId, "Mobile app", "<p>Track the quokkas</p>");
+        await createChallenge(nameMatchId, "Quokka <i>tracker</i>", "<p>A mobile app</p>");
+
+        const res = await service.searchChallenges(
+          { isMachine: true },
+          { search: "quokka", sortBy: "relevance", ids: [nameMatchId, descriptionMatchId] },
+        );
+        should.equal(res.total, 2);
+        _.map(res.result, "id").should.deep.equal([nameMatchId, descriptionMatchId]);
+        should.equal(
+          res.result[0].highlights.name,
+          "<mark>Quokka</mark> &lt;i&gt;tracker&lt;/i&gt;",
+        );
+        should.equal(res.result[0].highlights.description, undefined);
+        should.equal(res.result[1].highlights.description.includes("<mark>quokkas</mark>"), true);
+
+        const privateOnly = await service.searchChallenges(
+          { isMachine: true },
+          { search: "secret", ids: [nameMatchId, descriptionMatchId] },
+        );
+        should.equal(privateOnly.total, 0);
+      } finally {
+        await prisma.challenge.deleteMany({
+          where: { id: { in: [nameMatchId, descriptionMatchId] } },
+        });
+      }
+    });
+
+    it("search challenges by a partial word of the name", async () => {
+      const nameMatchId = uuid();
+      const descriptionMatchId = uuid();
+      const createChallenge = (id, name, description) =>
+        prisma.challenge.create({
+          data: {
+            id,
+            name,
+            description,
+            challengeSource: "Topcoder",
+            descriptionFormat: "html",
+            timelineTemplate: { connect: { id: data.timelineTemplate.id } },
+            type: { connect: { id: data.challenge.typeId } },
+            track: { connect: { id: data.challenge.trackId } },
+            tags: [],
+            groups: [],
+            status: ChallengeStatusEnum.ACTIVE,
+            createdBy: "testuser",
+            updatedBy: "testuser",
+          },
+        });
+
+      try {
+        await createChallenge(nameMatchId, "Quokka tracker", "<p>A mobile app</p>");
+        await createChallenge(descriptionMatchId, "Mobile app", "<p>Track the quokkas</p>");
+
+        // The description only matches on full words
+        const res = await service.searchChallenges(
+          { isMachine: true },
+          { search: "okka", ids: [nameMatchId, descriptionMatchId] },
+        );
+        should.equal(res.total, 1);
+        should.equal(res.result[0].id, nameMatchId);
+      } finally {
+        await prisma.challenge.deleteMany({
+          where: { id: { in: [nameMatchId, descriptionMatchId] } },
+        });
+      }
+    });
+
+    it("search challenges sorted by relevance without a search term", async () => {
+      try {
+        await service.searchChallenges({ isMachine: true }, { sortBy: "relevance" });
+      } catch (e) {
+        should.equal(e.name, "BadRequestError");
+        return;
+      }
+      throw new Error("should not reach here");
+    });
+
+    it("search challenges with an unknown facet", async () => {
+      try {
+        await service.searchChallenges({ isMachine: true }, { facets: "track,prizes" });
+      } catch (e) {
+        should.equal(e.name, "BadRequestError");
+        return;
+      }
+      throw new Error("should not reach here");
+    });
+
     it("search challenges successfully 1", async () => {
       const res = await service.searchChallenges(
         { isMachine: true },
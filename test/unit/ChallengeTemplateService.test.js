@@ -0,0 +1,197 @@
+/*
+ * Unit tests of challenge template service
+ */
+
+require("../../app-bootstrap");
+const _ = require("lodash");
+const chai = require("chai");
+
+const service = require("../../src/services/ChallengeTemplateService");
+const challengeService = require("../../src/services/ChallengeService");
+const constants = require("../../app-constants");
+const prisma = require("../../src/common/prisma").getClient();
+const { mockPrisma, restorePrisma } = require("./prisma-mock");
+
+const should = chai.should();
+
+describe("challenge template service unit tests", () => {
+  const admin = { userId: "1", handle: "admin", roles: [constants.UserRoles.Admin] };
+  const copilot = { userId: "2", handle: "copilot", roles: [constants.UserRoles.Copilot] };
+  const templateId = "5a3e0f4c-2b1d-4c9e-9f5a-7d6c5b4a3e21";
+  const typeId = "927abff4-7af9-4145-8ba1-577c16e64e2e";
+  const trackId = "9b6fc876-f4d9-4ccb-9dfd-419247628825";
+  const originalTransaction = prisma.$transaction;
+  let template;
+  let versions;
+
+  beforeEach(() => {
+    versions = [
+      {
+        templateId,
+        version: 1,
+        challenge: {
+          typeId,
+          trackId,
+          name: "{{component}} bugfix",
+          description: "Fix {{issue}} in {{component}}",
+          tags: ["Bugfix"],
+          metadata: [{ name: "challengeTemplateVersion", value: "0" }],
+        },
+      },
+    ];
+    template = { id: templateId, name: "Bugfix", projectId: null, isActive: true, version: 1 };
+    mockPrisma("challengeTemplate", "findUnique", async () => ({
+      ...template,
+      versions: [_.last(versions)],
+    }));
+    mockPrisma("challengeTemplateVersion", "findUnique", async ({ where }) =>
+      _.find(versions, { version: where.templateId_version.version }),
+    );
+    mockPrisma("challengeTemplate", "updateMany", async ({ where, data }) => {
+      if (template.version !== where.version) {
+        return { count: 0 };
+      }
+      template = { ...template, ...data };
+      return { count: 1 };
+    });
+    mockPrisma("challengeTemplate", "update", async ({ data }) => {
+      if (data.versions) {
+        versions.push({ templateId, ...data.versions.create });
+      }
+      template = { ...template, ..._.omit(data, ["versions"]) };
+      return { ...template, versions: [_.last(versions)] };
+    });
+    prisma.$transaction = async (fn) => fn(prisma);
+  });
+
+  afterEach(() => {
+    restorePrisma();
+    prisma.$transaction = originalTransaction;
+  });
+
+  it("create challenge template - only admins manage global templates", async () => {
+    try {
+      await service.createChallengeTemplate(copilot, {
+        name: "Global",
+        challenge: { typeId, trackId, name: "Challenge" },
+      });
+    } catch (e) {
+      should.equal(e.name, "ForbiddenError");
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+
+  it("create challenge template - invalid challenge fields", async () => {
+    try {
+      await service.createChallengeTemplate(admin, {
+        name: "Invalid",
+        challenge: { typeId, trackId, name: "Challenge", prizeSets: [{ type: "placement" }] },
+      });
+    } catch (e) {
+      should.equal(e.name, "BadRequestError");
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+
+  it("get challenge template - lists the placeholders", async () => {
+    const ret = await service.getChallengeTemplate(admin, templateId);
+    ret.placeholders.should.deep.equal(["component", "issue"]);
+    should.equal(ret.challenge.name, "{{component}} bugfix");
+  });
+
+  it("update challenge template - challenge fields are saved as a new version", async () => {
+    const ret = await service.partiallyUpdateChallengeTemplate(admin, templateId, {
+      challenge: { typeId, trackId, name: "{{component}} hotfix" },
+    });
+    should.equal(ret.version, 2);
+    should.equal(ret.challenge.name, "{{component}} hotfix");
+    should.equal(versions.length, 2);
+    should.equal(versions[0].challenge.name, "{{component}} bugfix");
+  });
+
+  it("update challenge template - concurrent version is a conflict", async () => {
+    // Another update adds version 2 after this one read version 1
+    const findUnique = prisma.challengeTemplate.findUnique;
+    mockPrisma("challengeTemplate", "findUnique", async (args) => {
+      const ret = await findUnique(args);
+      template = { ...template, version: 2 };
+      return ret;
+    });
+    try {
+      await service.partiallyUpdateChallengeTemplate(admin, templateId, {
+        challenge: { typeId, trackId, name: "{{component}} hotfix" },
+      });
+    } catch (e) {
+      should.equal(e.name, "ConflictError");
+      should.equal(versions.length, 1);
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+
+  describe("instantiate challenge template", () => {
+    const originalCreateChallenge = challengeService.createChallenge;
+    let created;
+
+    beforeEach(() => {
+      created = null;
+      challengeService.createChallenge = async (currentUser, challenge) => {
+        created = challenge;
+        return { id: "challenge-1", ...challenge };
+      };
+    });
+
+    afterEach(() => {
+      challengeService.createChallenge = originalCreateChallenge;
+    });
+
+    it("fills in the placeholders and records the template", async () => {
+      await service.instantiateChallengeTemplate(
+        copilot,
+        templateId,
+        { projectId: 100, placeholders: { component: "payments", issue: "refunds" } },
+        "token",
+      );
+      should.equal(created.name, "payments bugfix");
+      should.equal(created.description, "Fix refunds in payments");
+      should.equal(created.projectId, 100);
+      should.equal(created.status, "DRAFT");
+      created.metadata.should.deep.equal([
+        { name: "challengeTemplateId", value: templateId },
+        { name: "challengeTemplateVersion", value: "1" },
+      ]);
+    });
+
+    it("uses the requested version", async () => {
+      versions.push({ templateId, version: 2, challenge: { typeId, trackId, name: "Fixed" } });
+      template.version = 2;
+      await service.instantiateChallengeTemplate(copilot, templateId, {}, "token");
+      should.equal(created.name, "Fixed");
+      await service.instantiateChallengeTemplate(
+        copilot,
+        templateId,
+        { version: 1, placeholders: { component: "payments", issue: "refunds" } },
+        "token",
+      );
+      should.equal(created.name, "payments bugfix");
+    });
+
+    it("fails when a placeholder has no value", async () => {
+      try {
+        await service.instantiateChallengeTemplate(
+          copilot,
+          templateId,
+          { placeholders: { component: "payments" } },
+          "token",
+        );
+      } catch (e) {
+        should.equal(e.name, "BadRequestError");
+        should.equal(created, null);
+        return;
+      }
+      throw new Error("should not reach here");
+    });
+  });
+});
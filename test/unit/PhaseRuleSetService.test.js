@@ -0,0 +1,174 @@
+/*
+ * Unit tests of phase rule set service
+ */
+
+require("../../app-bootstrap");
+const { v4: uuid } = require("uuid");
+const chai = require("chai");
+
+const service = require("../../src/services/PhaseRuleSetService");
+const phaseRuleSetResolver = require("../../src/phase-management/PhaseRuleSetResolver");
+const prisma = require("../../src/common/prisma").getClient();
+
+const should = chai.should();
+
+const buildRules = (operator = "greaterThanInclusive") => ({
+  closeRules: {
+    Registration: [
+      {
+        name: "Registration Close",
+        conditions: {
+          all: [{ fact: "registrantCount", operator, value: 10 }],
+        },
+        event: { type: "canClose" },
+      },
+    ],
+  },
+});
+
+describe("phase rule set service unit tests", () => {
+  const typeId = uuid();
+  const trackId = uuid();
+  let originalFindMany;
+  let originalCreate;
+  let originalFindUnique;
+  let originalUpdate;
+  let originalFindType;
+  let originalFindTrack;
+
+  beforeEach(() => {
+    originalFindMany = prisma.phaseRuleSet.findMany;
+    originalCreate = prisma.phaseRuleSet.create;
+    originalFindUnique = prisma.phaseRuleSet.findUnique;
+    originalUpdate = prisma.phaseRuleSet.update;
+    originalFindType = prisma.challengeType.findUnique;
+    originalFindTrack = prisma.challengeTrack.findUnique;
+    prisma.challengeType.findUnique = async () => ({ id: typeId });
+    prisma.challengeTrack.findUnique = async () => ({ id: trackId });
+    phaseRuleSetResolver.clearCache();
+  });
+
+  afterEach(() => {
+    prisma.phaseRuleSet.findMany = originalFindMany;
+    prisma.phaseRuleSet.create = originalCreate;
+    prisma.phaseRuleSet.findUnique = originalFindUnique;
+    prisma.phaseRuleSet.update = originalUpdate;
+    prisma.challengeType.findUnique = originalFindType;
+    prisma.challengeTrack.findUnique = originalFindTrack;
+    phaseRuleSetResolver.clearCache();
+  });
+
+  it("create phase rule set - normalizes phase names and refreshes the resolver cache", async () => {
+    let createdPayload;
+    let storedRuleSets = [];
+    prisma.phaseRuleSet.findMany = async ({ where }) => (where.isActive ? storedRuleSets : []);
+    prisma.phaseRuleSet.create = async ({ data }) => {
+      createdPayload = data;
+      return { id: uuid(), ...data, createdAt: new Date(), updatedAt: new Date() };
+    };
+
+    // Prime the resolver cache before the rule set exists
+    const before = await phaseRuleSetResolver.getPhaseRules({ typeId, trackId });
+    should.equal(before.ruleSetName, undefined);
+
+    const result = await service.createPhaseRuleSet(
+      { userId: "test-user" },
+      {
+        name: "Marathon Match",
+        typeId,
+        rules: {
+          closeRules: { "Appeals Response": buildRules().closeRules.Registration },
+        },
+      },
+    );
+
+    should.exist(createdPayload.rules.closeRules.AppealsResponse);
+    should.equal(createdPayload.isActive, true);
+    should.equal(result.createdBy, undefined);
+
+    storedRuleSets = [createdPayload];
+    const after = await phaseRuleSetResolver.getPhaseRules({ typeId, trackId });
+    should.equal(after.ruleSetName, "Marathon Match");
+    should.exist(after.rules.closeRules.Registration);
+  });
+
+  it("create phase rule set - rejects unknown operators", async () => {
+    prisma.phaseRuleSet.findMany = async () => [];
+    try {
+      await service.createPhaseRuleSet(
+        { userId: "test-user" },
+        { name: "Invalid", typeId, rules: buildRules("atLeast") },
+      );
+    } catch (e) {
+      should.equal(e.httpStatus, 400);
+      should.equal(e.message.indexOf("unknown operator(s) atLeast") >= 0, true);
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+
+  it("create phase rule set - rejects rules without an event type", async () => {
+    const rules = buildRules();
+    delete rules.closeRules.Registration[0].event.type;
+    try {
+      await service.createPhaseRuleSet(
+        { userId: "test-user" },
+        { name: "Invalid", typeId, rules },
+      );
+    } catch (e) {
+      should.equal(e.httpStatus, 400);
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+
+  it("create phase rule set - requires a type or track", async () => {
+    try {
+      await service.createPhaseRuleSet(
+        { userId: "test-user" },
+        { name: "Everything", rules: buildRules() },
+      );
+    } catch (e) {
+      should.equal(e.httpStatus, 400);
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+
+  it("partially update phase rule set - rejects a second active rule set for the same target", async () => {
+    const id = uuid();
+    prisma.phaseRuleSet.findUnique = async () => ({
+      id,
+      name: "Design",
+      typeId,
+      trackId,
+      rules: buildRules(),
+      isActive: false,
+    });
+    prisma.phaseRuleSet.findMany = async ({ where }) =>
+      where.isActive ? [{ id: uuid(), name: "Design v1" }] : [];
+
+    try {
+      await service.partiallyUpdatePhaseRuleSet({ userId: "test-user" }, id, { isActive: true });
+    } catch (e) {
+      should.equal(e.httpStatus, 409);
+      should.equal(e.message.indexOf("Design v1") >= 0, true);
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+
+  it("resolve phase rules - prefers the type and track rule set over the type only one", async () => {
+    prisma.phaseRuleSet.findMany = async () => [
+      { id: uuid(), name: "Type only", typeId, trackId: null, rules: buildRules() },
+      { id: uuid(), name: "Type and track", typeId, trackId, rules: buildRules() },
+    ];
+
+    const exact = await phaseRuleSetResolver.getPhaseRules({ typeId, trackId });
+    should.equal(exact.ruleSetName, "Type and track");
+    const typeOnly = await phaseRuleSetResolver.getPhaseRules({ typeId, trackId: uuid() });
+    should.equal(typeOnly.ruleSetName, "Type only");
+    const fallback = await phaseRuleSetResolver.getPhaseRules({ typeId: uuid(), trackId });
+    should.equal(fallback.ruleSetName, undefined);
+  });
+});
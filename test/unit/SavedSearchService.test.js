@@ -0,0 +1,260 @@
+/*
+ * Unit tests of saved search service
+ */
+
+require("../../app-bootstrap");
+const _ = require("lodash");
+const chai = require("chai");
+const config = require("config");
+
+const service = require("../../src/services/SavedSearchService");
+const challengeService = require("../../src/services/ChallengeService");
+const helper = require("../../src/common/helper");
+const constants = require("../../app-constants");
+const prisma = require("../../src/common/prisma").getClient();
+const { mockPrisma, restorePrisma } = require("./prisma-mock");
+
+const should = chai.should();
+
+describe("saved search service unit tests", () => {
+  const currentUser = { userId: "12345", handle: "member", roles: ["Topcoder User"] };
+  let savedSearches;
+
+  beforeEach(() => {
+    savedSearches = [
+      {
+        id: "saved-1",
+        userId: "12345",
+        name: "Dev",
+        criteria: { track: "DEVELOP" },
+        notify: true,
+        lastNotifiedAt: null,
+      },
+      {
+        id: "2b3c4d5e-0000-4000-8000-000000000002",
+        userId: "99999",
+        name: "Other",
+        criteria: {},
+        notify: true,
+        lastNotifiedAt: null,
+      },
+    ];
+    mockPrisma("savedSearch", "count", async ({ where }) => _.filter(savedSearches, where).length);
+    mockPrisma("savedSearch", "findUnique", async ({ where }) =>
+      _.find(savedSearches, { id: where.id }),
+    );
+    mockPrisma("savedSearch", "create", async ({ data }) => {
+      const ret = { id: "saved-new", lastNotifiedAt: null, ...data };
+      savedSearches.push(ret);
+      return ret;
+    });
+  });
+
+  afterEach(() => {
+    restorePrisma();
+  });
+
+  it("create saved search - stores the filters only", async () => {
+    const ret = await service.createSavedSearch(currentUser, {
+      name: "Open dev challenges",
+      criteria: { track: "DEVELOP", page: 2, sortBy: "name", startDateStart: "2026-01-01" },
+    });
+    should.equal(ret.userId, "12345");
+    should.equal(ret.notify, true);
+    should.not.exist(ret.createdBy);
+    should.equal(ret.criteria.track, "DEVELOP");
+    should.equal(ret.criteria.startDateStart, "2026-01-01T00:00:00.000Z");
+    should.not.exist(ret.criteria.page);
+    should.not.exist(ret.criteria.sortBy);
+  });
+
+  it("create saved search - stores the track, type and status criteria columns", async () => {
+    const trackId = "6f4c1a57-8a3e-4b0a-9d7e-3b0c2a1e9f10";
+    const ret = await service.createSavedSearch(currentUser, {
+      name: "Active dev challenges",
+      criteria: { trackIds: [trackId], trackId, type: "CH", status: "active" },
+    });
+    const saved = _.last(savedSearches);
+    saved.trackIds.should.deep.equal([trackId]);
+    saved.typeIds.should.deep.equal([]);
+    should.equal(saved.status, "ACTIVE");
+    should.not.exist(ret.trackIds);
+    should.not.exist(ret.status);
+  });
+
+  it("create saved search - invalid criteria", async () => {
+    try {
+      await service.createSavedSearch(currentUser, {
+        name: "Invalid",
+        criteria: { perPage: "many", status: "UNKNOWN" },
+      });
+    } catch (e) {
+      should.equal(e.name, "BadRequestError");
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+
+  it("create saved search - ids are not allowed", async () => {
+    try {
+      await service.createSavedSearch(currentUser, { name: "Ids", criteria: { ids: ["a"] } });
+    } catch (e) {
+      should.equal(e.name, "BadRequestError");
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+
+  it("create saved search - too many saved searches", async () => {
+    const max = config.SAVED_SEARCH.MAX_PER_USER;
+    savedSearches = _.times(max, (i) => ({ id: `saved-${i}`, userId: "12345" }));
+    try {
+      await service.createSavedSearch(currentUser, { name: "One more", criteria: {} });
+    } catch (e) {
+      should.equal(e.name, "BadRequestError");
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+
+  it("get saved search - saved search of another member is not found", async () => {
+    try {
+      await service.getSavedSearch(currentUser, "2b3c4d5e-0000-4000-8000-000000000002");
+    } catch (e) {
+      should.equal(e.name, "NotFoundError");
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+
+  describe("saved search notifications", () => {
+    const challenge = { id: "challenge-1", name: "New challenge", status: "ACTIVE" };
+    const { matchSavedSearchCriteria, notifySavedSearchMatches, notifySavedSearchOwner } =
+      challengeService.__testables;
+    const originalTransaction = prisma.$transaction;
+    const originalPostBusEvent = helper.postBusEvent;
+    let events;
+    let updates;
+
+    beforeEach(() => {
+      events = [];
+      updates = [];
+      mockPrisma("savedSearch", "aggregate", async ({ where }) => ({
+        _max: {
+          lastNotifiedAt: _.max(_.map(_.filter(savedSearches, where), "lastNotifiedAt")) || null,
+        },
+      }));
+      mockPrisma("savedSearch", "updateMany", async (args) => updates.push(args));
+      prisma.$transaction = async (fn) => fn(prisma);
+      helper.postBusEvent = async (topic, payload) => events.push({ topic, payload });
+    });
+
+    afterEach(() => {
+      prisma.$transaction = originalTransaction;
+      helper.postBusEvent = originalPostBusEvent;
+    });
+
+    it("notifies the member of the matching saved searches", async () => {
+      const notified = await notifySavedSearchOwner("12345", [savedSearches[0]], challenge);
+
+      should.equal(notified, true);
+      should.equal(events.length, 1);
+      should.equal(events[0].topic, constants.Topics.Notifications);
+      const [notification] = events[0].payload.notifications;
+      should.equal(notification.details.recipients[0].userId, "12345");
+      should.equal(notification.details.data.challengeId, "challenge-1");
+      notification.details.data.savedSearchNames.should.deep.equal(["Dev"]);
+      updates[0].where.id.in.should.deep.equal(["saved-1"]);
+    });
+
+    it("throttles the notifications of a member", async () => {
+      savedSearches[0].lastNotifiedAt = new Date(Date.now() - 1000);
+
+      const notified = await notifySavedSearchOwner("12345", [savedSearches[0]], challenge);
+
+      should.equal(notified, false);
+      should.equal(events.length, 0);
+      should.equal(updates.length, 0);
+    });
+
+    it("matches the challenge against the saved search criteria", () => {
+      const activated = {
+        ...challenge,
+        typeId: "type-1",
+        trackId: "track-1",
+        tags: ["Java", "React"],
+        skills: [{ skillId: "skill-1" }, { skillId: "skill-2" }],
+        projectId: 100,
+        overviewTotalPrizes: 500,
+      };
+
+      should.equal(
+        matchSavedSearchCriteria(
+          { typeIds: ["type-1"], name: "new", tags: ["java", "React"], includeAllTags: false },
+          activated,
+        ),
+        true,
+      );
+      should.equal(
+        matchSavedSearchCriteria({ tags: ["Java", "Node"], includeAllTags: true }, activated),
+        false,
+      );
+      should.equal(
+        matchSavedSearchCriteria({ projectIds: [200], status: "active" }, activated),
+        false,
+      );
+      should.equal(
+        matchSavedSearchCriteria({ totalPrizesFrom: 100, totalPrizesTo: 500 }, activated),
+        true,
+      );
+      should.equal(matchSavedSearchCriteria({ skillIds: ["skill-2", "skill-3"] }, activated), true);
+      should.equal(matchSavedSearchCriteria({ skillIds: ["skill-3"] }, activated), false);
+      should.equal(matchSavedSearchCriteria({ track: "DEVELOP" }, activated), null);
+    });
+
+    it("notifies the matching saved searches of a public challenge without searching", async () => {
+      savedSearches[0].criteria = { typeId: "type-1" };
+      savedSearches[1].criteria = { tag: "Java" };
+      let searched = false;
+      mockPrisma("savedSearch", "findMany", async () => savedSearches);
+      mockPrisma("challengeUserWhitelist", "count", async () => 0);
+      mockPrisma("challenge", "findMany", async () => {
+        searched = true;
+        return [];
+      });
+
+      await notifySavedSearchMatches({ ...challenge, typeId: "type-1", groups: [], tags: [] });
+
+      should.equal(searched, false);
+      should.equal(events.length, 1);
+      should.equal(events[0].payload.notifications[0].details.recipients[0].userId, "12345");
+    });
+
+    it("pre-filters the saved searches and keeps going after a failing one", async () => {
+      savedSearches[0].criteria = { perPage: "many" };
+      savedSearches[1].criteria = { tag: "Java" };
+      let findManyArgs;
+      mockPrisma("savedSearch", "findMany", async (args) => {
+        findManyArgs = args;
+        return savedSearches;
+      });
+      mockPrisma("challengeUserWhitelist", "count", async () => 0);
+
+      await notifySavedSearchMatches({
+        ...challenge,
+        trackId: "track-1",
+        typeId: "type-1",
+        groups: [],
+        tags: ["Java"],
+      });
+
+      findManyArgs.where.AND.should.deep.equal([
+        { OR: [{ trackIds: { isEmpty: true } }, { trackIds: { has: "track-1" } }] },
+        { OR: [{ typeIds: { isEmpty: true } }, { typeIds: { has: "type-1" } }] },
+        { OR: [{ status: null }, { status: "ACTIVE" }] },
+      ]);
+      should.equal(events.length, 1);
+      should.equal(events[0].payload.notifications[0].details.recipients[0].userId, "99999");
+    });
+  });
+});
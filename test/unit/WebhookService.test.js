@@ -0,0 +1,95 @@
+/*
+ * Unit tests of the webhook subscription ownership
+ */
+
+require("../../app-bootstrap");
+const chai = require("chai");
+const service = require("../../src/services/WebhookService");
+const prisma = require("../../src/common/prisma").getClient();
+
+const should = chai.should();
+
+describe("webhook service unit tests", () => {
+  const client = { isMachine: true, azp: "client-1", sub: "client-1@clients" };
+  const otherClient = { isMachine: true, azp: "client-2", sub: "client-2@clients" };
+  const webhookId = "6f5e4d3c-0000-4000-8000-000000000001";
+  const originalCreate = prisma.webhookSubscription.create;
+  const originalFindFirst = prisma.webhookSubscription.findFirst;
+  const originalFindMany = prisma.webhookSubscription.findMany;
+  const originalCount = prisma.webhookSubscription.count;
+  const originalDelete = prisma.webhookSubscription.delete;
+
+  let subscription;
+  let deleted;
+
+  beforeEach(() => {
+    deleted = [];
+    prisma.webhookSubscription.create = async ({ data }) => {
+      subscription = { id: webhookId, ...data };
+      return subscription;
+    };
+    prisma.webhookSubscription.findFirst = async ({ where }) =>
+      subscription && where.id === subscription.id && where.ownerId === subscription.ownerId
+        ? subscription
+        : null;
+    prisma.webhookSubscription.findMany = async ({ where }) =>
+      subscription && where.ownerId === subscription.ownerId ? [subscription] : [];
+    prisma.webhookSubscription.count = async ({ where }) =>
+      subscription && where.ownerId === subscription.ownerId ? 1 : 0;
+    prisma.webhookSubscription.delete = async ({ where }) => {
+      deleted.push(where.id);
+      return subscription;
+    };
+  });
+
+  afterEach(() => {
+    subscription = null;
+    prisma.webhookSubscription.create = originalCreate;
+    prisma.webhookSubscription.findFirst = originalFindFirst;
+    prisma.webhookSubscription.findMany = originalFindMany;
+    prisma.webhookSubscription.count = originalCount;
+    prisma.webhookSubscription.delete = originalDelete;
+  });
+
+  it("create webhook - owned by the creating client", async () => {
+    const result = await service.createWebhook(client, {
+      url: "https://partner.example.com/hook",
+      topics: ["challenge.notification.update"],
+    });
+
+    should.equal(subscription.ownerId, "client-1");
+    should.equal(subscription.createdBy, "client-1@clients");
+    should.exist(result.secret);
+  });
+
+  it("search webhooks - only the subscriptions of the caller", async () => {
+    await service.createWebhook(client, {
+      url: "https://partner.example.com/hook",
+      topics: ["challenge.notification.update"],
+    });
+
+    const own = await service.searchWebhooks(client, {});
+    const other = await service.searchWebhooks(otherClient, {});
+
+    should.equal(own.total, 1);
+    should.equal(own.result[0].id, webhookId);
+    should.equal(other.total, 0);
+    other.result.should.deep.equal([]);
+  });
+
+  it("delete webhook - subscription of another client is not found", async () => {
+    await service.createWebhook(client, {
+      url: "https://partner.example.com/hook",
+      topics: ["challenge.notification.update"],
+    });
+
+    try {
+      await service.deleteWebhook(otherClient, webhookId);
+    } catch (e) {
+      should.equal(e.name, "NotFoundError");
+      deleted.should.deep.equal([]);
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+});
@@ -7,7 +7,7 @@ const chai = require("chai");
 const config = require("config");
 const service = require("../../src/services/ChallengeService");
 const projectHelper = require("../../src/common/project-helper");
-const { ChallengeStatusEnum } = require("../../src/common/prisma");
+const { getClient, ChallengeStatusEnum } = require("../../src/common/prisma");
 
 const should = chai.should();
 
@@ -165,6 +165,38 @@ describe("challenge activation billing validation unit tests", () => {
     should.equal(shouldBlockChallengeLaunchForApproval("APPROVED", "80001061"), false);
   });
 
+  it("blocks launch until every level of the approval chain is approved", () => {
+    const approvalRequest = {
+      status: "APPROVED",
+      steps: [{ name: "PROJECT_MANAGER", status: "APPROVED" }],
+    };
+
+    should.equal(shouldBlockChallengeLaunchForApproval("APPROVED", "80001061", null, 8000), true);
+    should.equal(
+      shouldBlockChallengeLaunchForApproval("APPROVED", "80001061", approvalRequest, 1500),
+      false,
+    );
+    // the budget grew past the finance threshold since the request was approved
+    should.equal(
+      shouldBlockChallengeLaunchForApproval("APPROVED", "80001061", approvalRequest, 8000),
+      true,
+    );
+    approvalRequest.steps.push({ name: "FINANCE", status: "APPROVED" });
+    should.equal(
+      shouldBlockChallengeLaunchForApproval("APPROVED", "80001061", approvalRequest, 8000),
+      false,
+    );
+    should.equal(
+      shouldBlockChallengeLaunchForApproval(
+        "APPROVED",
+        "80001061",
+        { ...approvalRequest, status: "PENDING" },
+        8000,
+      ),
+      true,
+    );
+  });
+
   it("skips budget lock funds validation for ignored billing accounts", async () => {
     config.IGNORED_CHALLENGE_ACTIVATION_BILLING_ACCOUNT_IDS = ["80000062"];
     let lockCalled = false;
@@ -213,4 +245,29 @@ describe("challenge activation billing validation unit tests", () => {
       memberPaymentAmount: 100,
     });
   });
+  it("skips budget lock sync when a prize currency has no exchange rate", async () => {
+    const prisma = getClient();
+    const originalFindFirst = prisma.exchangeRate.findFirst;
+    let lockCalled = false;
+    projectHelper.lockChallengeBillingAccountAmount = async () => {
+      lockCalled = true;
+    };
+    prisma.exchangeRate.findFirst = async () => null;
+
+    try {
+      await syncChallengeBillingAccountLock({
+        id: "challenge-id",
+        status: ChallengeStatusEnum.ACTIVE,
+        billing: {
+          billingAccountId: "80001061",
+          markup: 0.1,
+        },
+        prizeSets: [{ type: "PLACEMENT", prizes: [{ type: "EUR", value: 100 }] }],
+      });
+    } finally {
+      prisma.exchangeRate.findFirst = originalFindFirst;
+    }
+
+    should.equal(lockCalled, false);
+  });
 });
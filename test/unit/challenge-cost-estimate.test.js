@@ -0,0 +1,106 @@
+/*
+ * Unit tests of the challenge cost estimate
+ */
+
+require("../../app-bootstrap");
+const chai = require("chai");
+const service = require("../../src/services/ChallengeService");
+const helper = require("../../src/common/helper");
+const constants = require("../../app-constants");
+const prisma = require("../../src/common/prisma").getClient();
+
+const should = chai.should();
+
+describe("challenge cost estimate unit tests", () => {
+  const challengeId = "5a4b3c2d-0000-4000-8000-000000000001";
+  const admin = { userId: "1", handle: "admin", roles: [constants.UserRoles.Admin] };
+  const copilot = { userId: "2", handle: "copilot", roles: [constants.UserRoles.Copilot] };
+  const originalFindUnique = prisma.challenge.findUnique;
+  const originalEnsureUserCanModifyChallenge = helper.ensureUserCanModifyChallenge;
+  const draft = {
+    prizeSets: [
+      {
+        type: "PLACEMENT",
+        prizes: [
+          { type: "USD", value: 1000 },
+          { type: "USD", value: 500 },
+        ],
+      },
+      { type: "CHECKPOINT", prizes: [{ type: "USD", value: 100 }] },
+      { type: "COPILOT", prizes: [{ type: "USD", value: 150 }] },
+    ],
+    reviewers: [
+      {
+        isMemberReview: true,
+        memberReviewerCount: 2,
+        phaseId: "5a4b3c2d-0000-4000-8000-000000000002",
+        fixedAmount: 10,
+        baseCoefficient: 0.1,
+        incrementalCoefficient: 0.05,
+      },
+    ],
+    billing: { markup: 50 },
+  };
+
+  afterEach(() => {
+    prisma.challenge.findUnique = originalFindUnique;
+    helper.ensureUserCanModifyChallenge = originalEnsureUserCanModifyChallenge;
+  });
+
+  it("estimate challenge cost - itemized payments with the markup applied", async () => {
+    const result = await service.estimateChallengeCost(admin, draft);
+
+    should.equal(result.submissionsCount, 2);
+    result.items
+      .map((item) => [item.type, item.amount])
+      .should.deep.equal([
+        ["PLACEMENT", 1500],
+        ["CHECKPOINT", 100],
+        ["COPILOT", 150],
+        ["REVIEWER", 420],
+      ]);
+    should.equal(result.items[3].memberReviewers[0].memberReviewerCount, 2);
+    should.equal(result.memberPaymentAmount, 2170);
+    should.equal(result.markup, 50);
+    should.equal(result.billingRate, 0.5);
+    should.equal(result.billingAmount, 1085);
+    should.equal(result.totalAmount, 3255);
+  });
+
+  it("estimate challenge cost - reviewer payments for a number of submissions", async () => {
+    const result = await service.estimateChallengeCost(admin, draft, { submissionsCount: 10 });
+
+    should.equal(result.submissionsCount, 10);
+    should.equal(result.items[3].amount, 1220);
+    should.equal(result.memberPaymentAmount, 2970);
+  });
+
+  it("estimate challenge cost - markup hidden from copilots", async () => {
+    let result = await service.estimateChallengeCost(copilot, draft);
+    should.equal(result.memberPaymentAmount, 2170);
+    should.not.exist(result.markup);
+    should.not.exist(result.totalAmount);
+
+    result = await service.estimateChallengeCost(copilot, {
+      ...draft,
+      billing: { markup: 50, clientBillingRate: 0.2 },
+    });
+    should.not.exist(result.markup);
+    should.equal(result.billingRate, 0.2);
+    should.equal(result.totalAmount, 2604);
+  });
+
+  it("get challenge cost estimate - from the saved challenge billing", async () => {
+    prisma.challenge.findUnique = async () => ({
+      id: challengeId,
+      ...draft,
+      billing: undefined,
+      billingRecord: { markup: 0.25, clientBillingRate: null },
+    });
+    helper.ensureUserCanModifyChallenge = async () => {};
+
+    const result = await service.getChallengeCostEstimate(admin, challengeId);
+    should.equal(result.billingRate, 0.25);
+    should.equal(result.totalAmount, 2712.5);
+  });
+});
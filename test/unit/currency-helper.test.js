@@ -0,0 +1,83 @@
+require("../../app-bootstrap");
+
+const { expect } = require("chai");
+const Decimal = require("decimal.js");
+const currencyHelper = require("../../src/common/currency-helper");
+const prismaHelper = require("../../src/common/prisma-helper");
+const service = require("../../src/services/ChallengeService");
+const prisma = require("../../src/common/prisma").getClient();
+
+describe("currency helper", () => {
+  const originalFindFirst = prisma.exchangeRate.findFirst;
+  const exchangeRates = { EUR: new Decimal("1.1") };
+  const prizeSets = [
+    {
+      type: "PLACEMENT",
+      prizes: [
+        { type: "EUR", value: 1000 },
+        { type: "USD", value: 500 },
+        { type: "POINT", value: 200 },
+      ],
+    },
+    { type: "COPILOT", prizes: [{ type: "EUR", value: 100 }] },
+  ];
+
+  afterEach(() => {
+    prisma.exchangeRate.findFirst = originalFindFirst;
+  });
+
+  it("totals the prizes by currency and in USD, leaving points out", () => {
+    const result = currencyHelper.getPrizeTotals(prizeSets[0].prizes, exchangeRates);
+
+    expect(result).to.deep.equal({
+      byCurrency: { EUR: 1000, USD: 500, POINT: 200 },
+      usdEquivalent: 1600,
+    });
+  });
+
+  it("stores the USD equivalent and the totals by currency of the placement prizes", () => {
+    const result = prismaHelper.convertChallengeSchemaToPrisma(
+      { userId: "1" },
+      { prizeSets },
+      exchangeRates,
+    );
+
+    expect(result.overviewTotalPrizes).to.equal(1600);
+    expect(result.overviewTotalPrizesByCurrency).to.deep.equal({ EUR: 1000, USD: 500, POINT: 200 });
+  });
+
+  it("loads the latest effective rate of the monetary currencies", async () => {
+    const queries = [];
+    prisma.exchangeRate.findFirst = async (query) => {
+      queries.push(query);
+      return { currency: "EUR", rate: "1.1" };
+    };
+
+    const rates = await currencyHelper.getPrizeSetExchangeRates(prizeSets);
+
+    expect(queries).to.have.length(1);
+    expect(queries[0].where.currency).to.equal("EUR");
+    expect(queries[0].orderBy).to.deep.equal({ effectiveDate: "desc" });
+    expect(rates.EUR.toNumber()).to.equal(1.1);
+  });
+
+  it("rejects a monetary currency without an effective rate", async () => {
+    prisma.exchangeRate.findFirst = async () => null;
+
+    let error;
+    try {
+      await currencyHelper.getExchangeRates(["EUR"], new Date("2026-01-01T00:00:00.000Z"));
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.name).to.equal("BadRequestError");
+    expect(error.message).to.equal(
+      "No USD exchange rate of EUR is effective on 2026-01-01T00:00:00.000Z",
+    );
+  });
+
+  it("pays the member prizes in their USD equivalent", () => {
+    expect(service.getChallengeMemberPaymentAmount({ prizeSets }, exchangeRates)).to.equal(1710);
+  });
+});
@@ -0,0 +1,48 @@
+require("../../app-bootstrap");
+
+const { expect } = require("chai");
+const helper = require("../../src/common/helper");
+
+describe("entity tag helper", () => {
+  const updatedAt = new Date("2026-10-19T10:00:00.000Z");
+  const etag = helper.getEntityTag(updatedAt);
+
+  it("accepts the current version, any version or no precondition", () => {
+    helper.ensureEntityTagMatches(etag, updatedAt);
+    helper.ensureEntityTagMatches(`"stale", ${etag}`, updatedAt);
+    helper.ensureEntityTagMatches("*", updatedAt);
+    helper.ensureEntityTagMatches(undefined, updatedAt);
+  });
+
+  it("rejects a stale version with the current entity tag", () => {
+    try {
+      helper.ensureEntityTagMatches(helper.getEntityTag("2026-10-19T09:00:00.000Z"), updatedAt);
+    } catch (e) {
+      expect(e.name).to.equal("PreconditionFailedError");
+      expect(e.httpStatus).to.equal(412);
+      expect(e.etag).to.equal(etag);
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+
+  it("fails the precondition when the record changed before it was locked", async () => {
+    const newer = new Date("2026-10-19T10:00:05.000Z");
+    const model = {
+      updateMany: async ({ where }) => ({
+        count: where.updatedAt.getTime() === newer.getTime() ? 1 : 0,
+      }),
+      findUnique: async () => ({ updatedAt: newer }),
+    };
+
+    await helper.lockEntityVersion(model, "id", helper.getEntityTag(newer), newer);
+    try {
+      await helper.lockEntityVersion(model, "id", etag, updatedAt);
+    } catch (e) {
+      expect(e.name).to.equal("PreconditionFailedError");
+      expect(e.etag).to.equal(helper.getEntityTag(newer));
+      return;
+    }
+    throw new Error("should not reach here");
+  });
+});
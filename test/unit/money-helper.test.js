@@ -0,0 +1,69 @@
+require("../../app-bootstrap");
+
+const { expect } = require("chai");
+const Decimal = require("decimal.js");
+const moneyHelper = require("../../src/common/money-helper");
+const prismaHelper = require("../../src/common/prisma-helper");
+const helper = require("../../src/common/helper");
+
+// Prisma bundles its own copy of decimal.js
+const PrismaDecimal = Decimal.clone();
+
+describe("money helper", () => {
+  it("sums amounts without floating point errors", () => {
+    expect(moneyHelper.sumAmounts([0.1, 0.2]).toNumber()).to.equal(0.3);
+    expect(
+      moneyHelper.sumAmounts(["19.99", new PrismaDecimal("0.01"), null, "abc"]).toNumber(),
+    ).to.equal(20);
+    expect(helper.sumOfPrizes([{ value: 100.1 }, { value: 200.2 }])).to.equal(300.3);
+  });
+
+  it("rounds amounts half up to cents", () => {
+    expect(moneyHelper.roundAmount(1.005)).to.equal(1.01);
+    expect(moneyHelper.roundAmount("2.675")).to.equal(2.68);
+    expect(moneyHelper.roundAmount(12.34567, 4)).to.equal(12.3457);
+    expect(moneyHelper.roundAmount(undefined)).to.equal(null);
+  });
+
+  it("converts stored decimals to the number format of the responses", () => {
+    const challenge = {
+      overviewTotalPrizes: new PrismaDecimal("1500.5"),
+      billingRecord: { markup: new PrismaDecimal("0.58"), clientBillingRate: null },
+      prizeSets: [
+        {
+          type: "PLACEMENT",
+          prizes: [
+            { type: "USD", value: new PrismaDecimal("1000.5") },
+            { type: "USD", value: new PrismaDecimal("500") },
+          ],
+        },
+      ],
+      reviewers: [{ scorecardId: "1", fixedAmount: new PrismaDecimal("10.25") }],
+    };
+    prismaHelper.convertModelToResponse(challenge);
+
+    expect(challenge.overview.totalPrizes).to.equal(1500.5);
+    expect(challenge.billing).to.deep.equal({ markup: 0.58, clientBillingRate: null });
+    expect(challenge.prizeSets[0].prizes[0].value).to.equal(1000.5);
+    expect(challenge.reviewers[0].fixedAmount).to.equal(10.25);
+  });
+
+  it("stores the exact total of the placement prizes", () => {
+    const result = prismaHelper.convertChallengeSchemaToPrisma(
+      { userId: "1" },
+      {
+        prizeSets: [
+          {
+            type: "PLACEMENT",
+            prizes: [
+              { type: "USD", value: 0.1 },
+              { type: "USD", value: 0.2 },
+            ],
+          },
+        ],
+      },
+    );
+
+    expect(result.overviewTotalPrizes).to.equal(0.3);
+  });
+});
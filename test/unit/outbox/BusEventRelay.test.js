@@ -0,0 +1,259 @@
+const { expect } = require("chai");
+const config = require("config");
+
+require("../../../app-bootstrap");
+const relay = require("../../../src/outbox/BusEventRelay");
+const helper = require("../../../src/common/helper");
+const constants = require("../../../app-constants");
+const { getClient } = require("../../../src/common/prisma");
+
+describe("BusEventRelay", () => {
+  const prisma = getClient();
+  const originalTransaction = prisma.$transaction;
+  const originalQueryRaw = prisma.$queryRaw;
+  const originalCreateOutbox = prisma.busEventOutbox.create;
+  const originalDeleteOutbox = prisma.busEventOutbox.delete;
+  const originalUpdateOutbox = prisma.busEventOutbox.update;
+  const originalUpdateManyOutbox = prisma.busEventOutbox.updateMany;
+  const originalCountOutbox = prisma.busEventOutbox.count;
+  const originalAggregateOutbox = prisma.busEventOutbox.aggregate;
+  const originalCreateManyDeliveries = prisma.webhookDelivery.createMany;
+  const originalFindManySubscriptions = prisma.webhookSubscription.findMany;
+  const originalFindChallenge = prisma.challenge.findUnique;
+  const originalPublishBusEvent = helper.publishBusEvent;
+
+  let published;
+  let deleted;
+  let updates;
+  let released;
+  let queued;
+
+  const buildEvent = (id, challengeId, attempts = 0) => ({
+    id: BigInt(id),
+    topic: constants.Topics.ChallengeUpdated,
+    payload: { id: challengeId, status: "ACTIVE" },
+    key: null,
+    challengeId,
+    attempts,
+    createdAt: new Date(),
+  });
+
+  const mockDueEvents = (events, locked = true) => {
+    prisma.$queryRaw = async (strings) =>
+      strings.join("").includes("pg_try_advisory_xact_lock") ? [{ locked }] : events;
+  };
+
+  beforeEach(() => {
+    published = [];
+    deleted = [];
+    updates = [];
+    released = [];
+    queued = [];
+    prisma.$transaction = async (arg) =>
+      typeof arg === "function"
+        ? arg({ $queryRaw: (...args) => prisma.$queryRaw(...args) })
+        : Promise.all(arg);
+    prisma.busEventOutbox.delete = async ({ where }) => {
+      deleted.push(where.id);
+      return {};
+    };
+    prisma.busEventOutbox.update = async ({ where, data }) => {
+      updates.push({ id: where.id, data });
+      return data;
+    };
+    prisma.busEventOutbox.updateMany = async ({ where }) => {
+      released.push(...where.id.in);
+      return { count: where.id.in.length };
+    };
+    prisma.busEventOutbox.count = async () => 0;
+    prisma.busEventOutbox.aggregate = async () => ({
+      _count: { id: 0 },
+      _min: { createdAt: null },
+    });
+    prisma.webhookSubscription.findMany = async () => [];
+    prisma.webhookDelivery.createMany = async ({ data }) => {
+      queued.push(...data);
+      return { count: data.length };
+    };
+    helper.publishBusEvent = async (topic, payload) => {
+      published.push(payload.id);
+    };
+  });
+
+  afterEach(() => {
+    prisma.$transaction = originalTransaction;
+    prisma.$queryRaw = originalQueryRaw;
+    prisma.busEventOutbox.create = originalCreateOutbox;
+    prisma.busEventOutbox.delete = originalDeleteOutbox;
+    prisma.busEventOutbox.update = originalUpdateOutbox;
+    prisma.busEventOutbox.updateMany = originalUpdateManyOutbox;
+    prisma.busEventOutbox.count = originalCountOutbox;
+    prisma.busEventOutbox.aggregate = originalAggregateOutbox;
+    prisma.webhookDelivery.createMany = originalCreateManyDeliveries;
+    prisma.webhookSubscription.findMany = originalFindManySubscriptions;
+    prisma.challenge.findUnique = originalFindChallenge;
+    helper.publishBusEvent = originalPublishBusEvent;
+  });
+
+  it("writes bus events to the outbox of the given transaction", async () => {
+    let created;
+    const tx = {
+      busEventOutbox: {
+        create: async ({ data }) => {
+          created = data;
+          return data;
+        },
+      },
+    };
+    prisma.busEventOutbox.create = async () => {
+      throw new Error("should use the transaction");
+    };
+
+    await helper.postBusEvent(
+      constants.Topics.ChallengeCreated,
+      { id: "challenge-1", created: new Date("2026-10-19T00:00:00.000Z") },
+      { tx },
+    );
+
+    expect(created.topic).to.equal(constants.Topics.ChallengeCreated);
+    expect(created.challengeId).to.equal("challenge-1");
+    expect(created.payload.created).to.equal("2026-10-19T00:00:00.000Z");
+  });
+
+  it("publishes events in order and removes them from the outbox", async () => {
+    mockDueEvents([buildEvent(1, "challenge-1"), buildEvent(2, "challenge-2")]);
+
+    const run = await relay.runOnce();
+
+    expect(run.published).to.equal(2);
+    expect(published).to.deep.equal(["challenge-1", "challenge-2"]);
+    expect(deleted).to.deep.equal([BigInt(1), BigInt(2)]);
+    expect(run.backlog.size).to.equal(0);
+  });
+
+  it("holds the later events of a challenge back when one fails", async () => {
+    mockDueEvents([
+      buildEvent(1, "challenge-1", 2),
+      buildEvent(2, "challenge-2"),
+      buildEvent(3, "challenge-1"),
+    ]);
+    helper.publishBusEvent = async (topic, payload) => {
+      if (payload.id === "challenge-1") {
+        throw new Error("bus API unavailable");
+      }
+      published.push(payload.id);
+    };
+
+    const before = Date.now();
+    const run = await relay.runOnce();
+
+    expect(run.failed).to.equal(1);
+    expect(run.held).to.equal(1);
+    expect(published).to.deep.equal(["challenge-2"]);
+    expect(deleted).to.deep.equal([BigInt(2)]);
+    expect(updates).to.have.length(1);
+    expect(updates[0].id).to.equal(BigInt(1));
+    expect(updates[0].data.attempts).to.equal(3);
+    expect(updates[0].data.lastError).to.equal("bus API unavailable");
+    expect(updates[0].data.status).to.equal(undefined);
+    expect(released).to.deep.equal([BigInt(3)]);
+    // third attempt waits exponentialDelay(2), i.e. 800ms to 960ms, times the delay factor
+    const delay = updates[0].data.nextAttemptAt.getTime() - before;
+    expect(delay).to.be.at.least(800 * config.BUS_EVENT_RELAY.RETRY_DELAY_FACTOR - 1000);
+  });
+
+  it("marks an event FAILED after its last attempt and releases its challenge", async () => {
+    mockDueEvents([
+      buildEvent(1, "challenge-1", config.BUS_EVENT_RELAY.MAX_ATTEMPTS - 1),
+      { ...buildEvent(2, "challenge-1"), payload: { id: "challenge-1", status: "COMPLETED" } },
+    ]);
+    helper.publishBusEvent = async (topic, payload) => {
+      if (payload.status === "ACTIVE") {
+        throw new Error("bus API unavailable");
+      }
+      published.push(payload.id);
+    };
+
+    const run = await relay.runOnce();
+
+    expect(run.failed).to.equal(1);
+    expect(run.dead).to.equal(1);
+    expect(run.held).to.equal(0);
+    expect(updates[0].id).to.equal(BigInt(1));
+    expect(updates[0].data.status).to.equal("FAILED");
+    expect(published).to.deep.equal(["challenge-1"]);
+    expect(deleted).to.deep.equal([BigInt(2)]);
+  });
+
+  it("leaves the events to the instance holding the claim lock", async () => {
+    mockDueEvents([buildEvent(1, "challenge-1")], false);
+
+    const run = await relay.runOnce();
+
+    expect(run.locked).to.equal(false);
+    expect(published).to.deep.equal([]);
+  });
+
+  it("queues webhook deliveries for the subscriptions of the topic and project", async () => {
+    prisma.webhookSubscription.findMany = async () => [
+      { id: "all-projects", projectId: null },
+      { id: "project-100", projectId: 100 },
+      { id: "project-200", projectId: 200 },
+    ];
+    prisma.challenge.findUnique = async () => ({ projectId: 100 });
+    mockDueEvents([
+      {
+        ...buildEvent(1, "challenge-1"),
+        topic: constants.Topics.ChallengeAttachmentCreated,
+        payload: { id: "attachment-1" },
+      },
+    ]);
+
+    await relay.runOnce();
+
+    expect(queued.map((d) => d.subscriptionId)).to.deep.equal(["all-projects", "project-100"]);
+    expect(queued[0].payload.id).to.equal("attachment-1");
+    expect(deleted).to.deep.equal([BigInt(1)]);
+  });
+
+  it("leaves the billing and private description out of webhook payloads", async () => {
+    prisma.webhookSubscription.findMany = async () => [{ id: "all-projects", projectId: null }];
+    prisma.challenge.findUnique = async () => ({
+      projectId: 100,
+      groups: [],
+      _count: { userWhitelist: 0 },
+    });
+    mockDueEvents([
+      {
+        ...buildEvent(1, "challenge-1"),
+        payload: {
+          id: "challenge-1",
+          status: "ACTIVE",
+          billing: { billingAccountId: "80000100", markup: 0.5 },
+          privateDescription: "private",
+        },
+      },
+    ]);
+
+    await relay.runOnce();
+
+    expect(queued[0].payload).to.deep.equal({ id: "challenge-1", status: "ACTIVE" });
+  });
+
+  it("only sends the ids of group restricted and whitelisted challenges to webhooks", async () => {
+    prisma.webhookSubscription.findMany = async () => [{ id: "all-projects", projectId: null }];
+    const challenges = {
+      "challenge-1": { projectId: 100, groups: ["group-1"], _count: { userWhitelist: 0 } },
+      "challenge-2": { projectId: 100, groups: [], _count: { userWhitelist: 2 } },
+    };
+    prisma.challenge.findUnique = async ({ where }) => challenges[where.id];
+    mockDueEvents([buildEvent(1, "challenge-1"), buildEvent(2, "challenge-2")]);
+
+    await relay.runOnce();
+
+    expect(queued.map((d) => d.payload)).to.deep.equal([
+      { id: "challenge-1", challengeId: "challenge-1", restricted: true },
+      { id: "challenge-2", challengeId: "challenge-2", restricted: true },
+    ]);
+  });
+});
@@ -0,0 +1,126 @@
+const { expect } = require("chai");
+
+require("../../../app-bootstrap");
+const scheduler = require("../../../src/phase-management/PhaseAdvancementScheduler");
+const challengeService = require("../../../src/services/ChallengeService");
+const phaseRuleSetResolver = require("../../../src/phase-management/PhaseRuleSetResolver");
+const { getClient, getLockClient } = require("../../../src/common/prisma");
+
+describe("PhaseAdvancementScheduler", () => {
+  const prisma = getClient();
+  const lockClient = getLockClient();
+  const originalQueryRaw = prisma.$queryRaw;
+  const originalLockQueryRaw = lockClient.$queryRaw;
+  const originalFindManyRuleSets = prisma.phaseRuleSet.findMany;
+  const originalAdvancePhase = challengeService.advancePhase;
+
+  let advanceCalls;
+  let lockQueries;
+
+  const mockDuePhases = (rows, { locked = true } = {}) => {
+    prisma.$queryRaw = async () => rows;
+    lockClient.$queryRaw = async (strings, ...values) => {
+      lockQueries.push([strings.join("?").match(/pg_\w+/)[0], values[1]]);
+      return [{ locked }];
+    };
+  };
+
+  beforeEach(() => {
+    advanceCalls = [];
+    lockQueries = [];
+    phaseRuleSetResolver.clearCache();
+    prisma.phaseRuleSet.findMany = async () => [];
+  });
+
+  afterEach(() => {
+    prisma.$queryRaw = originalQueryRaw;
+    lockClient.$queryRaw = originalLockQueryRaw;
+    prisma.phaseRuleSet.findMany = originalFindManyRuleSets;
+    challengeService.advancePhase = originalAdvancePhase;
+  });
+
+  it("advances due phases through the challenge service and records rule failures", async () => {
+    mockDuePhases([
+      { challengeId: "challenge-1", name: "Review", operation: "close" },
+      { challengeId: "challenge-1", name: "Appeals", operation: "open" },
+      { challengeId: "challenge-2", name: "Appeals Response", operation: "close" },
+    ]);
+    challengeService.advancePhase = async (currentUser, challengeId, data) => {
+      advanceCalls.push({ currentUser, challengeId, data });
+      if (data.phase === "Appeals Response") {
+        return {
+          success: false,
+          message: "Cannot close phase Appeals Response for challenge challenge-2",
+          detail: "Rule Appeals Response Close failed",
+          failureReasons: [{ rule: "Appeals Response Close", failedConditions: [] }],
+        };
+      }
+      return { success: true };
+    };
+
+    const run = await scheduler.runOnce();
+
+    expect(advanceCalls.map(({ challengeId, data }) => [challengeId, data.operation, data.phase])).to.deep.equal([
+      ["challenge-1", "close", "Review"],
+      ["challenge-1", "open", "Appeals"],
+      ["challenge-2", "close", "Appeals Response"],
+    ]);
+    expect(advanceCalls[0].currentUser.isMachine).to.equal(true);
+    expect(run.duePhases).to.equal(3);
+    expect(run.advanced).to.have.length(2);
+    expect(run.failures).to.have.length(1);
+    expect(run.failures[0].detail).to.equal("Rule Appeals Response Close failed");
+    expect(scheduler.getStatus().lastRun).to.equal(run);
+  });
+
+  it("skips challenges locked by another instance", async () => {
+    mockDuePhases([{ challengeId: "challenge-1", name: "Review", operation: "close" }], {
+      locked: false,
+    });
+    challengeService.advancePhase = async (currentUser, challengeId, data) => {
+      advanceCalls.push({ challengeId, data });
+      return { success: true };
+    };
+
+    const run = await scheduler.runOnce();
+
+    expect(advanceCalls).to.have.length(0);
+    expect(run.skipped).to.deep.equal([
+      { challengeId: "challenge-1", reason: "locked by another instance" },
+    ]);
+    expect(lockQueries).to.have.length(1);
+  });
+
+  it("records thrown errors per phase and keeps going", async () => {
+    mockDuePhases([
+      { challengeId: "challenge-1", name: "Review", operation: "close" },
+      { challengeId: "challenge-2", name: "Review", operation: "close" },
+    ]);
+    challengeService.advancePhase = async (currentUser, challengeId) => {
+      if (challengeId === "challenge-1") {
+        throw new Error("Phase Review not found or already closed");
+      }
+      return { success: true };
+    };
+
+    const run = await scheduler.runOnce();
+
+    expect(run.failures).to.deep.equal([
+      {
+        challengeId: "challenge-1",
+        phase: "Review",
+        operation: "close",
+        message: "Phase Review not found or already closed",
+      },
+    ]);
+    expect(run.advanced).to.deep.equal([
+      { challengeId: "challenge-2", phase: "Review", operation: "close" },
+    ]);
+    expect(lockQueries).to.deep.equal([
+      ["pg_try_advisory_lock", "challenge-1"],
+      ["pg_advisory_unlock", "challenge-1"],
+      ["pg_try_advisory_lock", "challenge-2"],
+      ["pg_advisory_unlock", "challenge-2"],
+    ]);
+  });
+});
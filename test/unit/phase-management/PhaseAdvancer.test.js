@@ -3,6 +3,9 @@ const { expect } = require("chai");
 const PhaseAdvancer = require("../../../src/phase-management/PhaseAdvancer");
 const { getClient } = require("../../../src/common/prisma");
 const reviewPrisma = require("../../../src/common/review-prisma");
+const config = require("config");
+
+const appealHelperPath = require.resolve("../../../src/common/appeal-helper");
 
 const buildIterativeReviewPhase = () => ({
   id: "phase-iterative-review",
@@ -116,6 +119,7 @@ describe("PhaseAdvancer review completion queries", () => {
     });
 
     delete require.cache[phaseAdvancerPath];
+    delete require.cache[appealHelperPath];
     const PhaseAdvancerWithMockedReviewClient = require("../../../src/phase-management/PhaseAdvancer");
     const phaseAdvancer = new PhaseAdvancerWithMockedReviewClient({
       async getPhaseFacts() {
@@ -169,3 +173,272 @@ describe("PhaseAdvancer review completion queries", () => {
     expect(reviewCompletionQuery.values).to.include("COMPLETED");
   });
 });
+
+describe("PhaseAdvancer appeals response resolution", () => {
+  const originalGetReviewClient = reviewPrisma.getReviewClient;
+  const originalReviewDbUrl = config.REVIEW_DB_URL;
+  const phaseAdvancerPath = require.resolve("../../../src/phase-management/PhaseAdvancer");
+
+  const buildAppealsResponsePhase = () => ({
+    id: "phase-appeals-response",
+    phaseId: "phase-appeals-response",
+    name: "Appeals Response",
+    description: "Appeals Response phase",
+    duration: 86400,
+    isOpen: true,
+    predecessor: null,
+    scheduledStartDate: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+    scheduledEndDate: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+    actualStartDate: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+    actualEndDate: null,
+    constraints: [],
+  });
+
+  const loadPhaseAdvancerWithUnresolvedAppeals = (count, capturedQueries = []) => {
+    config.REVIEW_DB_URL = config.REVIEW_DB_URL || "postgresql://localhost:5432/review";
+    reviewPrisma.getReviewClient = () => ({
+      $queryRaw: async (query) => {
+        capturedQueries.push(query);
+        return [{ count }];
+      },
+    });
+    delete require.cache[phaseAdvancerPath];
+    delete require.cache[appealHelperPath];
+    const PhaseAdvancerWithMockedReviewClient = require("../../../src/phase-management/PhaseAdvancer");
+    return new PhaseAdvancerWithMockedReviewClient({
+      async getPhaseFacts() {
+        return {};
+      },
+    });
+  };
+
+  afterEach(() => {
+    reviewPrisma.getReviewClient = originalGetReviewClient;
+    config.REVIEW_DB_URL = originalReviewDbUrl;
+    delete require.cache[phaseAdvancerPath];
+    delete require.cache[appealHelperPath];
+  });
+
+  it("refuses to close appeals response while appeals are unanswered", async () => {
+    const capturedQueries = [];
+    const phaseAdvancer = loadPhaseAdvancerWithUnresolvedAppeals(2, capturedQueries);
+    const phases = [buildAppealsResponsePhase()];
+
+    const result = await phaseAdvancer.advancePhase(
+      "challenge-123",
+      null,
+      phases,
+      "close",
+      "Appeals Response"
+    );
+
+    expect(result.success).to.be.false;
+    const [failureReason] = result.failureReasons;
+    const appealsCondition = failureReason.failedConditions.find(
+      (condition) => condition.fact === "allAppealsResolved"
+    );
+    expect(appealsCondition.reason).to.equal("2 appeal(s) still awaiting a response");
+    expect(capturedQueries[0].values).to.include("challenge-123");
+    expect(phases[0].isOpen).to.be.true;
+  });
+
+  it("closes appeals response once every appeal has a response", async () => {
+    const phaseAdvancer = loadPhaseAdvancerWithUnresolvedAppeals(0);
+    const phases = [buildAppealsResponsePhase()];
+
+    const result = await phaseAdvancer.advancePhase(
+      "challenge-123",
+      null,
+      phases,
+      "close",
+      "Appeals Response"
+    );
+
+    expect(result.success).to.be.true;
+    expect(phases[0].isOpen).to.be.false;
+    expect(phases[0].actualEndDate).to.be.a("string");
+  });
+
+  it("closes appeals response without querying appeals when no review database is configured", async () => {
+    const capturedQueries = [];
+    const phaseAdvancer = loadPhaseAdvancerWithUnresolvedAppeals(2, capturedQueries);
+    config.REVIEW_DB_URL = "";
+    const phases = [buildAppealsResponsePhase()];
+
+    const result = await phaseAdvancer.advancePhase(
+      "challenge-123",
+      null,
+      phases,
+      "close",
+      "Appeals Response"
+    );
+
+    expect(result.success).to.be.true;
+    expect(capturedQueries).to.be.empty;
+  });
+});
+
+describe("PhaseAdvancer dry run", () => {
+  const prisma = getClient();
+  const originalFindUnique = prisma.challenge.findUnique;
+
+  const buildRegistrationPhase = () => ({
+    id: "phase-registration",
+    phaseId: "phase-registration",
+    name: "Registration",
+    description: "Registration phase",
+    duration: 86400,
+    isOpen: true,
+    predecessor: null,
+    scheduledStartDate: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+    scheduledEndDate: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+    actualStartDate: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+    actualEndDate: null,
+    constraints: [{ name: "Number of Registrants", value: 3 }],
+  });
+
+  afterEach(() => {
+    prisma.challenge.findUnique = originalFindUnique;
+  });
+
+  it("reports facts and every failed rule instead of stopping at the first one", async () => {
+    const phaseAdvancer = new PhaseAdvancer({
+      async getPhaseFacts() {
+        return {};
+      },
+    });
+    const phases = [buildRegistrationPhase()];
+
+    prisma.challenge.findUnique = async () => ({ numOfRegistrants: 0 });
+
+    const result = await phaseAdvancer.advancePhase(
+      "challenge-123",
+      null,
+      phases,
+      "close",
+      "Registration",
+      { dryRun: true }
+    );
+
+    expect(result.success).to.be.false;
+    expect(result.detail).to.equal("Rule Registration Close failed");
+    expect(result.facts.registrantCount).to.equal(0);
+    expect(result.rules.map((rule) => [rule.name, rule.passed])).to.deep.equal([
+      ["Registration Close", false],
+      ["Constraint: Number of Registrants", false],
+    ]);
+    expect(phases[0].isOpen).to.be.true;
+  });
+
+  it("omits facts and rule results outside of a dry run", async () => {
+    const phaseAdvancer = new PhaseAdvancer({
+      async getPhaseFacts() {
+        return {};
+      },
+    });
+    const phases = [buildRegistrationPhase()];
+
+    prisma.challenge.findUnique = async () => ({ numOfRegistrants: 5 });
+
+    const result = await phaseAdvancer.advancePhase(
+      "challenge-123",
+      null,
+      phases,
+      "close",
+      "Registration"
+    );
+
+    expect(result.success).to.be.true;
+    expect(result).to.not.have.property("facts");
+    expect(result).to.not.have.property("rules");
+  });
+});
+
+describe("PhaseAdvancer stored rule sets", () => {
+  const prisma = getClient();
+  const phaseRuleSetResolver = require("../../../src/phase-management/PhaseRuleSetResolver");
+  const originalFindUnique = prisma.challenge.findUnique;
+  const originalFindManyRuleSets = prisma.phaseRuleSet.findMany;
+
+  const marathonMatchTypeId = "929bc408-9cf2-4b3e-ba71-adfbf693046c";
+  const registrationCloseRule = (minimumRegistrants) => ({
+    name: `Registration Close (${minimumRegistrants}+ registrants)`,
+    conditions: {
+      all: [
+        { fact: "isOpen", operator: "equal", value: true },
+        { fact: "registrantCount", operator: "greaterThanInclusive", value: minimumRegistrants },
+      ],
+    },
+    event: { type: "canClose" },
+  });
+
+  const buildRegistrationPhase = () => ({
+    id: "phase-registration",
+    phaseId: "phase-registration",
+    name: "Registration",
+    duration: 86400,
+    isOpen: true,
+    predecessor: null,
+    scheduledStartDate: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+    scheduledEndDate: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+    actualStartDate: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+    actualEndDate: null,
+    constraints: [],
+  });
+
+  const phaseAdvancer = new PhaseAdvancer({
+    async getPhaseFacts() {
+      return {};
+    },
+  });
+
+  beforeEach(() => {
+    phaseRuleSetResolver.clearCache();
+    prisma.challenge.findUnique = async () => ({ numOfRegistrants: 5 });
+    prisma.phaseRuleSet.findMany = async () => [
+      {
+        id: "rule-set-mm",
+        name: "Marathon Match",
+        typeId: marathonMatchTypeId,
+        trackId: null,
+        rules: { closeRules: { Registration: [registrationCloseRule(10)] } },
+      },
+    ];
+  });
+
+  afterEach(() => {
+    prisma.challenge.findUnique = originalFindUnique;
+    prisma.phaseRuleSet.findMany = originalFindManyRuleSets;
+    phaseRuleSetResolver.clearCache();
+  });
+
+  it("applies the rule set matching the challenge type", async () => {
+    const result = await phaseAdvancer.advancePhase(
+      "challenge-123",
+      null,
+      [buildRegistrationPhase()],
+      "close",
+      "Registration",
+      { dryRun: true, typeId: marathonMatchTypeId, trackId: "some-track" }
+    );
+
+    expect(result.success).to.be.false;
+    expect(result.ruleSet).to.equal("Marathon Match");
+    expect(result.detail).to.equal("Rule Registration Close (10+ registrants) failed");
+  });
+
+  it("falls back to phase-rules.json for other challenge types", async () => {
+    const result = await phaseAdvancer.advancePhase(
+      "challenge-123",
+      null,
+      [buildRegistrationPhase()],
+      "close",
+      "Registration",
+      { dryRun: true, typeId: "other-type", trackId: "some-track" }
+    );
+
+    expect(result.success).to.be.true;
+    expect(result.ruleSet).to.equal("default");
+    expect(result.rules.map((rule) => rule.name)).to.deep.equal(["Registration Close"]);
+  });
+});
@@ -0,0 +1,35 @@
+/*
+ * Replaces prisma model methods in the unit tests
+ */
+
+const _ = require("lodash");
+const prisma = require("../../src/common/prisma").getClient();
+
+const originals = {};
+
+/**
+ * Replace a prisma model method for the current test.
+ * @param {String} model the model name
+ * @param {String} method the method name
+ * @param {Function} fn the replacement
+ */
+const mockPrisma = (model, method, fn) => {
+  originals[`${model}.${method}`] = originals[`${model}.${method}`] || prisma[model][method];
+  prisma[model][method] = fn;
+};
+
+/**
+ * Restore the prisma model methods replaced since the last restore.
+ */
+const restorePrisma = () => {
+  _.each(originals, (fn, key) => {
+    const [model, method] = key.split(".");
+    prisma[model][method] = fn;
+    delete originals[key];
+  });
+};
+
+module.exports = {
+  mockPrisma,
+  restorePrisma,
+};
@@ -98,4 +98,38 @@ describe('project helper unit tests', () => {
       amount: 1100
     })
   })
+
+  it('reads the challenge rows of the billing account ledger', async () => {
+    let getUrl
+
+    m2mHelper.getM2MToken = async () => 'test-token'
+    axios.get = async (url) => {
+      getUrl = url
+
+      return {
+        status: 200,
+        data: {
+          id: 80001012,
+          lockedAmounts: [
+            { challengeId: 'challenge-1', amount: '1100.5', updatedAt: '2026-02-01T00:00:00.000Z' },
+            { externalId: 'challenge-2', amount: 200, createdAt: '2026-02-02T00:00:00.000Z' },
+            { challengeId: 'challenge-3', amount: null }
+          ],
+          consumedAmounts: [{ challengeId: 'challenge-4', amount: 300 }]
+        }
+      }
+    }
+
+    const result = await projectHelper.getBillingAccountLedger('80001012')
+
+    getUrl.should.equal('http://localhost:4000/v6/billing-accounts/80001012')
+    result.should.deep.equal({
+      billingAccountId: '80001012',
+      lockedAmounts: [
+        { challengeId: 'challenge-1', amount: 1100.5, date: '2026-02-01T00:00:00.000Z' },
+        { challengeId: 'challenge-2', amount: 200, date: '2026-02-02T00:00:00.000Z' }
+      ],
+      consumedAmounts: [{ challengeId: 'challenge-4', amount: 300, date: null }]
+    })
+  })
 })
@@ -0,0 +1,99 @@
+const { expect } = require("chai");
+const axios = require("axios");
+const config = require("config");
+const crypto = require("crypto");
+
+require("../../../app-bootstrap");
+const worker = require("../../../src/webhooks/WebhookDeliveryWorker");
+const constants = require("../../../app-constants");
+const { getClient } = require("../../../src/common/prisma");
+
+describe("WebhookDeliveryWorker", () => {
+  const prisma = getClient();
+  const originalQueryRaw = prisma.$queryRaw;
+  const originalFindManyDeliveries = prisma.webhookDelivery.findMany;
+  const originalUpdateDelivery = prisma.webhookDelivery.update;
+  const originalPost = axios.post;
+
+  let updates;
+  let requests;
+
+  const mockDueDeliveries = (deliveries) => {
+    prisma.$queryRaw = async () => deliveries.map(({ id }) => ({ id }));
+    prisma.webhookDelivery.findMany = async () => deliveries;
+  };
+
+  const buildDelivery = (attempts = 0) => ({
+    id: "delivery-1",
+    topic: constants.Topics.ChallengeUpdated,
+    payload: { id: "challenge-1", status: "ACTIVE" },
+    attempts,
+    createdAt: new Date("2026-10-19T00:00:00.000Z"),
+    subscription: { id: "subscription-1", url: "https://partner.example.com/hook", secret: "s3cr3t" },
+  });
+
+  beforeEach(() => {
+    updates = [];
+    requests = [];
+    prisma.webhookDelivery.update = async ({ where, data }) => {
+      updates.push({ id: where.id, data });
+      return data;
+    };
+  });
+
+  afterEach(() => {
+    prisma.$queryRaw = originalQueryRaw;
+    prisma.webhookDelivery.findMany = originalFindManyDeliveries;
+    prisma.webhookDelivery.update = originalUpdateDelivery;
+    axios.post = originalPost;
+  });
+
+  it("posts signed deliveries and marks them delivered", async () => {
+    mockDueDeliveries([buildDelivery()]);
+    axios.post = async (url, body, options) => {
+      requests.push({ url, body, options });
+      return { status: 204 };
+    };
+
+    const run = await worker.runOnce();
+
+    expect(run.delivered).to.equal(1);
+    expect(requests).to.have.length(1);
+    const { body, options } = requests[0];
+    const timestamp = options.headers["X-Webhook-Timestamp"];
+    const expected = crypto.createHmac("sha256", "s3cr3t").update(`${timestamp}.${body}`).digest("hex");
+    expect(options.headers["X-Webhook-Signature"]).to.equal(`sha256=${expected}`);
+    expect(JSON.parse(body).payload.id).to.equal("challenge-1");
+    expect(updates[0].data.status).to.equal("DELIVERED");
+    expect(updates[0].data.attempts).to.equal(1);
+  });
+
+  it("schedules a retry with backoff when the subscriber fails", async () => {
+    mockDueDeliveries([buildDelivery(2)]);
+    axios.post = async () => ({ status: 503 });
+
+    const before = Date.now();
+    const run = await worker.runOnce();
+
+    expect(run.retried).to.equal(1);
+    expect(updates[0].data.status).to.equal(undefined);
+    expect(updates[0].data.attempts).to.equal(3);
+    expect(updates[0].data.lastResponseStatus).to.equal(503);
+    // third attempt waits exponentialDelay(2), i.e. 800ms to 960ms, times the delay factor
+    const delay = updates[0].data.nextAttemptAt.getTime() - before;
+    expect(delay).to.be.at.least(800 * config.WEBHOOKS.RETRY_DELAY_FACTOR - 1000);
+  });
+
+  it("moves deliveries out of attempts to the dead letter list", async () => {
+    mockDueDeliveries([buildDelivery(config.WEBHOOKS.MAX_ATTEMPTS - 1)]);
+    axios.post = async () => {
+      throw new Error("connect ECONNREFUSED");
+    };
+
+    const run = await worker.runOnce();
+
+    expect(run.dead).to.equal(1);
+    expect(updates[0].data.status).to.equal("DEAD");
+    expect(updates[0].data.lastError).to.equal("connect ECONNREFUSED");
+  });
+});